@@ -0,0 +1,86 @@
+import React from 'react';
+import { AUDIOGRAM_SIZE_OPTIONS, WAVE_STYLE_OPTIONS } from '../utils/audiogram';
+
+const AudiogramPanel = ({ audiogram, onChange }) => {
+  const updateAudiogram = (changes) => onChange({ ...audiogram, ...changes });
+
+  const handleImage = (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+
+    if (!file.type.startsWith('image/')) {
+      alert('Please choose an image file');
+      return;
+    }
+    updateAudiogram({ backgroundImage: file });
+  };
+
+  return (
+    <div className="caption-style-panel">
+      <div className="style-grid">
+        <label className="style-field">
+          <span className="style-field-label">Size</span>
+          <select
+            value={audiogram.size}
+            onChange={(e) => updateAudiogram({ size: e.target.value })}
+            className="font-dropdown"
+          >
+            {AUDIOGRAM_SIZE_OPTIONS.map(option => (
+              <option key={option.value} value={option.value}>{option.label}</option>
+            ))}
+          </select>
+        </label>
+        <label className="style-field">
+          <span className="style-field-label">Waveform</span>
+          <select
+            value={audiogram.waveStyle}
+            onChange={(e) => updateAudiogram({ waveStyle: e.target.value })}
+            className="font-dropdown"
+          >
+            {WAVE_STYLE_OPTIONS.map(option => (
+              <option key={option.value} value={option.value}>{option.label}</option>
+            ))}
+          </select>
+        </label>
+        <label className="style-field color">
+          <span className="style-field-label">Waveform colour</span>
+          <input
+            type="color"
+            value={audiogram.waveColor}
+            onChange={(e) => updateAudiogram({ waveColor: e.target.value.toUpperCase() })}
+          />
+        </label>
+        <label className="style-field color">
+          <span className="style-field-label">Background</span>
+          <input
+            type="color"
+            value={audiogram.backgroundColor}
+            onChange={(e) => updateAudiogram({ backgroundColor: e.target.value.toUpperCase() })}
+            disabled={Boolean(audiogram.backgroundImage)}
+          />
+        </label>
+
+        <div className="style-field">
+          <span className="style-field-label">Background image</span>
+          <div className="audiogram-image-actions">
+            <label className="style-toggle-btn">
+              {audiogram.backgroundImage ? 'Change image' : 'Choose image'}
+              <input type="file" accept="image/*" onChange={handleImage} className="file-input" />
+            </label>
+            {audiogram.backgroundImage && (
+              <button onClick={() => updateAudiogram({ backgroundImage: null })} className="style-toggle-btn">
+                Remove
+              </button>
+            )}
+          </div>
+        </div>
+      </div>
+      <p className="model-description">
+        The preview waveform follows the loudness; the exported one draws the audio samples in the same place and colour.
+      </p>
+    </div>
+  );
+};
+
+export default AudiogramPanel;
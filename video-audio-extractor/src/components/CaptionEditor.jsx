@@ -0,0 +1,217 @@
+import React, { useRef } from 'react';
+import {
+  updateCueText,
+  updateCueTiming,
+  splitCue,
+  mergeWithNext,
+  insertCueAfter,
+  deleteCue,
+  toggleWordEmphasis,
+  setCueEmoji,
+  updateCueTrack,
+  listCaptionTracks,
+  clearKeywordMarks,
+  getCaptionScript,
+  getCueTimingIssue,
+  formatCueTime,
+  parseCueTime
+} from '../utils/captionEdits';
+
+const CaptionEditor = ({
+  captions,
+  onChange,
+  onUndo,
+  onRedo,
+  canUndo,
+  canRedo,
+  onAutoEmphasis,
+  isMarkingKeywords,
+  onTransliterate,
+  isTransliterating,
+  onImportTrack,
+  isImportingTrack
+}) => {
+  const textareaRefs = useRef([]);
+  // The script toggle switches to whichever script the captions aren't in
+  const targetScript = getCaptionScript(captions) === 'devanagari' ? 'roman' : 'devanagari';
+  const tracks = listCaptionTracks(captions);
+
+  // Ctrl/Cmd+Z and Ctrl/Cmd+Shift+Z (or Ctrl+Y) undo and redo caption edits,
+  // replacing the textarea's own undo which only knows about one field
+  const handleKeyDown = (e) => {
+    if (!(e.ctrlKey || e.metaKey)) return;
+    const key = e.key.toLowerCase();
+
+    if (key === 'z' && !e.shiftKey) {
+      e.preventDefault();
+      onUndo();
+    } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+      e.preventDefault();
+      onRedo();
+    }
+  };
+
+  // Apply a typed time when the field loses focus; unreadable values snap back
+  const commitTime = (index, field, e) => {
+    const seconds = parseCueTime(e.target.value);
+    if (seconds === null || seconds === captions[index][field]) {
+      e.target.value = formatCueTime(captions[index][field]);
+      return;
+    }
+    onChange(updateCueTiming(captions, index, { [field]: seconds }));
+  };
+
+  const handleSplit = (index) => {
+    const textarea = textareaRefs.current[index];
+    const cursor = textarea ? textarea.selectionStart : Math.floor(captions[index].text.length / 2);
+    onChange(splitCue(captions, index, cursor));
+  };
+
+  const renderTimeInput = (cue, index, field) => (
+    <input
+      // Remount when the time changes elsewhere (undo, split) so the field shows the new value
+      key={`${field}-${cue[field]}`}
+      type="text"
+      className="caption-time-input"
+      defaultValue={formatCueTime(cue[field])}
+      onBlur={(e) => commitTime(index, field, e)}
+      onKeyDown={(e) => e.key === 'Enter' && e.currentTarget.blur()}
+      aria-label={`Caption ${index + 1} ${field} time`}
+    />
+  );
+
+  return (
+    <div className="caption-editor" onKeyDown={handleKeyDown}>
+      <div className="caption-editor-toolbar">
+        <button onClick={onUndo} disabled={!canUndo} className="editor-btn" title="Undo (Ctrl+Z)">
+          ↶ Undo
+        </button>
+        <button onClick={onRedo} disabled={!canRedo} className="editor-btn" title="Redo (Ctrl+Shift+Z)">
+          ↷ Redo
+        </button>
+        <span className="caption-editor-count">{captions.length} captions</span>
+        <button
+          onClick={onAutoEmphasis}
+          disabled={isMarkingKeywords}
+          className="editor-btn"
+          title="Mark each caption's key words and add emoji"
+        >
+          {isMarkingKeywords ? '⏳ Marking...' : '✨ Auto emphasis'}
+        </button>
+        <button onClick={() => onChange(clearKeywordMarks(captions))} className="editor-btn" title="Remove every emphasis mark and emoji">
+          Clear marks
+        </button>
+        <button
+          onClick={() => onTransliterate(targetScript)}
+          disabled={isTransliterating}
+          className="editor-btn"
+          title="Rewrite Hindi words in the other script; English words stay as they are"
+        >
+          {isTransliterating ? '⏳ Converting...' : targetScript === 'devanagari' ? 'अ देवनागरी' : 'Aa Roman'}
+        </button>
+        <label className={`editor-btn ${isImportingTrack ? 'disabled' : ''}`} title="Add a caption file (e.g. a translation) as a second track">
+          {isImportingTrack ? '⏳ Adding track...' : '🌍 Add track'}
+          <input
+            type="file"
+            accept=".srt,.vtt,.json"
+            onChange={(e) => {
+              const file = e.target.files[0];
+              e.target.value = '';
+              if (file) onImportTrack(file);
+            }}
+            disabled={isImportingTrack}
+            className="file-input"
+          />
+        </label>
+        <button onClick={() => onChange(insertCueAfter(captions, captions.length - 1))} className="editor-btn">
+          ＋ Add caption
+        </button>
+      </div>
+
+      <div className="captions-preview">
+        {captions.map((cue, index) => {
+          const issue = getCueTimingIssue(captions, index);
+
+          return (
+            <div key={index} className={`caption-segment caption-edit-row ${issue ? 'has-issue' : ''}`}>
+              <div className="caption-edit-header">
+                <span className="caption-edit-index">#{index + 1}</span>
+                {renderTimeInput(cue, index, 'start')}
+                <span className="caption-time">→</span>
+                {renderTimeInput(cue, index, 'end')}
+              </div>
+
+              <textarea
+                ref={(element) => { textareaRefs.current[index] = element; }}
+                className="caption-edit-text"
+                value={cue.text}
+                rows={Math.max(2, cue.text.split('\n').length)}
+                onChange={(e) => onChange(updateCueText(captions, index, e.target.value), { coalesceKey: `text-${index}` })}
+              />
+
+              {/* Click a word to emphasize it in the player and the burned-in export */}
+              <div className="caption-edit-words">
+                {(cue.words || []).map((word, wordIndex) => (
+                  <button
+                    key={wordIndex}
+                    onClick={() => onChange(toggleWordEmphasis(captions, index, wordIndex))}
+                    className={`word-chip ${word.emphasis ? 'emphasis' : ''}`}
+                    aria-pressed={Boolean(word.emphasis)}
+                  >
+                    {word.word}
+                  </button>
+                ))}
+                <input
+                  type="text"
+                  className="caption-emoji-input"
+                  value={cue.emoji || ''}
+                  placeholder="Emoji"
+                  maxLength={8}
+                  onChange={(e) => onChange(setCueEmoji(captions, index, e.target.value), { coalesceKey: `emoji-${index}` })}
+                  aria-label={`Caption ${index + 1} emoji`}
+                />
+              </div>
+
+              {/* Second text tracks, e.g. the English translation shown in bilingual mode */}
+              {tracks.map(trackId => (
+                <label key={trackId} className="caption-track-field">
+                  <span className="caption-track-name">{trackId}</span>
+                  <input
+                    type="text"
+                    className="caption-track-input"
+                    value={cue.tracks?.[trackId] || ''}
+                    onChange={(e) => onChange(updateCueTrack(captions, index, trackId, e.target.value), { coalesceKey: `track-${trackId}-${index}` })}
+                  />
+                </label>
+              ))}
+
+              {issue && <span className="caption-edit-issue">⚠️ {issue}</span>}
+
+              <div className="caption-edit-actions">
+                <button onClick={() => handleSplit(index)} className="editor-btn" title="Split at the text cursor">
+                  ✂️ Split
+                </button>
+                <button
+                  onClick={() => onChange(mergeWithNext(captions, index))}
+                  disabled={index === captions.length - 1}
+                  className="editor-btn"
+                  title="Merge with the next caption"
+                >
+                  ⤵️ Merge
+                </button>
+                <button onClick={() => onChange(insertCueAfter(captions, index))} className="editor-btn" title="Insert a caption after this one">
+                  ＋ Insert
+                </button>
+                <button onClick={() => onChange(deleteCue(captions, index))} className="editor-btn danger" title="Delete this caption">
+                  🗑️ Delete
+                </button>
+              </div>
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+};
+
+export default CaptionEditor;
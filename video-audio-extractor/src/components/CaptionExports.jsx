@@ -0,0 +1,364 @@
+import React, { useState } from 'react';
+import SubtitleTrackExport from './SubtitleTrackExport';
+import ClipGenerator from './ClipGenerator';
+import { burnCaptions, cutClips, renderAudiogram, muxSubtitles } from '../utils/videoExport';
+import { readVideoMetadata } from '../utils/media';
+import { planClip, formatRange } from '../utils/clips';
+import { API_BASE_URL } from '../utils/api';
+import { downloadUrl, downloadBlob } from '../utils/download';
+
+// Frame rates offered for frame-based caption formats (TTML, DFXP, EBU-STL)
+const FRAME_RATE_OPTIONS = [
+  { value: '23.976', label: '23.976 fps' },
+  { value: '24', label: '24 fps' },
+  { value: '25', label: '25 fps (PAL)' },
+  { value: '29.97', label: '29.97 fps (NTSC)' },
+  { value: '29.97-df', label: '29.97 fps drop-frame' },
+  { value: '30', label: '30 fps' },
+  { value: '50', label: '50 fps' },
+  { value: '59.94', label: '59.94 fps' },
+  { value: '60', label: '60 fps' }
+];
+
+// Broadcast and platform deliverables, downloaded with the selected frame rate
+// EBU-STL timecode only exists at 25 and 30 fps (50 and 60 fps count frame pairs), so film rates are left out
+const DELIVERABLE_FORMATS = [
+  { name: 'ttml', label: 'TTML' },
+  { name: 'dfxp', label: 'DFXP' },
+  { name: 'sbv', label: 'SBV (YouTube)' },
+  {
+    name: 'stl',
+    label: 'EBU-STL',
+    frameRates: ['25', '29.97', '29.97-df', '30', '50', '59.94', '60'],
+    unsupportedHint: 'EBU-STL needs 25, 30, 50 or 60 fps (or the NTSC rates)'
+  }
+];
+
+/**
+ * Every way out of the app: audio and caption files, burned-in video or audiogram, muxed subtitle tracks and clips
+ * Rendered files belong to the selected file; the uploader remounts this component when another one is picked
+ */
+const CaptionExports = ({
+  selectedFile,
+  isAudioOnly,
+  audioUrl,
+  captions,
+  captionStyle,
+  videoSize,
+  reframe,
+  audiogram,
+  defaultLanguage,
+  isBusy,
+  getFFmpeg,
+  recordExport
+}) => {
+  const [frameRate, setFrameRate] = useState('25');
+  const [videoExport, setVideoExport] = useState(null); // { phase, percent } while exporting
+  const [captionedVideoUrl, setCaptionedVideoUrl] = useState(null);
+  const [muxProgress, setMuxProgress] = useState(null); // percent while muxing
+  const [muxedVideo, setMuxedVideo] = useState(null); // { url, extension }
+  const [clipProgress, setClipProgress] = useState(null); // { clip, phase, percent } while cutting
+  const [clipCount, setClipCount] = useState(0);
+  const [clipResults, setClipResults] = useState([]); // { label, url, cues, duration }
+
+  const baseName = selectedFile.name.split('.')[0];
+  const hasCaptions = captions?.length > 0;
+
+  const downloadAudio = () => {
+    downloadUrl(audioUrl, `${baseName}_audio.mp3`);
+    recordExport('mp3', `${baseName}_audio.mp3`);
+  };
+
+  // Export the current cues in another caption format on the backend
+  // The caption style travels along so styled formats (ASS) match the player, and the second
+  // track shown in the player makes SRT and ASS files bilingual
+  const fetchCaptionFile = async (format, cues = captions) => {
+    const response = await fetch(`${API_BASE_URL}/export`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        format,
+        cues,
+        options: {
+          style: captionStyle,
+          ...videoSize,
+          secondaryTrack: captionStyle.secondaryTrack || undefined,
+          secondaryPosition: captionStyle.secondaryPosition,
+          frameRate: frameRate.replace('-df', ''),
+          dropFrame: frameRate.endsWith('-df'),
+        },
+      }),
+    });
+
+    if (!response.ok) {
+      const result = await response.json().catch(() => ({}));
+      throw new Error(result.message || `HTTP error! status: ${response.status}`);
+    }
+
+    return response.blob();
+  };
+
+  const downloadCaptions = async (format) => {
+    try {
+      const filename = `${baseName}_captions.${format}`;
+      downloadBlob(await fetchCaptionFile(format), filename);
+      recordExport(format, filename, {
+        secondaryTrack: captionStyle.secondaryTrack || undefined,
+        frameRate: DELIVERABLE_FORMATS.some(deliverable => deliverable.name === format) ? frameRate : undefined,
+      });
+    } catch (error) {
+      console.error(`Error exporting ${format} captions:`, error);
+      alert(`Error exporting captions: ${error.message}`);
+    }
+  };
+
+  // Burn the current captions into the video with ffmpeg.wasm, in the player's font and highlight style
+  // Audio uploads are rendered as an audiogram instead
+  const exportCaptionedVideo = async () => {
+    setVideoExport({ phase: 'rendering', percent: 0 });
+
+    try {
+      const ffmpeg = await getFFmpeg();
+      const metadata = await readVideoMetadata(selectedFile);
+      const blob = isAudioOnly
+        ? await renderAudiogram(ffmpeg, {
+          audioFile: selectedFile,
+          cues: captions,
+          style: captionStyle,
+          audiogram,
+          duration: metadata.duration,
+          onProgress: setVideoExport,
+        })
+        : await burnCaptions(ffmpeg, {
+          videoFile: selectedFile,
+          cues: captions,
+          style: captionStyle,
+          metadata,
+          reframe,
+          onProgress: setVideoExport,
+        });
+
+      if (captionedVideoUrl) URL.revokeObjectURL(captionedVideoUrl);
+      setCaptionedVideoUrl(URL.createObjectURL(blob));
+      console.log('Captioned video exported:', blob.size, 'bytes');
+    } catch (error) {
+      console.error('Error exporting captioned video:', error);
+      alert(`Error exporting captioned video: ${error.message}`);
+    } finally {
+      setVideoExport(null);
+    }
+  };
+
+  const downloadCaptionedVideo = () => {
+    const filename = `${baseName}_${isAudioOnly ? 'audiogram' : 'captioned'}.mp4`;
+    downloadUrl(captionedVideoUrl, filename);
+    recordExport('mp4', filename, { kind: isAudioOnly ? 'audiogram' : 'burned-in' });
+  };
+
+  // Mux the captions (plus any imported subtitle files) into the video as selectable tracks
+  const exportWithSubtitleTracks = async ({ container, captionFormat, tracks }) => {
+    setMuxProgress(0);
+
+    try {
+      const ffmpeg = await getFFmpeg();
+      const trackData = await Promise.all(tracks.map(async (track) => {
+        const format = track.source === 'captions' ? captionFormat : track.format;
+        const blob = track.source === 'captions' ? await fetchCaptionFile(format) : track.file;
+        return {
+          data: new Uint8Array(await blob.arrayBuffer()),
+          format,
+          language: track.language,
+          title: track.title,
+        };
+      }));
+
+      const blob = await muxSubtitles(ffmpeg, {
+        videoFile: selectedFile,
+        container,
+        tracks: trackData,
+        onProgress: setMuxProgress,
+      });
+
+      if (muxedVideo) URL.revokeObjectURL(muxedVideo.url);
+      setMuxedVideo({ url: URL.createObjectURL(blob), extension: container });
+    } catch (error) {
+      console.error('Error muxing subtitle tracks:', error);
+      alert(`Error adding subtitle tracks: ${error.message}`);
+    } finally {
+      setMuxProgress(null);
+    }
+  };
+
+  const downloadMuxedVideo = () => {
+    const filename = `${baseName}_subtitled.${muxedVideo.extension}`;
+    downloadUrl(muxedVideo.url, filename);
+    recordExport(muxedVideo.extension, filename, { kind: 'subtitle-tracks' });
+  };
+
+  // Cut the selected ranges into clips, one per range or all ranges joined into one
+  const exportClips = async ({ ranges, join, burnIn }) => {
+    if (ranges.length === 0) return;
+
+    const plans = (join ? [ranges] : ranges.map(range => [range])).map(group => ({
+      ...planClip(captions, group),
+      label: group.map(formatRange).join(' + '),
+    }));
+    setClipCount(plans.length);
+    setClipProgress({ clip: 0, phase: 'cutting', percent: 0 });
+
+    try {
+      const blobs = await cutClips(await getFFmpeg(), {
+        videoFile: selectedFile,
+        clips: plans.map(plan => ({ segments: plan.segments, cues: burnIn ? plan.cues : [] })),
+        style: captionStyle,
+        metadata: await readVideoMetadata(selectedFile),
+        reframe,
+        onProgress: setClipProgress,
+      });
+
+      clipResults.forEach(clip => URL.revokeObjectURL(clip.url));
+      setClipResults(plans.map((plan, index) => ({
+        label: plan.label,
+        url: URL.createObjectURL(blobs[index]),
+        cues: plan.cues,
+        duration: plan.duration,
+      })));
+    } catch (error) {
+      console.error('Error exporting clips:', error);
+      alert(`Error exporting clips: ${error.message}`);
+    } finally {
+      setClipProgress(null);
+    }
+  };
+
+  const downloadClip = (clip, index) => {
+    const filename = `${baseName}_clip${index + 1}.mp4`;
+    downloadUrl(clip.url, filename);
+    recordExport('mp4', filename, { kind: 'clip', range: clip.label });
+  };
+
+  // The clip's captions, re-timed to the clip
+  const downloadClipCaptions = async (clip, index) => {
+    try {
+      const filename = `${baseName}_clip${index + 1}.srt`;
+      downloadBlob(await fetchCaptionFile('srt', clip.cues), filename);
+      recordExport('srt', filename, { kind: 'clip', range: clip.label });
+    } catch (error) {
+      console.error('Error exporting clip captions:', error);
+      alert(`Error exporting captions: ${error.message}`);
+    }
+  };
+
+  return (
+    <>
+      <div className="download-buttons">
+        {!isAudioOnly && (
+          <button onClick={downloadAudio} className="download-btn">
+            Download Audio (MP3)
+          </button>
+        )}
+        {hasCaptions && (
+          <>
+            <button onClick={() => downloadCaptions('srt')} className="download-btn">
+              Download Captions (SRT)
+            </button>
+            <button onClick={() => downloadCaptions('vtt')} className="download-btn">
+              Download Captions (VTT)
+            </button>
+            <button onClick={() => downloadCaptions('ass')} className="download-btn">
+              Download Styled Captions (ASS)
+            </button>
+          </>
+        )}
+      </div>
+      {hasCaptions && (
+        <div className="deliverable-formats">
+          <div className="font-selector">
+            <label htmlFor="frame-rate-select">Frame rate:</label>
+            <select
+              id="frame-rate-select"
+              value={frameRate}
+              onChange={(e) => setFrameRate(e.target.value)}
+              className="font-dropdown"
+            >
+              {FRAME_RATE_OPTIONS.map(option => (
+                <option key={option.value} value={option.value}>
+                  {option.label}
+                </option>
+              ))}
+            </select>
+          </div>
+          <div className="download-buttons">
+            {DELIVERABLE_FORMATS.map(format => {
+              const unsupported = format.frameRates && !format.frameRates.includes(frameRate);
+              return (
+                <button
+                  key={format.name}
+                  onClick={() => downloadCaptions(format.name)}
+                  disabled={unsupported}
+                  title={unsupported ? format.unsupportedHint : undefined}
+                  className="download-btn secondary"
+                >
+                  {format.label}
+                </button>
+              );
+            })}
+          </div>
+        </div>
+      )}
+      {hasCaptions && (
+        <div className="video-export">
+          <button
+            onClick={exportCaptionedVideo}
+            disabled={!!videoExport || isBusy}
+            className="extract-btn"
+          >
+            {videoExport
+              ? `${videoExport.phase === 'rendering' ? 'Rendering Captions' : 'Encoding Video'}... ${videoExport.percent}%`
+              : isAudioOnly ? '🎧 Export Audiogram' : '🎬 Export Captioned Video'}
+          </button>
+          {videoExport && (
+            <div className="progress-bar">
+              <div
+                className="progress-fill"
+                style={{ width: `${videoExport.percent}%` }}
+              ></div>
+            </div>
+          )}
+          {captionedVideoUrl && !videoExport && (
+            <button onClick={downloadCaptionedVideo} className="download-btn">
+              {isAudioOnly ? 'Download Audiogram (MP4)' : 'Download Captioned Video (MP4)'}
+            </button>
+          )}
+        </div>
+      )}
+      {/* Muxing and clip cutting work on the video stream */}
+      {hasCaptions && !isAudioOnly && (
+        <SubtitleTrackExport
+          defaultLanguage={defaultLanguage}
+          onExport={exportWithSubtitleTracks}
+          isExporting={muxProgress !== null}
+          progress={muxProgress}
+          resultUrl={muxedVideo?.url}
+          onDownload={downloadMuxedVideo}
+        />
+      )}
+      {hasCaptions && !isAudioOnly && (
+        <ClipGenerator
+          // Selections are cue indices, so start over when cues are added or removed
+          key={captions.length}
+          captions={captions}
+          onExport={exportClips}
+          isExporting={clipProgress !== null}
+          progress={clipProgress}
+          clipCount={clipCount}
+          results={clipResults}
+          onDownload={downloadClip}
+          onDownloadCaptions={downloadClipCaptions}
+        />
+      )}
+    </>
+  );
+};
+
+export default CaptionExports;
@@ -0,0 +1,277 @@
+import React, { useState } from 'react';
+import {
+  FONT_OPTIONS,
+  FONT_WEIGHT_OPTIONS,
+  POSITION_OPTIONS,
+  SECONDARY_POSITION_OPTIONS,
+  STYLE_RANGES
+} from '../utils/captionStyle';
+import { ANIMATION_OPTIONS } from '../utils/captionAnimation';
+import {
+  BUILT_IN_PRESETS,
+  loadSavedPresets,
+  storeSavedPresets,
+  upsertPreset,
+  serializePresets,
+  parsePresetFile
+} from '../utils/captionPresets';
+
+const RangeField = ({ label, name, style, onChange, format = value => value }) => (
+  <label className="style-field">
+    <span className="style-field-label">
+      {label} <span className="style-field-value">{format(style[name])}</span>
+    </span>
+    <input
+      type="range"
+      {...STYLE_RANGES[name]}
+      value={style[name]}
+      onChange={(e) => onChange({ [name]: Number(e.target.value) })}
+    />
+  </label>
+);
+
+const ColorField = ({ label, name, style, onChange, disabled }) => (
+  <label className="style-field color">
+    <span className="style-field-label">{label}</span>
+    <input
+      type="color"
+      value={style[name]}
+      onChange={(e) => onChange({ [name]: e.target.value.toUpperCase() })}
+      disabled={disabled}
+    />
+  </label>
+);
+
+const CheckboxField = ({ label, name, style, onChange }) => (
+  <label className="style-field checkbox">
+    <input type="checkbox" checked={style[name]} onChange={(e) => onChange({ [name]: e.target.checked })} />
+    <span className="style-field-label">{label}</span>
+  </label>
+);
+
+const percent = value => `${Math.round(value * 100)}%`;
+
+const CaptionStylePanel = ({ style, onChange, tracks = [] }) => {
+  const [savedPresets, setSavedPresets] = useState(loadSavedPresets);
+  const [presetName, setPresetName] = useState('');
+
+  const updateStyle = (changes) => onChange({ ...style, ...changes });
+
+  const updateSavedPresets = (presets) => {
+    setSavedPresets(presets);
+    storeSavedPresets(presets);
+  };
+
+  const handleApplyPreset = (e) => {
+    const [group, index] = e.target.value.split(':');
+    e.target.value = '';
+    const preset = (group === 'built-in' ? BUILT_IN_PRESETS : savedPresets)[Number(index)];
+    // Presets set the look; which second track is shown stays as it was
+    if (preset) {
+      onChange({ ...preset.style, secondaryTrack: style.secondaryTrack });
+      setPresetName(group === 'saved' ? preset.name : '');
+    }
+  };
+
+  const handleSavePreset = () => {
+    const name = presetName.trim();
+    if (!name) {
+      alert('Please give the preset a name');
+      return;
+    }
+    if (BUILT_IN_PRESETS.some(preset => preset.name.toLowerCase() === name.toLowerCase())) {
+      alert(`"${name}" is a built-in preset, please choose another name`);
+      return;
+    }
+    updateSavedPresets(upsertPreset(savedPresets, { name, style }));
+  };
+
+  const handleDeletePreset = () => {
+    const name = presetName.trim();
+    if (!savedPresets.some(preset => preset.name === name)) return;
+    updateSavedPresets(savedPresets.filter(preset => preset.name !== name));
+    setPresetName('');
+  };
+
+  // Exports the saved presets, or just the current style when nothing is saved yet
+  const handleExport = () => {
+    const presets = savedPresets.length > 0 ? savedPresets : [{ name: presetName.trim() || 'Caption style', style }];
+    const blob = new Blob([serializePresets(presets)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = 'caption-presets.json';
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url);
+  };
+
+  const handleImport = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+
+    try {
+      const presets = parsePresetFile(await file.text(), file.name.replace(/\.[^.]+$/, ''));
+      updateSavedPresets(presets.reduce(upsertPreset, savedPresets));
+      // Use the first imported style right away
+      onChange({ ...presets[0].style, secondaryTrack: style.secondaryTrack });
+      setPresetName(presets[0].name);
+    } catch (error) {
+      console.error('Error importing caption presets:', error);
+      alert(`Error importing caption presets: ${error.message}`);
+    }
+  };
+
+  return (
+    <div className="caption-style-panel">
+      <div className="style-presets">
+        <select defaultValue="" onChange={handleApplyPreset} className="font-dropdown" aria-label="Apply a preset">
+          <option value="" disabled>Apply preset…</option>
+          <optgroup label="Built-in">
+            {BUILT_IN_PRESETS.map((preset, index) => (
+              <option key={preset.name} value={`built-in:${index}`}>{preset.name}</option>
+            ))}
+          </optgroup>
+          {savedPresets.length > 0 && (
+            <optgroup label="Saved">
+              {savedPresets.map((preset, index) => (
+                <option key={preset.name} value={`saved:${index}`}>{preset.name}</option>
+              ))}
+            </optgroup>
+          )}
+        </select>
+        <input
+          type="text"
+          value={presetName}
+          onChange={(e) => setPresetName(e.target.value)}
+          className="style-preset-name"
+          placeholder="Preset name"
+          aria-label="Preset name"
+        />
+        <button onClick={handleSavePreset} className="editor-btn" title="Save the current style under this name">💾 Save</button>
+        <button
+          onClick={handleDeletePreset}
+          className="editor-btn danger"
+          disabled={!savedPresets.some(preset => preset.name === presetName.trim())}
+          title="Delete this saved preset"
+        >
+          ✕
+        </button>
+        <label className="editor-btn" title="Import presets from a JSON file">
+          Import
+          <input type="file" accept=".json,application/json" onChange={handleImport} className="file-input" />
+        </label>
+        <button onClick={handleExport} className="editor-btn" title="Download the saved presets as JSON">Export</button>
+      </div>
+
+      <div className="style-grid">
+        <label className="style-field">
+          <span className="style-field-label">Font</span>
+          <select
+            value={style.fontFamily}
+            onChange={(e) => updateStyle({ fontFamily: e.target.value })}
+            className="font-dropdown"
+          >
+            {FONT_OPTIONS.map(font => (
+              <option key={font.value} value={font.value}>{font.label}</option>
+            ))}
+          </select>
+        </label>
+        <label className="style-field">
+          <span className="style-field-label">Weight</span>
+          <select
+            value={style.fontWeight}
+            onChange={(e) => updateStyle({ fontWeight: Number(e.target.value) })}
+            className="font-dropdown"
+          >
+            {FONT_WEIGHT_OPTIONS.map(weight => (
+              <option key={weight.value} value={weight.value}>{weight.label}</option>
+            ))}
+          </select>
+        </label>
+        <RangeField label="Size" name="fontSize" style={style} onChange={updateStyle} format={value => `${value}px`} />
+        <RangeField label="Max width" name="maxWidth" style={style} onChange={updateStyle} format={percent} />
+
+        <ColorField label="Text" name="textColor" style={style} onChange={updateStyle} />
+        <ColorField label="Highlight" name="highlightColor" style={style} onChange={updateStyle} disabled={!style.karaoke} />
+        <CheckboxField label="Highlight spoken word" name="karaoke" style={style} onChange={updateStyle} />
+        <CheckboxField label="UPPERCASE" name="uppercase" style={style} onChange={updateStyle} />
+
+        <ColorField label="Emphasis" name="emphasisColor" style={style} onChange={updateStyle} disabled={!style.showEmphasis} />
+        <CheckboxField label="Emphasize keywords" name="showEmphasis" style={style} onChange={updateStyle} />
+        <CheckboxField label="Show emoji" name="showEmoji" style={style} onChange={updateStyle} />
+
+        <ColorField label="Outline" name="outlineColor" style={style} onChange={updateStyle} disabled={style.showBackground} />
+        <RangeField label="Outline width" name="outlineWidth" style={style} onChange={updateStyle} />
+        <RangeField label="Shadow" name="shadow" style={style} onChange={updateStyle} />
+
+        <CheckboxField label="Background box" name="showBackground" style={style} onChange={updateStyle} />
+        <ColorField label="Box colour" name="backgroundColor" style={style} onChange={updateStyle} disabled={!style.showBackground} />
+        <RangeField label="Box opacity" name="backgroundOpacity" style={style} onChange={updateStyle} format={percent} />
+
+        <label className="style-field">
+          <span className="style-field-label">Position</span>
+          <select
+            value={style.position}
+            onChange={(e) => updateStyle({ position: e.target.value })}
+            className="font-dropdown"
+          >
+            {POSITION_OPTIONS.map(option => (
+              <option key={option.value} value={option.value}>{option.label}</option>
+            ))}
+          </select>
+        </label>
+        <RangeField label="Edge margin" name="marginV" style={style} onChange={updateStyle} format={value => `${value}px`} />
+
+        <label className="style-field">
+          <span className="style-field-label">Animation</span>
+          <select
+            value={style.animation}
+            onChange={(e) => updateStyle({ animation: e.target.value })}
+            className="font-dropdown"
+          >
+            {ANIMATION_OPTIONS.map(option => (
+              <option key={option.value} value={option.value}>{option.label}</option>
+            ))}
+          </select>
+        </label>
+
+        {/* Bilingual captions: a second text track stacked with each caption */}
+        <label className="style-field">
+          <span className="style-field-label">Second track</span>
+          <select
+            value={style.secondaryTrack}
+            onChange={(e) => updateStyle({ secondaryTrack: e.target.value })}
+            className="font-dropdown"
+            disabled={tracks.length === 0 && !style.secondaryTrack}
+          >
+            <option value="">None</option>
+            {[...new Set([...tracks, style.secondaryTrack].filter(Boolean))].map(trackId => (
+              <option key={trackId} value={trackId}>{trackId}</option>
+            ))}
+          </select>
+        </label>
+        <ColorField label="Second track" name="secondaryColor" style={style} onChange={updateStyle} disabled={!style.secondaryTrack} />
+        <RangeField label="Second track size" name="secondaryFontSize" style={style} onChange={updateStyle} format={value => `${value}px`} />
+        <label className="style-field">
+          <span className="style-field-label">Second track position</span>
+          <select
+            value={style.secondaryPosition}
+            onChange={(e) => updateStyle({ secondaryPosition: e.target.value })}
+            className="font-dropdown"
+            disabled={!style.secondaryTrack}
+          >
+            {SECONDARY_POSITION_OPTIONS.map(option => (
+              <option key={option.value} value={option.value}>{option.label}</option>
+            ))}
+          </select>
+        </label>
+      </div>
+      <p className="model-description">Sizes are for a 1080p frame and scale with the video. The outline only shows without a background box.</p>
+    </div>
+  );
+};
+
+export default CaptionStylePanel;
@@ -0,0 +1,246 @@
+import React, { useState, useRef, useEffect, useLayoutEffect } from 'react';
+import { computePeaks, drawTimeline } from '../utils/waveform';
+import { updateCueTiming, dragCueTiming } from '../utils/captionEdits';
+
+const RULER_HEIGHT = 20;
+const WAVEFORM_HEIGHT = 70;
+const CUE_LANE_HEIGHT = 44;
+
+// Closest zoom; the furthest always fits the whole video in view
+const MAX_PIXELS_PER_SECOND = 400;
+const ZOOM_STEP = 1.5;
+
+// Edges within this many pixels of a neighbouring cue or the playhead snap to it
+const SNAP_DISTANCE_PX = 8;
+
+// Pointer travel below this is a click (seek), not a drag
+const DRAG_THRESHOLD_PX = 3;
+
+const CaptionTimeline = ({ captions, duration, currentTime, isPlaying, audioUrl, onSeek, onCaptionsChange }) => {
+  const scrollRef = useRef(null);
+  const canvasRef = useRef(null);
+  const dragRef = useRef(null);
+  const pendingScrollRef = useRef(null);
+  const [peaksData, setPeaksData] = useState(null);
+  const [viewport, setViewport] = useState({ scrollLeft: 0, width: 0 });
+  const [zoom, setZoom] = useState(null); // pixels per second; null fits the whole video
+
+  const totalDuration = Math.max(duration || 0, captions.length > 0 ? captions[captions.length - 1].end : 0, 1);
+  const fitPixelsPerSecond = viewport.width > 0 ? viewport.width / totalDuration : 1;
+  const pixelsPerSecond = Math.min(Math.max(zoom ?? fitPixelsPerSecond, fitPixelsPerSecond), MAX_PIXELS_PER_SECOND);
+  const totalWidth = Math.ceil(totalDuration * pixelsPerSecond);
+  const canvasHeight = RULER_HEIGHT + WAVEFORM_HEIGHT;
+
+  // Decode the extracted audio once into peaks for the waveform
+  useEffect(() => {
+    if (!audioUrl) return;
+
+    let cancelled = false;
+    computePeaks(audioUrl)
+      .then(result => {
+        if (!cancelled) setPeaksData(result);
+      })
+      .catch(error => console.warn('Could not draw waveform:', error));
+
+    return () => {
+      cancelled = true;
+    };
+  }, [audioUrl]);
+
+  // Track the visible window so only that part is drawn
+  useEffect(() => {
+    const element = scrollRef.current;
+    if (!element) return;
+
+    const updateViewport = () => setViewport({ scrollLeft: element.scrollLeft, width: element.clientWidth });
+    updateViewport();
+
+    const observer = new ResizeObserver(updateViewport);
+    observer.observe(element);
+    element.addEventListener('scroll', updateViewport);
+
+    return () => {
+      observer.disconnect();
+      element.removeEventListener('scroll', updateViewport);
+    };
+  }, []);
+
+  // Keep the time under the cursor (or playhead) in place after zooming
+  useLayoutEffect(() => {
+    if (pendingScrollRef.current !== null && scrollRef.current) {
+      scrollRef.current.scrollLeft = pendingScrollRef.current;
+      pendingScrollRef.current = null;
+    }
+  }, [pixelsPerSecond]);
+
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    if (!canvas || viewport.width === 0) return;
+
+    const ratio = window.devicePixelRatio || 1;
+    canvas.width = viewport.width * ratio;
+    canvas.height = canvasHeight * ratio;
+    const ctx = canvas.getContext('2d');
+    ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+
+    drawTimeline(ctx, {
+      peaksData,
+      pixelsPerSecond,
+      scrollLeft: viewport.scrollLeft,
+      width: viewport.width,
+      height: canvasHeight,
+      rulerHeight: RULER_HEIGHT
+    });
+  }, [peaksData, pixelsPerSecond, viewport, canvasHeight]);
+
+  // Follow the playhead while playing
+  useEffect(() => {
+    const element = scrollRef.current;
+    if (!element || !isPlaying) return;
+
+    const x = currentTime * pixelsPerSecond;
+    if (x < element.scrollLeft || x > element.scrollLeft + element.clientWidth * 0.9) {
+      element.scrollLeft = x - element.clientWidth * 0.1;
+    }
+  }, [currentTime, isPlaying, pixelsPerSecond]);
+
+  const zoomTo = (nextZoom, anchorX = currentTime * pixelsPerSecond - viewport.scrollLeft) => {
+    const clamped = Math.min(Math.max(nextZoom, fitPixelsPerSecond), MAX_PIXELS_PER_SECOND);
+    const anchorTime = (viewport.scrollLeft + anchorX) / pixelsPerSecond;
+    pendingScrollRef.current = anchorTime * clamped - anchorX;
+    setZoom(clamped);
+  };
+
+  // Ctrl/Cmd + wheel zooms around the cursor; needs a non-passive listener to stop the page zooming
+  const zoomToRef = useRef(zoomTo);
+  zoomToRef.current = zoomTo;
+  const pixelsPerSecondRef = useRef(pixelsPerSecond);
+  pixelsPerSecondRef.current = pixelsPerSecond;
+
+  useEffect(() => {
+    const element = scrollRef.current;
+    if (!element) return;
+
+    const handleWheel = (e) => {
+      if (!(e.ctrlKey || e.metaKey)) return;
+      e.preventDefault();
+      const anchorX = e.clientX - element.getBoundingClientRect().left;
+      const factor = e.deltaY < 0 ? ZOOM_STEP : 1 / ZOOM_STEP;
+      zoomToRef.current(pixelsPerSecondRef.current * factor, anchorX);
+    };
+
+    element.addEventListener('wheel', handleWheel, { passive: false });
+    return () => element.removeEventListener('wheel', handleWheel);
+  }, []);
+
+  const timeAtPointer = (e) => {
+    const rect = e.currentTarget.getBoundingClientRect();
+    return Math.min(Math.max((e.clientX - rect.left) / pixelsPerSecond, 0), totalDuration);
+  };
+
+  const handleCuePointerDown = (e, index) => {
+    if (e.button !== 0) return;
+    e.preventDefault();
+    e.stopPropagation();
+    e.currentTarget.setPointerCapture(e.pointerId);
+
+    dragRef.current = {
+      index,
+      mode: e.target.dataset.edge || 'move',
+      startX: e.clientX,
+      start: captions[index].start,
+      end: captions[index].end,
+      // One undo step per drag
+      historyKey: `timeline-drag-${Date.now()}`,
+      moved: false
+    };
+  };
+
+  const handleCuePointerMove = (e) => {
+    const drag = dragRef.current;
+    if (!drag) return;
+
+    const distance = e.clientX - drag.startX;
+    if (!drag.moved && Math.abs(distance) < DRAG_THRESHOLD_PX) return;
+    drag.moved = true;
+
+    const timing = dragCueTiming(captions, drag.index, drag, distance / pixelsPerSecond, {
+      snapDistance: SNAP_DISTANCE_PX / pixelsPerSecond,
+      snapTargets: [currentTime],
+      maxTime: totalDuration
+    });
+    onCaptionsChange(updateCueTiming(captions, drag.index, timing), { coalesceKey: drag.historyKey });
+  };
+
+  const handleCuePointerUp = () => {
+    const drag = dragRef.current;
+    dragRef.current = null;
+
+    // A click without dragging jumps to the cue
+    if (drag && !drag.moved) {
+      onSeek(captions[drag.index].start);
+    }
+  };
+
+  // Only cues in (or near) the visible window are rendered
+  const visibleFrom = viewport.scrollLeft / pixelsPerSecond - 5;
+  const visibleTo = (viewport.scrollLeft + viewport.width) / pixelsPerSecond + 5;
+
+  return (
+    <div className="caption-timeline">
+      <div className="timeline-toolbar">
+        <span className="timeline-hint">Drag captions to move them, drag their edges to retime · Ctrl+scroll to zoom</span>
+        <div className="timeline-zoom">
+          <button className="editor-btn" onClick={() => zoomTo(pixelsPerSecond / ZOOM_STEP)} title="Zoom out">−</button>
+          <button className="editor-btn" onClick={() => setZoom(null)} title="Fit the whole video">Fit</button>
+          <button className="editor-btn" onClick={() => zoomTo(pixelsPerSecond * ZOOM_STEP)} title="Zoom in">＋</button>
+        </div>
+      </div>
+
+      <div className="timeline-scroll" ref={scrollRef}>
+        <div
+          className="timeline-track"
+          style={{ width: totalWidth, height: canvasHeight + CUE_LANE_HEIGHT }}
+          onPointerDown={(e) => e.button === 0 && onSeek(timeAtPointer(e))}
+        >
+          <canvas
+            ref={canvasRef}
+            className="timeline-canvas"
+            style={{ left: viewport.scrollLeft, width: viewport.width, height: canvasHeight }}
+          />
+
+          {captions.map((cue, index) => {
+            if (cue.end < visibleFrom || cue.start > visibleTo) return null;
+            const isActive = currentTime >= cue.start && currentTime <= cue.end;
+
+            return (
+              <div
+                key={index}
+                className={`timeline-cue ${isActive ? 'active' : ''}`}
+                style={{
+                  left: cue.start * pixelsPerSecond,
+                  width: Math.max(2, (cue.end - cue.start) * pixelsPerSecond),
+                  top: canvasHeight + 4,
+                  height: CUE_LANE_HEIGHT - 8
+                }}
+                title={cue.text}
+                onPointerDown={(e) => handleCuePointerDown(e, index)}
+                onPointerMove={handleCuePointerMove}
+                onPointerUp={handleCuePointerUp}
+                onPointerCancel={handleCuePointerUp}
+              >
+                <div className="timeline-handle start" data-edge="start" />
+                <span className="timeline-cue-text">{cue.text.replace(/\n/g, ' ')}</span>
+                <div className="timeline-handle end" data-edge="end" />
+              </div>
+            );
+          })}
+
+          <div className="timeline-playhead" style={{ left: currentTime * pixelsPerSecond }} />
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default CaptionTimeline;
@@ -0,0 +1,99 @@
+import React, { useState } from 'react';
+import { getSelectedRanges, formatRange } from '../utils/clips';
+import { formatCueTime } from '../utils/captionEdits';
+
+const PHASE_LABELS = {
+  cutting: 'Cutting',
+  rendering: 'Rendering captions',
+  encoding: 'Encoding'
+};
+
+const ClipGenerator = ({ captions, onExport, isExporting, progress, clipCount, results, onDownload, onDownloadCaptions }) => {
+  const [selected, setSelected] = useState(() => new Set());
+  const [lastClicked, setLastClicked] = useState(null);
+  const [join, setJoin] = useState(false);
+  const [burnIn, setBurnIn] = useState(true);
+
+  const ranges = getSelectedRanges(selected);
+  const selectedDuration = ranges.reduce((sum, { from, to }) => sum + captions[to].end - captions[from].start, 0);
+
+  // Shift-click selects every cue between the last click and this one
+  const handleToggle = (index, e) => {
+    const next = new Set(selected);
+    const select = !selected.has(index);
+
+    if (e.shiftKey && lastClicked !== null) {
+      const [from, to] = [Math.min(lastClicked, index), Math.max(lastClicked, index)];
+      for (let i = from; i <= to; i++) {
+        if (select) next.add(i);
+        else next.delete(i);
+      }
+    } else if (select) {
+      next.add(index);
+    } else {
+      next.delete(index);
+    }
+
+    setSelected(next);
+    setLastClicked(index);
+  };
+
+  return (
+    <div className="subtitle-tracks clip-generator">
+      <h4>Short Clips</h4>
+      <p className="model-description">Select captions to cut; shift-click selects a run. Each clip's captions start at 0:00.</p>
+
+      <div className="clip-cue-list">
+        {captions.map((cue, index) => (
+          <label key={index} className={`clip-cue ${selected.has(index) ? 'selected' : ''}`}>
+            <input type="checkbox" checked={selected.has(index)} onClick={(e) => handleToggle(index, e)} readOnly />
+            <span className="caption-time">{formatCueTime(cue.start)}</span>
+            <span className="clip-cue-text">{cue.text}</span>
+          </label>
+        ))}
+      </div>
+
+      <div className="clip-summary">
+        {ranges.length > 0
+          ? `${ranges.map(formatRange).join(', ')} · ${selectedDuration.toFixed(1)}s`
+          : 'No captions selected'}
+        {selected.size > 0 && (
+          <button onClick={() => setSelected(new Set())} className="editor-btn">Clear</button>
+        )}
+      </div>
+
+      <div className="subtitle-track-actions">
+        <label className="clip-option">
+          <input type="checkbox" checked={join} onChange={(e) => setJoin(e.target.checked)} disabled={ranges.length < 2} />
+          <span>Join ranges into one clip</span>
+        </label>
+        <label className="clip-option">
+          <input type="checkbox" checked={burnIn} onChange={(e) => setBurnIn(e.target.checked)} />
+          <span>Burn in captions</span>
+        </label>
+      </div>
+
+      <button
+        onClick={() => onExport({ ranges, join: join && ranges.length > 1, burnIn })}
+        disabled={isExporting || ranges.length === 0}
+        className="download-btn secondary"
+      >
+        {isExporting && progress
+          ? `Clip ${progress.clip + 1}/${clipCount}: ${PHASE_LABELS[progress.phase]}... ${progress.percent}%`
+          : join && ranges.length > 1
+            ? '✂️ Export 1 Clip'
+            : `✂️ Export ${ranges.length || ''} Clip${ranges.length === 1 ? '' : 's'}`}
+      </button>
+
+      {!isExporting && results.map((clip, index) => (
+        <div key={clip.url} className="clip-result">
+          <span className="subtitle-track-source">🎞️ {clip.label} · {clip.duration.toFixed(1)}s</span>
+          <button onClick={() => onDownload(clip, index)} className="editor-btn">MP4</button>
+          <button onClick={() => onDownloadCaptions(clip, index)} className="editor-btn">SRT</button>
+        </div>
+      ))}
+    </div>
+  );
+};
+
+export default ClipGenerator;
@@ -0,0 +1,50 @@
+import React from 'react';
+
+/**
+ * Saved transcriptions on the backend, most recently changed first
+ * Opening one restores its captions, style and audio; deleting asks first
+ */
+const ProjectList = ({ projects, activeProjectId, openingProjectId, onOpen, onDelete }) => {
+  if (projects.length === 0) return null;
+
+  const handleDelete = (project) => {
+    if (window.confirm(`Delete "${project.name}"? Its captions, audio and export history are removed.`)) {
+      onDelete(project.id);
+    }
+  };
+
+  return (
+    <div className="project-list">
+      <h4>My Projects</h4>
+      <div className="project-list-items">
+        {projects.map(project => (
+          <div key={project.id} className={`project-row ${project.id === activeProjectId ? 'active' : ''}`}>
+            <div className="project-details">
+              <span className="project-name">{project.source?.type?.startsWith('audio/') ? '🎧' : '🎬'} {project.name}</span>
+              <span className="project-meta">
+                {new Date(project.updatedAt).toLocaleString()} · {project.cueCount} captions
+                {project.exportCount > 0 && ` · ${project.exportCount} export${project.exportCount === 1 ? '' : 's'}`}
+              </span>
+            </div>
+            <button
+              onClick={() => onOpen(project.id)}
+              disabled={openingProjectId !== null || project.id === activeProjectId}
+              className="editor-btn"
+            >
+              {project.id === openingProjectId ? 'Opening...' : project.id === activeProjectId ? 'Editing' : 'Open'}
+            </button>
+            <button
+              onClick={() => handleDelete(project)}
+              disabled={openingProjectId !== null}
+              className="editor-btn danger"
+            >
+              Delete
+            </button>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default ProjectList;
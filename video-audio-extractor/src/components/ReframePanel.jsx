@@ -0,0 +1,93 @@
+import React from 'react';
+import { ASPECT_RATIO_OPTIONS, FIT_OPTIONS, SAFE_AREA_OPTIONS } from '../utils/reframe';
+
+const PositionField = ({ label, name, reframe, onChange, disabled }) => (
+  <label className="style-field">
+    <span className="style-field-label">
+      {label} <span className="style-field-value">{Math.round(reframe[name] * 100)}%</span>
+    </span>
+    <input
+      type="range"
+      min={0}
+      max={1}
+      step={0.01}
+      value={reframe[name]}
+      onChange={(e) => onChange({ [name]: Number(e.target.value) })}
+      disabled={disabled}
+    />
+  </label>
+);
+
+const ReframePanel = ({ reframe, onChange, safeArea, onSafeAreaChange, layout, captionsInSafeArea }) => {
+  const updateReframe = (changes) => onChange({ ...reframe, ...changes });
+  const isOriginal = reframe.aspectRatio === 'original';
+  // Only the axis where the frame and the video differ can move
+  const canMoveX = layout && layout.video.width !== layout.width;
+  const canMoveY = layout && layout.video.height !== layout.height;
+
+  return (
+    <div className="caption-style-panel reframe-panel">
+      <div className="style-grid">
+        <label className="style-field">
+          <span className="style-field-label">Aspect ratio</span>
+          <select
+            value={reframe.aspectRatio}
+            onChange={(e) => updateReframe({ aspectRatio: e.target.value })}
+            className="font-dropdown"
+          >
+            {ASPECT_RATIO_OPTIONS.map(option => (
+              <option key={option.value} value={option.value}>{option.label}</option>
+            ))}
+          </select>
+        </label>
+        <label className="style-field">
+          <span className="style-field-label">Fit</span>
+          <select
+            value={reframe.fit}
+            onChange={(e) => updateReframe({ fit: e.target.value })}
+            className="font-dropdown"
+            disabled={isOriginal}
+          >
+            {FIT_OPTIONS.map(option => (
+              <option key={option.value} value={option.value}>{option.label}</option>
+            ))}
+          </select>
+        </label>
+        <PositionField label="Horizontal position" name="focusX" reframe={reframe} onChange={updateReframe} disabled={!canMoveX} />
+        <PositionField label="Vertical position" name="focusY" reframe={reframe} onChange={updateReframe} disabled={!canMoveY} />
+        <label className="style-field color">
+          <span className="style-field-label">Padding</span>
+          <input
+            type="color"
+            value={reframe.padColor}
+            onChange={(e) => updateReframe({ padColor: e.target.value.toUpperCase() })}
+            disabled={isOriginal || reframe.fit !== 'pad'}
+          />
+        </label>
+
+        <label className="style-field">
+          <span className="style-field-label">Safe area overlay</span>
+          <select
+            value={safeArea}
+            onChange={(e) => onSafeAreaChange(e.target.value)}
+            className="font-dropdown"
+          >
+            {SAFE_AREA_OPTIONS.map(option => (
+              <option key={option.value} value={option.value}>{option.label}</option>
+            ))}
+          </select>
+        </label>
+      </div>
+      {layout && (
+        <p className="model-description">
+          Output {layout.width}×{layout.height}. The burned-in export uses this frame; caption files keep the source size.
+        </p>
+      )}
+      {captionsInSafeArea && (
+        <p className="reframe-warning">⚠️ Captions run into the platform's UI. Move them with the caption style's position and edge margin.</p>
+      )}
+    </div>
+  );
+};
+
+export default ReframePanel;
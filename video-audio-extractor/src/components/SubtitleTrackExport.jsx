@@ -0,0 +1,132 @@
+import React, { useState } from 'react';
+
+// ISO 639-2 codes, as MP4 and MKV store them
+const SUBTITLE_LANGUAGES = [
+  { code: 'hin', label: 'Hindi / Hinglish' },
+  { code: 'eng', label: 'English' },
+  { code: 'spa', label: 'Spanish' },
+  { code: 'fra', label: 'French' },
+  { code: 'deu', label: 'German' },
+  { code: 'por', label: 'Portuguese' },
+  { code: 'und', label: 'Undetermined' }
+];
+
+const CONTAINER_OPTIONS = [
+  { value: 'mp4', label: 'MP4 (mov_text)' },
+  { value: 'mkv-srt', label: 'MKV (SRT)' },
+  { value: 'mkv-ass', label: 'MKV (styled ASS)' }
+];
+
+// Extra tracks can be imported from caption files ffmpeg reads directly
+const IMPORTABLE_EXTENSIONS = ['srt', 'vtt', 'ass'];
+
+const SubtitleTrackExport = ({ defaultLanguage = 'hin', onExport, isExporting, progress, resultUrl, onDownload }) => {
+  const [container, setContainer] = useState('mp4');
+  const [tracks, setTracks] = useState([
+    { id: 'captions', source: 'captions', language: defaultLanguage, title: defaultLanguage === 'hin' ? 'Hinglish' : 'Captions' }
+  ]);
+
+  const updateTrack = (id, changes) => {
+    setTracks(current => current.map(track => (track.id === id ? { ...track, ...changes } : track)));
+  };
+
+  const handleAddFile = (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+
+    const format = file.name.split('.').pop().toLowerCase();
+    if (!IMPORTABLE_EXTENSIONS.includes(format)) {
+      alert(`Please choose a ${IMPORTABLE_EXTENSIONS.map(ext => `.${ext}`).join(', ')} file`);
+      return;
+    }
+
+    setTracks(current => [...current, {
+      id: `${file.name}-${Date.now()}`,
+      source: 'file',
+      file,
+      format,
+      language: 'eng',
+      title: file.name.replace(/\.[^.]+$/, '')
+    }]);
+  };
+
+  const [containerFormat, captionFormat = 'srt'] = container.split('-');
+
+  return (
+    <div className="subtitle-tracks">
+      <h4>Subtitle Tracks</h4>
+      <p className="model-description">Muxed as selectable tracks; audio and video are copied, not re-encoded.</p>
+
+      {tracks.map((track, index) => (
+        <div key={track.id} className="subtitle-track-row">
+          <span className="subtitle-track-source" title={track.file?.name}>
+            {track.source === 'captions' ? '📝 Edited captions' : `📄 ${track.file.name}`}
+          </span>
+          <select
+            value={track.language}
+            onChange={(e) => updateTrack(track.id, { language: e.target.value })}
+            className="font-dropdown"
+            aria-label={`Track ${index + 1} language`}
+          >
+            {SUBTITLE_LANGUAGES.map(language => (
+              <option key={language.code} value={language.code}>{language.label}</option>
+            ))}
+          </select>
+          <input
+            type="text"
+            value={track.title}
+            onChange={(e) => updateTrack(track.id, { title: e.target.value })}
+            className="subtitle-track-title"
+            placeholder="Track name"
+            aria-label={`Track ${index + 1} name`}
+          />
+          {track.source === 'file' && (
+            <button
+              onClick={() => setTracks(current => current.filter(item => item.id !== track.id))}
+              className="editor-btn danger"
+              title="Remove this track"
+            >
+              ✕
+            </button>
+          )}
+        </div>
+      ))}
+
+      <div className="subtitle-track-actions">
+        <label className="editor-btn">
+          ＋ Add subtitle file
+          <input type="file" accept=".srt,.vtt,.ass" onChange={handleAddFile} className="file-input" />
+        </label>
+        <div className="font-selector">
+          <label htmlFor="container-select">Container:</label>
+          <select
+            id="container-select"
+            value={container}
+            onChange={(e) => setContainer(e.target.value)}
+            className="font-dropdown"
+          >
+            {CONTAINER_OPTIONS.map(option => (
+              <option key={option.value} value={option.value}>{option.label}</option>
+            ))}
+          </select>
+        </div>
+      </div>
+
+      <button
+        onClick={() => onExport({ container: containerFormat, captionFormat, tracks })}
+        disabled={isExporting}
+        className="download-btn secondary"
+      >
+        {isExporting ? `Muxing... ${progress}%` : `📦 Export ${containerFormat.toUpperCase()} with Subtitles`}
+      </button>
+      {resultUrl && !isExporting && (
+        <button onClick={onDownload} className="download-btn">
+          Download Video with Subtitles
+        </button>
+      )}
+    </div>
+  );
+};
+
+export default SubtitleTrackExport;
@@ -0,0 +1,84 @@
+import React from 'react';
+
+const TASK_LABELS = {
+  transcribe: 'Transcribe (spoken language)',
+  translate: 'Translate to English'
+};
+
+/**
+ * Whisper settings for the next transcription: spoken language, task, model size, prompt and temperature
+ * Only the options the selected engine supports are shown
+ */
+const TranscriptionOptions = ({ engine, languages, models, tasks, options, onChange }) => {
+  const supported = engine?.options || [];
+  const update = (changes) => onChange({ ...options, ...changes });
+
+  if (supported.length === 0) return null;
+
+  return (
+    <div className="transcription-options">
+      {supported.includes('language') && (
+        <label className="style-field">
+          <span className="style-field-label">Spoken language</span>
+          <select value={options.language} onChange={(e) => update({ language: e.target.value })} className="font-dropdown">
+            <option value="">Detect automatically</option>
+            {languages.map(language => (
+              <option key={language.code} value={language.code}>{language.name}</option>
+            ))}
+          </select>
+        </label>
+      )}
+      {supported.includes('task') && (
+        <label className="style-field">
+          <span className="style-field-label">Task</span>
+          <select value={options.task} onChange={(e) => update({ task: e.target.value })} className="font-dropdown">
+            {tasks.map(task => (
+              <option key={task} value={task}>{TASK_LABELS[task] || task}</option>
+            ))}
+          </select>
+        </label>
+      )}
+      {supported.includes('model') && (
+        <label className="style-field">
+          <span className="style-field-label">Model size</span>
+          <select value={options.model} onChange={(e) => update({ model: e.target.value })} className="font-dropdown">
+            <option value="">Server default</option>
+            {models.map(model => (
+              <option key={model} value={model}>{model}</option>
+            ))}
+          </select>
+        </label>
+      )}
+      {supported.includes('temperature') && (
+        <label className="style-field">
+          <span className="style-field-label">Temperature</span>
+          <input
+            type="number"
+            min="0"
+            max="1"
+            step="0.1"
+            value={options.temperature}
+            placeholder="0"
+            onChange={(e) => update({ temperature: e.target.value })}
+            className="transcription-input"
+          />
+        </label>
+      )}
+      {supported.includes('initialPrompt') && (
+        <label className="style-field transcription-prompt">
+          <span className="style-field-label">Initial prompt</span>
+          <textarea
+            value={options.initialPrompt}
+            maxLength={800}
+            rows={2}
+            placeholder="Names and terms to spell right, e.g. Simora, Remotion, reels"
+            onChange={(e) => update({ initialPrompt: e.target.value })}
+            className="transcription-input"
+          />
+        </label>
+      )}
+    </div>
+  );
+};
+
+export default TranscriptionOptions;
@@ -0,0 +1,58 @@
+import React from 'react';
+
+// Format milliseconds as m:ss for elapsed/remaining time
+const formatDuration = (ms) => {
+  const totalSeconds = Math.round(ms / 1000);
+  return `${Math.floor(totalSeconds / 60)}:${(totalSeconds % 60).toString().padStart(2, '0')}`;
+};
+
+const ProgressBar = ({ percent }) => (
+  <div className="progress-bar">
+    <div
+      className="progress-fill"
+      style={{ width: `${percent}%` }}
+    ></div>
+  </div>
+);
+
+/**
+ * Where a transcription is: uploading, waiting in the queue, loading the model or transcribing
+ */
+const TranscriptionProgress = ({ uploadProgress, jobStatus }) => {
+  if (uploadProgress) {
+    return (
+      <>
+        <ProgressBar percent={uploadProgress.percent} />
+        <p className="progress-text">
+          {uploadProgress.retrying
+            ? `📶 Connection problem, retrying upload at ${uploadProgress.percent}% (attempt ${uploadProgress.attempt})...`
+            : `⬆️ ${uploadProgress.percent}% Uploaded`}
+        </p>
+      </>
+    );
+  }
+
+  if (jobStatus?.progress) {
+    return (
+      <>
+        <ProgressBar percent={jobStatus.progress.percent} />
+        <p className="progress-text">
+          {jobStatus.progress.stage === 'translate'
+            ? `🌍 ${jobStatus.progress.percent}% Translated`
+            : `🎤 ${jobStatus.progress.percent}% Transcribed`} · {formatDuration(jobStatus.progress.elapsedMs)} elapsed
+          {jobStatus.progress.etaMs !== null && ` · ~${formatDuration(jobStatus.progress.etaMs)} remaining`}
+        </p>
+      </>
+    );
+  }
+
+  return (
+    <p className="progress-text">
+      {jobStatus?.status === 'queued'
+        ? `⏳ Waiting in queue (position ${jobStatus.position})...`
+        : '🎤 Loading transcription model... This may take a few moments.'}
+    </p>
+  );
+};
+
+export default TranscriptionProgress;
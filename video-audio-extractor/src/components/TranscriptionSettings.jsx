@@ -0,0 +1,79 @@
+import React from 'react';
+import TranscriptionOptions from './TranscriptionOptions';
+
+// Scripts the backend can write Hinglish transcripts in
+const SCRIPT_OPTIONS = [
+  { value: '', label: 'As transcribed' },
+  { value: 'roman', label: 'Roman (Aaj main...)' },
+  { value: 'devanagari', label: 'Devanagari (आज मैं...)' }
+];
+
+/**
+ * Settings for the next transcription, from useTranscriptionSettings()
+ */
+const TranscriptionSettings = ({
+  engines,
+  whisperChoices,
+  engine,
+  setEngine,
+  selectedEngine,
+  options,
+  setOptions,
+  script,
+  setScript,
+  translate,
+  setTranslate
+}) => (
+  <div className="model-selection">
+    <div className="model-toggle">
+      <label htmlFor="engine-select" className="toggle-label">Transcription Engine:</label>
+      <select
+        id="engine-select"
+        value={engine}
+        onChange={(e) => setEngine(e.target.value)}
+        className="font-dropdown"
+      >
+        {engines.map(candidate => (
+          <option key={candidate.name} value={candidate.name}>
+            {candidate.label}
+          </option>
+        ))}
+      </select>
+      <p className="model-description">
+        {selectedEngine?.description}
+      </p>
+    </div>
+    <TranscriptionOptions
+      engine={selectedEngine}
+      {...whisperChoices}
+      options={options}
+      onChange={setOptions}
+    />
+    <div className="model-toggle script-toggle">
+      <label htmlFor="script-select" className="toggle-label">Caption Script:</label>
+      <select
+        id="script-select"
+        value={script}
+        onChange={(e) => setScript(e.target.value)}
+        className="font-dropdown"
+      >
+        {SCRIPT_OPTIONS.map(option => (
+          <option key={option.value} value={option.value}>{option.label}</option>
+        ))}
+      </select>
+      <p className="model-description">
+        Hindi words are converted offline; English words stay as they are
+      </p>
+    </div>
+    <label className="translate-toggle">
+      <input
+        type="checkbox"
+        checked={translate}
+        onChange={(e) => setTranslate(e.target.checked)}
+      />
+      Add English translation as a second track
+    </label>
+  </div>
+);
+
+export default TranscriptionSettings;
@@ -1,24 +1,48 @@
-import React, { useState, useRef, useEffect } from 'react';
+import React, { useState, useRef, useEffect, useMemo } from 'react';
+import { Player } from '@remotion/player';
+import CaptionTimeline from './CaptionTimeline';
+import CaptionStylePanel from './CaptionStylePanel';
+import ReframePanel from './ReframePanel';
+import AudiogramPanel from './AudiogramPanel';
+import CaptionedVideo from '../remotion/CaptionedVideo';
+import Audiogram from '../remotion/Audiogram';
+import { CAPTION_FPS, toRemotionCaptions } from '../remotion/captions';
+import { DEFAULT_CAPTION_STYLE } from '../utils/captionStyle';
+import { readVideoMetadata } from '../utils/media';
+import { getCaptionStrip } from '../utils/captionRenderer';
+import { listCaptionTracks } from '../utils/captionEdits';
+import { DEFAULT_REFRAME, getReframeLayout, getSafeAreaZones, overlapsSafeArea } from '../utils/reframe';
+import { getAudiogramSize } from '../utils/audiogram';
+import { computePeaks } from '../utils/waveform';
 
-const VideoPlayerWithCaptions = ({ videoFile, captions }) => {
-  const videoRef = useRef(null);
+const VideoPlayerWithCaptions = ({
+  videoFile,
+  captions,
+  captionStyle = DEFAULT_CAPTION_STYLE,
+  onCaptionStyleChange,
+  reframe = DEFAULT_REFRAME,
+  onReframeChange,
+  audiogram,
+  onAudiogramChange,
+  onVideoSizeChange,
+  audioUrl,
+  onCaptionsChange
+}) => {
+  const playerRef = useRef(null);
   const [currentTime, setCurrentTime] = useState(0);
   const [isPlaying, setIsPlaying] = useState(false);
-  const [currentCaption, setCurrentCaption] = useState('');
   const [videoUrl, setVideoUrl] = useState(null);
-  const [selectedFont, setSelectedFont] = useState('Inter');
-  const [duration, setDuration] = useState(0);
+  const [metadata, setMetadata] = useState(null);
   const [volume, setVolume] = useState(1);
-  const [processedCaptions, setProcessedCaptions] = useState([]);
-  const [currentWords, setCurrentWords] = useState([]);
-  const [highlightedWordIndex, setHighlightedWordIndex] = useState(0);
-  
-  // Font options for captions
-  const fontOptions = [
-    { value: 'Inter', label: 'Inter (Modern)' },
-    { value: 'Arial', label: 'Arial (Classic)' },
-    { value: 'Georgia', label: 'Georgia (Serif)' }
-  ];
+  const [showStylePanel, setShowStylePanel] = useState(false);
+  const [showReframePanel, setShowReframePanel] = useState(false);
+  const [showAudiogramPanel, setShowAudiogramPanel] = useState(false);
+  const [backgroundUrl, setBackgroundUrl] = useState(null);
+  const [peaksData, setPeaksData] = useState(null);
+  // Preview-only guide; exports never include it
+  const [safeArea, setSafeArea] = useState('none');
+  const selectedFont = captionStyle.fontFamily;
+  const duration = metadata?.duration || 0;
 
   // Create video URL when component mounts
   useEffect(() => {
@@ -33,101 +57,126 @@ const VideoPlayerWithCaptions = ({ videoFile, captions }) => {
     }
   }, [videoFile]);
 
-  // Update current time when video plays
+  // Audio files are previewed as an audiogram, which needs the background image and the loudness
+  const backgroundImage = audiogram?.backgroundImage;
   useEffect(() => {
-    const video = videoRef.current;
-    if (!video) return;
+    if (!backgroundImage) {
+      setBackgroundUrl(null);
+      return;
+    }
+    const url = URL.createObjectURL(backgroundImage);
+    setBackgroundUrl(url);
+    return () => URL.revokeObjectURL(url);
+  }, [backgroundImage]);
 
-    const handleTimeUpdate = () => {
-      setCurrentTime(video.currentTime);
-    };
+  const isAudiogram = Boolean(audiogram);
+  useEffect(() => {
+    if (!isAudiogram || !videoUrl) return;
 
-    const handlePlay = () => setIsPlaying(true);
-    const handlePause = () => setIsPlaying(false);
-    const handleLoadedMetadata = () => {
-      console.log('Video metadata loaded');
-      setDuration(video.duration);
-    };
-    const handleError = (e) => {
-      console.error('Video error:', e);
-    };
-    const handleVolumeChange = () => {
-      setVolume(video.volume);
+    let cancelled = false;
+    setPeaksData(null);
+    computePeaks(videoUrl)
+      .then(result => !cancelled && setPeaksData(result))
+      .catch(error => console.warn('Could not compute the audiogram waveform:', error));
+
+    return () => {
+      cancelled = true;
     };
+  }, [isAudiogram, videoUrl]);
+
+  // The composition is sized to the video, so read its metadata before showing the Player
+  useEffect(() => {
+    if (!videoFile) return;
 
-    video.addEventListener('timeupdate', handleTimeUpdate);
-    video.addEventListener('play', handlePlay);
-    video.addEventListener('pause', handlePause);
-    video.addEventListener('loadedmetadata', handleLoadedMetadata);
-    video.addEventListener('error', handleError);
-    video.addEventListener('volumechange', handleVolumeChange);
+    let cancelled = false;
+    setMetadata(null);
+    readVideoMetadata(videoFile)
+      .then(result => {
+        if (cancelled) return;
+        console.log('Video metadata loaded');
+        setMetadata(result);
+        // The styled export scales the caption style to the video's resolution
+        if (result.width && result.height) {
+          onVideoSizeChange?.({ width: result.width, height: result.height });
+        }
+      })
+      .catch(error => console.error('Video error:', error));
 
     return () => {
-      video.removeEventListener('timeupdate', handleTimeUpdate);
-      video.removeEventListener('play', handlePlay);
-      video.removeEventListener('pause', handlePause);
-      video.removeEventListener('loadedmetadata', handleLoadedMetadata);
-      video.removeEventListener('error', handleError);
-      video.removeEventListener('volumechange', handleVolumeChange);
+      cancelled = true;
     };
-  }, [videoUrl]);
+  }, [videoFile, onVideoSizeChange]);
 
-  // Process captions into smaller chunks when captions change
+  // Follow the Player frame by frame so the timeline and controls match what is on screen
   useEffect(() => {
-    if (!captions || captions.length === 0) {
-      setProcessedCaptions([]);
-      return;
-    }
+    const player = playerRef.current;
+    if (!player) return;
 
-    const processed = [];
-    captions.forEach(caption => {
-      const words = caption.text.split(' ');
-      const maxWordsPerSegment = 6; // Limit words per caption
-      const segmentDuration = (caption.end - caption.start) / Math.ceil(words.length / maxWordsPerSegment);
-      
-      for (let i = 0; i < words.length; i += maxWordsPerSegment) {
-        const segmentWords = words.slice(i, i + maxWordsPerSegment);
-        const segmentStart = caption.start + (i / maxWordsPerSegment) * segmentDuration;
-        const segmentEnd = Math.min(caption.start + ((i + maxWordsPerSegment) / maxWordsPerSegment) * segmentDuration, caption.end);
-        
-        processed.push({
-          start: segmentStart,
-          end: segmentEnd,
-          text: segmentWords.join(' '),
-          words: segmentWords
-        });
-      }
-    });
-    
-    setProcessedCaptions(processed);
-  }, [captions]);
+    const handleFrameUpdate = (e) => setCurrentTime(e.detail.frame / CAPTION_FPS);
+    const handlePlay = () => setIsPlaying(true);
+    const handlePause = () => setIsPlaying(false);
+    const handleVolumeChange = (e) => setVolume(e.detail.volume);
+    const handleError = (e) => console.error('Video error:', e.detail.error);
 
-  // Find current caption and setup word highlighting
-  useEffect(() => {
-    if (!processedCaptions || processedCaptions.length === 0) {
-      setCurrentCaption('');
-      setCurrentWords([]);
-      return;
-    }
+    setVolume(player.getVolume());
+    player.addEventListener('frameupdate', handleFrameUpdate);
+    player.addEventListener('play', handlePlay);
+    player.addEventListener('pause', handlePause);
+    player.addEventListener('ended', handlePause);
+    player.addEventListener('volumechange', handleVolumeChange);
+    player.addEventListener('error', handleError);
 
-    const current = processedCaptions.find(caption => 
-      currentTime >= caption.start && currentTime <= caption.end
-    );
+    return () => {
+      player.removeEventListener('frameupdate', handleFrameUpdate);
+      player.removeEventListener('play', handlePlay);
+      player.removeEventListener('pause', handlePause);
+      player.removeEventListener('ended', handlePause);
+      player.removeEventListener('volumechange', handleVolumeChange);
+      player.removeEventListener('error', handleError);
+    };
+  }, [metadata, videoUrl]);
 
-    if (current) {
-      setCurrentCaption(current.text);
-      setCurrentWords(current.words);
-      
-      // Calculate which word should be highlighted based on time within segment
-      const segmentProgress = (currentTime - current.start) / (current.end - current.start);
-      const wordIndex = Math.floor(segmentProgress * current.words.length);
-      setHighlightedWordIndex(Math.min(wordIndex, current.words.length - 1));
-    } else {
-      setCurrentCaption('');
-      setCurrentWords([]);
-      setHighlightedWordIndex(0);
-    }
-  }, [currentTime, processedCaptions]);
+  // The Player shows the reframed frame (or the audiogram), the same size the export encodes
+  const layout = useMemo(() => {
+    if (!metadata) return null;
+    return audiogram ? getAudiogramSize(audiogram) : getReframeLayout(metadata, reframe);
+  }, [metadata, reframe, audiogram]);
+
+  // Input props for the composition, the same ones a headless render takes
+  const inputProps = useMemo(() => (audiogram
+    ? {
+        audioSrc: videoUrl,
+        backgroundSrc: backgroundUrl,
+        captions: toRemotionCaptions(captions),
+        captionStyle,
+        audiogram,
+        peaksData,
+        durationInSeconds: duration
+      }
+    : {
+        videoSrc: videoUrl,
+        captions: toRemotionCaptions(captions),
+        captionStyle,
+        durationInSeconds: duration,
+        width: metadata?.width,
+        height: metadata?.height,
+        reframe,
+        safeArea
+      }), [videoUrl, backgroundUrl, captions, captionStyle, audiogram, peaksData, duration, metadata, reframe, safeArea]);
+
+  // Check the caption area (two lines at the max width, plus a line of the second track in
+  // bilingual mode) against the platform's UI
+  const captionsInSafeArea = useMemo(() => {
+    if (!layout || safeArea === 'none') return false;
+    const strip = getCaptionStrip(captionStyle, layout.width, layout.height, 2, captionStyle.secondaryTrack ? 1 : 0);
+    const area = {
+      x: (layout.width * (1 - captionStyle.maxWidth)) / 2,
+      y: strip.y + strip.areaY,
+      width: layout.width * captionStyle.maxWidth,
+      height: strip.areaHeight
+    };
+    return overlapsSafeArea(area, getSafeAreaZones(safeArea, layout.width, layout.height));
+  }, [layout, safeArea, captionStyle]);
 
   // Helper functions for time formatting
   const formatTime = (seconds) => {
@@ -136,24 +185,24 @@ const VideoPlayerWithCaptions = ({ videoFile, captions }) => {
     return `${mins}:${secs.toString().padStart(2, '0')}`;
   };
 
+  const seekTo = (time) => {
+    const player = playerRef.current;
+    if (!player) return;
+
+    player.seekTo(Math.round(time * CAPTION_FPS));
+    // Update right away so the captions and timeline follow a seek while paused
+    setCurrentTime(time);
+  };
+
   const handleSeek = (e) => {
-    const video = videoRef.current;
-    if (!video) return;
-    
     const rect = e.currentTarget.getBoundingClientRect();
     const percent = (e.clientX - rect.left) / rect.width;
-    video.currentTime = percent * duration;
+    seekTo(percent * duration);
   };
 
-  const togglePlayPause = () => {
-    const video = videoRef.current;
-    if (!video) return;
-    
-    if (isPlaying) {
-      video.pause();
-    } else {
-      video.play();
-    }
+  const togglePlayPause = (e) => {
+    // Passing the click lets the Player start audio under autoplay rules
+    playerRef.current?.toggle(e);
   };
 
   if (!videoFile) {
@@ -163,61 +212,53 @@ const VideoPlayerWithCaptions = ({ videoFile, captions }) => {
   return (
     <div className="remotion-video-player">
       <div className="player-header">
-        <h3>🎬 Remotion Video Player</h3>
-        <div className="font-selector">
-          <label htmlFor="font-select">Caption Font:</label>
-          <select 
-            id="font-select"
-            value={selectedFont} 
-            onChange={(e) => setSelectedFont(e.target.value)}
-            className="font-dropdown"
+        <h3>{audiogram ? '🎧 Audiogram Preview' : '🎬 Remotion Video Player'}</h3>
+        {onCaptionStyleChange && (
+          <button
+            className={`style-toggle-btn ${showStylePanel ? 'active' : ''}`}
+            onClick={() => setShowStylePanel(show => !show)}
           >
-            {fontOptions.map(font => (
-              <option key={font.value} value={font.value}>
-                {font.label}
-              </option>
-            ))}
-          </select>
-        </div>
+            🎨 Caption Style
+          </button>
+        )}
+        {onAudiogramChange && audiogram && (
+          <button
+            className={`style-toggle-btn ${showAudiogramPanel ? 'active' : ''}`}
+            onClick={() => setShowAudiogramPanel(show => !show)}
+          >
+            🎧 Audiogram
+          </button>
+        )}
+        {onReframeChange && !audiogram && (
+          <button
+            className={`style-toggle-btn ${showReframePanel ? 'active' : ''}`}
+            onClick={() => setShowReframePanel(show => !show)}
+          >
+            📐 Reframe
+          </button>
+        )}
       </div>
       
       <div className="player-wrapper">
         <div className="video-container">
-          {videoUrl ? (
-            <video
-              ref={videoRef}
-              src={videoUrl}
+          {videoUrl && layout ? (
+            <Player
+              ref={playerRef}
+              component={audiogram ? Audiogram : CaptionedVideo}
+              inputProps={inputProps}
+              durationInFrames={Math.max(1, Math.ceil(duration * CAPTION_FPS))}
+              compositionWidth={layout.width}
+              compositionHeight={layout.height}
+              fps={CAPTION_FPS}
               className="remotion-video"
-              preload="metadata"
-              onLoadStart={() => console.log('Video loading started')}
-              onCanPlay={() => console.log('Video can play')}
-              onError={(e) => console.error('Video error:', e)}
+              // Portrait frames are narrowed to keep the player within its maximum height
+              style={{ aspectRatio: `${layout.width} / ${layout.height}`, maxWidth: `calc(500px * ${layout.width / layout.height})` }}
+              clickToPlay
+              acknowledgeRemotionLicense
             />
           ) : (
             <div className="video-loading">Loading video...</div>
           )}
-          
-          {/* Remotion-style Caption Overlay with Word Highlighting */}
-          {currentCaption && (
-            <div 
-              className="remotion-caption-overlay"
-              style={{ fontFamily: selectedFont }}
-            >
-              <div className="caption-text">
-                {currentWords.map((word, index) => (
-                  <span 
-                    key={index}
-                    className={`caption-word ${
-                      index <= highlightedWordIndex ? 'highlighted' : 'unhighlighted'
-                    }`}
-                  >
-                    {word}
-                    {index < currentWords.length - 1 && ' '}
-                  </span>
-                ))}
-              </div>
-            </div>
-          )}
         </div>
         
         {/* Custom Remotion-style Controls */}
@@ -250,6 +291,38 @@ const VideoPlayerWithCaptions = ({ videoFile, captions }) => {
           </div>
         </div>
       </div>
+
+      {showStylePanel && onCaptionStyleChange && (
+        <CaptionStylePanel style={captionStyle} onChange={onCaptionStyleChange} tracks={listCaptionTracks(captions)} />
+      )}
+
+      {showAudiogramPanel && onAudiogramChange && audiogram && (
+        <AudiogramPanel audiogram={audiogram} onChange={onAudiogramChange} />
+      )}
+
+      {showReframePanel && onReframeChange && !audiogram && (
+        <ReframePanel
+          reframe={reframe}
+          onChange={onReframeChange}
+          safeArea={safeArea}
+          onSafeAreaChange={setSafeArea}
+          layout={layout}
+          captionsInSafeArea={captionsInSafeArea}
+        />
+      )}
+
+      {/* Waveform timeline for visual timing adjustment */}
+      {onCaptionsChange && (
+        <CaptionTimeline
+          captions={captions}
+          duration={duration}
+          currentTime={currentTime}
+          isPlaying={isPlaying}
+          audioUrl={audioUrl}
+          onSeek={seekTo}
+          onCaptionsChange={onCaptionsChange}
+        />
+      )}
       
       <div className="player-info">
         <div className="info-grid">
@@ -259,7 +332,7 @@ const VideoPlayerWithCaptions = ({ videoFile, captions }) => {
           </div>
           <div className="info-item">
             <span className="info-label">Captions:</span>
-            <span className="info-value">{processedCaptions?.length || 0} segments</span>
+            <span className="info-value">{captions?.length || 0} segments</span>
           </div>
           <div className="info-item">
             <span className="info-label">Font:</span>
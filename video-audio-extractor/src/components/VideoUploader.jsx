@@ -2,23 +2,73 @@ import React, { useState, useRef } from 'react';
 import { FFmpeg } from '@ffmpeg/ffmpeg';
 import { toBlobURL, fetchFile } from '@ffmpeg/util';
 import VideoPlayerWithCaptions from './VideoPlayerWithCaptions';
+import CaptionEditor from './CaptionEditor';
+import TranscriptionSettings from './TranscriptionSettings';
+import ProjectList from './ProjectList';
+import CaptionExports from './CaptionExports';
+import TranscriptionProgress from './TranscriptionProgress';
+import useUndoableState from '../hooks/useUndoableState';
+import useTranscriptionJob from '../hooks/useTranscriptionJob';
+import useProjects from '../hooks/useProjects';
+import useCaptionTools from '../hooks/useCaptionTools';
+import useTranscriptionSettings from '../hooks/useTranscriptionSettings';
+import { DEFAULT_CAPTION_STYLE } from '../utils/captionStyle';
+import { DEFAULT_REFRAME } from '../utils/reframe';
+import { DEFAULT_AUDIOGRAM } from '../utils/audiogram';
+import { TRANSCRIBABLE_AUDIO_TYPES, isSupportedMediaFile } from '../utils/media';
 
 const VideoUploader = () => {
   const [isLoading, setIsLoading] = useState(false);
   const [isFFmpegLoaded, setIsFFmpegLoaded] = useState(false);
   const [progress, setProgress] = useState(0);
   const [selectedFile, setSelectedFile] = useState(null);
+  // Counts file changes; exports made from an earlier file are dropped with it
+  const [fileVersion, setFileVersion] = useState(0);
   const [extractedAudioUrl, setExtractedAudioUrl] = useState(null);
-  const [captions, setCaptions] = useState(null);
-  const [srtContent, setSrtContent] = useState(null);
-  const [isGeneratingCaptions, setIsGeneratingCaptions] = useState(false);
+  // Captions are edited in the browser; the player and every download read these
+  const {
+    value: captions,
+    set: setCaptions,
+    reset: resetCaptions,
+    undo: undoCaptionEdit,
+    redo: redoCaptionEdit,
+    canUndo,
+    canRedo
+  } = useUndoableState(null);
   const [isDragOver, setIsDragOver] = useState(false);
-  const [useHinglishModel, setUseHinglishModel] = useState(true); // Default to Hinglish model
+  const [transcriptionInfo, setTranscriptionInfo] = useState(null); // { detectedLanguage, model, task, cached }
+  const [captionStyle, setCaptionStyle] = useState(DEFAULT_CAPTION_STYLE);
+  const [reframe, setReframe] = useState(DEFAULT_REFRAME);
+  const [audiogram, setAudiogram] = useState(DEFAULT_AUDIOGRAM);
+  const [videoSize, setVideoSize] = useState(null);
+  const transcriptionSettings = useTranscriptionSettings();
   const fileInputRef = useRef(null);
   const ffmpegRef = useRef(new FFmpeg());
-
-  // Backend API URL
-  const API_BASE_URL = 'http://localhost:3001/api';
+  const {
+    transcribe,
+    isTranscribing: isGeneratingCaptions,
+    uploadProgress,
+    jobStatus
+  } = useTranscriptionJob({ onResume: (result) => showResumedTranscription(result) });
+  const {
+    projects,
+    project,
+    openingProjectId,
+    saveState: projectSaveState,
+    startProject,
+    closeProject,
+    openProject: fetchProject,
+    deleteProject,
+    recordExport
+  } = useProjects({ captions, captionStyle });
+  const {
+    autoEmphasize,
+    isMarkingKeywords,
+    transliterateCaptions,
+    isTransliterating,
+    importCaptionTrack,
+    isImportingTrack
+  } = useCaptionTools({ captions, setCaptions, setCaptionStyle });
 
   const loadFFmpeg = async () => {
     const ffmpeg = ffmpegRef.current;
@@ -36,54 +86,102 @@ const VideoUploader = () => {
     setIsFFmpegLoaded(true);
   };
 
+  // ffmpeg.wasm loads on first use and is shared by audio extraction and every export
+  const getFFmpeg = async () => {
+    if (!isFFmpegLoaded) {
+      await loadFFmpeg();
+    }
+    return ffmpegRef.current;
+  };
+
+  // Audio files skip extraction and are exported as audiograms
+  const isAudioOnly = selectedFile?.type.startsWith('audio/') ?? false;
+
+  const selectFile = (file) => {
+    setSelectedFile(file);
+    setFileVersion(version => version + 1);
+  };
+
   const handleFileSelect = (file) => {
-    if (file && file.type.startsWith('video/')) {
-      setSelectedFile(file);
+    // Projects keep only the audio; picking the open project's source video again keeps its captions
+    if (file && project && file.type.startsWith('video/') && file.name === project.source?.filename) {
+      selectFile(file);
+      setVideoSize(null);
+      return;
+    }
+
+    if (file && isSupportedMediaFile(file)) {
+      selectFile(file);
+      closeProject();
       setExtractedAudioUrl(null);
-      setCaptions(null);
-      setSrtContent(null);
+      resetCaptions(null);
+      setTranscriptionInfo(null);
+      setVideoSize(null);
     } else {
-      alert('Please select a valid video file');
+      alert('Please select a video, or an MP3, WAV, M4A, OGG, WebM, AAC or FLAC audio file');
     }
   };
 
-  // Send audio to backend for caption generation
-  const generateCaptions = async (audioBlob) => {
-    setIsGeneratingCaptions(true);
-    
+  // Send audio to backend for caption generation; the result is saved as a new project
+  const generateCaptions = async (audioBlob, fileName = 'extracted_audio.mp3') => {
     try {
-      const formData = new FormData();
-      formData.append('audio', audioBlob, 'extracted_audio.mp3');
-
-      // Use Hinglish endpoint by default, fallback to regular if needed
-      const endpoint = useHinglishModel ? '/upload-audio-hinglish' : '/upload-audio';
-      const response = await fetch(`${API_BASE_URL}${endpoint}`, {
-        method: 'POST',
-        body: formData,
+      // The backend only sees the audio, so it is told about the file it came from
+      const source = { filename: selectedFile.name, type: selectedFile.type, size: selectedFile.size };
+      const result = await transcribe(audioBlob, {
+        filename: fileName,
+        resumeKey: `${selectedFile.name}:${selectedFile.size}:${selectedFile.lastModified}:${fileName}`,
+        fields: {
+          ...transcriptionSettings.fields,
+          saveProject: 'true',
+          source: JSON.stringify(source),
+        },
       });
 
-      if (!response.ok) {
-        throw new Error(`HTTP error! status: ${response.status}`);
-      }
-
-      const result = await response.json();
-      
-      if (result.success) {
-        setCaptions(result.transcription);
-        setSrtContent(result.srt);
-        console.log('Captions generated successfully:', result);
-      } else {
-        throw new Error(result.message || 'Failed to generate captions');
+      // Cues are re-cut by the backend's segmentation rules; editing starts from a fresh history
+      resetCaptions(result.cues);
+      setTranscriptionInfo({
+        detectedLanguage: result.detectedLanguage,
+        model: result.model,
+        task: result.task,
+        cached: result.cached,
+      });
+      // Show a requested translation under the captions straight away
+      if (result.tracks?.length > 0) {
+        setCaptionStyle(style => ({ ...style, secondaryTrack: style.secondaryTrack || result.tracks[0] }));
       }
+      startProject(result.projectId, source);
+      console.log('Captions generated successfully:', result);
 
     } catch (error) {
       console.error('Error generating captions:', error);
       alert(`Error generating captions: ${error.message}`);
-    } finally {
-      setIsGeneratingCaptions(false);
     }
   };
 
+  // A job that was running when the page was reloaded has finished; its project holds the captions and audio
+  const showResumedTranscription = (result) => {
+    if (result.projectId) {
+      openProject(result.projectId);
+    } else {
+      alert('The transcription finished after the page was reloaded, but it could not be saved. Please generate the captions again.');
+    }
+  };
+
+  // Reopen a saved project: its captions, style and audio come back to keep editing
+  const openProject = (projectId) => fetchProject(projectId, ({ project: saved, audioFile, style }) => {
+    if (extractedAudioUrl) URL.revokeObjectURL(extractedAudioUrl);
+    selectFile(audioFile);
+    setExtractedAudioUrl(URL.createObjectURL(audioFile));
+    resetCaptions(saved.captions);
+    setCaptionStyle(style);
+    setTranscriptionInfo(saved.transcription && {
+      detectedLanguage: saved.transcription.detectedLanguage,
+      model: saved.transcription.model,
+      task: saved.transcription.task,
+    });
+    setVideoSize(null);
+  });
+
   const handleDragOver = (e) => {
     e.preventDefault();
     setIsDragOver(true);
@@ -156,29 +254,13 @@ const VideoUploader = () => {
     setProgress(0);
   };
 
-  const downloadAudio = () => {
-    if (extractedAudioUrl) {
-      const a = document.createElement('a');
-      a.href = extractedAudioUrl;
-      a.download = `${selectedFile.name.split('.')[0]}_audio.mp3`;
-      document.body.appendChild(a);
-      a.click();
-      document.body.removeChild(a);
-    }
-  };
+  // An audio upload is already what the backend transcribes
+  const transcribeAudioFile = async () => {
+    if (!selectedFile) return;
 
-  const downloadSRT = () => {
-    if (srtContent) {
-      const blob = new Blob([srtContent], { type: 'text/plain' });
-      const url = URL.createObjectURL(blob);
-      const a = document.createElement('a');
-      a.href = url;
-      a.download = `${selectedFile.name.split('.')[0]}_captions.srt`;
-      document.body.appendChild(a);
-      a.click();
-      document.body.removeChild(a);
-      URL.revokeObjectURL(url);
-    }
+    if (extractedAudioUrl) URL.revokeObjectURL(extractedAudioUrl);
+    setExtractedAudioUrl(URL.createObjectURL(selectedFile));
+    await generateCaptions(selectedFile, selectedFile.name);
   };
 
   return (
@@ -189,6 +271,14 @@ const VideoUploader = () => {
       </div>
 
       <div className="main-content">
+        <ProjectList
+          projects={projects}
+          activeProjectId={project?.id}
+          openingProjectId={openingProjectId}
+          onOpen={openProject}
+          onDelete={deleteProject}
+        />
+
         {/* Upload Section */}
         <div className="upload-section">
           <div
@@ -201,14 +291,14 @@ const VideoUploader = () => {
             <input
               ref={fileInputRef}
               type="file"
-              accept="video/*"
+              accept={['video/*', ...TRANSCRIBABLE_AUDIO_TYPES].join(',')}
               onChange={handleFileInputChange}
               className="file-input"
             />
             
             {selectedFile ? (
               <div className="file-info">
-                <div className="file-icon">🎬</div>
+                <div className="file-icon">{isAudioOnly ? '🎧' : '🎬'}</div>
                 <div className="file-details">
                   <p className="file-name">{selectedFile.name}</p>
                   <p className="file-size">{(selectedFile.size / (1024 * 1024)).toFixed(2)} MB</p>
@@ -217,44 +307,25 @@ const VideoUploader = () => {
             ) : (
               <div className="upload-placeholder">
                 <div className="upload-icon">📁</div>
-                <p>Drag and drop a video file here, or click to select</p>
-                <p className="supported-formats">Supports: MP4, AVI, MOV, MKV, and more</p>
+                <p>Drag and drop a video or audio file here, or click to select</p>
+                <p className="supported-formats">Supports: any video; MP3, WAV, M4A, OGG, WebM, AAC or FLAC audio</p>
               </div>
             )}
           </div>
 
           {selectedFile && (
             <>
-              <div className="model-selection">
-                <div className="model-toggle">
-                  <label className="toggle-label">
-                    <input
-                      type="checkbox"
-                      checked={useHinglishModel}
-                      onChange={(e) => setUseHinglishModel(e.target.checked)}
-                      className="toggle-input"
-                    />
-                    <span className="toggle-slider"></span>
-                    <span className="toggle-text">
-                      {useHinglishModel ? '🇮🇳 Hinglish Model' : '🌐 Multilingual Model'}
-                    </span>
-                  </label>
-                  <p className="model-description">
-                    {useHinglishModel 
-                      ? 'Optimized for Hindi + English mixed content' 
-                      : 'Works with all languages including Hinglish'}
-                  </p>
-                </div>
-              </div>
+              <TranscriptionSettings {...transcriptionSettings} />
               
               <div className="actions">
                 <button
-                  onClick={extractAudio}
+                  onClick={isAudioOnly ? transcribeAudioFile : extractAudio}
                   disabled={isLoading || isGeneratingCaptions}
                   className="extract-btn"
                 >
                   {isLoading ? `Extracting Audio... ${progress}%` : 
                    isGeneratingCaptions ? 'Generating Captions...' : 
+                   isAudioOnly ? 'Generate Captions' :
                    'Extract Audio & Generate Captions'}
                 </button>
               </div>
@@ -275,7 +346,7 @@ const VideoUploader = () => {
                 </>
               )}
               {isGeneratingCaptions && (
-                <p className="progress-text">🎤 Generating captions with AI... This may take a few moments.</p>
+                <TranscriptionProgress uploadProgress={uploadProgress} jobStatus={jobStatus} />
               )}
             </div>
           )}
@@ -288,41 +359,69 @@ const VideoUploader = () => {
               {/* Left Column - Audio & Downloads */}
               <div className="audio-section">
                 <div className="result">
-                  <h3>Audio Extracted Successfully! 🎉</h3>
+                  <h3>{isAudioOnly ? 'Audio Ready! 🎧' : 'Audio Extracted Successfully! 🎉'}</h3>
                   <div className="audio-player">
                     <audio controls src={extractedAudioUrl}></audio>
                   </div>
-                  <div className="download-buttons">
-                    <button onClick={downloadAudio} className="download-btn">
-                      Download Audio (MP3)
-                    </button>
-                    {srtContent && (
-                      <button onClick={downloadSRT} className="download-btn">
-                        Download Captions (SRT)
-                      </button>
-                    )}
-                  </div>
+                  <CaptionExports
+                    key={fileVersion}
+                    selectedFile={selectedFile}
+                    isAudioOnly={isAudioOnly}
+                    audioUrl={extractedAudioUrl}
+                    captions={captions}
+                    captionStyle={captionStyle}
+                    videoSize={videoSize}
+                    reframe={reframe}
+                    audiogram={audiogram}
+                    defaultLanguage={transcriptionSettings.engine === 'hinglish' ? 'hin' : 'eng'}
+                    isBusy={isLoading}
+                    getFFmpeg={getFFmpeg}
+                    recordExport={recordExport}
+                  />
                 </div>
               </div>
 
-              {/* Right Column - Captions Preview */}
-              {captions && captions.length > 0 && (
+              {/* Right Column - Caption Editor */}
+              {captions && (
                 <div className="captions-section">
                   <div className="captions-result">
-                    <h3>Generated Captions 📝</h3>
-                    <div className="captions-preview">
-                      {captions.slice(0, 5).map((caption, index) => (
-                        <div key={index} className="caption-segment">
-                          <span className="caption-time">
-                            {Math.floor(caption.start / 60)}:{(caption.start % 60).toFixed(1).padStart(4, '0')} - {Math.floor(caption.end / 60)}:{(caption.end % 60).toFixed(1).padStart(4, '0')}
-                          </span>
-                          <span className="caption-text">{caption.text}</span>
-                        </div>
-                      ))}
-                      {captions.length > 5 && (
-                        <p className="caption-more">... and {captions.length - 5} more segments</p>
-                      )}
-                    </div>
+                    <h3>Edit Captions 📝</h3>
+                    {projectSaveState && (
+                      <p className={`project-save-state ${projectSaveState}`}>
+                        {projectSaveState === 'saving' ? '💾 Saving...'
+                          : projectSaveState === 'saved' ? '💾 Saved to My Projects'
+                            : '⚠️ Not saved; your next edit tries again'}
+                      </p>
+                    )}
+                    {project?.source?.type?.startsWith('video/') && isAudioOnly && (
+                      <p className="transcription-info">
+                        🎬 Select {project.source.filename} again to preview and export the video
+                      </p>
+                    )}
+                    {transcriptionInfo?.detectedLanguage && (
+                      <p className="transcription-info">
+                        🗣️ {transcriptionInfo.detectedLanguage.name}
+                        {transcriptionInfo.detectedLanguage.probability !== null &&
+                          ` (${Math.round(transcriptionInfo.detectedLanguage.probability * 100)}% sure)`}
+                        {transcriptionInfo.task === 'translate' && ' → English'}
+                        {transcriptionInfo.model && ` · ${transcriptionInfo.model}`}
+                        {transcriptionInfo.cached && ' · ⚡ from cache'}
+                      </p>
+                    )}
+                    <CaptionEditor
+                      captions={captions}
+                      onChange={setCaptions}
+                      onUndo={undoCaptionEdit}
+                      onRedo={redoCaptionEdit}
+                      canUndo={canUndo}
+                      canRedo={canRedo}
+                      onAutoEmphasis={autoEmphasize}
+                      isMarkingKeywords={isMarkingKeywords}
+                      onTransliterate={transliterateCaptions}
+                      isTransliterating={isTransliterating}
+                      onImportTrack={importCaptionTrack}
+                      isImportingTrack={isImportingTrack}
+                    />
                   </div>
                 </div>
               )}
@@ -336,6 +435,15 @@ const VideoUploader = () => {
             <VideoPlayerWithCaptions 
               videoFile={selectedFile}
               captions={captions}
+              captionStyle={captionStyle}
+              onCaptionStyleChange={setCaptionStyle}
+              reframe={reframe}
+              onReframeChange={setReframe}
+              audiogram={isAudioOnly ? audiogram : null}
+              onAudiogramChange={setAudiogram}
+              onVideoSizeChange={setVideoSize}
+              audioUrl={extractedAudioUrl}
+              onCaptionsChange={setCaptions}
             />
           </div>
         )}
@@ -0,0 +1,82 @@
+import { useState } from 'react';
+import { fetchJson } from '../utils/api';
+
+/**
+ * Caption edits the backend makes: keyword emphasis, transliteration and importing a second track
+ * Each result replaces the captions as one undoable edit
+ */
+const useCaptionTools = ({ captions, setCaptions, setCaptionStyle }) => {
+  const [isMarkingKeywords, setIsMarkingKeywords] = useState(false);
+  const [isTransliterating, setIsTransliterating] = useState(false);
+  const [isImportingTrack, setIsImportingTrack] = useState(false);
+
+  // Let the backend pick each cue's key words and emoji
+  const autoEmphasize = async () => {
+    if (!captions?.length) return;
+
+    setIsMarkingKeywords(true);
+    try {
+      const result = await fetchJson('/keywords', { method: 'POST', json: { cues: captions } });
+      setCaptions(result.cues);
+    } catch (error) {
+      console.error('Error marking keywords:', error);
+      alert(`Error marking keywords: ${error.message}`);
+    } finally {
+      setIsMarkingKeywords(false);
+    }
+  };
+
+  // Rewrite the captions in Roman or Devanagari script
+  const transliterateCaptions = async (script) => {
+    if (!captions?.length) return;
+
+    setIsTransliterating(true);
+    try {
+      const result = await fetchJson('/transliterate', { method: 'POST', json: { cues: captions, script } });
+      setCaptions(result.cues);
+    } catch (error) {
+      console.error('Error converting captions:', error);
+      alert(`Error converting captions: ${error.message}`);
+    } finally {
+      setIsTransliterating(false);
+    }
+  };
+
+  // Add a caption file (e.g. a translation) as a second text track of the current cues
+  const importCaptionTrack = async (file) => {
+    if (!captions?.length) return;
+
+    // A language code in the file name (talk.en.srt) is the likely track name
+    const guess = file.name.match(/\.([a-z]{2,3})\.[^.]+$/i)?.[1]?.toLowerCase() || 'translation';
+    const trackId = window.prompt('Name of the new caption track (e.g. en)', guess)?.trim();
+    if (!trackId) return;
+
+    setIsImportingTrack(true);
+    try {
+      const formData = new FormData();
+      formData.append('caption', file);
+      formData.append('cues', JSON.stringify(captions));
+      formData.append('track', trackId);
+
+      const result = await fetchJson('/tracks', { method: 'POST', body: formData });
+      setCaptions(result.cues);
+      setCaptionStyle(style => ({ ...style, secondaryTrack: result.track }));
+    } catch (error) {
+      console.error('Error importing caption track:', error);
+      alert(`Error importing caption track: ${error.message}`);
+    } finally {
+      setIsImportingTrack(false);
+    }
+  };
+
+  return {
+    autoEmphasize,
+    isMarkingKeywords,
+    transliterateCaptions,
+    isTransliterating,
+    importCaptionTrack,
+    isImportingTrack
+  };
+};
+
+export default useCaptionTools;
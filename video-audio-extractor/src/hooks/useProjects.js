@@ -0,0 +1,148 @@
+import { useEffect, useRef, useState } from 'react';
+import { API_BASE_URL, fetchJson } from '../utils/api';
+import { DEFAULT_CAPTION_STYLE, normalizeCaptionStyle } from '../utils/captionStyle';
+
+// Edits are saved to the open project once they have settled for this long
+const PROJECT_SAVE_DELAY_MS = 1000;
+
+/**
+ * Saved projects on the backend: the list, the open project and its autosave
+ * Caption and style edits are saved to the open project once they settle
+ */
+const useProjects = ({ captions, captionStyle }) => {
+  const [projects, setProjects] = useState([]); // Summaries from GET /projects
+  const [project, setProject] = useState(null); // { id, source } of the open project
+  const [openingProjectId, setOpeningProjectId] = useState(null);
+  const [saveState, setSaveState] = useState(null); // 'saving', 'saved' or 'error'
+  // What the open project last saved, so unchanged captions and style aren't sent again
+  const savedProjectRef = useRef(null);
+
+  const loadProjects = () => {
+    fetchJson('/projects')
+      .then(({ projects: saved }) => setProjects(saved || []))
+      .catch(error => console.warn('Could not load projects:', error));
+  };
+
+  // Saved projects are listed from the start, so past work can be reopened
+  useEffect(loadProjects, []);
+
+  useEffect(() => {
+    if (!project || !captions) return;
+
+    const payload = JSON.stringify({ captions, style: captionStyle });
+    if (payload === savedProjectRef.current) return;
+
+    const timer = setTimeout(async () => {
+      setSaveState('saving');
+      try {
+        const result = await fetchJson(`/projects/${project.id}`, {
+          method: 'PATCH',
+          headers: { 'Content-Type': 'application/json' },
+          body: payload,
+        });
+
+        savedProjectRef.current = payload;
+        setSaveState('saved');
+        setProjects(current => current.map(saved => saved.id === result.project.id ? result.project : saved));
+      } catch (error) {
+        console.error('Error saving project:', error);
+        setSaveState('error');
+      }
+    }, PROJECT_SAVE_DELAY_MS);
+
+    return () => clearTimeout(timer);
+  }, [project, captions, captionStyle]);
+
+  // A transcription was saved as a new project; it starts without a style, so the first autosave stores the current one
+  const startProject = (projectId, source) => {
+    savedProjectRef.current = null;
+    setProject(projectId ? { id: projectId, source } : null);
+    setSaveState(projectId ? 'saved' : null);
+    loadProjects();
+  };
+
+  // The captions stay in the editor, but are no longer saved
+  const closeProject = () => {
+    setProject(null);
+    setSaveState(null);
+  };
+
+  /**
+   * Reopen a saved project: its captions, style and audio come back to keep editing
+   * @param {string} projectId - Project to open
+   * @param {Function} onOpen - Shows the project; receives { project, audioFile, style } before it becomes the open one
+   */
+  const openProject = async (projectId, onOpen) => {
+    setOpeningProjectId(projectId);
+    try {
+      const { project: saved } = await fetchJson(`/projects/${projectId}`);
+      const audioResponse = await fetch(`${API_BASE_URL}/projects/${projectId}/audio`);
+      if (!audioResponse.ok) {
+        throw new Error('The project has no audio to play');
+      }
+
+      // The stored audio stands in for the source file; video projects ask for the video to be picked again
+      const audioBlob = await audioResponse.blob();
+      const baseName = (saved.source?.filename || saved.name).replace(/\.[^.]+$/, '');
+      const extension = saved.audio.filename.split('.').pop();
+      const audioFile = new File([audioBlob], `${baseName}.${extension}`, { type: saved.audio.type });
+      const style = normalizeCaptionStyle({ ...DEFAULT_CAPTION_STYLE, ...saved.style });
+
+      onOpen({ project: saved, audioFile, style });
+      savedProjectRef.current = JSON.stringify({ captions: saved.captions, style });
+      setProject({ id: saved.id, source: saved.source });
+      setSaveState('saved');
+      // Projects saved since the list loaded (e.g. by a job that finished during a reload) show up too
+      if (!projects.some(listed => listed.id === saved.id)) loadProjects();
+    } catch (error) {
+      console.error('Error opening project:', error);
+      alert(`Error opening project: ${error.message}`);
+    } finally {
+      setOpeningProjectId(null);
+    }
+  };
+
+  const deleteProject = async (projectId) => {
+    try {
+      await fetchJson(`/projects/${projectId}`, { method: 'DELETE' });
+
+      if (project?.id === projectId) {
+        closeProject();
+      }
+      setProjects(current => current.filter(saved => saved.id !== projectId));
+    } catch (error) {
+      console.error('Error deleting project:', error);
+      alert(`Error deleting project: ${error.message}`);
+    }
+  };
+
+  // Note a download in the open project's export history; the download itself never waits for it
+  const recordExport = (format, filename, options) => {
+    if (!project) return;
+
+    fetchJson(`/projects/${project.id}/exports`, {
+      method: 'POST',
+      json: { format, filename, options },
+    })
+      .then(() => {
+        setProjects(current => current.map(saved =>
+          saved.id === project.id ? { ...saved, exportCount: saved.exportCount + 1 } : saved
+        ));
+      })
+      .catch(error => console.warn('Could not record export:', error));
+  };
+
+  return {
+    projects,
+    project,
+    openingProjectId,
+    saveState,
+    startProject,
+    closeProject,
+    openProject,
+    deleteProject,
+    recordExport
+  };
+};
+
+export default useProjects;
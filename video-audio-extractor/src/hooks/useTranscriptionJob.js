@@ -0,0 +1,133 @@
+import { useEffect, useRef, useState } from 'react';
+import { API_BASE_URL, fetchJson } from '../utils/api';
+import { uploadInChunks } from '../utils/chunkedUpload';
+
+// How often to ask the backend whether a transcription job has finished
+const JOB_POLL_INTERVAL_MS = 2000;
+
+// The running job's ID survives a page reload here, so the result isn't lost with the page
+const JOB_STORAGE_KEY = 'transcription-job';
+
+/**
+ * Follow a job until it is done (resolves to its result) or failed (throws)
+ * Live progress comes over Server-Sent Events; polling stays the source of truth for the result.
+ * The stored job ID is dropped once the job has finished, failed or is gone from the backend
+ */
+const followJob = async (jobId, { onStatus, signal }) => {
+  const eventSource = new EventSource(`${API_BASE_URL}/jobs/${jobId}/events`);
+  const handleJobEvent = (event) => onStatus(JSON.parse(event.data));
+  eventSource.addEventListener('status', handleJobEvent);
+  eventSource.addEventListener('progress', handleJobEvent);
+
+  try {
+    while (!signal?.aborted) {
+      let job;
+      try {
+        ({ job } = await fetchJson(`/jobs/${jobId}`));
+      } catch (error) {
+        if (error.status === 404) localStorage.removeItem(JOB_STORAGE_KEY);
+        throw error;
+      }
+      onStatus(job);
+
+      if (job.status === 'done') {
+        localStorage.removeItem(JOB_STORAGE_KEY);
+        return job.result;
+      }
+      if (job.status === 'failed') {
+        localStorage.removeItem(JOB_STORAGE_KEY);
+        throw new Error(job.error || 'Transcription job failed');
+      }
+
+      await new Promise(resolve => setTimeout(resolve, JOB_POLL_INTERVAL_MS));
+    }
+    throw new Error('Stopped following the transcription job');
+  } finally {
+    eventSource.close();
+  }
+};
+
+/**
+ * Transcribe audio as a background job on the backend
+ * The audio goes up in resumable chunks, then the job is followed to its result. A job still running
+ * when the page was reloaded is followed again on mount, and its result handed to onResume
+ * @param {Object} options - Optional settings
+ * @param {Function} options.onResume - Receives the result of a job resumed after a reload
+ */
+const useTranscriptionJob = ({ onResume } = {}) => {
+  const [isTranscribing, setIsTranscribing] = useState(false);
+  const [uploadProgress, setUploadProgress] = useState(null); // { percent, retrying, attempt } while uploading
+  const [jobStatus, setJobStatus] = useState(null);
+  const onResumeRef = useRef(onResume);
+
+  useEffect(() => {
+    onResumeRef.current = onResume;
+  });
+
+  useEffect(() => {
+    const jobId = localStorage.getItem(JOB_STORAGE_KEY);
+    if (!jobId) return;
+
+    const controller = new AbortController();
+    console.log('Resuming transcription job:', jobId);
+    setIsTranscribing(true);
+
+    followJob(jobId, { onStatus: setJobStatus, signal: controller.signal })
+      .then(result => onResumeRef.current?.(result))
+      .catch(error => {
+        if (controller.signal.aborted) return;
+        console.error('Error resuming transcription job:', error);
+        alert(`Error generating captions: ${error.message}`);
+      })
+      .finally(() => {
+        if (controller.signal.aborted) return;
+        setIsTranscribing(false);
+        setJobStatus(null);
+      });
+
+    return () => controller.abort();
+  }, []);
+
+  /**
+   * Upload audio and transcribe it
+   * @param {File|Blob} audio - Audio to transcribe
+   * @param {Object} options - Upload and job settings
+   * @param {string} options.filename - Name to upload the audio as
+   * @param {string} options.resumeKey - Identifies the audio across page loads, so an interrupted upload resumes
+   * @param {Object} options.fields - Form fields of POST /jobs (engine, script, transcription options, ...)
+   * @returns {Promise<Object>} - The job result (cues, tracks, projectId, ...)
+   */
+  const transcribe = async (audio, { filename, resumeKey, fields }) => {
+    setIsTranscribing(true);
+    setJobStatus(null);
+
+    try {
+      // Chunked upload first: a dropped connection only costs the chunk in flight, and a reload resumes
+      const uploadId = await uploadInChunks(API_BASE_URL, audio, {
+        filename,
+        resumeKey,
+        onProgress: setUploadProgress,
+      });
+      setUploadProgress(null);
+
+      const formData = new FormData();
+      formData.append('uploadId', uploadId);
+      Object.entries(fields).forEach(([name, value]) => formData.append(name, value));
+
+      // Start a background job so long transcriptions don't hit request timeouts
+      const { jobId } = await fetchJson('/jobs', { method: 'POST', body: formData });
+      localStorage.setItem(JOB_STORAGE_KEY, jobId);
+      console.log('Transcription job started:', jobId);
+
+      return await followJob(jobId, { onStatus: setJobStatus });
+    } finally {
+      setIsTranscribing(false);
+      setUploadProgress(null);
+      setJobStatus(null);
+    }
+  };
+
+  return { transcribe, isTranscribing, uploadProgress, jobStatus };
+};
+
+export default useTranscriptionJob;
@@ -0,0 +1,79 @@
+import { useEffect, useState } from 'react';
+import { fetchJson } from '../utils/api';
+import { DEFAULT_TRANSCRIPTION_OPTIONS, getTranscriptionFields } from '../utils/transcriptionOptions';
+
+// Used until the backend's engine list has loaded (or if it can't be reached)
+const FALLBACK_ENGINES = [
+  {
+    name: 'hinglish',
+    label: '🇮🇳 Hinglish Model',
+    description: 'Optimized for Hindi + English mixed content',
+    options: ['language', 'task', 'initialPrompt']
+  },
+  {
+    name: 'whisper',
+    label: '🌐 Multilingual Model',
+    description: 'Works with all languages including Hinglish',
+    options: ['language', 'task', 'model', 'initialPrompt', 'temperature']
+  }
+];
+
+// Values of the Whisper options, replaced by the backend's full lists once loaded
+const FALLBACK_WHISPER_CHOICES = {
+  languages: [{ code: 'en', name: 'English' }, { code: 'hi', name: 'Hindi' }],
+  models: ['tiny', 'base', 'small', 'medium', 'large', 'turbo'],
+  tasks: ['transcribe', 'translate']
+};
+
+/**
+ * How the next transcription runs: engine, Whisper options, caption script and translation
+ * `fields` holds them as the form fields of a transcription request
+ */
+const useTranscriptionSettings = () => {
+  const [engines, setEngines] = useState(FALLBACK_ENGINES);
+  const [whisperChoices, setWhisperChoices] = useState(FALLBACK_WHISPER_CHOICES);
+  const [engine, setEngine] = useState('hinglish'); // Default to Hinglish model
+  const [options, setOptions] = useState(DEFAULT_TRANSCRIPTION_OPTIONS);
+  const [script, setScript] = useState('');
+  const [translate, setTranslate] = useState(false);
+
+  // Load the transcription engines the backend has registered
+  useEffect(() => {
+    fetchJson('/engines')
+      .then(({ engines: available, languages, models, tasks }) => {
+        if (languages?.length) setWhisperChoices({ languages, models, tasks });
+        if (!available?.length) return;
+        setEngines(available);
+        setEngine(current =>
+          available.some(candidate => candidate.name === current)
+            ? current
+            : available.find(candidate => candidate.isDefault)?.name || available[0].name
+        );
+      })
+      .catch(error => console.warn('Could not load transcription engines:', error));
+  }, []);
+
+  const selectedEngine = engines.find(candidate => candidate.name === engine);
+
+  return {
+    engines,
+    whisperChoices,
+    engine,
+    setEngine,
+    selectedEngine,
+    options,
+    setOptions,
+    script,
+    setScript,
+    translate,
+    setTranslate,
+    fields: {
+      engine,
+      ...(script && { script }),
+      ...(translate && { translate: 'true' }),
+      ...getTranscriptionFields(options, selectedEngine?.options),
+    }
+  };
+};
+
+export default useTranscriptionSettings;
@@ -0,0 +1,84 @@
+import { useCallback, useReducer } from 'react';
+
+// Oldest entries are dropped beyond this many undo steps
+const HISTORY_LIMIT = 100;
+
+// Edits with the same coalesce key this close together form one undo step (e.g. typing a word)
+const COALESCE_WINDOW_MS = 1000;
+
+// History reducer behind the hook; exported so undo and redo can be tested without rendering
+export const undoableReducer = (state, action) => {
+  switch (action.type) {
+    case 'set': {
+      const next = typeof action.value === 'function' ? action.value(state.present) : action.value;
+      if (next === state.present) return state;
+
+      const coalesce = action.coalesceKey
+        && action.coalesceKey === state.lastKey
+        && action.time - state.lastTime < COALESCE_WINDOW_MS;
+
+      return {
+        past: coalesce ? state.past : [...state.past, state.present].slice(-HISTORY_LIMIT),
+        present: next,
+        future: [],
+        lastKey: action.coalesceKey || null,
+        lastTime: action.time
+      };
+    }
+    case 'reset':
+      return { past: [], present: action.value, future: [], lastKey: null, lastTime: 0 };
+    case 'undo':
+      if (state.past.length === 0) return state;
+      return {
+        past: state.past.slice(0, -1),
+        present: state.past[state.past.length - 1],
+        future: [state.present, ...state.future],
+        lastKey: null,
+        lastTime: 0
+      };
+    case 'redo':
+      if (state.future.length === 0) return state;
+      return {
+        past: [...state.past, state.present],
+        present: state.future[0],
+        future: state.future.slice(1),
+        lastKey: null,
+        lastTime: 0
+      };
+    default:
+      return state;
+  }
+};
+
+/**
+ * useState with undo/redo history
+ * set(value, { coalesceKey }) records an undo step; reset(value) starts a fresh history
+ */
+const useUndoableState = (initialValue) => {
+  const [state, dispatch] = useReducer(undoableReducer, {
+    past: [],
+    present: initialValue,
+    future: [],
+    lastKey: null,
+    lastTime: 0
+  });
+
+  const set = useCallback((value, { coalesceKey } = {}) => {
+    dispatch({ type: 'set', value, coalesceKey, time: Date.now() });
+  }, []);
+  const reset = useCallback((value) => dispatch({ type: 'reset', value }), []);
+  const undo = useCallback(() => dispatch({ type: 'undo' }), []);
+  const redo = useCallback(() => dispatch({ type: 'redo' }), []);
+
+  return {
+    value: state.present,
+    set,
+    reset,
+    undo,
+    redo,
+    canUndo: state.past.length > 0,
+    canRedo: state.future.length > 0
+  };
+};
+
+export default useUndoableState;
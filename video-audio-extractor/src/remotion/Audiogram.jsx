@@ -0,0 +1,95 @@
+import React, { useMemo } from 'react';
+import { AbsoluteFill, Audio, Img, useCurrentFrame, useVideoConfig } from 'remotion';
+import { DEFAULT_CAPTION_STYLE } from '../utils/captionStyle';
+import { DEFAULT_AUDIOGRAM, getWaveformRect } from '../utils/audiogram';
+import CaptionBox from './CaptionBox';
+import { fromRemotionCaption } from './captions';
+
+// Seconds of audio the preview waveform spans, centred on the current frame
+const WAVE_WINDOW = 2;
+const WAVE_BARS = 64;
+
+/**
+ * Preview of the waveform: the audio's loudness around the current frame
+ * The export draws the samples themselves with ffmpeg's showwaves filter, so the two differ in
+ * detail but share their size, position, colour and style
+ */
+const Waveform = ({ peaksData, time, color, waveStyle }) => {
+  const { width, height } = useVideoConfig();
+  const rect = getWaveformRect(width, height);
+
+  const levels = Array.from({ length: WAVE_BARS }, (_, index) => {
+    if (!peaksData) return 0;
+    const { peaks, peaksPerSecond } = peaksData;
+    const at = Math.floor((time - WAVE_WINDOW / 2 + (index / WAVE_BARS) * WAVE_WINDOW) * peaksPerSecond);
+    return at >= 0 && at < peaks.length ? peaks[at] : 0;
+  });
+
+  const middle = rect.height / 2;
+  const step = rect.width / WAVE_BARS;
+
+  return (
+    <svg
+      width={rect.width}
+      height={rect.height}
+      style={{ position: 'absolute', left: rect.x, top: rect.y }}
+    >
+      {waveStyle === 'line'
+        ? levels.map((level, index) => {
+            const barHeight = Math.max(2, level * rect.height);
+            return (
+              <rect
+                key={index}
+                x={index * step + step * 0.2}
+                y={middle - barHeight / 2}
+                width={step * 0.6}
+                height={barHeight}
+                fill={color}
+              />
+            );
+          })
+        : (
+          <polygon
+            fill={color}
+            points={[
+              ...levels.map((level, index) => `${index * step + step / 2},${middle - Math.max(1, level * middle)}`),
+              ...levels.map((level, index) => `${index * step + step / 2},${middle + Math.max(1, level * middle)}`).reverse()
+            ].join(' ')}
+          />
+        )}
+    </svg>
+  );
+};
+
+/**
+ * Remotion composition: an audiogram of an audio file, with a background, a waveform and the captions
+ * @param {Object} props - Input props
+ * @param {string} props.audioSrc - URL of the audio
+ * @param {string} props.backgroundSrc - URL of the background image, if any
+ * @param {Array} props.captions - Remotion captions (milliseconds), see toRemotionCaptions()
+ * @param {Object} props.captionStyle - Caption style, see DEFAULT_CAPTION_STYLE
+ * @param {Object} props.audiogram - Background and waveform settings, see DEFAULT_AUDIOGRAM
+ * @param {Object} props.peaksData - Loudness of the audio, see computePeaks()
+ */
+const Audiogram = ({ audioSrc, backgroundSrc, captions = [], captionStyle, audiogram = DEFAULT_AUDIOGRAM, peaksData }) => {
+  const frame = useCurrentFrame();
+  const { fps } = useVideoConfig();
+  const time = frame / fps;
+
+  const cues = useMemo(() => captions.map(fromRemotionCaption), [captions]);
+  const style = useMemo(() => ({ ...DEFAULT_CAPTION_STYLE, ...captionStyle }), [captionStyle]);
+
+  // End-exclusive, like the export's caption spans, so back-to-back cues never overlap
+  const cue = cues.find(item => time >= item.start && time < item.end && item.text.trim());
+
+  return (
+    <AbsoluteFill style={{ backgroundColor: audiogram.backgroundColor }}>
+      {backgroundSrc && <Img src={backgroundSrc} style={{ width: '100%', height: '100%', objectFit: 'cover' }} />}
+      {audioSrc && <Audio src={audioSrc} />}
+      <Waveform peaksData={peaksData} time={time} color={audiogram.waveColor} waveStyle={audiogram.waveStyle} />
+      {cue && <CaptionBox cue={cue} time={time} style={style} />}
+    </AbsoluteFill>
+  );
+};
+
+export default Audiogram;
@@ -0,0 +1,120 @@
+import React from 'react';
+import { useVideoConfig } from 'remotion';
+import {
+  getDisplayLines,
+  getSecondaryText,
+  getHighlightedWordIndex,
+  getCaptionStrip,
+  getWordText,
+  getWordPaint,
+  getShownText,
+  hexToRgba
+} from '../utils/captionRenderer';
+import { getCaptionAnimationState } from '../utils/captionAnimation';
+
+/**
+ * The caption on screen at one frame, laid out like the burned-in export draws it
+ * Styles are inline and sized from the composition, so headless renders need no stylesheet
+ */
+const CaptionBox = ({ cue, time, style }) => {
+  const { width, height } = useVideoConfig();
+  const lines = getDisplayLines(cue, style);
+  const secondaryText = getSecondaryText(cue, style);
+  const strip = getCaptionStrip(style, width, height, lines.length, secondaryText ? 1 : 0);
+  const margin = Math.round(style.marginV * strip.scale);
+  const shadowOffset = style.shadow * strip.scale;
+  const shadow = shadowOffset > 0 ? `${shadowOffset}px ${shadowOffset}px 0 rgba(0, 0, 0, 0.5)` : 'none';
+  const highlightIndex = style.karaoke ? getHighlightedWordIndex(cue, time) : -1;
+  const animation = getCaptionAnimationState(cue, lines.flat(), time, style.animation);
+  const animate = (offsetY, scale) => `translateY(${offsetY * strip.fontSize}px) scale(${scale})`;
+
+  const placement = style.position === 'top'
+    ? { top: margin, transform: 'translateX(-50%)' }
+    : style.position === 'middle'
+      ? { top: '50%', transform: 'translate(-50%, -50%)' }
+      : { bottom: margin, transform: 'translateX(-50%)' };
+  placement.transform += ` ${animate(animation.offsetY, animation.scale)}`;
+
+  const outline = !style.showBackground && style.outlineWidth > 0
+    ? {
+        WebkitTextStroke: `${style.outlineWidth * strip.scale * 2}px ${style.outlineColor}`,
+        paintOrder: 'stroke fill'
+      }
+    : {};
+
+  // With a box the box casts the shadow, otherwise the text does
+  const shadowStyle = style.showBackground ? { boxShadow: shadow } : { textShadow: shadow };
+
+  // Bilingual mode: the second track in its own size and colour, above or below the cue's lines
+  const secondary = secondaryText && (
+    <div
+      style={{
+        fontSize: strip.secondaryFontSize,
+        lineHeight: `${strip.secondaryLineHeight}px`,
+        color: style.secondaryColor
+      }}
+    >
+      {secondaryText}
+    </div>
+  );
+
+  let wordIndex = 0;
+  return (
+    <div
+      style={{
+        position: 'absolute',
+        left: '50%',
+        ...placement,
+        boxSizing: 'border-box',
+        // Long lines wrap inside the max width, as the export wraps them
+        width: 'max-content',
+        maxWidth: width * style.maxWidth,
+        padding: strip.padding,
+        borderRadius: Math.round(12 * strip.scale),
+        background: style.showBackground ? hexToRgba(style.backgroundColor, style.backgroundOpacity) : 'transparent',
+        fontFamily: `${style.fontFamily}, sans-serif`,
+        fontSize: strip.fontSize,
+        fontWeight: style.fontWeight,
+        lineHeight: `${strip.lineHeight}px`,
+        textAlign: 'center',
+        opacity: animation.opacity,
+        ...shadowStyle,
+        ...outline
+      }}
+    >
+      {style.secondaryPosition === 'above' && secondary}
+      {lines.map((line, lineIndex) => (
+        <div key={lineIndex}>
+          {line.map((word, index) => {
+            const text = getWordText(word, style);
+            const wordState = animation.words[wordIndex];
+            // Typewriter words keep their full width while their characters appear
+            const shown = getShownText(word, text, wordState.reveal);
+            const { color, opacity } = getWordPaint(word, wordIndex, highlightIndex, style);
+            wordIndex++;
+
+            return (
+              <React.Fragment key={index}>
+                <span
+                  style={{
+                    display: 'inline-block',
+                    color,
+                    opacity: opacity * wordState.opacity,
+                    transform: animate(wordState.offsetY, wordState.scale)
+                  }}
+                >
+                  {shown}
+                  {shown.length < text.length && <span style={{ visibility: 'hidden' }}>{text.slice(shown.length)}</span>}
+                </span>
+                {index < line.length - 1 && ' '}
+              </React.Fragment>
+            );
+          })}
+        </div>
+      ))}
+      {style.secondaryPosition !== 'above' && secondary}
+    </div>
+  );
+};
+
+export default CaptionBox;
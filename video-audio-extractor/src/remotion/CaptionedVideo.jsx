@@ -0,0 +1,80 @@
+import React, { useMemo } from 'react';
+import { AbsoluteFill, OffthreadVideo, useCurrentFrame, useVideoConfig } from 'remotion';
+import { DEFAULT_CAPTION_STYLE } from '../utils/captionStyle';
+import { DEFAULT_REFRAME, getReframeLayout, getSafeAreaZones } from '../utils/reframe';
+import CaptionBox from './CaptionBox';
+import { fromRemotionCaption } from './captions';
+
+/**
+ * Shades the parts of the frame a platform covers with its own UI, to check caption placement
+ */
+const SafeAreaGuide = ({ safeArea }) => {
+  const { width, height } = useVideoConfig();
+  const zones = getSafeAreaZones(safeArea, width, height);
+
+  return zones.map((zone, index) => (
+    <div
+      key={index}
+      style={{
+        position: 'absolute',
+        left: zone.x,
+        top: zone.y,
+        width: zone.width,
+        height: zone.height,
+        boxSizing: 'border-box',
+        background: 'rgba(255, 23, 68, 0.25)',
+        border: `${Math.max(1, Math.round(height / 540))}px dashed rgba(255, 23, 68, 0.8)`
+      }}
+    />
+  ));
+};
+
+/**
+ * Remotion composition: the video with its captions drawn on top
+ * Captions are looked up from the current frame, so every frame shows exactly the
+ * caption and highlighted word for its timestamp, in the Player and in headless renders
+ * @param {Object} props - Input props
+ * @param {string} props.videoSrc - URL of the source video
+ * @param {Array} props.captions - Remotion captions (milliseconds), see toRemotionCaptions()
+ * @param {Object} props.captionStyle - Caption style, see DEFAULT_CAPTION_STYLE
+ * @param {number} props.width - Width of the source video
+ * @param {number} props.height - Height of the source video
+ * @param {Object} props.reframe - Target aspect ratio and crop/pad position, see DEFAULT_REFRAME
+ * @param {string} props.safeArea - Platform UI to shade for previews, see SAFE_AREA_OPTIONS
+ */
+const CaptionedVideo = ({ videoSrc, captions = [], captionStyle, width, height, reframe = DEFAULT_REFRAME, safeArea = 'none' }) => {
+  const frame = useCurrentFrame();
+  const { fps, width: frameWidth } = useVideoConfig();
+  const time = frame / fps;
+
+  const cues = useMemo(() => captions.map(fromRemotionCaption), [captions]);
+  const style = useMemo(() => ({ ...DEFAULT_CAPTION_STYLE, ...captionStyle }), [captionStyle]);
+
+  // End-exclusive, like the export's caption spans, so back-to-back cues never overlap
+  const cue = cues.find(item => time >= item.start && time < item.end && item.text.trim());
+
+  // Place the source as the export's crop or pad does; without its size, fit it into the frame
+  const videoStyle = useMemo(() => {
+    if (!width || !height) return { width: '100%', height: '100%', objectFit: 'contain' };
+
+    const layout = getReframeLayout({ width, height }, reframe);
+    const scale = frameWidth / layout.width;
+    return {
+      position: 'absolute',
+      left: layout.video.x * scale,
+      top: layout.video.y * scale,
+      width: layout.video.width * scale,
+      height: layout.video.height * scale
+    };
+  }, [width, height, reframe, frameWidth]);
+
+  return (
+    <AbsoluteFill style={{ backgroundColor: reframe.padColor || '#000' }}>
+      {videoSrc && <OffthreadVideo src={videoSrc} style={videoStyle} />}
+      {safeArea !== 'none' && <SafeAreaGuide safeArea={safeArea} />}
+      {cue && <CaptionBox cue={cue} time={time} style={style} />}
+    </AbsoluteFill>
+  );
+};
+
+export default CaptionedVideo;
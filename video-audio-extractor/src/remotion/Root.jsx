@@ -0,0 +1,81 @@
+import React from 'react';
+import { Composition } from 'remotion';
+import CaptionedVideo from './CaptionedVideo';
+import Audiogram from './Audiogram';
+import { CAPTION_FPS, getCaptionsDuration } from './captions';
+import { DEFAULT_CAPTION_STYLE } from '../utils/captionStyle';
+import { DEFAULT_REFRAME, getReframeLayout } from '../utils/reframe';
+import { DEFAULT_AUDIOGRAM, getAudiogramSize } from '../utils/audiogram';
+
+/**
+ * Size the composition from its input props: the video's width, height and duration
+ * (read by the caller), falling back to 1080p and the end of the last caption, and
+ * reframed to the chosen aspect ratio
+ */
+const calculateMetadata = ({ props }) => {
+  const duration = props.durationInSeconds || getCaptionsDuration(props.captions);
+  const layout = getReframeLayout({ width: props.width || 1920, height: props.height || 1080 }, props.reframe);
+
+  return {
+    durationInFrames: Math.max(1, Math.ceil(duration * CAPTION_FPS)),
+    width: layout.width,
+    height: layout.height
+  };
+};
+
+/**
+ * Audiograms take their size from their settings and their duration from the audio
+ */
+const calculateAudiogramMetadata = ({ props }) => {
+  const duration = props.durationInSeconds || getCaptionsDuration(props.captions);
+
+  return {
+    durationInFrames: Math.max(1, Math.ceil(duration * CAPTION_FPS)),
+    ...getAudiogramSize(props.audiogram)
+  };
+};
+
+/**
+ * Compositions available to the Remotion CLI and renderer
+ */
+export const RemotionRoot = () => (
+  <>
+    <Composition
+      id="CaptionedVideo"
+      component={CaptionedVideo}
+      fps={CAPTION_FPS}
+      durationInFrames={1}
+      width={1920}
+      height={1080}
+      defaultProps={{
+        videoSrc: '',
+        captions: [],
+        captionStyle: DEFAULT_CAPTION_STYLE,
+        durationInSeconds: 0,
+        width: 1920,
+        height: 1080,
+        reframe: DEFAULT_REFRAME,
+        safeArea: 'none'
+      }}
+      calculateMetadata={calculateMetadata}
+    />
+    <Composition
+      id="Audiogram"
+      component={Audiogram}
+      fps={CAPTION_FPS}
+      durationInFrames={1}
+      width={1080}
+      height={1080}
+      defaultProps={{
+        audioSrc: '',
+        backgroundSrc: '',
+        captions: [],
+        captionStyle: DEFAULT_CAPTION_STYLE,
+        audiogram: DEFAULT_AUDIOGRAM,
+        peaksData: null,
+        durationInSeconds: 0
+      }}
+      calculateMetadata={calculateAudiogramMetadata}
+    />
+  </>
+);
@@ -0,0 +1,52 @@
+// The Player previews at the same frame rate headless renders use
+export const CAPTION_FPS = 30;
+
+/**
+ * Convert editor cues (seconds) to the Remotion captions format the backend returns
+ * All times, including the per-word `words` timings, are in milliseconds
+ * @param {Array} cues - Caption cues with start, end, text, lines and words
+ * @returns {Array} - Caption objects for the CaptionedVideo composition, keeping emphasis marks, emoji and text tracks
+ */
+export const toRemotionCaptions = (cues) => (cues || []).map((cue, index) => ({
+  id: index + 1,
+  startTime: Math.round(cue.start * 1000),
+  endTime: Math.round(cue.end * 1000),
+  text: cue.text,
+  // Keeps the line breaks chosen by the segmentation or the editor
+  lines: cue.lines || cue.text.split('\n'),
+  duration: Math.round((cue.end - cue.start) * 1000),
+  words: (cue.words || []).map(word => ({
+    word: word.word,
+    start: Math.round(word.start * 1000),
+    end: Math.round(word.end * 1000),
+    ...(word.emphasis ? { emphasis: true } : {})
+  })),
+  ...(cue.emoji ? { emoji: cue.emoji } : {}),
+  ...(cue.tracks ? { tracks: cue.tracks } : {})
+}));
+
+/**
+ * Convert a Remotion caption (milliseconds) back to a cue in seconds for the caption renderer
+ * @param {Object} caption - Caption object from toRemotionCaptions() or the API
+ * @returns {Object} - Cue with start, end, text, lines and words in seconds
+ */
+export const fromRemotionCaption = (caption) => ({
+  start: caption.startTime / 1000,
+  end: caption.endTime / 1000,
+  text: caption.text,
+  lines: caption.lines || caption.text.split('\n'),
+  words: (caption.words || []).map(word => ({
+    word: word.word,
+    start: word.start / 1000,
+    end: word.end / 1000,
+    emphasis: Boolean(word.emphasis)
+  })),
+  emoji: caption.emoji,
+  tracks: caption.tracks
+});
+
+/**
+ * Length of a caption track in seconds, used when no video duration is known
+ */
+export const getCaptionsDuration = (captions) =>
+  (captions || []).reduce((latest, caption) => Math.max(latest, caption.endTime / 1000), 0);
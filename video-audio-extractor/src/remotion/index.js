@@ -0,0 +1,6 @@
+// Entry point for headless rendering with the Remotion CLI, e.g.
+// npx remotion render src/remotion/index.js CaptionedVideo out.mp4 --props=props.json
+import { registerRoot } from 'remotion';
+import { RemotionRoot } from './Root';
+
+registerRoot(RemotionRoot);
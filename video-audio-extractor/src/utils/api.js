@@ -0,0 +1,24 @@
+// Backend API URL
+export const API_BASE_URL = 'http://localhost:3001/api';
+
+/**
+ * Call a JSON route of the backend
+ * @param {string} path - Route below the API URL, e.g. /projects
+ * @param {Object} options - fetch() options; a `json` value is sent as the JSON body
+ * @returns {Promise<Object>} - The response body; failed requests throw the backend's error message, with its `status`
+ */
+export const fetchJson = async (path, { json, ...options } = {}) => {
+  const response = await fetch(`${API_BASE_URL}${path}`, json === undefined ? options : {
+    ...options,
+    headers: { 'Content-Type': 'application/json', ...options.headers },
+    body: JSON.stringify(json),
+  });
+  const result = await response.json().catch(() => ({}));
+
+  if (!response.ok || result.error) {
+    const error = new Error(result.message || `HTTP error! status: ${response.status}`);
+    error.status = response.status;
+    throw error;
+  }
+  return result;
+};
@@ -0,0 +1,54 @@
+// Audiogram: a video made from an audio file, with a background, a waveform and the captions
+// Shared by the preview composition and the ffmpeg.wasm export so both lay it out the same way
+
+export const AUDIOGRAM_SIZE_OPTIONS = [
+  { value: '1:1', label: '1:1 (1080×1080)', width: 1080, height: 1080 },
+  { value: '9:16', label: '9:16 (1080×1920)', width: 1080, height: 1920 },
+  { value: '4:5', label: '4:5 (1080×1350)', width: 1080, height: 1350 },
+  { value: '16:9', label: '16:9 (1920×1080)', width: 1920, height: 1080 }
+];
+
+// Drawing modes of ffmpeg's showwaves filter
+export const WAVE_STYLE_OPTIONS = [
+  { value: 'cline', label: 'Centered' },
+  { value: 'line', label: 'Bars' }
+];
+
+export const DEFAULT_AUDIOGRAM = {
+  size: '1:1',
+  backgroundColor: '#1A1A2E',
+  backgroundImage: null, // File; covers the frame like CSS object-fit: cover
+  waveColor: '#667EEA',
+  waveStyle: 'cline'
+};
+
+// The waveform is a band across the middle of the frame, clear of bottom or top captions
+const WAVE_WIDTH = 0.8;
+const WAVE_HEIGHT = 0.22;
+const WAVE_CENTER_Y = 0.45;
+
+const even = (value) => Math.round(value / 2) * 2;
+
+/**
+ * Frame size of an audiogram
+ * @returns {Object} - { width, height }
+ */
+export const getAudiogramSize = (settings = DEFAULT_AUDIOGRAM) => {
+  const option = AUDIOGRAM_SIZE_OPTIONS.find(item => item.value === settings.size) || AUDIOGRAM_SIZE_OPTIONS[0];
+  return { width: option.width, height: option.height };
+};
+
+/**
+ * Where the waveform is drawn in a frame
+ * @returns {Object} - { x, y, width, height } in pixels, even so ffmpeg can encode it
+ */
+export const getWaveformRect = (width, height) => {
+  const waveWidth = even(width * WAVE_WIDTH);
+  const waveHeight = even(height * WAVE_HEIGHT);
+  return {
+    x: even((width - waveWidth) / 2),
+    y: even(height * WAVE_CENTER_Y - waveHeight / 2),
+    width: waveWidth,
+    height: waveHeight
+  };
+};
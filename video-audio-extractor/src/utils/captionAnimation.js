@@ -0,0 +1,133 @@
+// Caption animation presets
+// Every animation is a pure function of the cue and word timestamps, so the Remotion player
+// and the burned-in export show the same thing at the same time
+export const ANIMATION_OPTIONS = [
+  { value: 'none', label: 'None' },
+  { value: 'pop', label: 'Pop' },
+  { value: 'bounce', label: 'Bounce' },
+  { value: 'typewriter', label: 'Typewriter' },
+  { value: 'fade', label: 'Fade' },
+  { value: 'slide-up', label: 'Slide up' },
+  { value: 'word-reveal', label: 'Word by word' }
+];
+
+// The export samples animated moments at this rate
+export const ANIMATION_FPS = 30;
+
+// Durations in seconds
+const CUE_IN = 0.25;
+const CUE_OUT = 0.2;
+const WORD_IN = 0.18;
+const WORD_HOP = 0.3;
+const SECONDS_PER_CHARACTER = 0.06;
+
+const clamp01 = (value) => Math.min(Math.max(value, 0), 1);
+const easeOutCubic = (t) => 1 - (1 - t) ** 3;
+// Overshoots slightly before settling, for the pop
+const easeOutBack = (t) => 1 + 2.70158 * (t - 1) ** 3 + 1.70158 * (t - 1) ** 2;
+
+// The first word shows from the cue start, as the karaoke highlight does
+const wordStart = (cue, words, index) => (index === 0 ? Math.min(cue.start, words[0].start) : words[index].start);
+
+// Typing speed follows the word's own duration, capped so long pauses don't slow it down
+const typingDuration = (word) =>
+  Math.max(Math.min(word.end - word.start, word.word.length * SECONDS_PER_CHARACTER), 0.001);
+
+/**
+ * How a cue looks at a moment under an animation preset
+ * @param {Object} cue - Cue being shown (seconds)
+ * @param {Array} words - The cue's displayed words in reading order
+ * @param {number} time - Time in seconds
+ * @param {string} animation - Preset, see ANIMATION_OPTIONS
+ * @returns {Object} - { opacity, scale, offsetY, words } for the caption box, with words[i] as
+ *   { opacity, scale, offsetY, reveal }; offsets are in font sizes (down is positive) and reveal is
+ *   the fraction of the word's characters shown
+ */
+export const getCaptionAnimationState = (cue, words, time, animation) => {
+  const state = { opacity: 1, scale: 1, offsetY: 0 };
+  const wordStates = words.map(() => ({ opacity: 1, scale: 1, offsetY: 0, reveal: 1 }));
+  const sinceStart = time - cue.start;
+  // Progress of each word's own animation, 0 before it starts
+  const wordProgress = (index, length) => (time - wordStart(cue, words, index)) / length;
+
+  switch (animation) {
+    case 'fade':
+      state.opacity = Math.min(clamp01(sinceStart / CUE_IN), clamp01((cue.end - time) / CUE_OUT));
+      break;
+
+    case 'pop': {
+      const progress = clamp01(sinceStart / CUE_IN);
+      state.scale = 0.6 + 0.4 * easeOutBack(progress);
+      state.opacity = clamp01(progress * 3);
+      // Each word swells briefly as it is spoken
+      wordStates.forEach((word, index) => {
+        const wordIn = wordProgress(index, WORD_IN);
+        if (wordIn >= 0 && wordIn < 1) word.scale = 1 + 0.15 * Math.sin(Math.PI * wordIn);
+      });
+      break;
+    }
+
+    case 'bounce':
+      state.opacity = clamp01(sinceStart / 0.1);
+      // Each word hops up as it is spoken
+      wordStates.forEach((word, index) => {
+        const hop = wordProgress(index, WORD_HOP);
+        if (hop >= 0 && hop < 1) word.offsetY = -0.3 * Math.sin(Math.PI * hop);
+      });
+      break;
+
+    case 'typewriter':
+      wordStates.forEach((word, index) => {
+        word.reveal = clamp01(wordProgress(index, typingDuration(words[index])));
+      });
+      break;
+
+    case 'slide-up': {
+      const progress = easeOutCubic(clamp01(sinceStart / 0.3));
+      state.offsetY = 0.6 * (1 - progress);
+      state.opacity = progress;
+      break;
+    }
+
+    case 'word-reveal':
+      wordStates.forEach((word, index) => {
+        const wordIn = clamp01(wordProgress(index, WORD_IN));
+        word.opacity = wordIn;
+        word.offsetY = 0.2 * (1 - easeOutCubic(wordIn));
+      });
+      break;
+
+    default:
+      break;
+  }
+
+  return { ...state, words: wordStates };
+};
+
+/**
+ * Time ranges in which a cue's animation is moving, which the export renders frame by frame
+ * Outside them the caption only changes at word boundaries
+ * @param {Object} cue - Cue (seconds)
+ * @param {string} animation - Preset, see ANIMATION_OPTIONS
+ * @returns {Array} - [from, to] ranges in seconds, within the cue
+ */
+export const getAnimationWindows = (cue, animation) => {
+  const words = cue.words?.length > 0 ? cue.words : [{ word: cue.text, start: cue.start, end: cue.end }];
+  const perWord = (length) => words.map((word, index) => {
+    const start = wordStart(cue, words, index);
+    return [start, start + (typeof length === 'function' ? length(word) : length)];
+  });
+
+  const windows = {
+    fade: () => [[cue.start, cue.start + CUE_IN], [cue.end - CUE_OUT, cue.end]],
+    pop: () => [[cue.start, cue.start + CUE_IN], ...perWord(WORD_IN)],
+    bounce: () => [[cue.start, cue.start + 0.1], ...perWord(WORD_HOP)],
+    typewriter: () => perWord(typingDuration),
+    'slide-up': () => [[cue.start, cue.start + 0.3]],
+    'word-reveal': () => perWord(WORD_IN)
+  }[animation];
+
+  return (windows ? windows() : [])
+    .map(([from, to]) => [Math.max(from, cue.start), Math.min(to, cue.end)])
+    .filter(([from, to]) => to > from);
+};
@@ -0,0 +1,306 @@
+// Pure edit operations on caption cues ({ start, end, text, lines, words }, times in seconds)
+// Every operation returns a new array so edits can be undone by keeping the previous one
+
+// Shortest cue the editor creates when inserting or splitting
+const MIN_CUE_DURATION = 0.2;
+
+const roundTime = (seconds) => Math.round(seconds * 1000) / 1000;
+
+const tokenize = (text) => text.split(/\s+/).filter(Boolean);
+
+/**
+ * Rebuild a cue's lines and word timings after its text or times changed
+ * Words that are unchanged at the start and end of the cue keep their timings, and when the
+ * word count still matches (a typo fix) every timing is kept; new words are spread over the
+ * remaining time in proportion to their length
+ */
+export const rebuildCue = (cue, previousWords = cue.words || []) => {
+  const text = cue.text.replace(/\r/g, '');
+  const tokens = tokenize(text);
+  const lines = text.split('\n').map(line => line.trim()).filter(Boolean);
+
+  if (tokens.length === previousWords.length) {
+    const words = tokens.map((word, index) => ({ ...previousWords[index], word }));
+    return { ...cue, text, lines, words };
+  }
+
+  let prefix = 0;
+  while (prefix < tokens.length && prefix < previousWords.length && tokens[prefix] === previousWords[prefix].word) {
+    prefix++;
+  }
+  let suffix = 0;
+  while (
+    suffix < tokens.length - prefix &&
+    suffix < previousWords.length - prefix &&
+    tokens[tokens.length - 1 - suffix] === previousWords[previousWords.length - 1 - suffix].word
+  ) {
+    suffix++;
+  }
+
+  const changed = tokens.slice(prefix, tokens.length - suffix);
+  const gapStart = prefix > 0 ? previousWords[prefix - 1].end : cue.start;
+  const gapEnd = suffix > 0 ? previousWords[previousWords.length - suffix].start : cue.end;
+  const totalChars = changed.reduce((sum, word) => sum + word.length, 0) || 1;
+  let cursor = gapStart;
+
+  const words = [
+    ...previousWords.slice(0, prefix),
+    ...changed.map(word => {
+      const start = cursor;
+      cursor += (word.length / totalChars) * Math.max(0, gapEnd - gapStart);
+      return { word, start: roundTime(start), end: roundTime(cursor) };
+    }),
+    ...previousWords.slice(previousWords.length - suffix)
+  ];
+
+  return { ...cue, text, lines, words };
+};
+
+export const updateCueText = (cues, index, text) =>
+  cues.map((cue, i) => (i === index ? rebuildCue({ ...cue, text }) : cue));
+
+/**
+ * Change a cue's start and/or end time; word timings are stretched to the new range
+ */
+export const updateCueTiming = (cues, index, { start, end }) =>
+  cues.map((cue, i) => {
+    if (i !== index) return cue;
+
+    const nextStart = roundTime(start ?? cue.start);
+    const nextEnd = roundTime(end ?? cue.end);
+    const oldDuration = cue.end - cue.start || 1;
+    const scale = (nextEnd - nextStart) / oldDuration;
+    const moveTime = (time) => roundTime(nextStart + (time - cue.start) * scale);
+
+    return {
+      ...cue,
+      start: nextStart,
+      end: nextEnd,
+      words: (cue.words || []).map(word => ({ ...word, start: moveTime(word.start), end: moveTime(word.end) }))
+    };
+  });
+
+/**
+ * Split a cue in two at a character offset in its text
+ * The cut time is the start of the first word after the cursor
+ */
+export const splitCue = (cues, index, cursor) => {
+  const cue = cues[index];
+  const head = cue.text.slice(0, cursor).trim();
+  const tail = cue.text.slice(cursor).trim();
+  if (!head || !tail) return cues;
+
+  const headCount = tokenize(head).length;
+  const words = cue.words || [];
+  const splitTime = words.length === tokenize(cue.text).length && words[headCount]
+    ? words[headCount].start
+    : cue.start + (cue.end - cue.start) * (head.length / (head.length + tail.length));
+  const time = roundTime(Math.min(Math.max(splitTime, cue.start + MIN_CUE_DURATION), cue.end - MIN_CUE_DURATION));
+
+  const [headTracks, tailTracks] = splitTracks(cue.tracks, head.length / (head.length + tail.length));
+  const first = rebuildCue(withTracks({ ...cue, text: head, end: time }, headTracks), words.slice(0, headCount));
+  const second = rebuildCue(withTracks({ ...cue, text: tail, start: time }, tailTracks), words.slice(headCount));
+
+  return [...cues.slice(0, index), first, second, ...cues.slice(index + 1)];
+};
+
+/**
+ * Merge a cue with the one after it
+ */
+export const mergeWithNext = (cues, index) => {
+  const cue = cues[index];
+  const next = cues[index + 1];
+  if (!next) return cues;
+
+  // Keep the merged cue on two lines: one per original cue
+  const text = [cue.text, next.text].map(part => part.replace(/\s*\n\s*/g, ' ').trim()).join('\n');
+  const merged = rebuildCue(
+    withTracks(
+      { ...cue, text, start: Math.min(cue.start, next.start), end: Math.max(cue.end, next.end) },
+      joinTracks(cue.tracks, next.tracks)
+    ),
+    [...(cue.words || []), ...(next.words || [])]
+  );
+
+  return [...cues.slice(0, index), merged, ...cues.slice(index + 2)];
+};
+
+// Split each second track at the word nearest the share of the cue's text that goes first
+const splitTracks = (tracks = {}, share) => {
+  const head = {};
+  const tail = {};
+  Object.entries(tracks).forEach(([id, text]) => {
+    const words = tokenize(text);
+    const count = Math.round(words.length * share);
+    if (count > 0) head[id] = words.slice(0, count).join(' ');
+    if (count < words.length) tail[id] = words.slice(count).join(' ');
+  });
+  return [head, tail];
+};
+
+const joinTracks = (first = {}, second = {}) =>
+  Object.fromEntries([...new Set([...Object.keys(first), ...Object.keys(second)])]
+    .map(id => [id, [first[id], second[id]].filter(Boolean).join(' ')]));
+
+// Cues without any second track carry no `tracks` field, as the backend returns them
+const withTracks = (cue, tracks) => {
+  const next = { ...cue, tracks };
+  if (Object.keys(tracks).length === 0) delete next.tracks;
+  return next;
+};
+
+/**
+ * Set the text of one second track of a cue (e.g. its translation); an empty text removes it
+ */
+export const updateCueTrack = (cues, index, trackId, text) =>
+  cues.map((cue, i) => {
+    if (i !== index) return cue;
+    const tracks = { ...cue.tracks, [trackId]: text };
+    if (!text.trim()) delete tracks[trackId];
+    return withTracks(cue, tracks);
+  });
+
+/**
+ * Names of the second tracks present in any cue
+ * @returns {Array<string>} - Track ids, e.g. ['en']
+ */
+export const listCaptionTracks = (cues) =>
+  [...new Set(cues.flatMap(cue => Object.keys(cue.tracks || {})))];
+
+/**
+ * Insert an empty cue after the given index (or at the start when index is -1),
+ * filling the gap before the next cue
+ */
+export const insertCueAfter = (cues, index) => {
+  const previous = cues[index];
+  const next = cues[index + 1];
+  const start = previous ? previous.end : 0;
+  const gapEnd = next ? next.start : start + 2;
+  const end = Math.max(start + MIN_CUE_DURATION, Math.min(start + 2, gapEnd));
+
+  const cue = { start: roundTime(start), end: roundTime(end), text: '', lines: [], words: [] };
+  return [...cues.slice(0, index + 1), cue, ...cues.slice(index + 1)];
+};
+
+/**
+ * New start/end for a cue being dragged on the timeline
+ * Edges snap to the neighbouring cues and to any extra snap targets (e.g. the playhead),
+ * and a dragged cue never crosses into its neighbours
+ * @param {Array} cues - All cues
+ * @param {number} index - Cue being dragged
+ * @param {Object} drag - { mode: 'move' | 'start' | 'end', start, end } with the times when the drag began
+ * @param {number} delta - Seconds the pointer has moved
+ * @param {Object} options - { snapDistance (seconds), snapTargets (seconds), maxTime }
+ * @returns {Object} - { start, end }
+ */
+export const dragCueTiming = (cues, index, drag, delta, { snapDistance = 0, snapTargets = [], maxTime = Infinity } = {}) => {
+  const previous = cues[index - 1];
+  const next = cues[index + 1];
+  // Cues that already overlap a neighbour may stay where they are, but not move further in
+  const lower = Math.max(0, Math.min(previous ? previous.end : 0, drag.start));
+  const upper = Math.max(Math.min(next ? next.start : maxTime, maxTime), drag.end);
+
+  const snap = (time, targets) => {
+    const nearest = targets.reduce((best, target) =>
+      Math.abs(target - time) < Math.abs(best - time) ? target : best, Infinity);
+    return Math.abs(nearest - time) <= snapDistance ? nearest : time;
+  };
+
+  if (drag.mode === 'start') {
+    const start = snap(drag.start + delta, [lower, ...snapTargets]);
+    return { start: Math.min(Math.max(start, lower), drag.end - MIN_CUE_DURATION), end: drag.end };
+  }
+  if (drag.mode === 'end') {
+    const end = snap(drag.end + delta, [upper, ...snapTargets]);
+    return { start: drag.start, end: Math.max(Math.min(end, upper), drag.start + MIN_CUE_DURATION) };
+  }
+
+  // Move: snap whichever edge is closer to a target, keeping the duration
+  const duration = drag.end - drag.start;
+  let start = drag.start + delta;
+  const snappedStart = snap(start, [lower, ...snapTargets]);
+  const snappedEnd = snap(start + duration, [upper, ...snapTargets]);
+  if (snappedStart !== start) start = snappedStart;
+  else if (snappedEnd !== start + duration) start = snappedEnd - duration;
+
+  start = Math.min(Math.max(start, lower), upper - duration);
+  return { start, end: start + duration };
+};
+
+export const deleteCue = (cues, index) => cues.filter((_, i) => i !== index);
+
+/**
+ * Turn the emphasis mark of one word on or off
+ */
+export const toggleWordEmphasis = (cues, index, wordIndex) =>
+  cues.map((cue, i) => (i === index
+    ? { ...cue, words: (cue.words || []).map((word, w) => (w === wordIndex ? { ...word, emphasis: !word.emphasis } : word)) }
+    : cue));
+
+/**
+ * Set the emoji shown with a cue; an empty value removes it
+ */
+export const setCueEmoji = (cues, index, emoji) =>
+  cues.map((cue, i) => {
+    if (i !== index) return cue;
+    const next = { ...cue, emoji: emoji.trim() };
+    if (!next.emoji) delete next.emoji;
+    return next;
+  });
+
+/**
+ * Remove every emphasis mark and emoji
+ */
+export const clearKeywordMarks = (cues) =>
+  cues.map(cue => {
+    const next = { ...cue, words: (cue.words || []).map(word => ({ ...word, emphasis: false })) };
+    delete next.emoji;
+    return next;
+  });
+
+/**
+ * Whether the captions are mostly written in Devanagari or in Latin letters
+ * @returns {string} - 'devanagari' or 'roman'
+ */
+export const getCaptionScript = (cues) => {
+  const text = cues.map(cue => cue.text).join(' ');
+  const devanagari = (text.match(/[\u0900-\u097F]/g) || []).length;
+  const roman = (text.match(/[a-z]/gi) || []).length;
+  return devanagari > roman ? 'devanagari' : 'roman';
+};
+
+/**
+ * Timing problems worth flagging in the editor
+ * @returns {string|null} - Problem description, or null if the cue is fine
+ */
+export const getCueTimingIssue = (cues, index) => {
+  const cue = cues[index];
+  const next = cues[index + 1];
+
+  if (!(cue.end > cue.start)) return 'Ends before it starts';
+  if (next && cue.end > next.start) return 'Overlaps the next caption';
+  if (!cue.text.trim()) return 'Empty caption';
+  return null;
+};
+
+/**
+ * Format seconds as m:ss.mmm for the time inputs
+ */
+export const formatCueTime = (seconds) => {
+  const totalMs = Math.max(0, Math.round(seconds * 1000));
+  const minutes = Math.floor(totalMs / 60000);
+  const secs = Math.floor((totalMs % 60000) / 1000);
+  return `${minutes}:${secs.toString().padStart(2, '0')}.${(totalMs % 1000).toString().padStart(3, '0')}`;
+};
+
+/**
+ * Parse h:mm:ss.mmm, m:ss.mmm or plain seconds (a comma also works as decimal separator)
+ * @returns {number|null} - Seconds, or null if the value can't be read
+ */
+export const parseCueTime = (value) => {
+  const parts = String(value).trim().replace(',', '.').split(':');
+  if (parts.length > 3 || parts.some(part => part === '' || isNaN(Number(part)))) return null;
+
+  const seconds = parts.reduce((total, part) => total * 60 + Number(part), 0);
+  return seconds >= 0 ? roundTime(seconds) : null;
+};
@@ -0,0 +1,132 @@
+import { DEFAULT_CAPTION_STYLE, normalizeCaptionStyle } from './captionStyle';
+
+const STORAGE_KEY = 'captionStylePresets';
+const PRESET_FILE_VERSION = 1;
+const MAX_NAME_LENGTH = 60;
+
+// Starting points that ship with the app; they can't be overwritten or deleted
+export const BUILT_IN_PRESETS = [
+  { name: 'Classic', style: DEFAULT_CAPTION_STYLE },
+  {
+    name: 'Bold Pop',
+    style: {
+      ...DEFAULT_CAPTION_STYLE,
+      fontSize: 76,
+      fontWeight: 900,
+      highlightColor: '#39FF14',
+      outlineWidth: 6,
+      shadow: 3,
+      showBackground: false,
+      position: 'middle',
+      maxWidth: 0.8,
+      uppercase: true,
+      animation: 'pop'
+    }
+  },
+  {
+    name: 'Clean Minimal',
+    style: {
+      ...DEFAULT_CAPTION_STYLE,
+      fontSize: 46,
+      fontWeight: 500,
+      outlineWidth: 2,
+      shadow: 0,
+      showBackground: false,
+      marginV: 60,
+      karaoke: false,
+      animation: 'fade'
+    }
+  },
+  {
+    name: 'Highlighter',
+    style: {
+      ...DEFAULT_CAPTION_STYLE,
+      fontWeight: 800,
+      highlightColor: '#FF4D8D',
+      backgroundColor: '#111111',
+      backgroundOpacity: 0.6,
+      marginV: 160,
+      maxWidth: 0.7,
+      animation: 'word-reveal'
+    }
+  }
+].map(preset => ({ ...preset, builtIn: true }));
+
+const cleanName = (name, fallback) => String(name || '').trim().slice(0, MAX_NAME_LENGTH) || fallback;
+
+/**
+ * Presets the user saved in this browser
+ * @returns {Array} - { name, style } presets
+ */
+export const loadSavedPresets = () => {
+  try {
+    const saved = JSON.parse(localStorage.getItem(STORAGE_KEY) || '[]');
+    return Array.isArray(saved)
+      ? saved
+        .filter(preset => preset && typeof preset.style === 'object')
+        .map(preset => ({ name: cleanName(preset.name, 'Untitled'), style: normalizeCaptionStyle(preset.style) }))
+      : [];
+  } catch (error) {
+    console.warn('Could not read saved caption presets:', error);
+    return [];
+  }
+};
+
+export const storeSavedPresets = (presets) => {
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(presets.map(({ name, style }) => ({ name, style }))));
+};
+
+/**
+ * Add a preset, replacing any saved preset with the same name
+ * @returns {Array} - The new list of saved presets
+ */
+export const upsertPreset = (presets, preset) => {
+  const name = cleanName(preset.name, 'Untitled');
+  const next = { name, style: normalizeCaptionStyle(preset.style) };
+  const index = presets.findIndex(item => item.name.toLowerCase() === name.toLowerCase());
+  return index === -1 ? [...presets, next] : presets.map((item, i) => (i === index ? next : item));
+};
+
+/**
+ * Serialize presets as a JSON file the rest of the team can import
+ */
+export const serializePresets = (presets) => JSON.stringify({
+  version: PRESET_FILE_VERSION,
+  presets: presets.map(({ name, style }) => ({ name, style }))
+}, null, 2);
+
+/**
+ * Read presets from a JSON file
+ * Accepts an exported preset file, a list of { name, style } presets, one preset or a bare style object
+ * @param {string} text - File content
+ * @param {string} fallbackName - Name for presets without one (e.g. the file name)
+ * @returns {Array} - { name, style } presets with normalized styles
+ */
+export const parsePresetFile = (text, fallbackName = 'Imported style') => {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    throw new Error('The file is not valid JSON');
+  }
+
+  const items = Array.isArray(data?.presets)
+    ? data.presets
+    : Array.isArray(data)
+      ? data
+      : data && typeof data.style === 'object'
+        ? [data]
+        : [{ name: fallbackName, style: data }];
+
+  const presets = items
+    .filter(item => item && item.style && typeof item.style === 'object' && !Array.isArray(item.style))
+    .map((item, index) => ({
+      name: cleanName(item.name, items.length > 1 ? `${fallbackName} ${index + 1}` : fallbackName),
+      style: normalizeCaptionStyle(item.style)
+    }));
+
+  if (presets.length === 0) {
+    throw new Error('No caption styles found in the file');
+  }
+  return presets;
+};
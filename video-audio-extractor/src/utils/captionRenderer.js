@@ -0,0 +1,400 @@
+import { DEFAULT_CAPTION_STYLE } from './captionStyle';
+import { ANIMATION_FPS, getAnimationWindows, getCaptionAnimationState } from './captionAnimation';
+
+// Caption style sizes are designed for a 1080p frame
+const REFERENCE_HEIGHT = 1080;
+
+// Words that haven't been spoken yet are dimmed, in the player and the export alike
+export const UNHIGHLIGHTED_OPACITY = 0.7;
+
+/**
+ * Split a cue's words into the lines chosen by the segmentation (or the editor)
+ * @param {Object} cue - Cue with text, optional lines and words
+ * @returns {Array<Array>} - Words per line
+ */
+export const getCueLines = (cue) => {
+  const words = cue.words || [];
+  const lines = cue.lines || [cue.text];
+  let cursor = 0;
+
+  return lines.map(line => {
+    const count = line.split(/\s+/).filter(Boolean).length;
+    const lineWords = words.length > 0
+      ? words.slice(cursor, cursor + count)
+      // Cues without word timings still render their text
+      : line.split(/\s+/).filter(Boolean).map(word => ({ word, start: cue.start, end: cue.end }));
+    cursor += count;
+    return lineWords;
+  });
+};
+
+/**
+ * A cue's lines as displayed: its non-empty lines, with the cue's emoji after the last word
+ * @param {Object} cue - Cue with text, optional lines, words and emoji
+ * @param {Object} style - Caption style; showEmoji turns the emoji off
+ * @returns {Array<Array>} - Words per line; the emoji is a word with `emoji: true`
+ */
+export const getDisplayLines = (cue, style) => {
+  const lines = getCueLines(cue).filter(line => line.length > 0);
+  if (style.showEmoji && cue.emoji && lines.length > 0) {
+    lines[lines.length - 1] = [...lines[lines.length - 1], { word: cue.emoji, start: cue.start, end: cue.end, emoji: true }];
+  }
+  return lines;
+};
+
+/**
+ * Text of the second track shown with a cue in bilingual mode, on one line
+ * @param {Object} cue - Cue with optional `tracks`
+ * @param {Object} style - Caption style; secondaryTrack names the track to show
+ * @returns {string} - The track's text, or '' when the style shows no second track or the cue lacks it
+ */
+export const getSecondaryText = (cue, style) => {
+  const text = style.secondaryTrack && cue.tracks ? cue.tracks[style.secondaryTrack] : '';
+  const single = String(text || '').replace(/\s+/g, ' ').trim();
+  return style.uppercase ? single.toUpperCase() : single;
+};
+
+/**
+ * Colour and opacity of a displayed word
+ * Words marked for emphasis keep the emphasis colour, the rest follow the karaoke highlight,
+ * and the emoji is never dimmed
+ * @returns {Object} - { color, opacity }
+ */
+export const getWordPaint = (word, wordIndex, highlightIndex, style) => {
+  if (word.emoji) return { color: style.textColor, opacity: 1 };
+
+  const isSpoken = highlightIndex >= 0 && wordIndex <= highlightIndex;
+  const color = word.emphasis && style.showEmphasis
+    ? style.emphasisColor
+    : isSpoken ? style.highlightColor : style.textColor;
+  return { color, opacity: highlightIndex >= 0 && !isSpoken ? UNHIGHLIGHTED_OPACITY : 1 };
+};
+
+/**
+ * The part of a word shown partway through a typewriter reveal; an emoji appears whole
+ */
+export const getShownText = (word, text, reveal) => {
+  if (reveal >= 1) return text;
+  if (word.emoji) return reveal > 0 ? text : '';
+  const characters = [...text];
+  return characters.slice(0, Math.ceil(characters.length * reveal)).join('');
+};
+
+/**
+ * Index of the word being spoken at a time; like the player, the first word is lit from the cue start
+ */
+export const getHighlightedWordIndex = (cue, time) =>
+  Math.max((cue.words || []).findLastIndex(word => time >= word.start), 0);
+
+/**
+ * Cut the timeline into spans where the rendered caption doesn't change:
+ * one span per highlighted word while a cue is on screen, one per frame while it animates,
+ * and empty spans in between
+ * @param {Array} cues - Caption cues (seconds)
+ * @param {Object} options - { karaoke, duration, animation, fps }
+ * @returns {Array} - Spans of { start, end, cue, highlightIndex } where cue is null for gaps;
+ *   each span looks like the caption at its start
+ */
+export const buildCaptionSpans = (cues, { karaoke = true, duration = 0, animation = 'none', fps = ANIMATION_FPS } = {}) => {
+  const spans = [];
+  let cursor = 0;
+
+  [...cues]
+    .filter(cue => cue.text.trim() && cue.end > cue.start)
+    .sort((a, b) => a.start - b.start)
+    .forEach(cue => {
+      const start = Math.max(cue.start, cursor);
+      if (start >= cue.end) return;
+      if (start > cursor) spans.push({ start: cursor, end: start, cue: null, highlightIndex: -1 });
+
+      const wordBoundaries = karaoke ? (cue.words || []).slice(1).map(word => word.start) : [];
+      const frameBoundaries = getAnimationWindows(cue, animation).flatMap(([from, to]) => {
+        const times = [];
+        for (let time = from; time < to; time += 1 / fps) times.push(time);
+        return [...times, to];
+      });
+      const boundaries = [...new Set([...wordBoundaries, ...frameBoundaries])]
+        .filter(time => time > start && time < cue.end)
+        .sort((a, b) => a - b);
+
+      [start, ...boundaries].forEach((spanStart, index, starts) => {
+        const spanEnd = index + 1 < starts.length ? starts[index + 1] : cue.end;
+        spans.push({
+          start: spanStart,
+          end: spanEnd,
+          cue,
+          highlightIndex: karaoke ? getHighlightedWordIndex(cue, spanStart) : -1
+        });
+      });
+      cursor = cue.end;
+    });
+
+  // Clear the caption until the end of the video
+  if (duration > cursor) spans.push({ start: cursor, end: duration, cue: null, highlightIndex: -1 });
+
+  // Words that start together leave zero-length spans behind
+  return spans.filter(span => span.end - span.start >= 0.001);
+};
+
+/**
+ * Size and position of the horizontal strip captions are drawn in
+ * Rendering only this strip keeps the overlay images small. Animated styles get some
+ * room above and below the caption area to move and grow into
+ * @param {number} secondaryLines - Lines of the second track (bilingual mode) to make room for
+ * @returns {Object} - { y, height, areaY, areaHeight, scale, fontSize, lineHeight, padding,
+ *   secondaryFontSize, secondaryLineHeight } where areaY is the top of the caption area within the strip
+ */
+export const getCaptionStrip = (style, width, height, maxLines = 2, secondaryLines = 0) => {
+  const resolved = { ...DEFAULT_CAPTION_STYLE, ...style };
+  const scale = height / REFERENCE_HEIGHT;
+  const fontSize = Math.round(resolved.fontSize * scale);
+  const lineHeight = Math.round(fontSize * 1.3);
+  const padding = Math.round(fontSize * 0.35);
+  const secondaryFontSize = Math.round(resolved.secondaryFontSize * scale);
+  const secondaryLineHeight = Math.round(secondaryFontSize * 1.3);
+  // Even heights keep yuv420p encoders happy
+  const areaHeight = Math.ceil((lineHeight * maxLines + secondaryLineHeight * secondaryLines + padding * 2) / 2) * 2;
+  const margin = Math.round(resolved.marginV * scale);
+  const headroom = resolved.animation && resolved.animation !== 'none' ? Math.round(lineHeight * 0.4) * 2 : 0;
+
+  const areaY = Math.max(0, Math.min(resolved.position === 'top'
+    ? margin
+    : resolved.position === 'middle'
+      ? Math.round((height - areaHeight) / 2)
+      : height - margin - areaHeight, height - areaHeight));
+
+  const y = Math.max(0, areaY - headroom);
+  const bottom = Math.min(height, areaY + areaHeight + headroom);
+  const stripHeight = Math.floor((bottom - y) / 2) * 2;
+
+  return {
+    y,
+    height: stripHeight,
+    areaY: areaY - y,
+    areaHeight,
+    scale,
+    fontSize,
+    lineHeight,
+    padding,
+    secondaryFontSize,
+    secondaryLineHeight
+  };
+};
+
+/**
+ * Canvas font for a caption style at a given pixel size
+ */
+export const getCaptionFont = (style, fontSize) => `${style.fontWeight} ${fontSize}px ${style.fontFamily}, sans-serif`;
+
+/**
+ * Text a word is displayed with
+ */
+export const getWordText = (word, style) => (style.uppercase ? word.word.toUpperCase() : word.word);
+
+// Drop shadow of the captions, like the ASS export's BackColour
+const SHADOW_COLOR = 'rgba(0, 0, 0, 0.5)';
+
+/**
+ * Lay out a cue's lines for the canvas, breaking any line wider than the style's max width
+ * Greedy word wrapping, the same way the browser wraps the player's caption box
+ * @param {CanvasRenderingContext2D} ctx - Context of a canvas as wide as the video; its font is set here
+ * @param {Object} cue - Cue to lay out
+ * @param {Object} style - Caption style, see DEFAULT_CAPTION_STYLE
+ * @param {Object} strip - Layout from getCaptionStrip()
+ * @returns {Array<Array>} - Words per line
+ */
+export const wrapCueLines = (ctx, cue, style, strip) => {
+  const resolved = { ...DEFAULT_CAPTION_STYLE, ...style };
+  ctx.font = getCaptionFont(resolved, strip.fontSize);
+
+  const maxTextWidth = ctx.canvas.width * resolved.maxWidth - strip.padding * 2;
+  const spaceWidth = ctx.measureText(' ').width;
+  const wrapped = [];
+
+  getDisplayLines(cue, resolved).forEach(line => {
+    let current = [];
+    let currentWidth = 0;
+
+    line.forEach(word => {
+      const wordWidth = ctx.measureText(getWordText(word, resolved)).width;
+      if (current.length > 0 && currentWidth + spaceWidth + wordWidth > maxTextWidth) {
+        wrapped.push(current);
+        current = [];
+        currentWidth = 0;
+      }
+      currentWidth += (current.length > 0 ? spaceWidth : 0) + wordWidth;
+      current.push(word);
+    });
+
+    wrapped.push(current);
+  });
+
+  return wrapped;
+};
+
+/**
+ * Lay out the second track of a cue for the canvas, wrapped to the style's max width
+ * @param {CanvasRenderingContext2D} ctx - Context of a canvas as wide as the video; its font is set here
+ * @param {Object} cue - Cue to lay out
+ * @param {Object} style - Caption style, see DEFAULT_CAPTION_STYLE
+ * @param {Object} strip - Layout from getCaptionStrip()
+ * @returns {Array<string>} - Lines of the second track; empty when there is none
+ */
+export const wrapSecondaryLines = (ctx, cue, style, strip) => {
+  const resolved = { ...DEFAULT_CAPTION_STYLE, ...style };
+  const text = getSecondaryText(cue, resolved);
+  if (!text) return [];
+
+  ctx.font = getCaptionFont(resolved, strip.secondaryFontSize);
+  const maxTextWidth = ctx.canvas.width * resolved.maxWidth - strip.padding * 2;
+  const lines = [];
+
+  text.split(' ').forEach(word => {
+    const last = lines[lines.length - 1];
+    if (last !== undefined && ctx.measureText(`${last} ${word}`).width <= maxTextWidth) {
+      lines[lines.length - 1] = `${last} ${word}`;
+    } else {
+      lines.push(word);
+    }
+  });
+
+  return lines;
+};
+
+/**
+ * Draw one caption state into a canvas the size of the caption strip
+ * @param {CanvasRenderingContext2D} ctx - Context of a (width x strip.height) canvas
+ * @param {Object} cue - Cue to draw, or null for an empty frame
+ * @param {number} highlightIndex - Index of the spoken word, or -1 to draw every word plainly
+ * @param {Object} style - Caption style, see DEFAULT_CAPTION_STYLE
+ * @param {Object} strip - Layout from getCaptionStrip()
+ * @param {number} time - Moment to draw, in seconds; picks the frame of the style's animation
+ */
+export const drawCaption = (ctx, cue, highlightIndex, style, strip, time = cue?.start) => {
+  const resolved = { ...DEFAULT_CAPTION_STYLE, ...style };
+  const { width } = ctx.canvas;
+  ctx.clearRect(0, 0, width, strip.height);
+  if (!cue) return;
+
+  // The second track is measured first: wrapCueLines() leaves the caption font set for drawing
+  const secondaryLines = wrapSecondaryLines(ctx, cue, resolved, strip);
+  const secondaryWidths = secondaryLines.map(line => ctx.measureText(line).width);
+  const lines = wrapCueLines(ctx, cue, resolved, strip);
+  const animation = getCaptionAnimationState(cue, lines.flat(), time, resolved.animation);
+  ctx.textBaseline = 'middle';
+
+  const spaceWidth = ctx.measureText(' ').width;
+  const lineWidths = lines.map(line =>
+    line.reduce((sum, word) => sum + ctx.measureText(getWordText(word, resolved)).width, 0) + spaceWidth * (line.length - 1));
+  const boxWidth = Math.min(width * resolved.maxWidth, Math.max(...lineWidths, ...secondaryWidths) + strip.padding * 2);
+  const secondaryHeight = secondaryLines.length * strip.secondaryLineHeight;
+  const boxHeight = lines.length * strip.lineHeight + secondaryHeight + strip.padding * 2;
+  const boxX = (width - boxWidth) / 2;
+  // Keep the box against the caption area edge nearest the caption position
+  const boxY = strip.areaY + (resolved.position === 'top'
+    ? 0
+    : resolved.position === 'middle' ? (strip.areaHeight - boxHeight) / 2 : strip.areaHeight - boxHeight);
+
+  const shadowOffset = resolved.shadow * strip.scale;
+  const setShadow = (enabled) => {
+    ctx.shadowColor = enabled && shadowOffset > 0 ? SHADOW_COLOR : 'transparent';
+    ctx.shadowOffsetX = shadowOffset;
+    ctx.shadowOffsetY = shadowOffset;
+    ctx.shadowBlur = 0;
+  };
+
+  // Scale and move the whole caption around its centre, as CSS transforms do in the player
+  const transformAround = (centerX, centerY, scale, offsetY) => {
+    ctx.translate(centerX, centerY + offsetY * strip.fontSize);
+    ctx.scale(scale, scale);
+    ctx.translate(-centerX, -centerY);
+  };
+
+  ctx.save();
+  ctx.globalAlpha = animation.opacity;
+  transformAround(width / 2, boxY + boxHeight / 2, animation.scale, animation.offsetY);
+
+  if (resolved.showBackground) {
+    // With a box the box casts the shadow, as in the ASS export
+    setShadow(true);
+    ctx.fillStyle = hexToRgba(resolved.backgroundColor, resolved.backgroundOpacity);
+    ctx.beginPath();
+    ctx.roundRect(boxX, boxY, boxWidth, boxHeight, Math.round(12 * strip.scale));
+    ctx.fill();
+  }
+
+  const hasOutline = !resolved.showBackground && resolved.outlineWidth > 0;
+  // The second track sits above or below the cue's own lines, inside the same box
+  const secondaryAbove = resolved.secondaryPosition === 'above';
+  const linesY = boxY + strip.padding + (secondaryAbove ? secondaryHeight : 0);
+  const secondaryY = secondaryAbove ? boxY + strip.padding : linesY + lines.length * strip.lineHeight;
+
+  if (secondaryLines.length > 0) {
+    ctx.save();
+    ctx.font = getCaptionFont(resolved, strip.secondaryFontSize);
+    ctx.textAlign = 'center';
+    secondaryLines.forEach((line, lineIndex) => {
+      const y = secondaryY + strip.secondaryLineHeight * (lineIndex + 0.5);
+      if (hasOutline) {
+        setShadow(true);
+        ctx.lineJoin = 'round';
+        ctx.lineWidth = resolved.outlineWidth * strip.scale * 2;
+        ctx.strokeStyle = resolved.outlineColor;
+        ctx.strokeText(line, width / 2, y);
+      }
+      setShadow(!resolved.showBackground && !hasOutline);
+      ctx.fillStyle = resolved.secondaryColor;
+      ctx.fillText(line, width / 2, y);
+    });
+    ctx.restore();
+  }
+
+  let wordIndex = 0;
+  lines.forEach((line, lineIndex) => {
+    let x = (width - lineWidths[lineIndex]) / 2;
+    const y = linesY + strip.lineHeight * (lineIndex + 0.5);
+
+    line.forEach(word => {
+      const text = getWordText(word, resolved);
+      const wordWidth = ctx.measureText(text).width;
+      const wordState = animation.words[wordIndex];
+      // Typewriter words show only their first characters, in place
+      const shown = getShownText(word, text, wordState.reveal);
+      const { color, opacity } = getWordPaint(word, wordIndex, highlightIndex, resolved);
+
+      if (shown && wordState.opacity > 0) {
+        ctx.save();
+        ctx.globalAlpha *= wordState.opacity;
+        transformAround(x + wordWidth / 2, y, wordState.scale, wordState.offsetY);
+
+        // Only the bottom layer of the text casts the shadow, so it never covers the outline
+        if (hasOutline) {
+          setShadow(true);
+          ctx.lineJoin = 'round';
+          ctx.lineWidth = resolved.outlineWidth * strip.scale * 2;
+          ctx.strokeStyle = resolved.outlineColor;
+          ctx.strokeText(shown, x, y);
+        }
+        setShadow(!resolved.showBackground && !hasOutline);
+        ctx.fillStyle = hexToRgba(color, opacity);
+        ctx.fillText(shown, x, y);
+        ctx.restore();
+      }
+
+      x += wordWidth + spaceWidth;
+      wordIndex++;
+    });
+  });
+
+  ctx.restore();
+};
+
+/**
+ * Convert a #RRGGBB (or #RGB) colour to a CSS rgba() string
+ */
+export const hexToRgba = (hex, opacity = 1) => {
+  let value = String(hex || '#FFFFFF').replace('#', '');
+  if (value.length === 3) value = value.split('').map(char => char + char).join('');
+  const [red, green, blue] = [0, 2, 4].map(offset => parseInt(value.slice(offset, offset + 2), 16));
+  return `rgba(${red}, ${green}, ${blue}, ${opacity})`;
+};
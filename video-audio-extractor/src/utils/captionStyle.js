@@ -0,0 +1,118 @@
+import { ANIMATION_OPTIONS } from './captionAnimation';
+
+// Caption style shared by the player and the styled (ASS) export
+// Mirrors DEFAULT_ASS_STYLE in the backend; sizes are pixels of a 1080p frame.
+// Animations, keyword emphasis and emoji are drawn by the player and the burned-in export only
+export const DEFAULT_CAPTION_STYLE = {
+  fontFamily: 'Inter',
+  fontSize: 54,
+  fontWeight: 700,
+  textColor: '#FFFFFF',
+  highlightColor: '#FFD700',
+  emphasisColor: '#00E676', // keywords marked for emphasis
+  outlineColor: '#000000',
+  outlineWidth: 3,
+  shadow: 1,
+  backgroundColor: '#000000',
+  backgroundOpacity: 0.85,
+  showBackground: true,
+  position: 'bottom',
+  marginV: 80,
+  maxWidth: 0.9, // fraction of the frame width
+  uppercase: false,
+  karaoke: true,
+  animation: 'none',
+  showEmphasis: true,
+  showEmoji: true,
+  // Bilingual captions: a second text track of the cues (e.g. 'en'), stacked with their own text
+  secondaryTrack: '',
+  secondaryColor: '#FFE082',
+  secondaryFontSize: 40,
+  secondaryPosition: 'below'
+};
+
+// Font options for captions
+export const FONT_OPTIONS = [
+  { value: 'Inter', label: 'Inter (Modern)' },
+  { value: 'Arial', label: 'Arial (Classic)' },
+  { value: 'Georgia', label: 'Georgia (Serif)' }
+];
+
+export const FONT_WEIGHT_OPTIONS = [
+  { value: 400, label: 'Regular' },
+  { value: 500, label: 'Medium' },
+  { value: 600, label: 'Semibold' },
+  { value: 700, label: 'Bold' },
+  { value: 800, label: 'Extra bold' },
+  { value: 900, label: 'Black' }
+];
+
+export const POSITION_OPTIONS = [
+  { value: 'top', label: 'Top' },
+  { value: 'middle', label: 'Middle' },
+  { value: 'bottom', label: 'Bottom' }
+];
+
+export const SECONDARY_POSITION_OPTIONS = [
+  { value: 'below', label: 'Below' },
+  { value: 'above', label: 'Above' }
+];
+
+// Limits of the numeric style settings, used by the style panel's sliders and when importing styles
+export const STYLE_RANGES = {
+  fontSize: { min: 24, max: 140, step: 2 },
+  secondaryFontSize: { min: 16, max: 120, step: 2 },
+  fontWeight: { min: 400, max: 900, step: 100 },
+  outlineWidth: { min: 0, max: 12, step: 0.5 },
+  shadow: { min: 0, max: 12, step: 0.5 },
+  backgroundOpacity: { min: 0, max: 1, step: 0.05 },
+  marginV: { min: 0, max: 400, step: 5 },
+  maxWidth: { min: 0.3, max: 1, step: 0.05 }
+};
+
+const COLOR_PATTERN = /^#([0-9a-f]{3}|[0-9a-f]{6})$/i;
+
+/**
+ * Build a complete caption style from untrusted input (an imported preset or saved settings)
+ * Unknown keys are dropped, and missing or invalid values fall back to the defaults
+ * @param {Object} style - Partial caption style
+ * @returns {Object} - Caption style with every key of DEFAULT_CAPTION_STYLE
+ */
+export const normalizeCaptionStyle = (style = {}) => {
+  const source = { ...style };
+  // Styles saved before font weights were configurable only said whether text was bold
+  if (source.fontWeight === undefined && typeof source.bold === 'boolean') {
+    source.fontWeight = source.bold ? 700 : 400;
+  }
+
+  return Object.fromEntries(Object.entries(DEFAULT_CAPTION_STYLE).map(([key, fallback]) => {
+    const value = source[key];
+
+    if (typeof fallback === 'number') {
+      const range = STYLE_RANGES[key];
+      if (typeof value !== 'number' || !Number.isFinite(value)) return [key, fallback];
+      // Font weights come in steps of 100
+      const number = key === 'fontWeight' ? Math.round(value / 100) * 100 : value;
+      return [key, range ? Math.min(Math.max(number, range.min), range.max) : number];
+    }
+    if (typeof fallback === 'boolean') {
+      return [key, typeof value === 'boolean' ? value : fallback];
+    }
+    if (key.endsWith('Color')) {
+      if (!COLOR_PATTERN.test(value)) return [key, fallback];
+      // Colour inputs only take the six-digit form
+      const hex = value.length === 4 ? `#${[...value.slice(1)].map(char => char + char).join('')}` : value;
+      return [key, hex.toUpperCase()];
+    }
+    if (key === 'position') {
+      return [key, POSITION_OPTIONS.some(option => option.value === value) ? value : fallback];
+    }
+    if (key === 'secondaryPosition') {
+      return [key, SECONDARY_POSITION_OPTIONS.some(option => option.value === value) ? value : fallback];
+    }
+    if (key === 'animation') {
+      return [key, ANIMATION_OPTIONS.some(option => option.value === value) ? value : fallback];
+    }
+    return [key, typeof value === 'string' && value.trim() ? value.trim() : fallback];
+  }));
+};
@@ -0,0 +1,122 @@
+// A chunk is tried this many times before the upload gives up; the wait doubles after every failure
+const MAX_ATTEMPTS = 6;
+const RETRY_DELAY_MS = 1000;
+
+// Upload IDs are remembered per file, so a reload can pick up where the last attempt stopped
+const STORAGE_PREFIX = 'resumable-upload:';
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Checksum of a chunk in the backend's `sha256 <base64>` format
+ * Returns undefined where Web Crypto isn't available (plain http on another host); the chunk is then sent unchecked
+ */
+const sha256Checksum = async (blob) => {
+  if (!globalThis.crypto?.subtle) return undefined;
+  const digest = new Uint8Array(await crypto.subtle.digest('SHA-256', await blob.arrayBuffer()));
+  return `sha256 ${btoa(String.fromCharCode(...digest))}`;
+};
+
+// The state of an upload, or null when it doesn't exist (any more)
+const findUpload = async (apiBaseUrl, uploadId) => {
+  if (!uploadId) return null;
+  const response = await fetch(`${apiBaseUrl}/uploads/${uploadId}`);
+  return response.ok ? response.json() : null;
+};
+
+const startUpload = async (apiBaseUrl, file, filename) => {
+  const response = await fetch(`${apiBaseUrl}/uploads`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ filename, type: file.type, size: file.size }),
+  });
+  const result = await response.json().catch(() => ({}));
+
+  if (!response.ok || result.error) {
+    throw new Error(result.message || `HTTP error! status: ${response.status}`);
+  }
+  return result;
+};
+
+/**
+ * Upload a file to the backend in checksummed chunks
+ * Failed chunks are retried with backoff after asking the backend how much arrived, so a network blip
+ * only costs the chunk in flight; with a resumeKey, an upload interrupted by a reload continues too
+ * @param {string} apiBaseUrl - Backend API URL
+ * @param {File|Blob} file - File to upload
+ * @param {Object} options - Optional settings
+ * @param {string} options.filename - Name to upload the file as
+ * @param {string} options.resumeKey - Identifies the file across page loads, e.g. name, size and date
+ * @param {Function} options.onProgress - Receives { percent, retrying, attempt }
+ * @returns {Promise<string>} - Upload ID of the finished upload, to send as `uploadId` when transcribing
+ */
+export const uploadInChunks = async (apiBaseUrl, file, { filename = file.name, resumeKey, onProgress } = {}) => {
+  const storageKey = resumeKey && `${STORAGE_PREFIX}${resumeKey}`;
+
+  let upload = storageKey
+    ? await findUpload(apiBaseUrl, localStorage.getItem(storageKey)).catch(() => null)
+    : null;
+  if (!upload || upload.size !== file.size) {
+    upload = await startUpload(apiBaseUrl, file, filename);
+    if (storageKey) localStorage.setItem(storageKey, upload.uploadId);
+  } else {
+    console.log(`Resuming upload ${upload.uploadId} at ${upload.offset} of ${file.size} bytes`);
+  }
+
+  let offset = upload.offset;
+  let attempt = 0;
+
+  while (offset < file.size) {
+    const percent = Math.round((offset / file.size) * 100);
+    onProgress?.({ percent, retrying: attempt > 0, attempt });
+
+    const chunk = file.slice(offset, Math.min(offset + upload.chunkSize, file.size));
+    const checksum = await sha256Checksum(chunk);
+
+    let response = null;
+    try {
+      response = await fetch(`${apiBaseUrl}/uploads/${upload.uploadId}`, {
+        method: 'PATCH',
+        headers: {
+          'Content-Type': 'application/offset+octet-stream',
+          'Upload-Offset': String(offset),
+          ...(checksum && { 'Upload-Checksum': checksum }),
+        },
+        body: chunk,
+      });
+    } catch (error) {
+      console.warn('Chunk upload failed:', error);
+    }
+    const result = response ? await response.json().catch(() => ({})) : {};
+
+    if (response?.ok) {
+      offset = result.offset;
+      attempt = 0;
+      continue;
+    }
+    // The backend is somewhere else (e.g. the last chunk arrived but its response didn't): continue from there
+    if (response?.status === 409 && Number.isInteger(result.offset)) {
+      offset = result.offset;
+      continue;
+    }
+
+    // Lost connections, corrupted chunks (460), busy uploads (409) and server errors are worth another try
+    const retryable = !response || response.status === 409 || response.status === 460 || response.status >= 500;
+    if (!retryable || attempt + 1 >= MAX_ATTEMPTS) {
+      if (storageKey && response?.status === 404) localStorage.removeItem(storageKey);
+      throw new Error(result.message || (response ? `HTTP error! status: ${response.status}` : 'Network error while uploading'));
+    }
+
+    attempt++;
+    onProgress?.({ percent, retrying: true, attempt });
+    await wait(RETRY_DELAY_MS * 2 ** (attempt - 1));
+
+    // Part of the chunk may have been stored before the connection dropped
+    const current = await findUpload(apiBaseUrl, upload.uploadId).catch(() => null);
+    if (current) offset = current.offset;
+  }
+
+  if (storageKey) localStorage.removeItem(storageKey);
+  onProgress?.({ percent: 100, retrying: false, attempt: 0 });
+  return upload.uploadId;
+};
@@ -0,0 +1,68 @@
+// Short clips cut from a transcript selection
+// A range is a run of whole cues, { from, to } as inclusive cue indices
+
+const roundTime = (seconds) => Math.round(seconds * 1000) / 1000;
+
+/**
+ * Group selected cue indices into ranges of consecutive cues
+ * @param {Iterable<number>} indices - Selected cue indices, in any order
+ * @returns {Array} - { from, to } ranges in transcript order
+ */
+export const getSelectedRanges = (indices) => {
+  const sorted = [...new Set(indices)].sort((a, b) => a - b);
+  const ranges = [];
+
+  sorted.forEach(index => {
+    const last = ranges[ranges.length - 1];
+    if (last && index === last.to + 1) {
+      last.to = index;
+    } else {
+      ranges.push({ from: index, to: index });
+    }
+  });
+
+  return ranges;
+};
+
+/**
+ * Plan a clip from one or more ranges, played back to back
+ * Each range is cut from the start of its first cue to the end of its last, and its cues are
+ * moved to where the range lands in the clip, so the clip's captions start at zero
+ * @param {Array} cues - Caption cues (seconds)
+ * @param {Array} ranges - { from, to } ranges, see getSelectedRanges()
+ * @returns {Object} - { segments, cues, duration } where segments are the { start, end } source
+ *   times to cut, in clip order
+ */
+export const planClip = (cues, ranges) => {
+  const segments = [];
+  const clipCues = [];
+  let offset = 0;
+
+  ranges.forEach(({ from, to }) => {
+    const rangeCues = cues.slice(from, to + 1);
+    if (rangeCues.length === 0) return;
+
+    const start = rangeCues[0].start;
+    const end = Math.max(...rangeCues.map(cue => cue.end));
+    const shift = (time) => roundTime(Math.min(Math.max(time - start, 0), end - start) + offset);
+
+    segments.push({ start, end });
+    rangeCues.forEach(cue => {
+      clipCues.push({
+        ...cue,
+        start: shift(cue.start),
+        end: shift(cue.end),
+        words: (cue.words || []).map(word => ({ ...word, start: shift(word.start), end: shift(word.end) }))
+      });
+    });
+
+    offset = roundTime(offset + end - start);
+  });
+
+  return { segments, cues: clipCues, duration: offset };
+};
+
+/**
+ * Human-readable label of a range, e.g. "#3–#7"
+ */
+export const formatRange = ({ from, to }) => (from === to ? `#${from + 1}` : `#${from + 1}–#${to + 1}`);
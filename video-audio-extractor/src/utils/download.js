@@ -0,0 +1,24 @@
+/**
+ * Save a URL (usually an object URL) as a file through a temporary link
+ * @param {string} url - URL to download
+ * @param {string} filename - Name to save it under
+ */
+export const downloadUrl = (url, filename) => {
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  document.body.removeChild(a);
+};
+
+/**
+ * Save a Blob as a file
+ * @param {Blob} blob - File content
+ * @param {string} filename - Name to save it under
+ */
+export const downloadBlob = (blob, filename) => {
+  const url = URL.createObjectURL(blob);
+  downloadUrl(url, filename);
+  URL.revokeObjectURL(url);
+};
@@ -0,0 +1,59 @@
+// Audio types the backend transcribes as uploaded; keep in step with ALLOWED_MIME_TYPES in the backend's
+// middleware/upload.js. Videos aren't listed: their audio is extracted to MP3 in the browser first
+export const TRANSCRIBABLE_AUDIO_TYPES = [
+  'audio/mpeg',
+  'audio/mp3',
+  'audio/wav',
+  'audio/x-wav',
+  'audio/mp4',
+  'audio/x-m4a',
+  'audio/ogg',
+  'audio/webm',
+  'audio/aac',
+  'audio/flac'
+];
+
+/**
+ * Whether a file can be captioned: any video, or audio of a type the backend accepts
+ * @param {File} file - Picked or dropped file
+ * @returns {boolean}
+ */
+export const isSupportedMediaFile = (file) =>
+  file.type.startsWith('video/') || TRANSCRIBABLE_AUDIO_TYPES.includes(file.type);
+
+/**
+ * Read a video file's dimensions and duration without decoding it
+ * @param {File|Blob} file - Video file
+ * @returns {Promise<Object>} - { width, height, duration } with duration in seconds
+ */
+export const readVideoMetadata = (file) => new Promise((resolve, reject) => {
+  const url = URL.createObjectURL(file);
+  const video = document.createElement('video');
+  video.preload = 'metadata';
+
+  video.onloadedmetadata = () => {
+    resolve({ width: video.videoWidth, height: video.videoHeight, duration: video.duration });
+    URL.revokeObjectURL(url);
+  };
+  video.onerror = () => {
+    URL.revokeObjectURL(url);
+    reject(new Error('Could not read the video metadata'));
+  };
+
+  video.src = url;
+});
+
+/**
+ * Encode a canvas as PNG bytes for the ffmpeg file system
+ * @param {HTMLCanvasElement} canvas - Canvas to encode
+ * @returns {Promise<Uint8Array>} - PNG file content
+ */
+export const canvasToPng = (canvas) => new Promise((resolve, reject) => {
+  canvas.toBlob(blob => {
+    if (!blob) {
+      reject(new Error('Could not encode caption image'));
+      return;
+    }
+    blob.arrayBuffer().then(buffer => resolve(new Uint8Array(buffer)), reject);
+  }, 'image/png');
+});
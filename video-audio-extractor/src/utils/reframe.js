@@ -0,0 +1,132 @@
+// Reframing a video to another aspect ratio, shared by the player and the burned-in export
+// The source is either cropped to fill the new frame or padded to fit inside it, and the
+// focus point chooses which part of the source is kept (crop) or where it sits (pad)
+export const ASPECT_RATIO_OPTIONS = [
+  { value: 'original', label: 'Original' },
+  { value: '9:16', label: '9:16 (Reels, Shorts, TikTok)' },
+  { value: '1:1', label: '1:1 (Square)' },
+  { value: '4:5', label: '4:5 (Feed)' },
+  { value: '16:9', label: '16:9 (Landscape)' }
+];
+
+export const FIT_OPTIONS = [
+  { value: 'crop', label: 'Crop to fill' },
+  { value: 'pad', label: 'Pad to fit' }
+];
+
+export const DEFAULT_REFRAME = {
+  aspectRatio: 'original',
+  fit: 'crop',
+  focusX: 0.5, // 0 = left edge, 1 = right edge
+  focusY: 0.5, // 0 = top edge, 1 = bottom edge
+  padColor: '#000000'
+};
+
+// UI that the platforms draw over vertical videos: the top bar, the caption and account
+// details at the bottom and the column of action buttons on the right
+// Rectangles are fractions of the frame, approximated from the platforms' creator guidelines
+export const SAFE_AREA_OPTIONS = [
+  { value: 'none', label: 'No overlay', zones: [] },
+  {
+    value: 'tiktok',
+    label: 'TikTok',
+    zones: [{ x: 0, y: 0, width: 1, height: 0.07 }, { x: 0, y: 0.8, width: 1, height: 0.2 }, { x: 0.86, y: 0.45, width: 0.14, height: 0.35 }]
+  },
+  {
+    value: 'reels',
+    label: 'Instagram Reels',
+    zones: [{ x: 0, y: 0, width: 1, height: 0.11 }, { x: 0, y: 0.8, width: 1, height: 0.2 }, { x: 0.88, y: 0.5, width: 0.12, height: 0.3 }]
+  },
+  {
+    value: 'shorts',
+    label: 'YouTube Shorts',
+    zones: [{ x: 0, y: 0, width: 1, height: 0.08 }, { x: 0, y: 0.75, width: 1, height: 0.25 }, { x: 0.85, y: 0.4, width: 0.15, height: 0.35 }]
+  }
+];
+
+const even = (value) => Math.max(2, Math.round(value / 2) * 2);
+const clamp01 = (value) => Math.min(Math.max(Number(value) || 0, 0), 1);
+
+/**
+ * Size of the reframed video and where the source sits in it
+ * Cropping keeps the source's pixels (nothing is upscaled); padding keeps the source's longer side
+ * @param {Object} source - { width, height } of the source video
+ * @param {Object} reframe - See DEFAULT_REFRAME
+ * @returns {Object} - { width, height, video: { x, y, width, height } } in output pixels;
+ *   a cropped video extends past the frame (negative x or y)
+ */
+export const getReframeLayout = (source, reframe = DEFAULT_REFRAME) => {
+  const option = reframe.aspectRatio?.split(':').map(Number);
+  if (!option || option.length !== 2 || !option.every(part => part > 0)) {
+    return { width: source.width, height: source.height, video: { x: 0, y: 0, width: source.width, height: source.height } };
+  }
+
+  const ratio = option[0] / option[1];
+  const sourceRatio = source.width / source.height;
+  let width;
+  let height;
+
+  if (reframe.fit === 'pad') {
+    const longSide = Math.max(source.width, source.height);
+    [width, height] = ratio >= 1 ? [longSide, longSide / ratio] : [longSide * ratio, longSide];
+  } else {
+    [width, height] = sourceRatio > ratio
+      ? [source.height * ratio, source.height]
+      : [source.width, source.width / ratio];
+  }
+  width = even(width);
+  height = even(height);
+
+  const scale = reframe.fit === 'pad'
+    ? Math.min(width / source.width, height / source.height)
+    : Math.max(width / source.width, height / source.height);
+  const videoWidth = even(source.width * scale);
+  const videoHeight = even(source.height * scale);
+
+  return {
+    width,
+    height,
+    video: {
+      x: Math.round((width - videoWidth) * clamp01(reframe.focusX ?? 0.5)),
+      y: Math.round((height - videoHeight) * clamp01(reframe.focusY ?? 0.5)),
+      width: videoWidth,
+      height: videoHeight
+    }
+  };
+};
+
+/**
+ * ffmpeg filter that reframes the source like getReframeLayout() describes
+ * @returns {string|null} - Filter chain, or null when the frame is unchanged
+ */
+export const getReframeFilter = (layout, padColor = DEFAULT_REFRAME.padColor) => {
+  const { video } = layout;
+  if (video.x === 0 && video.y === 0 && video.width === layout.width && video.height === layout.height) {
+    return null;
+  }
+
+  const scale = `scale=${video.width}:${video.height},setsar=1`;
+  // Cropping and padding offsets are both positive: where the frame starts in the video, or the video in the frame
+  return video.width >= layout.width && video.height >= layout.height
+    ? `${scale},crop=${layout.width}:${layout.height}:${-video.x}:${-video.y}`
+    : `${scale},pad=${layout.width}:${layout.height}:${video.x}:${video.y}:color=${padColor.replace('#', '0x')}`;
+};
+
+/**
+ * Platform UI zones in pixels of a frame
+ * @returns {Array} - { x, y, width, height } rectangles, empty for 'none'
+ */
+export const getSafeAreaZones = (safeArea, width, height) =>
+  (SAFE_AREA_OPTIONS.find(option => option.value === safeArea)?.zones || []).map(zone => ({
+    x: zone.x * width,
+    y: zone.y * height,
+    width: zone.width * width,
+    height: zone.height * height
+  }));
+
+/**
+ * Whether a rectangle (the caption area) runs into any platform UI zone
+ */
+export const overlapsSafeArea = (rect, zones) => zones.some(zone =>
+  rect.x < zone.x + zone.width && rect.x + rect.width > zone.x &&
+  rect.y < zone.y + zone.height && rect.y + rect.height > zone.y);
@@ -0,0 +1,21 @@
+// Whisper settings sent with a transcription request; empty values leave the backend's defaults
+export const DEFAULT_TRANSCRIPTION_OPTIONS = {
+  language: '',
+  task: 'transcribe',
+  model: '',
+  initialPrompt: '',
+  temperature: ''
+};
+
+/**
+ * The options of the engine as form fields for the transcription request; unset options are left out
+ * so the backend's defaults apply
+ * @param {Object} options - Current option values, see DEFAULT_TRANSCRIPTION_OPTIONS
+ * @param {Array<string>} supported - Options the selected engine supports
+ * @returns {Object} - Field name → value
+ */
+export const getTranscriptionFields = (options, supported = []) =>
+  Object.fromEntries(Object.entries(options)
+    .filter(([key, value]) => supported.includes(key) && String(value).trim() !== '')
+    // The backend transcribes by default
+    .filter(([key, value]) => !(key === 'task' && value === 'transcribe')));
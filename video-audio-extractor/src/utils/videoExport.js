@@ -0,0 +1,408 @@
+import { fetchFile } from '@ffmpeg/util';
+import { DEFAULT_CAPTION_STYLE } from './captionStyle';
+import {
+  buildCaptionSpans,
+  getCaptionStrip,
+  getCaptionFont,
+  wrapCueLines,
+  wrapSecondaryLines,
+  drawCaption
+} from './captionRenderer';
+import { canvasToPng } from './media';
+import { DEFAULT_REFRAME, getReframeLayout, getReframeFilter } from './reframe';
+import { DEFAULT_AUDIOGRAM, getAudiogramSize, getWaveformRect } from './audiogram';
+import { ANIMATION_FPS } from './captionAnimation';
+
+/**
+ * Render the captions into overlay images in the ffmpeg file system, plus an ffconcat
+ * playlist that shows each image for as long as the caption looks like that
+ * Captions are drawn with the browser's canvas so exports use the same fonts as the player
+ * @param {FFmpeg} ffmpeg - Loaded ffmpeg.wasm instance
+ * @param {Object} options - { cues, style, width, height, duration, prefix, onProgress(fraction) }
+ * @returns {Promise<Object>} - { playlist, files, strip } where strip gives the overlay's y and height
+ */
+export const writeCaptionOverlay = async (ffmpeg, { cues, style, width, height, duration, prefix = 'caption', onProgress }) => {
+  const resolved = { ...DEFAULT_CAPTION_STYLE, ...style };
+  const spans = buildCaptionSpans(cues, { karaoke: resolved.karaoke, duration, animation: resolved.animation });
+
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  const ctx = canvas.getContext('2d');
+
+  // Web fonts are only drawn on a canvas once they have loaded
+  const lineStrip = getCaptionStrip(resolved, width, height, 1);
+  await document.fonts.load(getCaptionFont(resolved, lineStrip.fontSize)).catch(() => {});
+
+  // The strip fits the longest caption once lines wider than the max width are wrapped,
+  // and the longest second track in bilingual mode
+  const maxLines = Math.max(1, ...cues.map(cue => wrapCueLines(ctx, cue, resolved, lineStrip).length));
+  const maxSecondaryLines = Math.max(0, ...cues.map(cue => wrapSecondaryLines(ctx, cue, resolved, lineStrip).length));
+  const strip = getCaptionStrip(resolved, width, height, maxLines, maxSecondaryLines);
+  canvas.height = strip.height;
+
+  const files = [];
+  const entries = [];
+  let blankFile = null;
+
+  for (let i = 0; i < spans.length; i++) {
+    const span = spans[i];
+    let file;
+
+    if (!span.cue && blankFile) {
+      file = blankFile;
+    } else {
+      file = span.cue ? `${prefix}_${i.toString().padStart(5, '0')}.png` : `${prefix}_blank.png`;
+      drawCaption(ctx, span.cue, span.highlightIndex, resolved, strip, span.start);
+      await ffmpeg.writeFile(file, await canvasToPng(canvas));
+      files.push(file);
+      if (!span.cue) blankFile = file;
+    }
+
+    entries.push(`file '${file}'\nduration ${(span.end - span.start).toFixed(3)}`);
+    onProgress?.((i + 1) / spans.length);
+  }
+
+  // The concat demuxer ignores the last duration unless the last file is listed again
+  if (entries.length > 0) {
+    entries.push(`file '${files[files.length - 1]}'`);
+  }
+
+  const playlist = `${prefix}.ffconcat`;
+  await ffmpeg.writeFile(playlist, `ffconcat version 1.0\n${entries.join('\n')}\n`);
+  files.push(playlist);
+
+  return { playlist, files, strip };
+};
+
+// Fast H.264/AAC settings shared by every export that re-encodes
+const ENCODE_ARGS = ['-c:v', 'libx264', '-preset', 'ultrafast', '-crf', '23', '-c:a', 'aac', '-b:a', '160k'];
+
+// Reframe the first input (when needed) and draw the caption overlay, the second input, on top
+const buildCaptionFilter = (reframeFilter, overlayY) =>
+  `[0:v]${reframeFilter || 'null'}[framed];` +
+  `[1:v]format=rgba[captions];[framed][captions]overlay=0:${overlayY}:eof_action=pass,` +
+  // H.264 needs even dimensions
+  'scale=trunc(iw/2)*2:trunc(ih/2)*2,format=yuv420p[out]';
+
+/**
+ * Burn the captions into a video and encode it as an MP4, entirely in the browser
+ * @param {FFmpeg} ffmpeg - Loaded ffmpeg.wasm instance
+ * @param {Object} options - Export settings
+ * @param {File} options.videoFile - Source video
+ * @param {Array} options.cues - Caption cues (seconds)
+ * @param {Object} options.style - Caption style, see DEFAULT_CAPTION_STYLE
+ * @param {Object} options.metadata - { width, height, duration } of the video
+ * @param {Object} options.reframe - Aspect ratio and crop/pad position, see DEFAULT_REFRAME
+ * @param {Function} options.onProgress - Called with { phase: 'rendering' | 'encoding', percent }
+ * @returns {Promise<Blob>} - The captioned MP4
+ */
+export const burnCaptions = async (ffmpeg, { videoFile, cues, style, metadata, reframe = DEFAULT_REFRAME, onProgress }) => {
+  const inputFile = 'export_input';
+  const outputFile = 'export_output.mp4';
+  const { duration } = metadata;
+  // Captions are laid out on the reframed frame, as the player shows them
+  const layout = getReframeLayout(metadata, reframe);
+  const { width, height } = layout;
+  const reframeFilter = getReframeFilter(layout, reframe.padColor);
+
+  await ffmpeg.writeFile(inputFile, await fetchFile(videoFile));
+
+  const overlay = await writeCaptionOverlay(ffmpeg, {
+    cues,
+    style,
+    width,
+    height,
+    duration,
+    onProgress: (fraction) => onProgress?.({ phase: 'rendering', percent: Math.round(fraction * 100) })
+  });
+
+  const handleProgress = ({ progress }) => {
+    onProgress?.({ phase: 'encoding', percent: Math.round(Math.min(Math.max(progress, 0), 1) * 100) });
+  };
+  ffmpeg.on('progress', handleProgress);
+
+  try {
+    const exitCode = await ffmpeg.exec([
+      '-i', inputFile,
+      '-f', 'concat', '-safe', '0', '-i', overlay.playlist,
+      '-filter_complex', buildCaptionFilter(reframeFilter, overlay.strip.y),
+      '-map', '[out]',
+      '-map', '0:a?',
+      ...ENCODE_ARGS,
+      '-movflags', '+faststart',
+      outputFile
+    ]);
+
+    if (exitCode !== 0) {
+      throw new Error(`ffmpeg exited with code ${exitCode}`);
+    }
+
+    const data = await ffmpeg.readFile(outputFile);
+    return new Blob([data.buffer], { type: 'video/mp4' });
+  } finally {
+    ffmpeg.off('progress', handleProgress);
+    await Promise.all([inputFile, outputFile, ...overlay.files].map(file => ffmpeg.deleteFile(file).catch(() => {})));
+  }
+};
+
+/**
+ * Cut short clips out of a video, each made of one or more segments played back to back
+ * Segments are re-encoded as they are cut so clips start and end on the exact frame, then
+ * joined, with the clip's captions burned in when it has any
+ * @param {FFmpeg} ffmpeg - Loaded ffmpeg.wasm instance
+ * @param {Object} options - Export settings
+ * @param {File} options.videoFile - Source video
+ * @param {Array} options.clips - { segments, cues } per clip, see planClip(); cues are timed from
+ *   the clip's start, and an empty list leaves the captions out
+ * @param {Object} options.style - Caption style, see DEFAULT_CAPTION_STYLE
+ * @param {Object} options.metadata - { width, height } of the video
+ * @param {Object} options.reframe - Aspect ratio and crop/pad position, see DEFAULT_REFRAME
+ * @param {Function} options.onProgress - Called with { clip, phase: 'cutting' | 'rendering' | 'encoding', percent }
+ * @returns {Promise<Array<Blob>>} - One MP4 per clip
+ */
+export const cutClips = async (ffmpeg, { videoFile, clips, style, metadata, reframe = DEFAULT_REFRAME, onProgress }) => {
+  const inputFile = 'clip_input';
+  const listFile = 'clip_segments.ffconcat';
+  const outputFile = 'clip_output.mp4';
+  const layout = getReframeLayout(metadata, reframe);
+  // Segments are reframed as they are cut, so joining them only adds the captions
+  const segmentFilter = [getReframeFilter(layout, reframe.padColor), 'scale=trunc(iw/2)*2:trunc(ih/2)*2', 'format=yuv420p']
+    .filter(Boolean)
+    .join(',');
+
+  let progressState = { clip: 0, phase: 'cutting', done: 0, total: 1 };
+  const handleProgress = ({ progress }) => {
+    const { clip, phase, done, total } = progressState;
+    const fraction = (done + Math.min(Math.max(progress, 0), 1)) / total;
+    onProgress?.({ clip, phase, percent: Math.round(fraction * 100) });
+  };
+
+  await ffmpeg.writeFile(inputFile, await fetchFile(videoFile));
+  ffmpeg.on('progress', handleProgress);
+
+  const blobs = [];
+  try {
+    for (let clipIndex = 0; clipIndex < clips.length; clipIndex++) {
+      const { segments, cues = [] } = clips[clipIndex];
+      const segmentFiles = segments.map((_, index) => `clip_segment_${index}.mp4`);
+      let overlay = null;
+
+      try {
+        for (let index = 0; index < segments.length; index++) {
+          const { start, end } = segments[index];
+          progressState = { clip: clipIndex, phase: 'cutting', done: index, total: segments.length };
+          const exitCode = await ffmpeg.exec([
+            '-ss', start.toFixed(3),
+            '-i', inputFile,
+            '-t', (end - start).toFixed(3),
+            '-map', '0:v:0',
+            '-map', '0:a:0?',
+            '-vf', segmentFilter,
+            ...ENCODE_ARGS,
+            segmentFiles[index]
+          ]);
+          if (exitCode !== 0) {
+            throw new Error(`ffmpeg exited with code ${exitCode} while cutting ${start.toFixed(1)}s–${end.toFixed(1)}s`);
+          }
+        }
+
+        await ffmpeg.writeFile(listFile, `ffconcat version 1.0\n${segmentFiles.map(file => `file '${file}'`).join('\n')}\n`);
+
+        const args = ['-f', 'concat', '-safe', '0', '-i', listFile];
+        if (cues.length > 0) {
+          overlay = await writeCaptionOverlay(ffmpeg, {
+            cues,
+            style,
+            width: layout.width,
+            height: layout.height,
+            duration: segments.reduce((sum, segment) => sum + segment.end - segment.start, 0),
+            prefix: 'clip_caption',
+            onProgress: (fraction) => onProgress?.({ clip: clipIndex, phase: 'rendering', percent: Math.round(fraction * 100) })
+          });
+          args.push(
+            '-f', 'concat', '-safe', '0', '-i', overlay.playlist,
+            '-filter_complex', buildCaptionFilter(null, overlay.strip.y),
+            '-map', '[out]',
+            '-map', '0:a?',
+            ...ENCODE_ARGS
+          );
+        } else {
+          // The segments share one encoding, so they join without another encode
+          args.push('-c', 'copy');
+        }
+        args.push('-movflags', '+faststart', outputFile);
+
+        progressState = { clip: clipIndex, phase: 'encoding', done: 0, total: 1 };
+        const exitCode = await ffmpeg.exec(args);
+        if (exitCode !== 0) {
+          throw new Error(`ffmpeg exited with code ${exitCode}`);
+        }
+
+        const data = await ffmpeg.readFile(outputFile);
+        blobs.push(new Blob([data.buffer], { type: 'video/mp4' }));
+      } finally {
+        await Promise.all([...segmentFiles, listFile, outputFile, ...(overlay?.files || [])]
+          .map(file => ffmpeg.deleteFile(file).catch(() => {})));
+      }
+    }
+  } finally {
+    ffmpeg.off('progress', handleProgress);
+    await ffmpeg.deleteFile(inputFile).catch(() => {});
+  }
+
+  return blobs;
+};
+
+/**
+ * Render an audiogram video from an audio file: a background, an animated waveform and the captions
+ * @param {FFmpeg} ffmpeg - Loaded ffmpeg.wasm instance
+ * @param {Object} options - Export settings
+ * @param {File} options.audioFile - Source audio
+ * @param {Array} options.cues - Caption cues (seconds)
+ * @param {Object} options.style - Caption style, see DEFAULT_CAPTION_STYLE
+ * @param {Object} options.audiogram - Background and waveform settings, see DEFAULT_AUDIOGRAM
+ * @param {number} options.duration - Length of the audio in seconds
+ * @param {Function} options.onProgress - Called with { phase: 'rendering' | 'encoding', percent }
+ * @returns {Promise<Blob>} - The audiogram MP4
+ */
+export const renderAudiogram = async (ffmpeg, { audioFile, cues, style, audiogram = DEFAULT_AUDIOGRAM, duration, onProgress }) => {
+  const audioInput = 'audiogram_audio';
+  const imageInput = 'audiogram_background';
+  const outputFile = 'audiogram_output.mp4';
+  const { width, height } = getAudiogramSize(audiogram);
+  const wave = getWaveformRect(width, height);
+  const hasImage = Boolean(audiogram.backgroundImage);
+  const toFfmpegColor = (hex) => hex.replace('#', '0x');
+
+  await ffmpeg.writeFile(audioInput, await fetchFile(audioFile));
+  if (hasImage) {
+    await ffmpeg.writeFile(imageInput, await fetchFile(audiogram.backgroundImage));
+  }
+
+  const overlay = cues?.length > 0
+    ? await writeCaptionOverlay(ffmpeg, {
+      cues,
+      style,
+      width,
+      height,
+      duration,
+      prefix: 'audiogram_caption',
+      onProgress: (fraction) => onProgress?.({ phase: 'rendering', percent: Math.round(fraction * 100) })
+    })
+    : null;
+
+  const args = [];
+  if (hasImage) {
+    // A still image becomes a stream of frames
+    args.push('-loop', '1', '-framerate', String(ANIMATION_FPS), '-i', imageInput);
+  }
+  const audioIndex = hasImage ? 1 : 0;
+  args.push('-i', audioInput);
+  if (overlay) {
+    args.push('-f', 'concat', '-safe', '0', '-i', overlay.playlist);
+  }
+
+  const background = hasImage
+    // Cover the frame, like the preview's object-fit: cover
+    ? `[0:v]scale=${width}:${height}:force_original_aspect_ratio=increase,crop=${width}:${height},setsar=1,format=rgba[background]`
+    : `color=c=${toFfmpegColor(audiogram.backgroundColor)}:s=${width}x${height}:r=${ANIMATION_FPS},format=rgba[background]`;
+  const filters = [
+    background,
+    // Mixed down to one channel, otherwise showwaves draws each channel in its own colour
+    `[${audioIndex}:a]aformat=channel_layouts=mono,` +
+      `showwaves=s=${wave.width}x${wave.height}:mode=${audiogram.waveStyle}:rate=${ANIMATION_FPS}:colors=${toFfmpegColor(audiogram.waveColor)}[wave]`,
+    `[background][wave]overlay=${wave.x}:${wave.y}:shortest=1[base]`,
+    overlay
+      ? `[${audioIndex + 1}:v]format=rgba[captions];[base][captions]overlay=0:${overlay.strip.y}:eof_action=pass,format=yuv420p[out]`
+      : '[base]format=yuv420p[out]'
+  ];
+
+  const handleProgress = ({ progress }) => {
+    onProgress?.({ phase: 'encoding', percent: Math.round(Math.min(Math.max(progress, 0), 1) * 100) });
+  };
+  ffmpeg.on('progress', handleProgress);
+
+  try {
+    const exitCode = await ffmpeg.exec([
+      ...args,
+      '-filter_complex', filters.join(';'),
+      '-map', '[out]',
+      '-map', `${audioIndex}:a`,
+      ...ENCODE_ARGS,
+      '-t', duration.toFixed(3),
+      '-movflags', '+faststart',
+      outputFile
+    ]);
+
+    if (exitCode !== 0) {
+      throw new Error(`ffmpeg exited with code ${exitCode}`);
+    }
+
+    const data = await ffmpeg.readFile(outputFile);
+    return new Blob([data.buffer], { type: 'video/mp4' });
+  } finally {
+    ffmpeg.off('progress', handleProgress);
+    await Promise.all([audioInput, imageInput, outputFile, ...(overlay?.files || [])]
+      .map(file => ffmpeg.deleteFile(file).catch(() => {})));
+  }
+};
+
+/**
+ * Add subtitle tracks to a video without re-encoding its audio or video
+ * MP4 stores every track as mov_text; MKV keeps SRT tracks as SRT and ASS tracks (with their styling) as ASS
+ * @param {FFmpeg} ffmpeg - Loaded ffmpeg.wasm instance
+ * @param {Object} options - Mux settings
+ * @param {File} options.videoFile - Source video
+ * @param {string} options.container - 'mp4' or 'mkv'
+ * @param {Array} options.tracks - { data (Uint8Array), format ('srt' | 'vtt' | 'ass'), language (ISO 639-2), title };
+ *   the first track is marked as the default
+ * @param {Function} options.onProgress - Called with the percentage done
+ * @returns {Promise<Blob>} - The video with subtitle tracks
+ */
+export const muxSubtitles = async (ffmpeg, { videoFile, container, tracks, onProgress }) => {
+  const inputFile = 'mux_input';
+  const outputFile = `mux_output.${container}`;
+  const trackFiles = tracks.map((track, index) => `mux_track_${index}.${track.format}`);
+
+  await ffmpeg.writeFile(inputFile, await fetchFile(videoFile));
+  await Promise.all(tracks.map((track, index) => ffmpeg.writeFile(trackFiles[index], track.data)));
+
+  const args = ['-i', inputFile];
+  trackFiles.forEach(file => args.push('-i', file));
+  args.push('-map', '0:v', '-map', '0:a?');
+  trackFiles.forEach((file, index) => args.push('-map', `${index + 1}:0`));
+  args.push('-c:v', 'copy', '-c:a', 'copy');
+
+  tracks.forEach((track, index) => {
+    const codec = container === 'mp4' ? 'mov_text' : (track.format === 'ass' ? 'ass' : 'srt');
+    args.push(`-c:s:${index}`, codec);
+    args.push(`-metadata:s:s:${index}`, `language=${track.language || 'und'}`);
+    if (track.title) {
+      args.push(`-metadata:s:s:${index}`, `title=${track.title}`);
+    }
+    args.push(`-disposition:s:${index}`, index === 0 ? 'default' : '0');
+  });
+
+  if (container === 'mp4') {
+    args.push('-movflags', '+faststart');
+  }
+  args.push(outputFile);
+
+  const handleProgress = ({ progress }) => {
+    onProgress?.(Math.round(Math.min(Math.max(progress, 0), 1) * 100));
+  };
+  ffmpeg.on('progress', handleProgress);
+
+  try {
+    const exitCode = await ffmpeg.exec(args);
+    if (exitCode !== 0) {
+      throw new Error(`ffmpeg exited with code ${exitCode}`);
+    }
+
+    const data = await ffmpeg.readFile(outputFile);
+    return new Blob([data.buffer], { type: container === 'mp4' ? 'video/mp4' : 'video/x-matroska' });
+  } finally {
+    ffmpeg.off('progress', handleProgress);
+    await Promise.all([inputFile, outputFile, ...trackFiles].map(file => ffmpeg.deleteFile(file).catch(() => {})));
+  }
+};
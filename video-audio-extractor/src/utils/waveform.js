@@ -0,0 +1,105 @@
+// Waveform peaks and drawing for the caption timeline
+
+// Peak resolution; enough for the closest zoom level without keeping raw samples around
+const PEAKS_PER_SECOND = 100;
+
+// Decoding at a low sample rate keeps a 30-minute track to a few tens of MB while decoding;
+// the loudness envelope of speech survives the resampling
+const DECODE_SAMPLE_RATE = 3000;
+
+// Tick spacings for the time ruler, in seconds
+const TICK_INTERVALS = [0.1, 0.25, 0.5, 1, 2, 5, 10, 15, 30, 60, 120, 300, 600];
+const MIN_TICK_SPACING_PX = 70;
+
+/**
+ * Decode an audio file and reduce it to normalised peak levels
+ * @param {string} audioUrl - URL of the audio (e.g. an object URL of the extracted MP3)
+ * @returns {Promise<Object>} - { peaks: Float32Array of 0-1 levels, peaksPerSecond, duration }
+ */
+export const computePeaks = async (audioUrl) => {
+  const response = await fetch(audioUrl);
+  const data = await response.arrayBuffer();
+
+  const context = new OfflineAudioContext(1, 1, DECODE_SAMPLE_RATE);
+  const buffer = await context.decodeAudioData(data);
+
+  const samplesPerPeak = buffer.sampleRate / PEAKS_PER_SECOND;
+  const peaks = new Float32Array(Math.ceil(buffer.length / samplesPerPeak));
+
+  for (let channel = 0; channel < buffer.numberOfChannels; channel++) {
+    const samples = buffer.getChannelData(channel);
+    for (let i = 0; i < samples.length; i++) {
+      const index = Math.floor(i / samplesPerPeak);
+      const level = Math.abs(samples[i]);
+      if (level > peaks[index]) peaks[index] = level;
+    }
+  }
+
+  let loudest = 0;
+  for (let i = 0; i < peaks.length; i++) {
+    if (peaks[i] > loudest) loudest = peaks[i];
+  }
+  if (loudest > 0) {
+    for (let i = 0; i < peaks.length; i++) peaks[i] /= loudest;
+  }
+
+  return { peaks, peaksPerSecond: PEAKS_PER_SECOND, duration: buffer.duration };
+};
+
+const formatRulerTime = (seconds, interval) => {
+  const minutes = Math.floor(seconds / 60);
+  const decimals = interval >= 1 ? 0 : interval >= 0.5 ? 1 : 2;
+  const secs = (seconds - minutes * 60).toFixed(decimals);
+  return `${minutes}:${secs.padStart(decimals ? decimals + 3 : 2, '0')}`;
+};
+
+/**
+ * Draw the visible part of the time ruler and waveform
+ * Only the viewport is drawn, so the canvas stays small however long the video is
+ * @param {CanvasRenderingContext2D} ctx - Context of a canvas the size of the viewport
+ * @param {Object} view - { peaksData, pixelsPerSecond, scrollLeft, width, height, rulerHeight }
+ */
+export const drawTimeline = (ctx, { peaksData, pixelsPerSecond, scrollLeft, width, height, rulerHeight }) => {
+  ctx.clearRect(0, 0, width, height);
+
+  // Time ruler
+  const interval = TICK_INTERVALS.find(value => value * pixelsPerSecond >= MIN_TICK_SPACING_PX)
+    || TICK_INTERVALS[TICK_INTERVALS.length - 1];
+  const firstTick = Math.floor(scrollLeft / pixelsPerSecond / interval) * interval;
+
+  ctx.fillStyle = '#1a1a1a';
+  ctx.fillRect(0, 0, width, rulerHeight);
+  ctx.strokeStyle = '#555';
+  ctx.fillStyle = '#aaa';
+  ctx.font = '10px Inter, Arial, sans-serif';
+  ctx.textBaseline = 'top';
+  ctx.beginPath();
+  for (let time = firstTick; time * pixelsPerSecond <= scrollLeft + width; time += interval) {
+    const x = Math.round(time * pixelsPerSecond - scrollLeft) + 0.5;
+    ctx.moveTo(x, rulerHeight - 6);
+    ctx.lineTo(x, rulerHeight);
+    ctx.fillText(formatRulerTime(Math.round(time * 100) / 100, interval), x + 3, 3);
+  }
+  ctx.stroke();
+
+  // Waveform: one bar per pixel showing the loudest peak under it
+  if (!peaksData) return;
+
+  const { peaks, peaksPerSecond } = peaksData;
+  const waveTop = rulerHeight;
+  const waveHeight = height - rulerHeight;
+  const middle = waveTop + waveHeight / 2;
+  const peaksPerPixel = peaksPerSecond / pixelsPerSecond;
+
+  ctx.fillStyle = 'rgba(102, 126, 234, 0.8)';
+  for (let x = 0; x < width; x++) {
+    const from = Math.floor(((scrollLeft + x) / pixelsPerSecond) * peaksPerSecond);
+    const to = Math.min(peaks.length, Math.max(from + 1, Math.floor(from + peaksPerPixel)));
+    let level = 0;
+    for (let i = from; i < to; i++) {
+      if (peaks[i] > level) level = peaks[i];
+    }
+    const barHeight = Math.max(1, level * (waveHeight - 4));
+    ctx.fillRect(x, middle - barHeight / 2, 1, barHeight);
+  }
+};
@@ -0,0 +1,198 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  rebuildCue,
+  updateCueTiming,
+  splitCue,
+  mergeWithNext,
+  insertCueAfter,
+  dragCueTiming,
+  getCueTimingIssue,
+  formatCueTime,
+  parseCueTime
+} from '../src/utils/captionEdits.js';
+
+const word = (text, start, end) => ({ word: text, start, end });
+
+const fourWords = () => ({
+  start: 0,
+  end: 3,
+  text: 'one two three four',
+  lines: ['one two three four'],
+  words: [word('one', 0, 0.5), word('two', 0.5, 1), word('three', 1, 2), word('four', 2, 3)]
+});
+
+describe('rebuildCue', () => {
+  test('keeps every word timing when only spelling changed', () => {
+    const cue = rebuildCue({ ...fourWords(), text: 'one too three four' });
+    assert.deepEqual(cue.words[1], word('too', 0.5, 1));
+    assert.deepEqual(cue.words[2], word('three', 1, 2));
+  });
+
+  test('spreads new words over the gap between unchanged ones by length', () => {
+    const cue = rebuildCue({
+      start: 0,
+      end: 3,
+      text: 'a xx yyyy b',
+      words: [word('a', 0, 1), word('b', 2, 3)]
+    });
+    assert.deepEqual(cue.words, [word('a', 0, 1), word('xx', 1, 1.333), word('yyyy', 1.333, 2), word('b', 2, 3)]);
+  });
+
+  test('splits the text into trimmed, non-empty lines', () => {
+    const cue = rebuildCue({ ...fourWords(), text: 'one two \r\n\n three four' });
+    assert.deepEqual(cue.lines, ['one two', 'three four']);
+  });
+});
+
+describe('updateCueTiming', () => {
+  test('stretches word timings to the new range', () => {
+    const cues = [{ start: 0, end: 2, text: 'a b', words: [word('a', 0, 1), word('b', 1, 2)] }];
+    const [cue] = updateCueTiming(cues, 0, { start: 1, end: 5 });
+    assert.equal(cue.start, 1);
+    assert.equal(cue.end, 5);
+    assert.deepEqual(cue.words, [word('a', 1, 3), word('b', 3, 5)]);
+  });
+
+  test('leaves the other cues untouched', () => {
+    const cues = [fourWords(), fourWords()];
+    const next = updateCueTiming(cues, 1, { end: 4 });
+    assert.equal(next[0], cues[0]);
+    assert.equal(next[1].start, 0);
+    assert.equal(next[1].end, 4);
+  });
+});
+
+describe('splitCue', () => {
+  test('cuts at the start of the first word after the cursor', () => {
+    const cues = [fourWords()];
+    const [first, second] = splitCue(cues, 0, 'one two'.length);
+
+    assert.equal(first.text, 'one two');
+    assert.equal(first.end, 1);
+    assert.deepEqual(first.words, [word('one', 0, 0.5), word('two', 0.5, 1)]);
+    assert.equal(second.text, 'three four');
+    assert.equal(second.start, 1);
+    assert.deepEqual(second.words, [word('three', 1, 2), word('four', 2, 3)]);
+  });
+
+  test('cuts in proportion to the text without word timings', () => {
+    const [first, second] = splitCue([{ start: 0, end: 2, text: 'ab cd', words: [] }], 0, 2);
+    assert.equal(first.end, 1);
+    assert.equal(second.start, 1);
+    assert.deepEqual(first.words, [word('ab', 0, 1)]);
+  });
+
+  test('keeps both halves at least the minimum duration long', () => {
+    const cue = { ...fourWords(), words: [word('one', 0, 0.05), word('two', 0.05, 1), word('three', 1, 2), word('four', 2, 3)] };
+    const [first, second] = splitCue([cue], 0, 'one'.length);
+    assert.equal(first.end, 0.2);
+    assert.equal(second.start, 0.2);
+  });
+
+  test('does nothing when the cursor is at either end', () => {
+    const cues = [fourWords()];
+    assert.equal(splitCue(cues, 0, 0), cues);
+    assert.equal(splitCue(cues, 0, cues[0].text.length), cues);
+  });
+
+  test('splits second tracks in the same proportion', () => {
+    const cues = [{ ...fourWords(), tracks: { en: 'a b c d' } }];
+    const [first, second] = splitCue(cues, 0, 'one two'.length);
+    assert.deepEqual(first.tracks, { en: 'a b' });
+    assert.deepEqual(second.tracks, { en: 'c d' });
+  });
+});
+
+describe('mergeWithNext', () => {
+  test('joins two cues into one with a line per original cue', () => {
+    const cues = [
+      { start: 0, end: 1, text: 'Hello\nthere', words: [word('Hello', 0, 0.5), word('there', 0.5, 1)] },
+      { start: 1.5, end: 2, text: 'friend', words: [word('friend', 1.5, 2)] },
+      { start: 3, end: 4, text: 'Bye', words: [word('Bye', 3, 4)] }
+    ];
+    const merged = mergeWithNext(cues, 0);
+
+    assert.equal(merged.length, 2);
+    assert.equal(merged[0].text, 'Hello there\nfriend');
+    assert.deepEqual(merged[0].lines, ['Hello there', 'friend']);
+    assert.equal(merged[0].start, 0);
+    assert.equal(merged[0].end, 2);
+    assert.deepEqual(merged[0].words.map(entry => entry.start), [0, 0.5, 1.5]);
+    assert.equal('tracks' in merged[0], false);
+    assert.equal(merged[1], cues[2]);
+  });
+
+  test('joins the second tracks of both cues', () => {
+    const cues = [
+      { start: 0, end: 1, text: 'Namaste', tracks: { en: 'Hello' } },
+      { start: 1, end: 2, text: 'dost', tracks: { en: 'friend' } }
+    ];
+    assert.deepEqual(mergeWithNext(cues, 0)[0].tracks, { en: 'Hello friend' });
+  });
+
+  test('does nothing for the last cue', () => {
+    const cues = [fourWords()];
+    assert.equal(mergeWithNext(cues, 0), cues);
+  });
+});
+
+describe('insertCueAfter', () => {
+  test('fills the gap before the next cue', () => {
+    const cues = [{ start: 0, end: 1, text: 'a' }, { start: 1.5, end: 3, text: 'b' }];
+    const inserted = insertCueAfter(cues, 0);
+    assert.deepEqual(inserted[1], { start: 1, end: 1.5, text: '', lines: [], words: [] });
+  });
+
+  test('lasts at least the minimum duration at the start', () => {
+    const inserted = insertCueAfter([{ start: 0, end: 1, text: 'a' }], -1);
+    assert.equal(inserted[0].start, 0);
+    assert.equal(inserted[0].end, 0.2);
+  });
+});
+
+describe('dragCueTiming', () => {
+  const cues = [{ start: 0, end: 1 }, { start: 2, end: 3 }, { start: 5, end: 6 }];
+  const drag = { mode: 'move', start: 2, end: 3 };
+
+  test('never moves a cue into its neighbours', () => {
+    assert.deepEqual(dragCueTiming(cues, 1, drag, -2), { start: 1, end: 2 });
+    assert.deepEqual(dragCueTiming(cues, 1, drag, 10), { start: 4, end: 5 });
+  });
+
+  test('snaps the closer edge to a neighbour', () => {
+    assert.deepEqual(dragCueTiming(cues, 1, drag, 1.95, { snapDistance: 0.1 }), { start: 4, end: 5 });
+  });
+
+  test('keeps a resized cue at least the minimum duration long', () => {
+    assert.deepEqual(dragCueTiming(cues, 1, { ...drag, mode: 'start' }, 5), { start: 2.8, end: 3 });
+  });
+});
+
+describe('getCueTimingIssue', () => {
+  test('flags cues that end too early, overlap or are empty', () => {
+    assert.equal(getCueTimingIssue([{ start: 1, end: 1, text: 'a' }], 0), 'Ends before it starts');
+    assert.equal(getCueTimingIssue([{ start: 0, end: 2, text: 'a' }, { start: 1, end: 3, text: 'b' }], 0), 'Overlaps the next caption');
+    assert.equal(getCueTimingIssue([{ start: 0, end: 1, text: ' ' }], 0), 'Empty caption');
+    assert.equal(getCueTimingIssue([{ start: 0, end: 1, text: 'a' }], 0), null);
+  });
+});
+
+describe('cue times', () => {
+  test('format as m:ss.mmm', () => {
+    assert.equal(formatCueTime(62.5), '1:02.500');
+    assert.equal(formatCueTime(-1), '0:00.000');
+  });
+
+  test('parse hours, minutes, seconds and comma decimals', () => {
+    assert.equal(parseCueTime('1:02.5'), 62.5);
+    assert.equal(parseCueTime('1:00:00'), 3600);
+    assert.equal(parseCueTime(' 2,25 '), 2.25);
+  });
+
+  test('reject values that are not times', () => {
+    for (const value of ['abc', '1::2', '1:2:3:4', '-1', '']) {
+      assert.equal(parseCueTime(value), null, value);
+    }
+  });
+});
@@ -0,0 +1,69 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { undoableReducer } from '../src/hooks/useUndoableState.js';
+
+const initial = (value) => ({ past: [], present: value, future: [], lastKey: null, lastTime: 0 });
+
+// Apply a list of actions in order
+const run = (state, actions) => actions.reduce(undoableReducer, state);
+
+describe('undoableReducer', () => {
+  test('undoes and redoes edits in order', () => {
+    const edited = run(initial('a'), [
+      { type: 'set', value: 'b', time: 0 },
+      { type: 'set', value: current => `${current}c`, time: 5000 }
+    ]);
+    assert.equal(edited.present, 'bc');
+
+    const undone = run(edited, [{ type: 'undo' }, { type: 'undo' }]);
+    assert.equal(undone.present, 'a');
+    assert.deepEqual(undone.future, ['b', 'bc']);
+
+    const redone = undoableReducer(undone, { type: 'redo' });
+    assert.equal(redone.present, 'b');
+    assert.deepEqual(redone.past, ['a']);
+  });
+
+  test('does nothing with no history left', () => {
+    const state = initial('a');
+    assert.equal(undoableReducer(state, { type: 'undo' }), state);
+    assert.equal(undoableReducer(state, { type: 'redo' }), state);
+  });
+
+  test('drops the redo history on a new edit', () => {
+    const state = run(initial('a'), [
+      { type: 'set', value: 'b', time: 0 },
+      { type: 'undo' },
+      { type: 'set', value: 'c', time: 10 }
+    ]);
+    assert.deepEqual(state.future, []);
+    assert.deepEqual(state.past, ['a']);
+  });
+
+  test('records no step when the value did not change', () => {
+    const state = initial('a');
+    assert.equal(undoableReducer(state, { type: 'set', value: 'a', time: 0 }), state);
+  });
+
+  test('makes quick edits with the same coalesce key one undo step', () => {
+    const typed = run(initial(''), [
+      { type: 'set', value: 'h', coalesceKey: 'text-0', time: 0 },
+      { type: 'set', value: 'hi', coalesceKey: 'text-0', time: 500 },
+      { type: 'set', value: 'hi!', coalesceKey: 'text-0', time: 2000 },
+      { type: 'set', value: 'hi!?', coalesceKey: 'text-1', time: 2100 }
+    ]);
+    assert.deepEqual(typed.past, ['', 'hi', 'hi!']);
+  });
+
+  test('keeps at most 100 undo steps', () => {
+    const actions = Array.from({ length: 150 }, (_, index) => ({ type: 'set', value: index + 1, time: index * 5000 }));
+    const state = run(initial(0), actions);
+    assert.equal(state.past.length, 100);
+    assert.equal(state.past[0], 50);
+  });
+
+  test('starts a fresh history on reset', () => {
+    const state = run(initial('a'), [{ type: 'set', value: 'b', time: 0 }, { type: 'reset', value: 'z' }]);
+    assert.deepEqual(state, initial('z'));
+  });
+});
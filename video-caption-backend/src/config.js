@@ -0,0 +1,100 @@
+const path = require('path');
+const fs = require('fs-extra');
+
+/**
+ * Parse extra command line arguments from an environment variable
+ * Accepts either a JSON array ('["--fp16", "False"]') or a whitespace separated string ('--fp16 False')
+ * @param {string} value - Raw environment value
+ * @returns {Array<string>} - Argument list
+ */
+function parseArgs(value) {
+  if (!value) return [];
+
+  const trimmed = value.trim();
+  if (trimmed.startsWith('[')) {
+    return JSON.parse(trimmed).map(String);
+  }
+  return trimmed.split(/\s+/);
+}
+
+/**
+ * Load optional engine overrides from a JSON file (ENGINES_CONFIG_FILE)
+ * The file maps engine names to the same settings as the env variables, e.g.
+ * { "hinglish": { "python": "/opt/venv/bin/python", "extraArgs": [] } }
+ */
+function loadEngineOverrides() {
+  const configFile = process.env.ENGINES_CONFIG_FILE;
+  if (!configFile) return {};
+
+  const resolved = path.resolve(configFile);
+  if (!fs.existsSync(resolved)) {
+    console.warn(`⚠️ Engine config file not found: ${resolved}`);
+    return {};
+  }
+
+  return fs.readJsonSync(resolved);
+}
+
+const engineOverrides = loadEngineOverrides();
+
+const config = {
+  // Saved projects and other state that outlives a request
+  dataDir: path.resolve(process.env.DATA_DIR || path.join(__dirname, '..', 'data')),
+
+  // Engine results cached by audio hash, engine and options, see utils/transcriptionCache.js
+  transcriptionCache: {
+    enabled: process.env.TRANSCRIPTION_CACHE !== 'off',
+    maxEntries: parseInt(process.env.TRANSCRIPTION_CACHE_MAX_ENTRIES, 10) || 500,
+    maxBytes: (parseInt(process.env.TRANSCRIPTION_CACHE_MAX_MB, 10) || 200) * 1024 * 1024,
+    ttlMs: parseInt(process.env.TRANSCRIPTION_CACHE_TTL_MS, 10) || 30 * 24 * 60 * 60 * 1000 // 30 days
+  },
+
+  // Resumable chunked uploads for files beyond the single-request limit, see utils/resumableUploads.js
+  uploads: {
+    maxSize: (parseInt(process.env.MAX_UPLOAD_MB, 10) || 2048) * 1024 * 1024,
+    chunkSize: (parseInt(process.env.UPLOAD_CHUNK_MB, 10) || 5) * 1024 * 1024,  // Largest chunk a PATCH may carry
+    ttlMs: parseInt(process.env.UPLOAD_TTL_MS, 10) || 24 * 60 * 60 * 1000        // Unfinished uploads are dropped after a day
+  },
+
+  // Token for the /api/admin routes; they are disabled without one
+  adminToken: process.env.ADMIN_TOKEN || null,
+
+  // Caption segmentation rules, see utils/segment.js; requests may override them
+  segmentation: {
+    maxCharsPerLine: process.env.CAPTION_MAX_CHARS_PER_LINE,
+    maxLines: process.env.CAPTION_MAX_LINES,
+    minDuration: process.env.CAPTION_MIN_DURATION,
+    maxDuration: process.env.CAPTION_MAX_DURATION,
+    maxCps: process.env.CAPTION_MAX_CPS,
+    breakAtPunctuation: process.env.CAPTION_BREAK_AT_PUNCTUATION
+  },
+
+  // Engine used when a request doesn't name one
+  defaultEngine: process.env.DEFAULT_ENGINE || 'whisper',
+
+  engines: {
+    whisper: {
+      command: process.env.WHISPER_COMMAND || 'whisper',
+      model: process.env.WHISPER_MODEL || 'large',
+      extraArgs: parseArgs(process.env.WHISPER_EXTRA_ARGS),
+      // Language probability: the CLI doesn't report it, so a small model detects it again ('off' to skip)
+      python: process.env.WHISPER_PYTHON || 'python3',
+      detectModel: process.env.WHISPER_DETECT_MODEL || 'base',
+      ...engineOverrides.whisper
+    },
+    hinglish: {
+      python: process.env.HINGLISH_PYTHON || 'python3',
+      model: process.env.HINGLISH_MODEL || 'Oriserve/Whisper-Hindi2Hinglish-Swift',
+      extraArgs: parseArgs(process.env.HINGLISH_EXTRA_ARGS),
+      ...engineOverrides.hinglish
+    },
+    mock: {
+      // Simulated processing time so progress reporting can be exercised without a model
+      delayMs: parseInt(process.env.MOCK_DELAY_MS, 10) || 0,
+      fixture: process.env.MOCK_FIXTURE || null,
+      ...engineOverrides.mock
+    }
+  }
+};
+
+module.exports = config;
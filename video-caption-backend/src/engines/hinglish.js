@@ -0,0 +1,38 @@
+const { processAudioWithHinglishWhisper } = require('../utils/whisper');
+const { describeLanguage } = require('../utils/whisperOptions');
+
+/**
+ * Create the Hindi-to-Hinglish engine backed by hinglish_whisper.py
+ * @param {Object} settings - { python, model, extraArgs } from config.engines.hinglish
+ * @returns {Object} - Transcription engine
+ */
+function createHinglishEngine(settings) {
+  return {
+    name: 'hinglish',
+    label: '🇮🇳 Hinglish Model',
+    description: 'Optimized for Hindi + English mixed content',
+    details: {
+      model: `Hinglish Whisper (${settings.model})`,
+      language: 'Hinglish (Hindi + English)'
+    },
+    // The model is a fixed fine-tune, so there is no model size to pick
+    options: ['language', 'task', 'initialPrompt'],
+    transcribe: async (audioFilePath, { onProgress, language, task, initialPrompt } = {}) => {
+      const result = await processAudioWithHinglishWhisper(audioFilePath, settings.model, {
+        onProgress,
+        pythonPath: settings.python,
+        extraArgs: settings.extraArgs,
+        language,
+        task,
+        initialPrompt
+      });
+
+      return {
+        segments: result.segments,
+        language: describeLanguage(result.language, result.languageProbability)
+      };
+    }
+  };
+}
+
+module.exports = createHinglishEngine;
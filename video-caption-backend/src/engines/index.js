@@ -0,0 +1,80 @@
+const config = require('../config');
+const createWhisperEngine = require('./whisper');
+const createHinglishEngine = require('./hinglish');
+const createMockEngine = require('./mock');
+
+/**
+ * Transcription engine registry
+ *
+ * An engine is a plain object:
+ * {
+ *   name: 'whisper',                  // Unique key used by the routes and the frontend
+ *   label: '🌐 Multilingual Model',    // Human readable name
+ *   description: '...',               // One-line summary shown in the UI
+ *   details: { model, language },     // Extra fields merged into transcription results
+ *   options: ['language', 'task'],    // Request options it supports, see utils/whisperOptions.js
+ *   transcribe: async (audioFilePath, { onProgress, ...options }) => result,
+ *   translate: async (audioFilePath, { onProgress, ...options }) => result   // Optional, English translation
+ * }
+ *
+ * transcribe() and translate() resolve to { segments, language, details } where segments is an array of
+ * { start, end, text } in seconds, language is { code, name, probability } (or null) and the optional
+ * details override the engine's details for this run (e.g. another model size).
+ */
+const engines = new Map();
+
+/**
+ * Add an engine to the registry, replacing any engine with the same name
+ * @param {Object} engine - Engine implementing the interface above
+ */
+function registerEngine(engine) {
+  if (!engine || !engine.name || typeof engine.transcribe !== 'function') {
+    throw new Error('An engine needs a name and a transcribe() function');
+  }
+  engines.set(engine.name, engine);
+}
+
+/**
+ * Look up an engine by name
+ * @param {string} name - Engine name; falls back to the configured default engine
+ * @returns {Object|undefined} - The engine, if registered
+ */
+function getEngine(name = config.defaultEngine) {
+  return engines.get(name);
+}
+
+/**
+ * List registered engines for clients
+ * @returns {Array} - { name, label, description, options, isDefault } for every engine
+ */
+function listEngines() {
+  return [...engines.values()].map(engine => ({
+    name: engine.name,
+    label: engine.label,
+    description: engine.description,
+    options: engine.options || [],
+    isDefault: engine.name === config.defaultEngine
+  }));
+}
+
+registerEngine(createWhisperEngine(config.engines.whisper));
+registerEngine(createHinglishEngine(config.engines.hinglish));
+registerEngine(createMockEngine(config.engines.mock));
+
+/**
+ * The engine that translates for another engine: itself when it can, otherwise Whisper
+ * @param {Object} engine - Engine used for the transcription
+ * @returns {Object|undefined} - An engine with a translate() function, if any is registered
+ */
+function getTranslationEngine(engine) {
+  if (engine && typeof engine.translate === 'function') return engine;
+  const whisper = engines.get('whisper');
+  return whisper && typeof whisper.translate === 'function' ? whisper : undefined;
+}
+
+module.exports = {
+  registerEngine,
+  getEngine,
+  getTranslationEngine,
+  listEngines
+};
@@ -0,0 +1,65 @@
+const path = require('path');
+const fs = require('fs-extra');
+const { createProgressTracker } = require('../utils/progress');
+const { TRANSCRIPTION_OPTIONS, describeLanguage } = require('../utils/whisperOptions');
+
+const DEFAULT_FIXTURE = path.join(__dirname, 'fixtures', 'mock-segments.json');
+const DEFAULT_TRANSLATION_FIXTURE = path.join(__dirname, 'fixtures', 'mock-translation.json');
+const PROGRESS_STEPS = 10;
+// The fixture is Hinglish, "detected" as Hindi
+const MOCK_LANGUAGE_PROBABILITY = 0.93;
+
+/**
+ * Create a deterministic engine that returns fixture segments instead of running a model
+ * Lets CI and machines without Python/torch exercise the full upload → SRT flow
+ * @param {Object} settings - { delayMs, fixture } from config.engines.mock
+ * @returns {Object} - Transcription engine
+ */
+function createMockEngine(settings) {
+  const fixturePath = settings.fixture ? path.resolve(settings.fixture) : DEFAULT_FIXTURE;
+
+  const engine = {
+    name: 'mock',
+    label: '🧪 Mock Engine',
+    description: 'Returns fixed sample captions without running a model',
+    details: {
+      model: 'Mock (fixture segments)'
+    },
+    options: TRANSCRIPTION_OPTIONS,
+    // Options are accepted so clients can be tested against them; only `task` and `language` change the result
+    transcribe: async (audioFilePath, { onProgress, task, language } = {}) => {
+      // The translate task returns the English version of the default fixture, like Whisper's --task translate
+      const fixture = task === 'translate' ? DEFAULT_TRANSLATION_FIXTURE : fixturePath;
+      const segments = await readFixture(audioFilePath, fixture, { delayMs: settings.delayMs, onProgress });
+      return {
+        segments,
+        language: language ? describeLanguage(language) : describeLanguage('hi', MOCK_LANGUAGE_PROBABILITY)
+      };
+    },
+    translate: (audioFilePath, options = {}) => engine.transcribe(audioFilePath, { ...options, task: 'translate' })
+  };
+
+  return engine;
+}
+
+/**
+ * Wait the configured delay while reporting progress, then return a fixture's segments
+ */
+async function readFixture(audioFilePath, fixture, { delayMs, onProgress }) {
+  if (!fs.existsSync(audioFilePath)) {
+    throw new Error('Audio file not found');
+  }
+
+  console.log(`🧪 Mock transcription using fixture: ${fixture}`);
+  const reportProgress = createProgressTracker(onProgress);
+
+  for (let step = 1; step <= PROGRESS_STEPS; step++) {
+    await new Promise(resolve => setTimeout(resolve, delayMs / PROGRESS_STEPS));
+    reportProgress(step, PROGRESS_STEPS, 'steps');
+  }
+
+  // Read on every call so each transcription gets its own copy of the segments
+  return fs.readJson(fixture);
+}
+
+module.exports = createMockEngine;
@@ -0,0 +1,54 @@
+const { processAudioWithWhisperSimple, detectWhisperLanguage } = require('../utils/whisper');
+const { describeLanguage } = require('../utils/whisperOptions');
+
+/**
+ * Create the multilingual engine backed by the openai-whisper CLI
+ * @param {Object} settings - { command, model, extraArgs, python, detectModel } from config.engines.whisper
+ * @returns {Object} - Transcription engine
+ */
+function createWhisperEngine(settings) {
+  const engine = {
+    name: 'whisper',
+    label: '🌐 Multilingual Model',
+    description: 'Works with all languages including Hinglish',
+    details: {
+      model: `Whisper (${settings.model})`
+    },
+    options: ['language', 'task', 'model', 'initialPrompt', 'temperature'],
+    transcribe: async (audioFilePath, { onProgress, language, task, model = settings.model, initialPrompt, temperature } = {}) => {
+      const result = await processAudioWithWhisperSimple(audioFilePath, model, {
+        onProgress,
+        command: settings.command,
+        extraArgs: settings.extraArgs,
+        task,
+        language,
+        initialPrompt,
+        temperature
+      });
+
+      return {
+        segments: result.segments,
+        // A language given by the request was not detected, so it has no probability
+        language: describeLanguage(result.language, language ? null : await detectProbability(audioFilePath, result.language)),
+        details: { model: `Whisper (${model})` }
+      };
+    },
+    translate: (audioFilePath, options = {}) => engine.transcribe(audioFilePath, { ...options, task: 'translate' })
+  };
+
+  // The CLI doesn't report how sure it is of the language, so a (smaller) model is asked separately
+  const detectProbability = async (audioFilePath, language) => {
+    if (!language || settings.detectModel === 'off') return null;
+    try {
+      const detection = await detectWhisperLanguage(audioFilePath, settings.detectModel, { pythonPath: settings.python });
+      return detection.probabilities[language] ?? null;
+    } catch (error) {
+      console.warn('⚠️ Could not detect the language probability:', error.message);
+      return null;
+    }
+  };
+
+  return engine;
+}
+
+module.exports = createWhisperEngine;
@@ -0,0 +1,31 @@
+const crypto = require('crypto');
+const config = require('../config');
+
+/**
+ * Allow a request only with the admin token, sent as `Authorization: Bearer <ADMIN_TOKEN>`
+ * Without ADMIN_TOKEN set, admin routes are disabled altogether
+ */
+const requireAdmin = (req, res, next) => {
+  if (!config.adminToken) {
+    return res.status(403).json({
+      error: true,
+      message: 'Admin routes are disabled; set ADMIN_TOKEN to enable them'
+    });
+  }
+
+  const token = (req.get('authorization') || '').replace(/^Bearer\s+/i, '');
+  const expected = Buffer.from(config.adminToken);
+  const given = Buffer.from(token);
+
+  // Constant-time comparison, so the token can't be guessed from response times
+  if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+    return res.status(401).json({
+      error: true,
+      message: 'A valid admin token is required'
+    });
+  }
+
+  next();
+};
+
+module.exports = requireAdmin;
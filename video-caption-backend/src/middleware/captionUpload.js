@@ -0,0 +1,30 @@
+const multer = require('multer');
+const path = require('path');
+
+// Caption files we can read
+const allowedExtensions = ['.srt', '.vtt', '.json', '.txt'];
+
+// File filter to accept only caption files
+const fileFilter = (req, file, cb) => {
+  const extension = path.extname(file.originalname).toLowerCase();
+
+  if (allowedExtensions.includes(extension)) {
+    cb(null, true);
+  } else {
+    console.log(`❌ Rejected caption file: ${file.originalname}`);
+    const error = new Error(`Unsupported caption file: ${extension || file.originalname}. Allowed extensions: ${allowedExtensions.join(', ')}`);
+    error.status = 400;
+    cb(error, false);
+  }
+};
+
+// Caption files are small, so keep them in memory instead of writing to disk
+const captionUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 5 * 1024 * 1024, // 5MB limit
+  },
+  fileFilter: fileFilter
+});
+
+module.exports = captionUpload;
@@ -0,0 +1,72 @@
+const fs = require('fs-extra');
+const { getUpload, claimUpload } = require('../utils/resumableUploads');
+
+/**
+ * Let transcription routes take a finished resumable upload instead of a multipart file
+ * When the request has no `audio` file but an `uploadId` field, req.file describes the upload
+ * (originalname, mimetype, size, hash and uploadId). The upload itself stays where it is until the
+ * route has checked its fields and calls claimUploadedFile(), so a rejected request can be sent again
+ */
+const attachResumableUpload = async (req, res, next) => {
+  if (req.file || !req.body || !req.body.uploadId) return next();
+
+  try {
+    const upload = await getUpload(req.body.uploadId);
+
+    if (!upload) {
+      return res.status(404).json({
+        error: true,
+        message: 'Upload not found'
+      });
+    }
+    if (!upload.completedAt) {
+      return res.status(409).json({
+        error: true,
+        message: `Upload is not complete: ${upload.offset} of ${upload.size} bytes received`,
+        offset: upload.offset
+      });
+    }
+
+    req.file = {
+      uploadId: upload.id,
+      filename: upload.filename,
+      originalname: upload.filename,
+      mimetype: upload.type,
+      size: upload.size,
+      hash: upload.hash
+    };
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Take the request's file for transcription
+ * A resumable upload is claimed (moved next to the multipart uploads and removed from /api/uploads);
+ * a multipart file is already in place
+ * @param {Object} file - req.file
+ * @returns {Promise<Object>} - A multer-style file: { path, originalname, mimetype, size, filename, hash }
+ */
+async function claimUploadedFile(file) {
+  return file.uploadId ? claimUpload(file.uploadId) : file;
+}
+
+/**
+ * Clean up after a request that was rejected or failed
+ * Multipart files are deleted; unclaimed resumable uploads are kept, so the client can retry with fixed fields
+ * @param {Object} file - req.file
+ */
+async function discardUploadedFile(file) {
+  if (!file || file.uploadId || !file.path) return;
+
+  try {
+    await fs.remove(file.path);
+  } catch (cleanupError) {
+    console.error('Error cleaning up file:', cleanupError);
+  }
+}
+
+module.exports = attachResumableUpload;
+module.exports.claimUploadedFile = claimUploadedFile;
+module.exports.discardUploadedFile = discardUploadedFile;
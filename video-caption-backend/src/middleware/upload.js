@@ -1,9 +1,11 @@
 const multer = require('multer');
 const path = require('path');
+const crypto = require('crypto');
+const { Transform } = require('stream');
 const fs = require('fs-extra');
 
 // Configure storage
-const storage = multer.diskStorage({
+const diskStorage = multer.diskStorage({
   destination: (req, file, cb) => {
     const uploadsPath = path.join(__dirname, '..', '..', 'uploads');
     fs.ensureDirSync(uploadsPath);
@@ -17,32 +19,56 @@ const storage = multer.diskStorage({
   }
 });
 
+// Hash every upload while it is written to disk, so the transcription cache can recognise
+// audio it has seen before without reading the file again; the hex SHA-256 ends up in req.file.hash
+const storage = {
+  _handleFile(req, file, cb) {
+    const hash = crypto.createHash('sha256');
+    const stream = file.stream.pipe(new Transform({
+      transform(chunk, encoding, done) {
+        hash.update(chunk);
+        done(null, chunk);
+      }
+    }));
+
+    diskStorage._handleFile(req, { ...file, stream }, (error, info) => {
+      if (error) return cb(error);
+      cb(null, { ...info, hash: hash.digest('hex') });
+    });
+  },
+  _removeFile(req, file, cb) {
+    diskStorage._removeFile(req, file, cb);
+  }
+};
+
+// Audio and video types we can transcribe; resumable uploads accept the same.
+// The frontend checks picked audio files against its copy, TRANSCRIBABLE_AUDIO_TYPES in src/utils/media.js
+const ALLOWED_MIME_TYPES = [
+  'audio/mpeg',      // mp3
+  'audio/mp3',       // mp3 (alternative MIME type)
+  'audio/wav',       // wav
+  'audio/x-wav',     // wav
+  'audio/mp4',       // m4a
+  'audio/x-m4a',     // m4a
+  'audio/ogg',       // ogg
+  'audio/webm',      // webm
+  'audio/aac',       // aac
+  'audio/flac',      // flac
+  'video/mp4',       // mp4 (for video files)
+  'video/webm',      // webm video
+  'video/quicktime', // mov
+  'video/x-msvideo', // avi
+  'video/avi'        // avi (alternative)
+];
+
 // File filter to accept only audio files
 const fileFilter = (req, file, cb) => {
-  const allowedMimes = [
-    'audio/mpeg',      // mp3
-    'audio/mp3',       // mp3 (alternative MIME type)
-    'audio/wav',       // wav
-    'audio/x-wav',     // wav
-    'audio/mp4',       // m4a
-    'audio/x-m4a',     // m4a
-    'audio/ogg',       // ogg
-    'audio/webm',      // webm
-    'audio/aac',       // aac
-    'audio/flac',      // flac
-    'video/mp4',       // mp4 (for video files)
-    'video/webm',      // webm video
-    'video/quicktime', // mov
-    'video/x-msvideo', // avi
-    'video/avi'        // avi (alternative)
-  ];
-
-  if (allowedMimes.includes(file.mimetype)) {
+  if (ALLOWED_MIME_TYPES.includes(file.mimetype)) {
     cb(null, true);
   } else {
     console.log(`❌ Rejected file with MIME type: ${file.mimetype}`);
-    console.log(`📋 Allowed MIME types:`, allowedMimes);
-    cb(new Error(`Unsupported file type: ${file.mimetype}. Allowed types: ${allowedMimes.join(', ')}`), false);
+    console.log(`📋 Allowed MIME types:`, ALLOWED_MIME_TYPES);
+    cb(new Error(`Unsupported file type: ${file.mimetype}. Allowed types: ${ALLOWED_MIME_TYPES.join(', ')}`), false);
   }
 };
 
@@ -50,9 +76,10 @@ const fileFilter = (req, file, cb) => {
 const upload = multer({
   storage: storage,
   limits: {
-    fileSize: 100 * 1024 * 1024, // 100MB limit
+    fileSize: 100 * 1024 * 1024, // 100MB limit; larger files go through /api/uploads in chunks
   },
   fileFilter: fileFilter
 });
 
-module.exports = upload;
\ No newline at end of file
+module.exports = upload;
+module.exports.ALLOWED_MIME_TYPES = ALLOWED_MIME_TYPES;
\ No newline at end of file
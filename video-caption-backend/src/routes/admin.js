@@ -0,0 +1,55 @@
+const express = require('express');
+const requireAdmin = require('../middleware/adminAuth');
+const { describeTranscriptionCache, purgeTranscriptionCache } = require('../utils/transcriptionCache');
+
+const router = express.Router();
+
+router.use('/admin', requireAdmin);
+
+// GET /api/admin/cache - Cache limits, size and entries, most recently used first
+router.get('/admin/cache', async (req, res, next) => {
+  try {
+    res.json({
+      success: true,
+      ...(await describeTranscriptionCache())
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// DELETE /api/admin/cache - Purge cached transcriptions
+// Optional query: engine and/or hash (SHA-256 of the audio) to purge only matching entries
+router.delete('/admin/cache', async (req, res, next) => {
+  try {
+    const removed = await purgeTranscriptionCache({ engine: req.query.engine, hash: req.query.hash });
+    res.json({
+      success: true,
+      removed
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// DELETE /api/admin/cache/:key - Purge one cached engine result
+router.delete('/admin/cache/:key', async (req, res, next) => {
+  try {
+    const removed = await purgeTranscriptionCache({ key: req.params.key });
+    if (removed === 0) {
+      return res.status(404).json({
+        error: true,
+        message: 'Cache entry not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      removed
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
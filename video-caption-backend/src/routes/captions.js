@@ -0,0 +1,252 @@
+const express = require('express');
+const path = require('path');
+const captionUpload = require('../middleware/captionUpload');
+const { segmentCaptions, resolveSegmentationRules } = require('../utils/segment');
+const { getFormat, listFormats, detectFormat } = require('../utils/formats');
+const { buildCaptionOutputs } = require('../utils/transcription');
+const { markKeywords } = require('../utils/keywords');
+const { SCRIPTS, transliterateCues } = require('../utils/transliterate');
+const { TRACK_ID_PATTERN, attachTrack, carryTracks } = require('../utils/tracks');
+const config = require('../config');
+
+const router = express.Router();
+
+// POST /api/segment - Re-cut transcription segments into cues with different rules
+router.post('/segment', (req, res) => {
+  const { segments, rules } = req.body || {};
+
+  if (!Array.isArray(segments)) {
+    return res.status(400).json({
+      error: true,
+      message: 'segments must be an array of { start, end, text } objects'
+    });
+  }
+
+  const resolvedRules = resolveSegmentationRules({ ...config.segmentation, ...rules });
+  // Second text tracks (e.g. a translation) follow the words into the new cues
+  const cues = carryTracks(segmentCaptions(segments, resolvedRules), segments);
+
+  res.json({
+    success: true,
+    ...buildCaptionOutputs(cues),
+    segmentation: resolvedRules
+  });
+});
+
+// POST /api/keywords - Mark emphasis words (and an emoji) in each cue, scored offline
+// JSON body: { cues, options } where options are { maxPerCue, minScore, emoji }
+router.post('/keywords', (req, res) => {
+  const { cues, options } = req.body || {};
+
+  if (!Array.isArray(cues)) {
+    return res.status(400).json({
+      error: true,
+      message: 'cues must be an array of { start, end, text, words } objects'
+    });
+  }
+
+  console.log(`✨ Scoring keywords in ${cues.length} cues`);
+  const result = markKeywords(cues, options);
+
+  res.json({
+    success: true,
+    ...result
+  });
+});
+
+// POST /api/transliterate - Rewrite cues in Roman or Devanagari script, keeping English words
+router.post('/transliterate', (req, res) => {
+  const { cues, script } = req.body || {};
+
+  if (!Array.isArray(cues)) {
+    return res.status(400).json({
+      error: true,
+      message: 'cues must be an array of { start, end, text, words } objects'
+    });
+  }
+
+  if (!SCRIPTS.includes(script)) {
+    return res.status(400).json({
+      error: true,
+      message: `script must be one of: ${SCRIPTS.join(', ')}`
+    });
+  }
+
+  console.log(`🔤 Transliterating ${cues.length} cues to ${script} script`);
+
+  res.json({
+    success: true,
+    script,
+    cues: transliterateCues(cues, script)
+  });
+});
+
+// GET /api/formats - List caption formats that can be imported and exported
+router.get('/formats', (req, res) => {
+  res.json({
+    success: true,
+    formats: listFormats()
+  });
+});
+
+// POST /api/convert - Convert a caption file from one format to another
+// Accepts a multipart `caption` file or a JSON body { content, filename }, plus `from` (optional) and `to`
+router.post('/convert', captionUpload.single('caption'), (req, res) => {
+  const content = req.file ? req.file.buffer.toString('utf8') : req.body.content;
+  const filename = req.file ? req.file.originalname : req.body.filename;
+
+  if (!content) {
+    return res.status(400).json({
+      error: true,
+      message: 'No caption file uploaded'
+    });
+  }
+
+  const from = req.body.from || detectFormat(content, filename);
+  const sourceFormat = getFormat(from);
+  const targetFormat = getFormat(req.body.to);
+
+  if (!sourceFormat || !sourceFormat.parse) {
+    return res.status(400).json({
+      error: true,
+      message: from ? `Cannot read captions in format: ${from}` : 'Could not detect the caption format; pass `from`'
+    });
+  }
+  if (!targetFormat || !targetFormat.generate) {
+    return res.status(400).json({
+      error: true,
+      message: `Cannot write captions in format: ${req.body.to}. Supported formats: ${listFormats().filter(f => f.canWrite).map(f => f.name).join(', ')}`
+    });
+  }
+
+  let cues;
+  try {
+    cues = sourceFormat.parse(content);
+  } catch (error) {
+    return res.status(400).json({
+      error: true,
+      message: `Failed to parse ${from} captions: ${error.message}`
+    });
+  }
+
+  if (cues.length === 0) {
+    return res.status(400).json({
+      error: true,
+      message: 'No caption cues found in the uploaded file'
+    });
+  }
+
+  console.log(`🔄 Converting ${cues.length} cues from ${from} to ${req.body.to}`);
+
+  let options = req.body.options || {};
+  if (typeof options === 'string') {
+    try {
+      options = JSON.parse(options);
+    } catch (error) {
+      return res.status(400).json({
+        error: true,
+        message: 'options must be a JSON object'
+      });
+    }
+  }
+
+  const output = targetFormat.generate(cues, options);
+  const baseName = filename ? path.basename(filename, path.extname(filename)) : 'captions';
+
+  // res.attachment() encodes non-ASCII file names safely
+  res.attachment(`${baseName}.${targetFormat.extension}`);
+  res.type(targetFormat.binary ? targetFormat.mimeType : `${targetFormat.mimeType}; charset=utf-8`);
+  res.send(output);
+});
+
+// POST /api/tracks - Add a caption file as a second text track of the given cues
+// Multipart: `caption` file, `cues` (JSON array of the current cues) and `track` (track name, e.g. 'en')
+router.post('/tracks', captionUpload.single('caption'), (req, res) => {
+  const trackId = req.body.track;
+
+  if (!req.file) {
+    return res.status(400).json({
+      error: true,
+      message: 'No caption file uploaded'
+    });
+  }
+  if (!TRACK_ID_PATTERN.test(trackId || '')) {
+    return res.status(400).json({
+      error: true,
+      message: 'track must be a short name of letters, digits, - or _ (e.g. en)'
+    });
+  }
+
+  let cues;
+  try {
+    cues = JSON.parse(req.body.cues || '');
+  } catch (error) {
+    cues = null;
+  }
+  if (!Array.isArray(cues) || cues.length === 0) {
+    return res.status(400).json({
+      error: true,
+      message: 'cues must be a JSON array of { start, end, text } objects'
+    });
+  }
+
+  const content = req.file.buffer.toString('utf8');
+  const from = detectFormat(content, req.file.originalname);
+  const format = getFormat(from);
+
+  if (!format || !format.parse) {
+    return res.status(400).json({
+      error: true,
+      message: 'Could not read the track file; upload SRT, VTT or JSON captions'
+    });
+  }
+
+  let segments;
+  try {
+    segments = format.parse(content);
+  } catch (error) {
+    return res.status(400).json({
+      error: true,
+      message: `Failed to parse ${from} captions: ${error.message}`
+    });
+  }
+
+  console.log(`🌍 Adding ${segments.length} ${from} cues as track "${trackId}"`);
+
+  res.json({
+    success: true,
+    track: trackId,
+    cues: attachTrack(cues, segments, trackId)
+  });
+});
+
+// POST /api/export - Write the given cues (e.g. edited in the browser) in any supported format
+// JSON body: { format, cues, options, filename } where options.style is the caption style used by ASS
+router.post('/export', (req, res) => {
+  const { format: formatName, cues, options = {}, filename } = req.body || {};
+  const format = getFormat(formatName);
+
+  if (!format || !format.generate) {
+    return res.status(400).json({
+      error: true,
+      message: `Cannot write captions in format: ${formatName}. Supported formats: ${listFormats().filter(f => f.canWrite).map(f => f.name).join(', ')}`
+    });
+  }
+  if (!Array.isArray(cues) || cues.length === 0) {
+    return res.status(400).json({
+      error: true,
+      message: 'cues must be a non-empty array of { start, end, text } objects'
+    });
+  }
+
+  console.log(`📤 Exporting ${cues.length} cues as ${formatName}`);
+
+  const output = format.generate(cues, options);
+  const baseName = filename ? path.basename(filename, path.extname(filename)) : 'captions';
+
+  res.attachment(`${baseName}.${format.extension}`);
+  res.type(format.binary ? format.mimeType : `${format.mimeType}; charset=utf-8`);
+  res.send(output);
+});
+
+module.exports = router;
@@ -0,0 +1,18 @@
+const express = require('express');
+const { listEngines } = require('../engines');
+const { WHISPER_LANGUAGES, WHISPER_MODELS, WHISPER_TASKS } = require('../utils/whisperOptions');
+
+const router = express.Router();
+
+// GET /api/engines - List the transcription engines this server can run, and the values their options take
+router.get('/engines', (req, res) => {
+  res.json({
+    success: true,
+    engines: listEngines(),
+    languages: Object.entries(WHISPER_LANGUAGES).map(([code, name]) => ({ code, name })),
+    models: WHISPER_MODELS,
+    tasks: WHISPER_TASKS
+  });
+});
+
+module.exports = router;
@@ -0,0 +1,179 @@
+const express = require('express');
+const fs = require('fs-extra');
+const upload = require('../middleware/upload');
+const attachResumableUpload = require('../middleware/resumableUpload');
+const { claimUploadedFile, discardUploadedFile } = require('../middleware/resumableUpload');
+const { getEngine, listEngines } = require('../engines');
+const {
+  transcribeAudio,
+  isTranscriptionCached,
+  buildTranscriptionResult,
+  parseSegmentationField,
+  parseScriptField,
+  parseTranslateField
+} = require('../utils/transcription');
+const { parseTranscriptionOptions } = require('../utils/whisperOptions');
+const { parseProjectFields, saveTranscriptionProject } = require('../utils/projects');
+const { JOB_STATUS, createJob, getJob, serializeJob, subscribeToJob } = require('../utils/jobs');
+
+const router = express.Router();
+
+// POST /api/jobs - Accept an upload and transcribe it in the background
+router.post('/jobs', upload.single('audio'), attachResumableUpload, async (req, res) => {
+  if (!req.file) {
+    return res.status(400).json({
+      error: true,
+      message: 'No audio file uploaded'
+    });
+  }
+
+  const engine = getEngine(req.body.engine || undefined);
+
+  if (!engine) {
+    await discardUploadedFile(req.file);
+    return res.status(400).json({
+      error: true,
+      message: `Unknown engine: ${req.body.engine}. Available engines: ${listEngines().map(e => e.name).join(', ')}`
+    });
+  }
+
+  let segmentation;
+  let script;
+  let options;
+  let project;
+  try {
+    segmentation = parseSegmentationField(req.body.segmentation);
+    script = parseScriptField(req.body.script);
+    options = parseTranscriptionOptions(req.body, engine);
+    project = parseProjectFields(req.body);
+  } catch (error) {
+    await discardUploadedFile(req.file);
+    return res.status(error.status).json({
+      error: true,
+      message: error.message
+    });
+  }
+
+  // Resumable uploads are only taken once the fields are known to be good
+  let uploadedFile;
+  try {
+    uploadedFile = await claimUploadedFile(req.file);
+  } catch (error) {
+    return res.status(error.status || 500).json({
+      error: true,
+      message: error.message
+    });
+  }
+
+  console.log(`📁 File uploaded for job: ${uploadedFile.filename}`);
+  console.log(`📊 File size: ${(uploadedFile.size / 1024 / 1024).toFixed(2)} MB`);
+
+  const audioFilePath = uploadedFile.path;
+  const filename = uploadedFile.originalname;
+  const translate = parseTranslateField(req.body.translate);
+  const hash = uploadedFile.hash;
+  // Cached results are ready at once, so they don't wait behind running transcriptions
+  const cached = await isTranscriptionCached(engine, { options, translate, hash });
+
+  const job = createJob(async ({ reportProgress }) => {
+    try {
+      console.log(`🎤 Processing audio with ${engine.name} engine...`);
+      const { segments, tracks, details } = await transcribeAudio(engine, audioFilePath, {
+        options,
+        translate,
+        onProgress: reportProgress,
+        hash
+      });
+
+      const result = buildTranscriptionResult(segments, {
+        filename,
+        ...details
+      }, { segmentation, script, tracks });
+
+      if (project) {
+        result.projectId = await saveTranscriptionProject(result, uploadedFile, { ...project, engine: engine.name });
+      }
+      return result;
+    } finally {
+      // Clean up uploaded file whether the job succeeded or not
+      await fs.remove(audioFilePath);
+      console.log('🧹 Temporary file cleaned up');
+    }
+  }, { filename, engine: engine.name }, { skipQueue: cached });
+
+  res.status(202).json({
+    success: true,
+    jobId: job.id,
+    status: job.status,
+    statusUrl: `/api/jobs/${job.id}`,
+    eventsUrl: `/api/jobs/${job.id}/events`
+  });
+});
+
+// GET /api/jobs/:id - Report job state and, once finished, the transcription result
+router.get('/jobs/:id', (req, res) => {
+  const job = getJob(req.params.id);
+
+  if (!job) {
+    return res.status(404).json({
+      error: true,
+      message: 'Job not found'
+    });
+  }
+
+  res.json({
+    success: true,
+    job: serializeJob(job)
+  });
+});
+
+// GET /api/jobs/:id/events - Stream job status and progress as Server-Sent Events
+router.get('/jobs/:id/events', (req, res) => {
+  const job = getJob(req.params.id);
+
+  if (!job) {
+    return res.status(404).json({
+      error: true,
+      message: 'Job not found'
+    });
+  }
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive'
+  });
+
+  const sendEvent = (event, data) => {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  const isFinished = (status) => status === JOB_STATUS.DONE || status === JOB_STATUS.FAILED;
+
+  // Send the current state straight away so late subscribers are in sync
+  const current = serializeJob(job);
+  sendEvent('status', current);
+  if (isFinished(current.status)) {
+    return res.end();
+  }
+
+  // Keep proxies from closing an idle connection while Whisper is loading the model
+  const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), 15000);
+
+  const unsubscribe = subscribeToJob(job, (event, data) => {
+    sendEvent(event, data);
+    if (event === 'status' && isFinished(data.status)) {
+      cleanup();
+      res.end();
+    }
+  });
+
+  const cleanup = () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+  };
+
+  req.on('close', cleanup);
+});
+
+module.exports = router;
@@ -0,0 +1,123 @@
+const express = require('express');
+const {
+  createProject,
+  listProjects,
+  getProject,
+  updateProject,
+  addProjectExport,
+  deleteProject,
+  getProjectAudioPath,
+  summarizeProject
+} = require('../utils/projects');
+
+const router = express.Router();
+
+const notFound = (res) => res.status(404).json({
+  error: true,
+  message: 'Project not found'
+});
+
+// GET /api/projects - List saved projects, most recently changed first
+router.get('/projects', async (req, res, next) => {
+  try {
+    res.json({
+      success: true,
+      projects: await listProjects()
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /api/projects - Save a new project
+// JSON body: { name, source, transcription, captions, style }
+router.post('/projects', async (req, res, next) => {
+  try {
+    const project = await createProject(req.body || {});
+    res.status(201).json({
+      success: true,
+      project
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET /api/projects/:id - Read a project with its transcription, captions, style and export history
+router.get('/projects/:id', async (req, res, next) => {
+  try {
+    const project = await getProject(req.params.id);
+    if (!project) return notFound(res);
+
+    res.json({
+      success: true,
+      project
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// PATCH /api/projects/:id - Replace some of name, source, transcription, captions and style
+router.patch('/projects/:id', async (req, res, next) => {
+  try {
+    const project = await updateProject(req.params.id, req.body || {});
+    if (!project) return notFound(res);
+
+    res.json({
+      success: true,
+      project: summarizeProject(project)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// DELETE /api/projects/:id - Delete a project and its audio
+router.delete('/projects/:id', async (req, res, next) => {
+  try {
+    if (!(await deleteProject(req.params.id))) return notFound(res);
+
+    res.json({
+      success: true
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET /api/projects/:id/audio - Stream the audio the project was transcribed from
+router.get('/projects/:id/audio', async (req, res, next) => {
+  try {
+    const project = await getProject(req.params.id);
+    const audioPath = getProjectAudioPath(project);
+    if (!audioPath) {
+      return res.status(404).json({
+        error: true,
+        message: project ? 'This project has no audio' : 'Project not found'
+      });
+    }
+
+    res.type(project.audio.type).sendFile(audioPath);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /api/projects/:id/exports - Record a download in the project's export history
+// JSON body: { format, filename, options }
+router.post('/projects/:id/exports', async (req, res, next) => {
+  try {
+    const entry = await addProjectExport(req.params.id, req.body || {});
+    if (!entry) return notFound(res);
+
+    res.status(201).json({
+      success: true,
+      export: entry
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,104 @@
+const express = require('express');
+const { ALLOWED_MIME_TYPES } = require('../middleware/upload');
+const {
+  createUpload,
+  getUpload,
+  appendChunk,
+  deleteUpload,
+  describeUpload
+} = require('../utils/resumableUploads');
+const config = require('../config');
+
+const router = express.Router();
+
+// Chunks arrive as raw bytes, at most one chunk size per request, whatever Content-Type the client sent
+// The router is mounted ahead of the app's body parsers, so it parses its own JSON
+const readChunk = express.raw({ type: () => true, limit: config.uploads.chunkSize });
+const readJson = express.json();
+
+const notFound = (res) => res.status(404).json({
+  error: true,
+  message: 'Upload not found'
+});
+
+// Offset conflicts carry the offset to continue from, in the body and the Upload-Offset header
+const sendUploadError = (res, error) => {
+  if (error.offset !== undefined) res.set('Upload-Offset', String(error.offset));
+  res.status(error.status || 500).json({
+    error: true,
+    message: error.message || 'Upload failed',
+    ...(error.offset !== undefined && { offset: error.offset })
+  });
+};
+
+// POST /api/uploads - Start a resumable upload
+// JSON body: { filename, type, size, checksum } where checksum ("sha256 <base64>") of the whole file is optional
+router.post('/uploads', readJson, async (req, res) => {
+  try {
+    const upload = await createUpload(req.body || {}, ALLOWED_MIME_TYPES);
+    res.status(201).json({
+      success: true,
+      ...describeUpload(upload)
+    });
+  } catch (error) {
+    sendUploadError(res, error);
+  }
+});
+
+// GET /api/uploads/:id - How many bytes have arrived, to resume from there
+router.get('/uploads/:id', async (req, res) => {
+  try {
+    const upload = await getUpload(req.params.id);
+    if (!upload) return notFound(res);
+
+    res.set('Upload-Offset', String(upload.offset));
+    res.json({
+      success: true,
+      ...describeUpload(upload)
+    });
+  } catch (error) {
+    sendUploadError(res, error);
+  }
+});
+
+// PATCH /api/uploads/:id - Append one chunk
+// Headers: Upload-Offset (where the chunk starts) and optional Upload-Checksum ("sha256 <base64>" of the chunk)
+router.patch('/uploads/:id', readChunk, async (req, res) => {
+  const offset = Number(req.get('upload-offset'));
+
+  if (!Number.isInteger(offset) || offset < 0) {
+    return res.status(400).json({
+      error: true,
+      message: 'Upload-Offset header must be the byte offset the chunk starts at'
+    });
+  }
+
+  try {
+    const chunk = Buffer.isBuffer(req.body) ? req.body : Buffer.alloc(0);
+    const upload = await appendChunk(req.params.id, offset, chunk, req.get('upload-checksum'));
+    if (!upload) return notFound(res);
+
+    res.set('Upload-Offset', String(upload.offset));
+    res.json({
+      success: true,
+      ...describeUpload(upload)
+    });
+  } catch (error) {
+    sendUploadError(res, error);
+  }
+});
+
+// DELETE /api/uploads/:id - Cancel an upload
+router.delete('/uploads/:id', async (req, res) => {
+  try {
+    if (!(await deleteUpload(req.params.id))) return notFound(res);
+
+    res.json({
+      success: true
+    });
+  } catch (error) {
+    sendUploadError(res, error);
+  }
+});
+
+module.exports = router;
@@ -2,13 +2,40 @@ const express = require('express');
 const fs = require('fs-extra');
 const path = require('path');
 const upload = require('../middleware/upload');
-const { processAudioWithWhisper, processAudioWithHinglishWhisper } = require('../utils/whisper');
-const { generateSRT, generateRemotionCaptions, validateSRT } = require('../utils/srt');
+const attachResumableUpload = require('../middleware/resumableUpload');
+const { claimUploadedFile, discardUploadedFile } = require('../middleware/resumableUpload');
+const { getEngine, listEngines } = require('../engines');
+const {
+  transcribeAudio,
+  buildTranscriptionResult,
+  parseSegmentationField,
+  parseScriptField,
+  parseTranslateField
+} = require('../utils/transcription');
+const { parseTranscriptionOptions } = require('../utils/whisperOptions');
+const { parseProjectFields, saveTranscriptionProject } = require('../utils/projects');
 
 const router = express.Router();
 
+/**
+ * Look up the engine named by a request's `engine` field
+ * @param {string} name - Engine name from the request, if any
+ * @param {string} fallback - Engine the route uses when no name is given
+ * @returns {Object} - The engine; throws a 400 error for unknown names
+ */
+function resolveEngine(name, fallback) {
+  const engine = getEngine(name || fallback);
+
+  if (!engine) {
+    const error = new Error(`Unknown engine: ${name}. Available engines: ${listEngines().map(e => e.name).join(', ')}`);
+    error.status = 400;
+    throw error;
+  }
+  return engine;
+}
+
 // POST /api/upload-audio
-router.post('/upload-audio', upload.single('audio'), async (req, res) => {
+router.post('/upload-audio', upload.single('audio'), attachResumableUpload, async (req, res) => {
   try {
     if (!req.file) {
       return res.status(400).json({
@@ -20,54 +47,48 @@ router.post('/upload-audio', upload.single('audio'), async (req, res) => {
     console.log(`📁 File uploaded: ${req.file.filename}`);
     console.log(`📊 File size: ${(req.file.size / 1024 / 1024).toFixed(2)} MB`);
 
+    const segmentation = parseSegmentationField(req.body.segmentation);
+    const script = parseScriptField(req.body.script);
+    const translate = parseTranslateField(req.body.translate);
+    const engine = resolveEngine(req.body.engine, 'whisper');
+    const options = parseTranscriptionOptions(req.body, engine);
+    const project = parseProjectFields(req.body);
+    // Resumable uploads are only taken once the fields are known to be good
+    req.file = await claimUploadedFile(req.file);
     const audioFilePath = req.file.path;
     
     // Process audio with Whisper
-    console.log('🎤 Processing audio with Whisper...');
-    const transcription = await processAudioWithWhisper(audioFilePath);
-    
-    // Generate SRT format
-    console.log('📝 Generating SRT file...');
-    const srtContent = generateSRT(transcription);
-    
-    // Generate Remotion-compatible captions
-    const remotionCaptions = generateRemotionCaptions(transcription);
-    
-    // Validate SRT content
-    const validation = validateSRT(srtContent);
-    if (!validation.isValid) {
-      console.warn('⚠️ SRT validation warnings:', validation.errors);
+    console.log(`🎤 Processing audio with ${engine.name} engine...`);
+    const { segments, tracks, details } = await transcribeAudio(engine, audioFilePath, {
+      options,
+      translate,
+      hash: req.file.hash
+    });
+    const result = buildTranscriptionResult(segments, {
+      filename: req.file.originalname,
+      ...details
+    }, { segmentation, script, tracks });
+
+    // A saved project keeps the audio; otherwise it is no longer needed
+    if (project) {
+      result.projectId = await saveTranscriptionProject(result, req.file, { ...project, engine: engine.name });
     }
-    
-    // Clean up uploaded file
     await fs.remove(audioFilePath);
     console.log('🧹 Temporary file cleaned up');
 
     // Send response
     res.json({
       success: true,
-      srt: srtContent,
-      captions: remotionCaptions, // Remotion-compatible format
-      filename: req.file.originalname,
-      transcription: transcription,
-      duration: transcription.length > 0 ? transcription[transcription.length - 1].end : 0,
-      segmentCount: transcription.length,
-      validation: validation
+      ...result
     });
 
   } catch (error) {
     console.error('❌ Error processing audio:', error);
     
     // Clean up file if it exists
-    if (req.file && req.file.path) {
-      try {
-        await fs.remove(req.file.path);
-      } catch (cleanupError) {
-        console.error('Error cleaning up file:', cleanupError);
-      }
-    }
+    await discardUploadedFile(req.file);
 
-    res.status(500).json({
+    res.status(error.status || 500).json({
       error: true,
       message: error.message || 'Failed to process audio file'
     });
@@ -75,7 +96,7 @@ router.post('/upload-audio', upload.single('audio'), async (req, res) => {
 });
 
 // POST /api/upload-audio-hinglish - Specialized Hinglish processing
-router.post('/upload-audio-hinglish', upload.single('audio'), async (req, res) => {
+router.post('/upload-audio-hinglish', upload.single('audio'), attachResumableUpload, async (req, res) => {
   try {
     if (!req.file) {
       return res.status(400).json({
@@ -87,56 +108,48 @@ router.post('/upload-audio-hinglish', upload.single('audio'), async (req, res) =
     console.log(`📁 Hinglish file uploaded: ${req.file.filename}`);
     console.log(`📊 File size: ${(req.file.size / 1024 / 1024).toFixed(2)} MB`);
 
+    const segmentation = parseSegmentationField(req.body.segmentation);
+    const script = parseScriptField(req.body.script);
+    const translate = parseTranslateField(req.body.translate);
+    const engine = resolveEngine(req.body.engine, 'hinglish');
+    const options = parseTranscriptionOptions(req.body, engine);
+    const project = parseProjectFields(req.body);
+    // Resumable uploads are only taken once the fields are known to be good
+    req.file = await claimUploadedFile(req.file);
     const audioFilePath = req.file.path;
     
     // Process audio with specialized Hinglish Whisper model
-    console.log('🎤 Processing audio with Hinglish Whisper model...');
-    const transcription = await processAudioWithHinglishWhisper(audioFilePath);
-    
-    // Generate SRT format
-    console.log('📝 Generating SRT file...');
-    const srtContent = generateSRT(transcription);
-    
-    // Generate Remotion-compatible captions
-    const remotionCaptions = generateRemotionCaptions(transcription);
-    
-    // Validate SRT content
-    const validation = validateSRT(srtContent);
-    if (!validation.isValid) {
-      console.warn('⚠️ SRT validation warnings:', validation.errors);
+    console.log(`🎤 Processing Hinglish audio with ${engine.name} engine...`);
+    const { segments, tracks, details } = await transcribeAudio(engine, audioFilePath, {
+      options,
+      translate,
+      hash: req.file.hash
+    });
+    const result = buildTranscriptionResult(segments, {
+      filename: req.file.originalname,
+      ...details
+    }, { segmentation, script, tracks });
+
+    // A saved project keeps the audio; otherwise it is no longer needed
+    if (project) {
+      result.projectId = await saveTranscriptionProject(result, req.file, { ...project, engine: engine.name });
     }
-    
-    // Clean up uploaded file
     await fs.remove(audioFilePath);
     console.log('🧹 Temporary file cleaned up');
 
     // Send response
     res.json({
       success: true,
-      srt: srtContent,
-      captions: remotionCaptions, // Remotion-compatible format
-      filename: req.file.originalname,
-      transcription: transcription,
-      duration: transcription.length > 0 ? transcription[transcription.length - 1].end : 0,
-      segmentCount: transcription.length,
-      validation: validation,
-      model: 'Hinglish Whisper (Oriserve/Whisper-Hindi2Hinglish-Swift)',
-      language: 'Hinglish (Hindi + English)'
+      ...result
     });
 
   } catch (error) {
     console.error('❌ Error processing Hinglish audio:', error);
     
     // Clean up file if it exists
-    if (req.file && req.file.path) {
-      try {
-        await fs.remove(req.file.path);
-      } catch (cleanupError) {
-        console.error('Error cleaning up file:', cleanupError);
-      }
-    }
+    await discardUploadedFile(req.file);
 
-    res.status(500).json({
+    res.status(error.status || 500).json({
       error: true,
       message: error.message || 'Failed to process Hinglish audio file'
     });
@@ -150,7 +163,32 @@ router.get('/test', (req, res) => {
     timestamp: new Date().toISOString(),
     endpoints: {
       'POST /api/upload-audio': 'Upload audio file for transcription (Large Whisper model)',
-      'POST /api/upload-audio-hinglish': 'Upload audio file for Hinglish transcription (Specialized model)'
+      'POST /api/upload-audio-hinglish': 'Upload audio file for Hinglish transcription (Specialized model)',
+      'GET /api/engines': 'List available transcription engines',
+      'POST /api/segment': 'Re-cut transcription segments into caption cues',
+      'POST /api/keywords': 'Mark emphasis words and emojis in caption cues',
+      'POST /api/transliterate': 'Rewrite caption cues in Roman or Devanagari script',
+      'POST /api/tracks': 'Add a caption file as a second (e.g. translated) text track',
+      'GET /api/formats': 'List supported caption formats',
+      'POST /api/convert': 'Convert a caption file between formats (SRT, WebVTT, ASS, TTML, SBV, EBU-STL, JSON)',
+      'POST /api/export': 'Export caption cues in any supported format, with caption style for ASS',
+      'POST /api/jobs': 'Upload audio file and start a background transcription job',
+      'GET /api/jobs/:id': 'Get the status and result of a transcription job',
+      'GET /api/jobs/:id/events': 'Stream job status and progress (Server-Sent Events)',
+      'GET /api/projects': 'List saved projects',
+      'POST /api/projects': 'Save a new project',
+      'GET /api/projects/:id': 'Get a project with its transcription, captions, style and export history',
+      'PATCH /api/projects/:id': 'Update the name, captions, style or other fields of a project',
+      'DELETE /api/projects/:id': 'Delete a project and its audio',
+      'GET /api/projects/:id/audio': 'Stream the audio a project was transcribed from',
+      'POST /api/projects/:id/exports': 'Record a download in a project\'s export history',
+      'POST /api/uploads': 'Start a resumable chunked upload',
+      'GET /api/uploads/:id': 'Get the offset of a resumable upload',
+      'PATCH /api/uploads/:id': 'Append a chunk to a resumable upload',
+      'DELETE /api/uploads/:id': 'Cancel a resumable upload',
+      'GET /api/admin/cache': 'List cached transcriptions (admin token required)',
+      'DELETE /api/admin/cache': 'Purge cached transcriptions, optionally by engine or audio hash (admin token required)',
+      'DELETE /api/admin/cache/:key': 'Purge one cached transcription (admin token required)'
     }
   });
 });
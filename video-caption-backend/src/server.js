@@ -5,6 +5,13 @@ const fs = require('fs-extra');
 require('dotenv').config();
 
 const uploadRoutes = require('./routes/upload');
+const jobRoutes = require('./routes/jobs');
+const engineRoutes = require('./routes/engines');
+const captionRoutes = require('./routes/captions');
+const projectRoutes = require('./routes/projects');
+const adminRoutes = require('./routes/admin');
+const resumableRoutes = require('./routes/resumable');
+const config = require('./config');
 
 const app = express();
 const PORT = process.env.PORT || 3001;
@@ -14,6 +21,8 @@ app.use(cors({
   origin: process.env.FRONTEND_URLS?.split(',') || ['http://localhost:5173', 'http://localhost:3000'],
   credentials: true
 }));
+// Resumable upload chunks are read as raw bytes, whatever their Content-Type, so they go before the body parsers
+app.use('/api', resumableRoutes);
 app.use(express.json({ limit: '50mb' }));
 app.use(express.urlencoded({ extended: true, limit: '50mb' }));
 
@@ -21,8 +30,16 @@ app.use(express.urlencoded({ extended: true, limit: '50mb' }));
 const uploadsDir = path.join(__dirname, '..', 'uploads');
 fs.ensureDirSync(uploadsDir);
 
+// Saved projects live under the data dir
+fs.ensureDirSync(path.join(config.dataDir, 'projects'));
+
 // Routes
 app.use('/api', uploadRoutes);
+app.use('/api', jobRoutes);
+app.use('/api', engineRoutes);
+app.use('/api', captionRoutes);
+app.use('/api', projectRoutes);
+app.use('/api', adminRoutes);
 
 // Health check endpoint
 app.get('/health', (req, res) => {
@@ -0,0 +1,230 @@
+/**
+ * Default caption style, matching the player's built-in look
+ * Sizes are in pixels of a 1920x1080 frame (PlayResX/PlayResY) and scale with the video
+ */
+const DEFAULT_ASS_STYLE = {
+  fontFamily: 'Inter',
+  fontSize: 54,
+  fontWeight: 700,      // CSS weight; ASS only knows bold (600 and up) or regular
+  textColor: '#FFFFFF',
+  highlightColor: '#FFD700',
+  outlineColor: '#000000',
+  outlineWidth: 3,
+  shadow: 1,
+  backgroundColor: '#000000',
+  backgroundOpacity: 0.85,
+  showBackground: true,
+  position: 'bottom',   // 'top', 'middle' or 'bottom'
+  marginV: 80,
+  maxWidth: 0.9,        // Widest a caption line may be, as a fraction of the frame width
+  uppercase: false,
+  karaoke: true,
+  secondaryColor: '#FFE082',   // Second text track in bilingual mode
+  secondaryFontSize: 40,
+  secondaryPosition: 'below'   // 'above' or 'below' the cue's own text
+};
+
+// ASS numpad alignment for bottom, middle and top centre
+const ALIGNMENT = { bottom: 2, middle: 5, top: 8 };
+
+/**
+ * Convert seconds to ASS time format (H:MM:SS.cc)
+ * @param {number} seconds - Time in seconds
+ * @returns {string} - ASS formatted time
+ */
+function secondsToASSTime(seconds) {
+  const totalCs = Math.max(0, Math.round(seconds * 100));
+  const hours = Math.floor(totalCs / 360000);
+  const minutes = Math.floor((totalCs % 360000) / 6000);
+  const secs = Math.floor((totalCs % 6000) / 100);
+  const centiseconds = totalCs % 100;
+
+  return `${hours}:${minutes.toString().padStart(2, '0')}:${secs
+    .toString()
+    .padStart(2, '0')}.${centiseconds.toString().padStart(2, '0')}`;
+}
+
+/**
+ * Convert a CSS hex colour to ASS &HAABBGGRR notation
+ * @param {string} hex - Colour as #RGB, #RRGGBB or #RRGGBBAA
+ * @param {number} opacity - Opacity from 0 to 1, used when the colour has no alpha
+ * @returns {string} - ASS colour
+ */
+function hexToASSColor(hex, opacity = 1) {
+  let value = String(hex || '#FFFFFF').replace('#', '');
+  if (value.length === 3) {
+    value = value.split('').map(char => char + char).join('');
+  }
+
+  const red = value.slice(0, 2);
+  const green = value.slice(2, 4);
+  const blue = value.slice(4, 6);
+  const alphaFromHex = value.length === 8 ? parseInt(value.slice(6, 8), 16) / 255 : opacity;
+  // ASS alpha is inverted: 00 is opaque, FF is transparent
+  const alpha = Math.round((1 - Math.min(1, Math.max(0, alphaFromHex))) * 255);
+
+  return `&H${alpha.toString(16).padStart(2, '0')}${blue}${green}${red}`.toUpperCase();
+}
+
+/**
+ * Generate an Advanced SubStation Alpha (ASS) subtitle file from caption cues
+ * Carries the caption style (font, size, colours, outline, position) and per-word karaoke timing
+ * @param {Array} cues - Cues with start, end, text and optional words (seconds)
+ * @param {Object} style - Caption style, see DEFAULT_ASS_STYLE
+ * @param {Object} options - Optional settings
+ * @param {string} options.title - Script title
+ * @param {number} options.width - Video width used as PlayResX
+ * @param {number} options.height - Video height used as PlayResY
+ * @param {string} options.secondaryTrack - Track stacked with each cue's text in the Secondary style
+ * @param {string} options.secondaryPosition - 'above' or 'below'; overrides style.secondaryPosition
+ * @returns {string} - ASS formatted content
+ */
+function generateASS(cues, style = {}, { title = 'Simora Captions', width = 1920, height = 1080, secondaryTrack, secondaryPosition } = {}) {
+  const resolved = { ...DEFAULT_ASS_STYLE, ...style };
+  // Style sizes are designed for 1080p; scale them to the target resolution
+  const scale = height / 1080;
+  const scaled = (value) => Math.round(value * scale * 100) / 100;
+  // Lines wrap inside the max width, which is centred in the frame
+  const maxWidth = Math.min(1, Math.max(0.1, Number(resolved.maxWidth) || 1));
+  const sideMargin = Math.round((width * (1 - maxWidth)) / 2);
+
+  // The Secondary style differs from Default only in size and colour, and is never karaoke
+  const buildStyleLine = (name, fontSize, primaryColor, secondaryColor) => [
+    name,
+    resolved.fontFamily,
+    Math.round(fontSize * scale),
+    hexToASSColor(primaryColor),
+    hexToASSColor(secondaryColor),
+    resolved.showBackground
+      ? hexToASSColor(resolved.backgroundColor, resolved.backgroundOpacity)
+      : hexToASSColor(resolved.outlineColor),
+    hexToASSColor('#000000', 0.5),
+    resolved.fontWeight >= 600 ? -1 : 0,
+    0, 0, 0,          // Italic, Underline, StrikeOut
+    100, 100, 0, 0,   // ScaleX, ScaleY, Spacing, Angle
+    resolved.showBackground ? 3 : 1, // BorderStyle: 3 draws an opaque box in OutlineColour
+    resolved.showBackground ? Math.round(12 * scale) : scaled(resolved.outlineWidth),
+    scaled(resolved.shadow),
+    ALIGNMENT[resolved.position] || ALIGNMENT.bottom,
+    sideMargin, sideMargin, Math.round(resolved.marginV * scale),
+    1                 // Encoding
+  ].join(',');
+
+  const styleLine = buildStyleLine(
+    'Default',
+    resolved.fontSize,
+    // With \k karaoke, PrimaryColour is the spoken (highlighted) colour and SecondaryColour the upcoming one
+    resolved.karaoke ? resolved.highlightColor : resolved.textColor,
+    resolved.textColor
+  );
+  const secondaryStyleLine = buildStyleLine('Secondary', resolved.secondaryFontSize, resolved.secondaryColor, resolved.secondaryColor);
+
+  let assContent = `[Script Info]
+Title: ${title}
+ScriptType: v4.00+
+WrapStyle: 0
+ScaledBorderAndShadow: yes
+PlayResX: ${width}
+PlayResY: ${height}
+
+[V4+ Styles]
+Format: Name, Fontname, Fontsize, PrimaryColour, SecondaryColour, OutlineColour, BackColour, Bold, Italic, Underline, StrikeOut, ScaleX, ScaleY, Spacing, Angle, BorderStyle, Outline, Shadow, Alignment, MarginL, MarginR, MarginV, Encoding
+Style: ${styleLine}
+${secondaryTrack ? `Style: ${secondaryStyleLine}\n` : ''}
+[Events]
+Format: Layer, Start, End, Style, Name, MarginL, MarginR, MarginV, Effect, Text
+`;
+
+  (cues || []).forEach(cue => {
+    const dialogue = resolved.karaoke && Array.isArray(cue.words) && cue.words.length > 0
+      ? formatKaraokeText(cue)
+      : formatLines(cue.text.split('\n').map(escapeASSText));
+    // Only the words are upper-cased; override tags and \N breaks keep their case
+    const text = stackSecondaryTrack(
+      resolved.uppercase ? uppercaseDialogue(dialogue) : dialogue,
+      secondaryTrack && cue.tracks ? cue.tracks[secondaryTrack] : '',
+      secondaryPosition || resolved.secondaryPosition
+    );
+
+    assContent += `Dialogue: 0,${secondsToASSTime(cue.start)},${secondsToASSTime(cue.end)},Default,,0,0,0,,${text}\n`;
+  });
+
+  return assContent;
+}
+
+/**
+ * Build dialogue text with a \k tag before every word
+ * A \k tag holds how long its word stays current, so each word is highlighted at its real start time
+ */
+function formatKaraokeText(cue) {
+  const words = cue.words;
+  const lineLengths = cue.text.split('\n').map(line => line.split(/\s+/).filter(Boolean).length);
+
+  const durationOf = (index) => {
+    const end = index + 1 < words.length ? words[index + 1].start : cue.end;
+    return Math.max(0, Math.round((end - words[index].start) * 100)); // centiseconds
+  };
+
+  // An empty syllable covers the silence before the first word
+  const leadIn = Math.max(0, Math.round((words[0].start - cue.start) * 100));
+  const lines = [];
+  let wordIndex = 0;
+
+  lineLengths.forEach(count => {
+    const line = [];
+    for (let i = wordIndex; i < Math.min(wordIndex + count, words.length); i++) {
+      line.push(`{\\k${durationOf(i)}}${escapeASSText(words[i].word)}`);
+    }
+    wordIndex += count;
+    lines.push(line.join(' '));
+  });
+
+  // Words that didn't fit the line layout (e.g. after a text edit) go on the last line
+  const rest = [];
+  for (let i = wordIndex; i < words.length; i++) {
+    rest.push(`{\\k${durationOf(i)}}${escapeASSText(words[i].word)}`);
+  }
+  if (rest.length > 0) {
+    lines[lines.length - 1] = [lines[lines.length - 1], ...rest].filter(Boolean).join(' ');
+  }
+
+  return (leadIn > 0 ? `{\\k${leadIn}}` : '') + formatLines(lines);
+}
+
+/**
+ * Stack a second text track with a cue's dialogue in one event, switching to the Secondary
+ * style with a \r reset so both tracks move and wrap together
+ */
+function stackSecondaryTrack(dialogue, secondary, position) {
+  const secondaryText = escapeASSText(String(secondary || '').replace(/\s*\n\s*/g, ' '));
+  if (!secondaryText) return dialogue;
+  return position === 'above'
+    ? `{\\rSecondary}${secondaryText}\\N{\\r}${dialogue}`
+    : `${dialogue}\\N{\\rSecondary}${secondaryText}`;
+}
+
+function formatLines(lines) {
+  return lines.filter(line => line.length > 0).join('\\N');
+}
+
+// Upper-case the spoken text while leaving override blocks and \N breaks alone
+function uppercaseDialogue(text) {
+  return text.replace(/(\{[^}]*\}|\\N)|([^{\\]+)/g, (match, tag, words) => (tag ? tag : words.toUpperCase()));
+}
+
+function escapeASSText(text) {
+  return String(text || '')
+    .replace(/<[^>]*>/g, '')
+    // Braces start override blocks and backslashes start tags
+    .replace(/\\/g, '⧵')
+    .replace(/\{/g, '(')
+    .replace(/\}/g, ')')
+    .trim();
+}
+
+module.exports = {
+  DEFAULT_ASS_STYLE,
+  generateASS,
+  secondsToASSTime,
+  hexToASSColor
+};
@@ -0,0 +1,73 @@
+/**
+ * Local keyword → emoji dictionary for viral-style captions
+ * Keys are lower case English or romanized Hindi words; lookups also try simple English word forms
+ */
+const EMOJI_DICTIONARY = {
+  // Money and work
+  money: '💰', paisa: '💰', paise: '💰', rupees: '💰', rupaye: '💰', cash: '💰', salary: '💰',
+  rich: '🤑', ameer: '🤑', profit: '📈', growth: '📈', grow: '📈', invest: '📈', investment: '📈',
+  loss: '📉', business: '📊', dhandha: '📊', work: '💼', kaam: '💼', job: '💼', naukri: '💼',
+  price: '🏷️', daam: '🏷️', keemat: '🏷️', sale: '🏷️', free: '🆓', muft: '🆓',
+  shopping: '🛍️', gift: '🎁', tohfa: '🎁',
+
+  // Feelings
+  love: '❤️', pyaar: '❤️', pyar: '❤️', heart: '❤️', dil: '❤️',
+  happy: '😊', khush: '😊', khushi: '😊', smile: '😊',
+  sad: '😢', dukh: '😢', cry: '😢', rona: '😢',
+  angry: '😠', gussa: '😠', laugh: '😂', funny: '😂', hasna: '😂', mazaa: '😂', maza: '😂',
+  crazy: '🤪', pagal: '🤪', shock: '🤯', shocking: '🤯', wow: '🤯', amazing: '🤩', awesome: '🤩',
+  scared: '😱', darr: '😱', dar: '😱', secret: '🤫', raaz: '🤫', think: '🤔', socho: '🤔', socha: '🤔',
+  sleep: '😴', neend: '😴', tired: '😴', thakaan: '😴',
+
+  // Ideas and learning
+  idea: '💡', tip: '💡', tips: '💡', trick: '💡', hack: '💡', learn: '🧠', seekho: '🧠', brain: '🧠',
+  dimaag: '🧠', mind: '🧠', book: '📚', kitaab: '📚', study: '📖', padhai: '📖', exam: '📝',
+  school: '🏫', college: '🎓', question: '❓', sawal: '❓', sawaal: '❓', answer: '✅', jawab: '✅',
+  right: '✅', sahi: '✅', correct: '✅', wrong: '❌', galat: '❌', mistake: '❌', galti: '❌',
+
+  // Goals and success
+  goal: '🎯', target: '🎯', focus: '🎯', success: '🏆', win: '🏆', winner: '🏆', best: '🏆', jeet: '🏆',
+  start: '🚀', shuru: '🚀', launch: '🚀', rocket: '🚀', fast: '⚡', tez: '⚡', power: '⚡', energy: '⚡',
+  fire: '🔥', aag: '🔥', hot: '🔥', viral: '🔥', trending: '🔥', new: '✨', naya: '✨', nayi: '✨',
+  magic: '✨', star: '⭐', stop: '✋', ruko: '✋', warning: '⚠️', danger: '⚠️', khatra: '⚠️',
+  plan: '🗺️', strong: '💪', health: '💪', sehat: '💪', fitness: '💪', gym: '🏋️', exercise: '🏋️',
+
+  // Everyday life
+  food: '🍛', khana: '🍛', eat: '🍛', pizza: '🍕', chai: '☕', tea: '☕', coffee: '☕',
+  water: '💧', paani: '💧', pani: '💧', home: '🏠', ghar: '🏠', family: '👨‍👩‍👧', parivaar: '👨‍👩‍👧',
+  friend: '🤝', dost: '🤝', yaari: '🤝', team: '🤝', baby: '👶', bachcha: '👶', bacche: '👶',
+  time: '⏰', samay: '⏰', waqt: '⏰', morning: '🌅', subah: '🌅', night: '🌙', raat: '🌙',
+  sun: '☀️', dhoop: '☀️', rain: '🌧️', baarish: '🌧️', barish: '🌧️', travel: '✈️', trip: '✈️',
+  ghoomna: '✈️', car: '🚗', gaadi: '🚗', gadi: '🚗', phone: '📱', mobile: '📱', camera: '📷',
+  video: '🎬', movie: '🎬', film: '🎬', music: '🎵', song: '🎵', gaana: '🎵', gana: '🎵',
+  game: '🎮', khel: '🎮', cricket: '🏏', football: '⚽', party: '🎉', celebrate: '🎉', birthday: '🎂',
+  world: '🌍', duniya: '🌍', india: '🇮🇳', bharat: '🇮🇳', look: '👀', dekho: '👀', eyes: '👀', aankh: '👀'
+};
+
+/**
+ * Find the emoji for a word
+ * @param {string} word - Normalized (lower case, no punctuation) word
+ * @returns {string|null} - Emoji, or null when the word isn't in the dictionary
+ */
+function findEmoji(word) {
+  if (!word) return null;
+  if (EMOJI_DICTIONARY[word]) return EMOJI_DICTIONARY[word];
+
+  // Plurals and verb forms of English keys: ideas, growing, loved, tries
+  const candidates = [
+    word.replace(/s$/, ''),
+    word.replace(/es$/, ''),
+    word.replace(/ies$/, 'y'),
+    word.replace(/ing$/, ''),
+    word.replace(/ing$/, 'e'),
+    word.replace(/ed$/, ''),
+    word.replace(/d$/, '')
+  ];
+  const match = candidates.find(candidate => candidate !== word && EMOJI_DICTIONARY[candidate]);
+  return match ? EMOJI_DICTIONARY[match] : null;
+}
+
+module.exports = {
+  EMOJI_DICTIONARY,
+  findEmoji
+};
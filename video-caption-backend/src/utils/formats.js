@@ -0,0 +1,159 @@
+const path = require('path');
+const { generateSRT, parseSRTContent, normalizeCaptionContent } = require('./srt');
+const { generateVTT, parseVTTContent } = require('./vtt');
+const { generateASS } = require('./ass');
+const { generateTTML } = require('./ttml');
+const { generateSBV } = require('./sbv');
+const { generateEBUSTL } = require('./stl');
+
+/**
+ * Caption format registry
+ *
+ * Every format has:
+ * - label, extension, mimeType: used for downloads
+ * - generate(cues, options): returns file content (string or Buffer) for cues in seconds
+ * - binary: true when generate() returns a Buffer rather than text
+ * - parse(content): returns cues of { start, end, text } in seconds (optional; write-only formats omit it)
+ */
+const FORMATS = {
+  srt: {
+    label: 'SubRip (SRT)',
+    extension: 'srt',
+    mimeType: 'application/x-subrip',
+    // options.secondaryTrack stacks a second text track under each cue (bilingual subtitles)
+    generate: (cues, options = {}) => generateSRT(cues, options),
+    parse: parseSRTContent
+  },
+  vtt: {
+    label: 'WebVTT',
+    extension: 'vtt',
+    mimeType: 'text/vtt',
+    generate: (cues, options) => generateVTT(cues, options),
+    parse: parseVTTContent
+  },
+  ass: {
+    label: 'Advanced SubStation Alpha (ASS)',
+    extension: 'ass',
+    mimeType: 'text/x-ssa',
+    // options.style carries the player's caption style, including its second track;
+    // options.width/height the video resolution
+    generate: (cues, options = {}) => generateASS(cues, options.style, options)
+  },
+  ttml: {
+    label: 'Timed Text (TTML)',
+    extension: 'ttml',
+    mimeType: 'application/ttml+xml',
+    // options.frameRate switches to frame-based times, e.g. 25 or '29.97'
+    generate: (cues, options) => generateTTML(cues, options)
+  },
+  dfxp: {
+    label: 'Timed Text (DFXP)',
+    extension: 'dfxp',
+    mimeType: 'application/ttaf+xml',
+    generate: (cues, options = {}) => generateTTML(cues, { ...options, dfxp: true })
+  },
+  sbv: {
+    label: 'SubViewer (SBV, YouTube)',
+    extension: 'sbv',
+    mimeType: 'text/plain',
+    generate: (cues) => generateSBV(cues)
+  },
+  stl: {
+    label: 'EBU-STL (broadcast)',
+    extension: 'stl',
+    mimeType: 'application/octet-stream',
+    binary: true,
+    // options.frameRate picks STL25.01 or STL30.01 timecode
+    generate: (cues, options) => generateEBUSTL(cues, options)
+  },
+  json: {
+    label: 'JSON cues',
+    extension: 'json',
+    mimeType: 'application/json',
+    generate: (cues) => JSON.stringify(cues, null, 2),
+    parse: parseJSONCues
+  }
+};
+
+/**
+ * Look up a caption format by name or file extension
+ * @param {string} name - Format name, e.g. 'srt' or 'vtt'
+ * @returns {Object|undefined} - The format, if supported
+ */
+function getFormat(name) {
+  if (!name) return undefined;
+  const key = String(name).toLowerCase().replace(/^\./, '');
+  return FORMATS[key];
+}
+
+/**
+ * List supported formats for clients
+ * @returns {Array} - { name, label, extension, canRead, canWrite }
+ */
+function listFormats() {
+  return Object.entries(FORMATS).map(([name, format]) => ({
+    name,
+    label: format.label,
+    extension: format.extension,
+    canRead: typeof format.parse === 'function',
+    canWrite: typeof format.generate === 'function'
+  }));
+}
+
+/**
+ * Guess the format of a caption file from its name and content
+ * @param {string} content - File content
+ * @param {string} filename - Original file name, if known
+ * @returns {string|null} - Format name, or null if unknown
+ */
+function detectFormat(content, filename) {
+  const extension = filename ? path.extname(filename).slice(1).toLowerCase() : '';
+  if (getFormat(extension)?.parse) return extension;
+
+  const text = normalizeCaptionContent(content).trimStart();
+  if (text.startsWith('WEBVTT')) return 'vtt';
+  if (text.startsWith('[') || text.startsWith('{')) return 'json';
+  if (/\d{1,2}:\d{2}:\d{2}[,.]\d{1,3}\s*-->/.test(text)) return 'srt';
+
+  return null;
+}
+
+/**
+ * Parse our JSON cue format, or the Remotion captions (milliseconds) returned by the API
+ */
+function parseJSONCues(content) {
+  const data = JSON.parse(content);
+  const items = Array.isArray(data) ? data : data.cues || data.captions;
+
+  if (!Array.isArray(items)) {
+    throw new Error('JSON captions must be an array of cues');
+  }
+
+  return items.map(item => {
+    // Remotion captions use startTime/endTime in milliseconds
+    const isRemotion = item.startTime !== undefined;
+    const scale = isRemotion ? 1000 : 1;
+    const cue = {
+      start: Number(isRemotion ? item.startTime : item.start) / scale,
+      end: Number(isRemotion ? item.endTime : item.end) / scale,
+      text: String(item.text || '')
+    };
+    if (Array.isArray(item.words)) {
+      cue.words = item.words.map(word => ({
+        word: word.word,
+        start: Number(word.start) / scale,
+        end: Number(word.end) / scale
+      }));
+    }
+    if (item.tracks && typeof item.tracks === 'object') {
+      cue.tracks = item.tracks;
+    }
+    return cue;
+  }).filter(cue => Number.isFinite(cue.start) && Number.isFinite(cue.end));
+}
+
+module.exports = {
+  getFormat,
+  listFormats,
+  detectFormat
+};
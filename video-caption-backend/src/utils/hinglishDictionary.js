@@ -0,0 +1,89 @@
+const { ENGLISH_STOP_WORDS } = require('./keywords');
+
+/**
+ * Common romanized Hindi (Hinglish) words and their Devanagari spelling
+ * Spellings of the same word are listed with the preferred romanization first; converting
+ * Devanagari back to Roman uses that first spelling
+ */
+const HINGLISH_DICTIONARY = {
+  // Verbs "to be" and auxiliaries
+  hai: 'है', hain: 'हैं', hoon: 'हूँ', hun: 'हूँ', hu: 'हूँ', ho: 'हो', tha: 'था', thi: 'थी', the: 'थे',
+  hota: 'होता', hoti: 'होती', hote: 'होते', hoga: 'होगा', hogi: 'होगी', honge: 'होंगे',
+  raha: 'रहा', rahi: 'रही', rahe: 'रहे', rha: 'रहा', rhi: 'रही', rhe: 'रहे',
+  sakta: 'सकता', sakti: 'सकती', sakte: 'सकते', chahiye: 'चाहिए',
+
+  // Postpositions and conjunctions
+  ka: 'का', ki: 'की', ke: 'के', ko: 'को', se: 'से', ne: 'ने', mein: 'में', me: 'में', par: 'पर', pe: 'पे',
+  tak: 'तक', liye: 'लिए', lie: 'लिए', saath: 'साथ', sath: 'साथ', aur: 'और', ya: 'या', lekin: 'लेकिन',
+  magar: 'मगर', agar: 'अगर', kyunki: 'क्योंकि', kyuki: 'क्योंकि', to: 'तो', toh: 'तो', bhi: 'भी', hi: 'ही',
+  na: 'ना', nahi: 'नहीं', nahin: 'नहीं', mat: 'मत', bas: 'बस', phir: 'फिर', fir: 'फिर',
+
+  // Pronouns
+  main: 'मैं', mai: 'मैं', hum: 'हम', tum: 'तुम', aap: 'आप', tu: 'तू', ye: 'ये', yeh: 'यह', wo: 'वो',
+  woh: 'वह', vo: 'वो', mera: 'मेरा', meri: 'मेरी', mere: 'मेरे', tera: 'तेरा', teri: 'तेरी', tere: 'तेरे',
+  hamara: 'हमारा', humara: 'हमारा', hamari: 'हमारी', humari: 'हमारी', tumhara: 'तुम्हारा', tumhari: 'तुम्हारी',
+  aapka: 'आपका', apka: 'आपका', aapki: 'आपकी', apki: 'आपकी', aapke: 'आपके', apke: 'आपके', aapko: 'आपको', apko: 'आपको',
+  apna: 'अपना', apni: 'अपनी', apne: 'अपने', uska: 'उसका', uski: 'उसकी', uske: 'उसके', iska: 'इसका',
+  iski: 'इसकी', iske: 'इसके', unka: 'उनका', unki: 'उनकी', unke: 'उनके', mujhe: 'मुझे', tujhe: 'तुझे',
+  humein: 'हमें', hume: 'हमें', unhe: 'उन्हें', unhein: 'उन्हें', inhe: 'इन्हें', use: 'उसे', ise: 'इसे',
+  har: 'हर', koi: 'कोई', kuch: 'कुछ', kuchh: 'कुछ', sab: 'सब', sabhi: 'सभी', log: 'लोग', logon: 'लोगों', jo: 'जो',
+
+  // Questions
+  kya: 'क्या', kyun: 'क्यों', kyu: 'क्यों', kyon: 'क्यों', kaise: 'कैसे', kaisa: 'कैसा', kaisi: 'कैसी',
+  kab: 'कब', kahan: 'कहाँ', kaha: 'कहाँ', kaun: 'कौन', kitna: 'कितना', kitni: 'कितनी', kitne: 'कितने',
+
+  // Time and place
+  ab: 'अब', abhi: 'अभी', jab: 'जब', tab: 'तब', aaj: 'आज', kal: 'कल', din: 'दिन', raat: 'रात',
+  saal: 'साल', pehle: 'पहले', baad: 'बाद', baare: 'बारे', hamesha: 'हमेशा', yahan: 'यहाँ', yaha: 'यहाँ', wahan: 'वहाँ',
+  waha: 'वहाँ', andar: 'अंदर', bahar: 'बाहर', upar: 'ऊपर', neeche: 'नीचे',
+
+  // Adjectives and adverbs
+  accha: 'अच्छा', acha: 'अच्छा', achha: 'अच्छा', acchi: 'अच्छी', achhi: 'अच्छी', acche: 'अच्छे',
+  achhe: 'अच्छे', bahut: 'बहुत', bohot: 'बहुत', bahot: 'बहुत', theek: 'ठीक', thik: 'ठीक', sahi: 'सही',
+  galat: 'ग़लत', naya: 'नया', nayi: 'नई', naye: 'नए', purana: 'पुराना', bada: 'बड़ा', badi: 'बड़ी',
+  bade: 'बड़े', chhota: 'छोटा', chhoti: 'छोटी', chhote: 'छोटे', sirf: 'सिर्फ़', zaroor: 'ज़रूर',
+  zarur: 'ज़रूर', itna: 'इतना', itni: 'इतनी', aisa: 'ऐसा', aisi: 'ऐसी', aise: 'ऐसे', jaise: 'जैसे',
+  wala: 'वाला', wali: 'वाली', wale: 'वाले', ek: 'एक', do: 'दो', teen: 'तीन', char: 'चार', paanch: 'पाँच',
+
+  // Common verbs
+  kar: 'कर', karo: 'करो', karna: 'करना', karte: 'करते', karta: 'करता', karti: 'करती', kiya: 'किया',
+  kiye: 'किए', karenge: 'करेंगे', karunga: 'करूँगा', bataunga: 'बताऊँगा', de: 'दे', dena: 'देना', diya: 'दिया',
+  denge: 'देंगे', dunga: 'दूँगा', le: 'ले', lo: 'लो', lena: 'लेना', liya: 'लिया', ja: 'जा', jao: 'जाओ',
+  jana: 'जाना', jaana: 'जाना', gaya: 'गया', gayi: 'गई', gaye: 'गए', aa: 'आ', aao: 'आओ', aaya: 'आया',
+  aayi: 'आई', aaye: 'आए', dekho: 'देखो', dekh: 'देख', dekhna: 'देखना', suno: 'सुनो', sun: 'सुन',
+  bolo: 'बोलो', bol: 'बोल', bata: 'बता', batao: 'बताओ', samajh: 'समझ', samjho: 'समझो', socho: 'सोचो',
+  chalo: 'चलो', chal: 'चल', kijiye: 'कीजिए', rahiye: 'रहिए', dekhte: 'देखते', dekhiye: 'देखिए', rakho: 'रखो', milega: 'मिलेगा', milta: 'मिलता', pata: 'पता',
+
+  // Everyday nouns and expressions
+  baat: 'बात', baatein: 'बातें', kaam: 'काम', ghar: 'घर', dost: 'दोस्त', paisa: 'पैसा', paise: 'पैसे',
+  pyaar: 'प्यार', pyar: 'प्यार', dil: 'दिल', zindagi: 'ज़िंदगी', duniya: 'दुनिया', sach: 'सच',
+  sawal: 'सवाल', sawaal: 'सवाल', jawab: 'जवाब', khana: 'खाना', paani: 'पानी', pani: 'पानी', chai: 'चाय',
+  matlab: 'मतलब', yaar: 'यार', bhai: 'भाई', arre: 'अरे', are: 'अरे', haan: 'हाँ', ha: 'हाँ', ji: 'जी',
+  namaste: 'नमस्ते', shukriya: 'शुक्रिया', dhanyavaad: 'धन्यवाद', bharat: 'भारत', hindi: 'हिंदी'
+};
+
+// English words common in Hinglish speech, kept as they are when converting to Devanagari
+const ENGLISH_WORDS = new Set([
+  ...ENGLISH_STOP_WORDS,
+  'video', 'videos', 'channel', 'subscribe', 'like', 'share', 'comment', 'comments', 'follow', 'link',
+  'bio', 'description', 'phone', 'mobile', 'app', 'apps', 'online', 'offline', 'internet', 'website',
+  'social', 'media', 'instagram', 'youtube', 'facebook', 'whatsapp', 'google', 'reel', 'reels', 'post',
+  'content', 'creator', 'brand', 'business', 'money', 'market', 'sale', 'price', 'offer', 'free',
+  'product', 'products', 'service', 'customer', 'customers', 'company', 'office', 'job', 'work', 'team',
+  'meeting', 'boss', 'salary', 'plan', 'idea', 'ideas', 'problem', 'problems', 'solution', 'tips', 'tip',
+  'trick', 'tricks', 'hack', 'hacks', 'step', 'steps', 'important', 'simple', 'easy', 'best', 'good',
+  'bad', 'great', 'amazing', 'awesome', 'perfect', 'nice', 'cool', 'super', 'new', 'old', 'big', 'small',
+  'first', 'last', 'next', 'time', 'day', 'week', 'month', 'year', 'today', 'tomorrow', 'morning',
+  'night', 'life', 'health', 'fitness', 'gym', 'diet', 'food', 'water', 'family', 'friend', 'friends',
+  'school', 'college', 'class', 'exam', 'study', 'book', 'movie', 'music', 'song', 'game', 'travel',
+  'trip', 'car', 'bike', 'home', 'room', 'guys', 'hello', 'hey', 'thanks', 'thank', 'please', 'sorry',
+  'sure', 'yes', 'no', 'ok', 'okay', 'actually', 'basically', 'seriously', 'definitely', 'exactly',
+  'start', 'stop', 'check', 'try', 'change', 'people', 'person', 'photo', 'camera', 'edit', 'editing',
+  'caption', 'captions', 'end', 'segment', 'segments', 'timing', 'fixed', 'trend', 'trending', 'viral', 'update', 'setting', 'settings', 'option', 'level',
+  'main', 'log', 'din', 'sun', 'hum', 'mat', 'tab', 'jab', 'bus', 'use', 'lo', 'are', 'pe'
+]);
+
+module.exports = {
+  HINGLISH_DICTIONARY,
+  ENGLISH_WORDS
+};
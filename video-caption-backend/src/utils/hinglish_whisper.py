@@ -14,13 +14,82 @@ from transformers import WhisperProcessor, WhisperForConditionalGeneration
 import warnings
 warnings.filterwarnings("ignore")
 
-def transcribe_hinglish(audio_path, model_name="Oriserve/Whisper-Hindi2Hinglish-Swift"):
+def extract_words(tokenizer, token_ids, token_timestamps, offset, chunk_end):
+    """
+    Group generated tokens into words with start/end times
+    
+    Args:
+        tokenizer: Whisper tokenizer used to decode the tokens
+        token_ids (list): Generated token IDs, including special tokens
+        token_timestamps (list): Time in seconds (relative to the chunk) of each token
+        offset (float): Chunk start time in the full audio
+        chunk_end (float): Chunk end time in the full audio
+    
+    Returns:
+        list: Words as {"word", "start", "end"} dicts in seconds
+    """
+    special_ids = set(tokenizer.all_special_ids)
+    groups = []
+    
+    for index, token_id in enumerate(token_ids):
+        if token_id in special_ids:
+            continue
+        
+        piece = tokenizer.decode([token_id])
+        time = offset + float(token_timestamps[index])
+        
+        # A leading space marks the start of a new word
+        if piece.startswith(" ") or not groups:
+            groups.append({"ids": [token_id], "start": time})
+        else:
+            groups[-1]["ids"].append(token_id)
+    
+    words = []
+    for index, group in enumerate(groups):
+        # Decode whole words at once so multi-byte characters aren't split across tokens
+        text = tokenizer.decode(group["ids"]).strip()
+        if not text:
+            continue
+        end = groups[index + 1]["start"] if index + 1 < len(groups) else chunk_end
+        words.append({
+            "word": text,
+            "start": round(group["start"], 3),
+            "end": round(min(max(end, group["start"]), chunk_end), 3)
+        })
+    
+    return words
+
+def detect_language(model, input_features):
+    """
+    Most likely spoken language of a chunk and its probability, from the model's language tokens
+
+    Returns:
+        tuple: (language code, probability), or (None, None) for models without language tokens
+    """
+    lang_to_id = getattr(model.generation_config, "lang_to_id", None)
+    if not lang_to_id:
+        return None, None
+
+    decoder_input_ids = torch.tensor([[model.generation_config.decoder_start_token_id]])
+    with torch.no_grad():
+        logits = model(input_features, decoder_input_ids=decoder_input_ids).logits[0, -1]
+
+    tokens = list(lang_to_id.keys())
+    probs = torch.softmax(logits[list(lang_to_id.values())], dim=-1)
+    best = int(torch.argmax(probs))
+    # Language tokens look like <|hi|>
+    return tokens[best][2:-2], float(probs[best])
+
+def transcribe_hinglish(audio_path, model_name="Oriserve/Whisper-Hindi2Hinglish-Swift", language=None, task=None, prompt=None):
     """
     Transcribe audio using specialized Hindi to Hinglish Whisper model
     
     Args:
         audio_path (str): Path to audio file
         model_name (str): Hugging Face model identifier
+        language (str): Spoken language code; detected from the first chunk when None
+        task (str): 'transcribe' or 'translate'; the model's default when None
+        prompt (str): Text that primes vocabulary and spelling
     
     Returns:
         dict: Transcription results with segments and timestamps
@@ -45,8 +114,12 @@ def transcribe_hinglish(audio_path, model_name="Oriserve/Whisper-Hindi2Hinglish-
         audio_length = waveform.shape[1]
         
         segments = []
+        detected_language = None
+        language_probability = None
+        prompt_ids = processor.get_prompt_ids(prompt, return_tensors="pt") if prompt else None
+        total_chunks = max(1, -(-audio_length // chunk_length))  # Ceiling division
         
-        for start in range(0, audio_length, chunk_length):
+        for chunk_index, start in enumerate(range(0, audio_length, chunk_length)):
             end = min(start + chunk_length, audio_length)
             chunk = waveform[:, start:end]
             
@@ -62,11 +135,18 @@ def transcribe_hinglish(audio_path, model_name="Oriserve/Whisper-Hindi2Hinglish-
             )
             
             input_features = inputs.input_features
+
+            # Like the whisper CLI, detect the language once from the start of the audio
+            if language is None and chunk_index == 0:
+                try:
+                    detected_language, language_probability = detect_language(model, input_features)
+                    print(f"Detected language: {detected_language} ({language_probability:.2f})", file=sys.stderr)
+                except Exception as e:
+                    print(f"Language detection unavailable: {str(e)}", file=sys.stderr)
             
             # Generate transcription optimized for Hindi2Hinglish model
             # This specialized model is trained for Hinglish, so we let it auto-detect
-            predicted_ids = model.generate(
-                input_features,
+            generate_kwargs = dict(
                 max_new_tokens=200,  # Reduced to stay within model limits (4 + 200 < 448)
                 num_beams=1,  # Fast processing for real-time use
                 temperature=0.1,  # Slight randomness for better Hinglish flow
@@ -74,6 +154,28 @@ def transcribe_hinglish(audio_path, model_name="Oriserve/Whisper-Hindi2Hinglish-
                 use_cache=True,
                 pad_token_id=processor.tokenizer.eos_token_id
             )
+            if language:
+                generate_kwargs["language"] = language
+            if task:
+                generate_kwargs["task"] = task
+            if prompt_ids is not None:
+                generate_kwargs["prompt_ids"] = prompt_ids
+            
+            # Ask for per-token timestamps (cross-attention alignment) to get word timings
+            token_timestamps = None
+            try:
+                generated = model.generate(
+                    input_features,
+                    return_token_timestamps=True,
+                    return_dict_in_generate=True,
+                    **generate_kwargs
+                )
+                predicted_ids = generated.sequences
+                token_timestamps = generated.token_timestamps[0].tolist()
+            except Exception as e:
+                # Models without alignment heads can't produce token timestamps
+                print(f"Word timestamps unavailable, falling back to text only: {str(e)}", file=sys.stderr)
+                predicted_ids = model.generate(input_features, **generate_kwargs)
             
             # Decode the transcription
             transcription = processor.batch_decode(
@@ -85,12 +187,26 @@ def transcribe_hinglish(audio_path, model_name="Oriserve/Whisper-Hindi2Hinglish-
                 start_time = start / 16000
                 end_time = end / 16000
                 
-                segments.append({
+                segment = {
                     "id": len(segments),
                     "start": start_time,
                     "end": end_time,
                     "text": transcription.strip()
-                })
+                }
+                
+                if token_timestamps is not None:
+                    segment["words"] = extract_words(
+                        processor.tokenizer,
+                        predicted_ids[0].tolist(),
+                        token_timestamps,
+                        start_time,
+                        end_time
+                    )
+                
+                segments.append(segment)
+            
+            # Report chunk progress so the backend can stream it to the client
+            print(f"PROGRESS {chunk_index + 1}/{total_chunks}", file=sys.stderr, flush=True)
         
         # Combine results
         full_text = " ".join([seg["text"] for seg in segments])
@@ -98,7 +214,8 @@ def transcribe_hinglish(audio_path, model_name="Oriserve/Whisper-Hindi2Hinglish-
         result = {
             "text": full_text,
             "segments": segments,
-            "language": "hi",  # Hindi/Hinglish
+            "language": language or detected_language or "hi",  # Hindi/Hinglish unless told otherwise
+            "language_probability": language_probability,
             "model": model_name
         }
         
@@ -114,11 +231,14 @@ def main():
     parser.add_argument('--model', default='Oriserve/Whisper-Hindi2Hinglish-Swift', 
                        help='Hugging Face model name')
     parser.add_argument('--output', help='Output JSON file path')
+    parser.add_argument('--language', help='Spoken language code (detected when omitted)')
+    parser.add_argument('--task', choices=['transcribe', 'translate'], help='Transcribe or translate to English')
+    parser.add_argument('--prompt', help='Initial prompt to prime vocabulary and spelling')
     
     args = parser.parse_args()
     
     try:
-        result = transcribe_hinglish(args.audio_path, args.model)
+        result = transcribe_hinglish(args.audio_path, args.model, args.language, args.task, args.prompt)
         
         if args.output:
             with open(args.output, 'w', encoding='utf-8') as f:
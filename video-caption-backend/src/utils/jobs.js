@@ -0,0 +1,181 @@
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+
+// How many transcriptions may run side by side; Whisper is CPU/GPU bound so default to one
+const MAX_CONCURRENT_JOBS = parseInt(process.env.JOB_CONCURRENCY, 10) || 1;
+
+// How long finished jobs are kept around for polling before being discarded
+const JOB_TTL_MS = parseInt(process.env.JOB_TTL_MS, 10) || 60 * 60 * 1000; // 1 hour
+
+const JOB_STATUS = {
+  QUEUED: 'queued',
+  RUNNING: 'running',
+  DONE: 'done',
+  FAILED: 'failed'
+};
+
+const jobs = new Map();
+const pendingQueue = [];
+let runningCount = 0;
+
+/**
+ * Create a job and put it in the queue
+ * @param {Function} task - Async function doing the work; called with { reportProgress } and its resolved value becomes the job result
+ * @param {Object} meta - Descriptive fields exposed to clients (filename, engine)
+ * @param {Object} options - Optional settings
+ * @param {boolean} options.skipQueue - Start at once without taking a slot, for work that is known to be quick (e.g. cached results)
+ * @returns {Object} - The created job
+ */
+function createJob(task, meta = {}, { skipQueue = false } = {}) {
+  const job = {
+    id: crypto.randomUUID(),
+    status: JOB_STATUS.QUEUED,
+    meta,
+    progress: null,
+    result: null,
+    error: null,
+    createdAt: new Date().toISOString(),
+    startedAt: null,
+    finishedAt: null,
+    task,
+    events: new EventEmitter()
+  };
+
+  jobs.set(job.id, job);
+
+  if (skipQueue) {
+    console.log(`⚡ Job started without queueing: ${job.id}`);
+    runJob(job, { usesSlot: false });
+    return job;
+  }
+
+  pendingQueue.push(job);
+  console.log(`📥 Job queued: ${job.id} (${pendingQueue.length} waiting)`);
+
+  processQueue();
+  return job;
+}
+
+/**
+ * Look up a job by ID
+ * @param {string} id - Job ID
+ * @returns {Object|undefined} - The job, if it exists
+ */
+function getJob(id) {
+  return jobs.get(id);
+}
+
+/**
+ * Convert a job into the shape returned by the API
+ * @param {Object} job - Job to serialize
+ * @returns {Object} - Public job fields
+ */
+function serializeJob(job) {
+  const serialized = {
+    id: job.id,
+    status: job.status,
+    ...job.meta,
+    createdAt: job.createdAt,
+    startedAt: job.startedAt,
+    finishedAt: job.finishedAt,
+    progress: job.progress
+  };
+
+  if (job.status === JOB_STATUS.QUEUED) {
+    serialized.position = pendingQueue.indexOf(job) + 1;
+  }
+  if (job.status === JOB_STATUS.DONE) {
+    serialized.result = job.result;
+  }
+  if (job.status === JOB_STATUS.FAILED) {
+    serialized.error = job.error;
+  }
+
+  return serialized;
+}
+
+/**
+ * Listen to status and progress updates of a job
+ * @param {Object} job - Job to watch
+ * @param {Function} listener - Called with (eventName, serializedJob) on every 'status' and 'progress' event
+ * @returns {Function} - Unsubscribe function
+ */
+function subscribeToJob(job, listener) {
+  const onStatus = () => listener('status', serializeJob(job));
+  const onProgress = () => listener('progress', serializeJob(job));
+
+  job.events.on('status', onStatus);
+  job.events.on('progress', onProgress);
+
+  return () => {
+    job.events.off('status', onStatus);
+    job.events.off('progress', onProgress);
+  };
+}
+
+function setJobStatus(job, status) {
+  job.status = status;
+  job.events.emit('status');
+}
+
+/**
+ * Start queued jobs while there are free slots
+ */
+function processQueue() {
+  while (runningCount < MAX_CONCURRENT_JOBS && pendingQueue.length > 0) {
+    runJob(pendingQueue.shift());
+  }
+}
+
+async function runJob(job, { usesSlot = true } = {}) {
+  if (usesSlot) runningCount++;
+  job.startedAt = new Date().toISOString();
+  setJobStatus(job, JOB_STATUS.RUNNING);
+  console.log(`⚙️ Job started: ${job.id}`);
+
+  const reportProgress = (progress) => {
+    job.progress = progress;
+    job.events.emit('progress');
+  };
+
+  try {
+    job.result = await job.task({ reportProgress });
+    job.finishedAt = new Date().toISOString();
+    setJobStatus(job, JOB_STATUS.DONE);
+    console.log(`✅ Job finished: ${job.id}`);
+  } catch (error) {
+    job.error = error.message || 'Job failed';
+    job.finishedAt = new Date().toISOString();
+    setJobStatus(job, JOB_STATUS.FAILED);
+    console.error(`❌ Job failed: ${job.id}`, error);
+  } finally {
+    job.task = null;
+    job.events.removeAllListeners();
+    if (usesSlot) {
+      runningCount--;
+      processQueue();
+    }
+  }
+}
+
+/**
+ * Drop finished jobs older than the TTL so memory does not grow forever
+ */
+function pruneExpiredJobs() {
+  const now = Date.now();
+  for (const [id, job] of jobs) {
+    if (job.finishedAt && now - new Date(job.finishedAt).getTime() > JOB_TTL_MS) {
+      jobs.delete(id);
+    }
+  }
+}
+
+setInterval(pruneExpiredJobs, 5 * 60 * 1000).unref();
+
+module.exports = {
+  JOB_STATUS,
+  createJob,
+  getJob,
+  serializeJob,
+  subscribeToJob
+};
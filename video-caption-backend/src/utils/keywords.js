@@ -0,0 +1,192 @@
+const { findEmoji } = require('./emoji');
+
+/**
+ * Default keyword emphasis options
+ */
+const DEFAULT_KEYWORD_OPTIONS = {
+  maxPerCue: 1,      // emphasized words per cue
+  minScore: 1.0,     // words scoring lower are never emphasized
+  emoji: true        // attach an emoji from the local dictionary
+};
+
+// Function words that never carry the meaning of a caption
+const ENGLISH_STOP_WORDS = new Set([
+  'a', 'about', 'above', 'after', 'again', 'against', 'all', 'also', 'am', 'an', 'and', 'any', 'are',
+  'as', 'at', 'be', 'because', 'been', 'before', 'being', 'below', 'between', 'both', 'but', 'by',
+  'can', 'could', 'did', 'do', 'does', 'doing', 'done', 'down', 'during', 'each', 'even', 'ever',
+  'every', 'few', 'for', 'from', 'further', 'get', 'gets', 'getting', 'go', 'goes', 'going', 'gonna',
+  'got', 'had', 'has', 'have', 'having', 'he', 'her', 'here', 'hers', 'herself', 'him', 'himself',
+  'his', 'how', 'i', 'if', 'in', 'into', 'is', 'it', 'its', 'itself', 'just', 'know', 'let', 'like',
+  'me', 'more', 'most', 'much', 'my', 'myself', 'no', 'nor', 'not', 'now', 'of', 'off', 'oh', 'ok',
+  'okay', 'on', 'once', 'one', 'only', 'or', 'other', 'our', 'ours', 'ourselves', 'out', 'over', 'own',
+  'really', 'right', 'said', 'same', 'say', 'says', 'see', 'she', 'should', 'so', 'some', 'still',
+  'such', 'than', 'that', 'the', 'their', 'theirs', 'them', 'themselves', 'then', 'there', 'these',
+  'they', 'thing', 'things', 'think', 'this', 'those', 'through', 'to', 'too', 'under', 'until', 'up',
+  'us', 'very', 'want', 'was', 'way', 'we', 'well', 'were', 'what', 'when', 'where', 'which', 'while',
+  'who', 'whom', 'why', 'will', 'with', 'would', 'yeah', 'yes', 'you', 'your', 'yours', 'yourself',
+  'yourselves', 'actually', 'basically', 'literally', 'um', 'uh', 'hmm'
+]);
+
+// Romanized Hindi (Hinglish) function words, including common spelling variants
+const HINDI_STOP_WORDS = new Set([
+  'hai', 'hain', 'hoon', 'hu', 'ho', 'hota', 'hoti', 'hote', 'hoga', 'hogi', 'honge', 'tha', 'thi',
+  'the', 'thay', 'ka', 'ki', 'ke', 'ko', 'se', 'mein', 'me', 'mai', 'main', 'par', 'pe', 'aur', 'ya',
+  'ye', 'yeh', 'yah', 'wo', 'woh', 'vo', 'voh', 'to', 'toh', 'bhi', 'hi', 'na', 'nahi', 'nahin', 'mat',
+  'kya', 'kyu', 'kyun', 'kyunki', 'kaise', 'kaisa', 'kaisi', 'kab', 'kaha', 'kahan', 'kaun', 'kuch',
+  'koi', 'sab', 'sabhi', 'ek', 'do', 'ab', 'abhi', 'jab', 'tab', 'phir', 'fir', 'bas', 'agar', 'lekin',
+  'magar', 'jo', 'jaise', 'waise', 'aisa', 'aisi', 'aise', 'itna', 'itni', 'utna', 'yaha', 'yahan',
+  'waha', 'wahan', 'raha', 'rahi', 'rahe', 'rha', 'rhi', 'rhe', 'kar', 'karo', 'karna', 'karke',
+  'karte', 'karta', 'karti', 'kiya', 'kiye', 'ne', 'liye', 'lie', 'wala', 'wali', 'wale', 'gaya',
+  'gayi', 'gaye', 'diya', 'di', 'de', 'dena', 'le', 'lo', 'lena', 'liya', 'sakta', 'sakti', 'sakte',
+  'chahiye', 'matlab', 'haan', 'ha', 'ji', 'accha', 'acha', 'achha', 'theek', 'thik', 'aap', 'apka',
+  'aapka', 'aapki', 'aapke', 'tum', 'tumhara', 'tumhari', 'hum', 'humara', 'hamara', 'mera', 'meri',
+  'mere', 'tera', 'teri', 'tere', 'apna', 'apni', 'apne', 'uska', 'uski', 'uske', 'iska', 'iski',
+  'iske', 'unka', 'unki', 'unke', 'inka', 'inki', 'inke', 'isko', 'usko', 'inko', 'unko', 'mujhe',
+  'aapko', 'apko', 'tumko', 'humko', 'mujhko', 'dunga', 'dungi', 'denge', 'karunga', 'karenge', 'aaj',
+  'tujhe', 'humein', 'hume', 'unhe', 'inhe', 'yaar', 'bhai', 'arre', 'are', 'achhe', 'bahut', 'bohot',
+  'bht', 'wahi', 'yahi', 'jaisa', 'vaise', 'varna', 'warna', 'tak', 'saath', 'sath'
+]);
+
+/**
+ * Normalize a word for scoring: lower case, without surrounding punctuation
+ * Keeps letters and digits of any script so Devanagari words are scored too
+ */
+function normalizeWord(word) {
+  return String(word || '').toLowerCase().replace(/^[^\p{L}\p{N}]+|[^\p{L}\p{N}]+$/gu, '');
+}
+
+function isStopWord(word) {
+  return ENGLISH_STOP_WORDS.has(word) || HINDI_STOP_WORDS.has(word);
+}
+
+/**
+ * Resolve keyword options, falling back to the defaults for missing or invalid values
+ * @param {Object} options - Partial options
+ * @returns {Object} - Complete options
+ */
+function resolveKeywordOptions(options = {}) {
+  const resolved = { ...DEFAULT_KEYWORD_OPTIONS };
+
+  if (Number.isInteger(Number(options.maxPerCue)) && Number(options.maxPerCue) >= 0) {
+    resolved.maxPerCue = Number(options.maxPerCue);
+  }
+  if (Number.isFinite(Number(options.minScore)) && options.minScore !== null && options.minScore !== '') {
+    resolved.minScore = Number(options.minScore);
+  }
+  if (options.emoji !== undefined) {
+    resolved.emoji = options.emoji === true || options.emoji === 'true';
+  }
+
+  return resolved;
+}
+
+/**
+ * Score every content word of a transcription
+ * Words that recur across the transcription are its topics and score higher, but words found in
+ * nearly every cue are discounted (like TF-IDF); longer words, numbers and words with an emoji get a bonus
+ * @param {Array} cues - Cues with text and optional words
+ * @returns {Map} - Normalized word → score
+ */
+function scoreKeywords(cues) {
+  const frequency = new Map();
+  const cueFrequency = new Map();
+
+  cues.forEach(cue => {
+    const seen = new Set();
+    cueWords(cue).forEach(({ word }) => {
+      const normalized = normalizeWord(word);
+      if (!isCandidate(normalized)) return;
+      frequency.set(normalized, (frequency.get(normalized) || 0) + 1);
+      seen.add(normalized);
+    });
+    seen.forEach(word => cueFrequency.set(word, (cueFrequency.get(word) || 0) + 1));
+  });
+
+  const scores = new Map();
+  frequency.forEach((count, word) => {
+    const topic = 1 + Math.log(count);
+    const rarity = Math.log(1 + cues.length / cueFrequency.get(word));
+    const length = Math.min([...word].length, 10) / 6;
+    const bonus = (/^\p{N}+$/u.test(word) ? 0.5 : 0) + (findEmoji(word) ? 0.5 : 0);
+    scores.set(word, roundScore(topic * rarity * length + bonus));
+  });
+
+  return scores;
+}
+
+/**
+ * Mark the emphasis words of each cue and attach an emoji
+ * Sets `emphasis: true` on the chosen words and `emoji` on the cue; earlier marks are replaced
+ * @param {Array} cues - Cues of { start, end, text, lines, words } (seconds)
+ * @param {Object} options - See DEFAULT_KEYWORD_OPTIONS
+ * @returns {Object} - { cues, keywords } where keywords lists the top scoring words
+ */
+function markKeywords(cues, options = {}) {
+  const resolved = resolveKeywordOptions(options);
+  const scores = scoreKeywords(cues);
+
+  const marked = cues.map(cue => {
+    const words = cueWords(cue).map(word => {
+      const { emphasis, ...rest } = word;
+      return rest;
+    });
+
+    // Best words of this cue, each word counted once even if repeated
+    const ranked = words
+      .map((word, index) => ({ index, normalized: normalizeWord(word.word) }))
+      .filter(({ normalized }) => scores.has(normalized) && scores.get(normalized) >= resolved.minScore)
+      .sort((a, b) => scores.get(b.normalized) - scores.get(a.normalized))
+      .filter(({ normalized }, position, list) => list.findIndex(item => item.normalized === normalized) === position)
+      .slice(0, resolved.maxPerCue);
+
+    ranked.forEach(({ index }) => {
+      words[index] = { ...words[index], emphasis: true };
+    });
+
+    const { emoji, ...rest } = cue;
+    const result = { ...rest, words };
+    if (resolved.emoji) {
+      // Prefer the emphasized words' emoji, then the best scoring word that has one
+      const candidates = [
+        ...ranked.map(({ normalized }) => normalized),
+        ...words.map(word => normalizeWord(word.word)).sort((a, b) => (scores.get(b) || 0) - (scores.get(a) || 0))
+      ];
+      const found = candidates.map(word => (isStopWord(word) ? null : findEmoji(word))).find(Boolean);
+      if (found) result.emoji = found;
+    }
+    return result;
+  });
+
+  const keywords = [...scores.entries()]
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, 20)
+    .map(([word, score]) => ({ word, score }));
+
+  return { cues: marked, keywords };
+}
+
+// Cues from the API always have words; plain { text } cues are split so they can be marked too
+function cueWords(cue) {
+  if (Array.isArray(cue.words) && cue.words.length > 0) return cue.words;
+  return String(cue.text || '').split(/\s+/).filter(Boolean).map(word => ({ word, start: cue.start, end: cue.end }));
+}
+
+function isCandidate(word) {
+  if (!word || isStopWord(word)) return false;
+  // Single letters and short non-numbers are rarely worth highlighting
+  return /^\p{N}+$/u.test(word) ? word.length >= 2 : [...word].length >= 3;
+}
+
+function roundScore(score) {
+  return Math.round(score * 100) / 100;
+}
+
+module.exports = {
+  DEFAULT_KEYWORD_OPTIONS,
+  ENGLISH_STOP_WORDS,
+  HINDI_STOP_WORDS,
+  resolveKeywordOptions,
+  scoreKeywords,
+  markKeywords,
+  normalizeWord
+};
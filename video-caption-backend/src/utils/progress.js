@@ -0,0 +1,59 @@
+/**
+ * Track progress of a long-running transcription and report percent, elapsed time and ETA
+ * @param {Function} onProgress - Called with { percent, processed, total, unit, elapsedMs, etaMs }
+ * @returns {Function} - update(processed, total, unit) to call whenever the engine reports progress
+ */
+function createProgressTracker(onProgress) {
+  const startedAt = Date.now();
+  let lastPercent = -1;
+
+  return (processed, total, unit) => {
+    if (!onProgress || !total) return;
+
+    const percent = Math.min(100, Math.round((processed / total) * 100));
+    // Engines report very often; only notify when the rounded percentage moves
+    if (percent === lastPercent) return;
+    lastPercent = percent;
+
+    const elapsedMs = Date.now() - startedAt;
+    const etaMs = processed > 0
+      ? Math.round((elapsedMs / processed) * (total - processed))
+      : null;
+
+    onProgress({ percent, processed, total, unit, elapsedMs, etaMs });
+  };
+}
+
+/**
+ * Extract the latest frame progress from whisper CLI stderr output
+ * Whisper prints a tqdm bar such as " 45%|████▌     | 2700/6000 [00:10<00:12, 260.00frames/s]"
+ * @param {string} output - Chunk of stderr output
+ * @returns {Object|null} - { processed, total } or null if the chunk has no progress
+ */
+function parseWhisperProgress(output) {
+  const matches = [...output.matchAll(/(\d+)\/(\d+) \[/g)];
+  if (matches.length === 0) return null;
+
+  const last = matches[matches.length - 1];
+  return { processed: parseInt(last[1], 10), total: parseInt(last[2], 10) };
+}
+
+/**
+ * Extract the latest chunk progress from hinglish_whisper.py stderr output
+ * The script prints lines such as "PROGRESS 3/12" after each processed chunk
+ * @param {string} output - Chunk of stderr output
+ * @returns {Object|null} - { processed, total } or null if the chunk has no progress
+ */
+function parseHinglishProgress(output) {
+  const matches = [...output.matchAll(/PROGRESS (\d+)\/(\d+)/g)];
+  if (matches.length === 0) return null;
+
+  const last = matches[matches.length - 1];
+  return { processed: parseInt(last[1], 10), total: parseInt(last[2], 10) };
+}
+
+module.exports = {
+  createProgressTracker,
+  parseWhisperProgress,
+  parseHinglishProgress
+};
@@ -0,0 +1,326 @@
+const crypto = require('crypto');
+const path = require('path');
+const fs = require('fs-extra');
+const config = require('../config');
+
+// Every project is a folder under the data dir holding project.json and, when kept, its audio
+const PROJECTS_DIR = path.join(config.dataDir, 'projects');
+const PROJECT_FILE = 'project.json';
+
+// Project IDs are UUIDs; anything else never reaches the file system
+const PROJECT_ID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/;
+
+// Fields clients may set when creating or updating a project
+const EDITABLE_FIELDS = ['name', 'source', 'transcription', 'captions', 'style'];
+
+// Source metadata kept about the original upload
+const SOURCE_FIELDS = ['filename', 'type', 'size', 'duration', 'width', 'height'];
+
+const MAX_NAME_LENGTH = 200;
+
+// Older export history entries are dropped so project files don't grow forever
+const MAX_EXPORTS = 200;
+
+// Writes to one project run one after another, so an export entry can't be lost to a parallel save
+const projectLocks = new Map();
+
+/**
+ * Create a project
+ * @param {Object} fields - name, source, transcription, captions and style, see EDITABLE_FIELDS
+ * @param {Object} options - Optional settings
+ * @param {Object} options.audio - Audio to keep with the project: { path, filename, type }; the file is moved, not copied
+ * @returns {Promise<Object>} - The saved project
+ */
+async function createProject(fields = {}, { audio } = {}) {
+  const changes = validateProjectFields(fields);
+  const now = new Date().toISOString();
+  const project = {
+    id: crypto.randomUUID(),
+    name: changes.name || defaultProjectName(changes.source),
+    createdAt: now,
+    updatedAt: now,
+    source: changes.source || null,
+    transcription: changes.transcription || null,
+    captions: changes.captions || [],
+    style: changes.style || null,
+    audio: null,
+    exports: []
+  };
+
+  await fs.ensureDir(projectDir(project.id));
+
+  if (audio) {
+    const filename = `audio${path.extname(audio.filename || audio.path).toLowerCase()}`;
+    await fs.move(audio.path, path.join(projectDir(project.id), filename));
+    project.audio = { filename, type: audio.type || 'application/octet-stream' };
+  }
+
+  await writeProject(project);
+  console.log(`💾 Project created: ${project.id} (${project.name})`);
+  return project;
+}
+
+/**
+ * List saved projects, most recently changed first
+ * @returns {Promise<Array>} - Project summaries, see summarizeProject()
+ */
+async function listProjects() {
+  await fs.ensureDir(PROJECTS_DIR);
+  const ids = (await fs.readdir(PROJECTS_DIR)).filter(id => PROJECT_ID_PATTERN.test(id));
+  const projects = await Promise.all(ids.map(id => getProject(id)));
+
+  return projects
+    .filter(Boolean)
+    .map(summarizeProject)
+    .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+}
+
+/**
+ * Read a project
+ * @param {string} id - Project ID
+ * @returns {Promise<Object|null>} - The project, or null if it doesn't exist
+ */
+async function getProject(id) {
+  if (!PROJECT_ID_PATTERN.test(id || '')) return null;
+
+  try {
+    return await fs.readJson(path.join(projectDir(id), PROJECT_FILE));
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    console.error(`⚠️ Could not read project ${id}:`, error.message);
+    return null;
+  }
+}
+
+/**
+ * Change some fields of a project
+ * @param {string} id - Project ID
+ * @param {Object} fields - Fields to replace, see EDITABLE_FIELDS; others are left as they are
+ * @returns {Promise<Object|null>} - The updated project, or null if it doesn't exist
+ */
+async function updateProject(id, fields = {}) {
+  const changes = validateProjectFields(fields);
+
+  return withProjectLock(id, async () => {
+    const project = await getProject(id);
+    if (!project) return null;
+
+    Object.assign(project, changes, { updatedAt: new Date().toISOString() });
+    await writeProject(project);
+    return project;
+  });
+}
+
+/**
+ * Add an entry to a project's export history
+ * @param {string} id - Project ID
+ * @param {Object} entry - { format, filename, options } describing the download
+ * @returns {Promise<Object|null>} - The stored entry, or null if the project doesn't exist
+ */
+async function addProjectExport(id, { format, filename, options } = {}) {
+  if (typeof format !== 'string' || !format.trim()) {
+    throw projectError('format is required, e.g. srt or mp4');
+  }
+
+  const entry = {
+    format: format.trim().toLowerCase(),
+    filename: typeof filename === 'string' ? filename.slice(0, 255) : null,
+    options: options && typeof options === 'object' ? options : null,
+    createdAt: new Date().toISOString()
+  };
+
+  return withProjectLock(id, async () => {
+    const project = await getProject(id);
+    if (!project) return null;
+
+    project.exports = [...(project.exports || []), entry].slice(-MAX_EXPORTS);
+    project.updatedAt = entry.createdAt;
+    await writeProject(project);
+    return entry;
+  });
+}
+
+/**
+ * Delete a project with its audio
+ * @param {string} id - Project ID
+ * @returns {Promise<boolean>} - false if the project doesn't exist
+ */
+async function deleteProject(id) {
+  return withProjectLock(id, async () => {
+    if (!(await getProject(id))) return false;
+
+    await fs.remove(projectDir(id));
+    console.log(`🗑️ Project deleted: ${id}`);
+    return true;
+  });
+}
+
+/**
+ * Find the audio kept with a project
+ * @param {Object} project - Project as returned by getProject()
+ * @returns {string|null} - Path to the audio file, or null when the project has none
+ */
+function getProjectAudioPath(project) {
+  return project && project.audio ? path.join(projectDir(project.id), project.audio.filename) : null;
+}
+
+/**
+ * Save a finished transcription as a new project, keeping its uploaded audio
+ * A failed save is logged but doesn't fail the transcription it belongs to
+ * @param {Object} result - Output of buildTranscriptionResult()
+ * @param {Object} file - Multer upload the transcription was made from; it is moved into the project
+ * @param {Object} fields - From parseProjectFields(), plus the engine name
+ * @returns {Promise<string|null>} - The project ID, or null if it couldn't be saved
+ */
+async function saveTranscriptionProject(result, file, { name, source, engine } = {}) {
+  try {
+    const project = await createProject({
+      name,
+      source: {
+        filename: file.originalname,
+        type: file.mimetype,
+        size: file.size,
+        ...source,
+        duration: (source && source.duration) || result.duration
+      },
+      transcription: {
+        engine: engine || null,
+        model: result.model || null,
+        task: result.task || 'transcribe',
+        detectedLanguage: result.detectedLanguage || null,
+        script: result.script,
+        segmentation: result.segmentation,
+        tracks: result.tracks,
+        segments: result.transcription
+      },
+      captions: result.cues
+    }, {
+      audio: { path: file.path, filename: file.originalname, type: file.mimetype }
+    });
+    return project.id;
+  } catch (error) {
+    console.error('❌ Failed to save project:', error);
+    return null;
+  }
+}
+
+/**
+ * Read the project fields of a multipart transcription request
+ * @param {Object} body - Request body with saveProject ('true'), projectName and source (JSON metadata of the original video)
+ * @returns {Object|null} - { name, source } when the transcription should be saved, otherwise null
+ */
+function parseProjectFields(body = {}) {
+  if (body.saveProject !== true && body.saveProject !== 'true') return null;
+
+  let source;
+  if (body.source) {
+    try {
+      source = typeof body.source === 'string' ? JSON.parse(body.source) : body.source;
+    } catch (error) {
+      throw projectError('source must be a JSON object');
+    }
+  }
+
+  return validateProjectFields({ name: body.projectName || undefined, source });
+}
+
+/**
+ * The fields shown in project lists
+ * @param {Object} project - Full project
+ * @returns {Object} - { id, name, createdAt, updatedAt, source, cueCount, exportCount, hasAudio }
+ */
+function summarizeProject(project) {
+  return {
+    id: project.id,
+    name: project.name,
+    createdAt: project.createdAt,
+    updatedAt: project.updatedAt,
+    source: project.source,
+    cueCount: (project.captions || []).length,
+    exportCount: (project.exports || []).length,
+    hasAudio: Boolean(project.audio)
+  };
+}
+
+/**
+ * Check the editable fields of a create or update request
+ * Unknown fields are ignored; wrong types are a 400
+ */
+function validateProjectFields(fields) {
+  const changes = {};
+
+  for (const key of EDITABLE_FIELDS) {
+    if (fields[key] === undefined) continue;
+    const value = fields[key];
+
+    if (key === 'name') {
+      const name = String(value).trim();
+      if (!name) throw projectError('name must not be empty');
+      if (name.length > MAX_NAME_LENGTH) throw projectError(`name must be at most ${MAX_NAME_LENGTH} characters`);
+      changes.name = name;
+    } else if (key === 'captions') {
+      if (!Array.isArray(value)) throw projectError('captions must be an array of { start, end, text } cues');
+      changes.captions = value;
+    } else if (key === 'source') {
+      if (!isPlainObject(value)) throw projectError('source must be an object');
+      changes.source = Object.fromEntries(SOURCE_FIELDS.filter(field => value[field] !== undefined).map(field => [field, value[field]]));
+    } else if (value !== null && !isPlainObject(value)) {
+      throw projectError(`${key} must be an object`);
+    } else {
+      changes[key] = value;
+    }
+  }
+
+  return changes;
+}
+
+function defaultProjectName(source) {
+  const filename = source && source.filename;
+  return filename ? path.parse(String(filename)).name : 'Untitled project';
+}
+
+function projectDir(id) {
+  return path.join(PROJECTS_DIR, id);
+}
+
+// Write through a temporary file so a crash mid-write never leaves a half-written project
+async function writeProject(project) {
+  const file = path.join(projectDir(project.id), PROJECT_FILE);
+  const temporary = `${file}.${process.pid}.tmp`;
+  await fs.writeJson(temporary, project);
+  await fs.move(temporary, file, { overwrite: true });
+}
+
+async function withProjectLock(id, task) {
+  const previous = projectLocks.get(id) || Promise.resolve();
+  const current = previous.catch(() => {}).then(task);
+  const settled = current.catch(() => {});
+  projectLocks.set(id, settled);
+  settled.then(() => {
+    if (projectLocks.get(id) === settled) projectLocks.delete(id);
+  });
+  return current;
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function projectError(message) {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+}
+
+module.exports = {
+  createProject,
+  listProjects,
+  getProject,
+  updateProject,
+  addProjectExport,
+  deleteProject,
+  getProjectAudioPath,
+  saveTranscriptionProject,
+  parseProjectFields,
+  summarizeProject
+};
@@ -0,0 +1,310 @@
+const crypto = require('crypto');
+const path = require('path');
+const fs = require('fs-extra');
+const config = require('../config');
+
+// Unfinished uploads: <id>.part holds the bytes received so far, <id>.json the upload's state
+// Both survive restarts, so a client can resume after the server went away too
+const UPLOADS_DIR = path.join(__dirname, '..', '..', 'uploads');
+const RESUMABLE_DIR = path.join(UPLOADS_DIR, 'resumable');
+
+const UPLOAD_ID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/;
+
+// Chunk and file checksums use the tus format: `sha256 <base64 digest>`
+const CHECKSUM_PATTERN = /^sha256 ([A-Za-z0-9+/]{43}=)$/;
+
+// Status for a chunk or file whose checksum doesn't match, as in the tus protocol
+const CHECKSUM_MISMATCH = 460;
+
+// Uploads with a chunk being written; a second chunk for the same upload waits for the client to retry
+const busyUploads = new Set();
+
+/**
+ * Start a resumable upload
+ * @param {Object} fields - { filename, type, size, checksum } of the whole file; checksum is optional
+ * @param {Array<string>} allowedTypes - MIME types that may be uploaded
+ * @returns {Promise<Object>} - The upload state, see describeUpload()
+ */
+async function createUpload({ filename, type, size, checksum } = {}, allowedTypes = []) {
+  const total = Number(size);
+
+  if (typeof filename !== 'string' || !filename.trim()) {
+    throw uploadError('filename is required');
+  }
+  if (!allowedTypes.includes(type)) {
+    throw uploadError(`Unsupported file type: ${type}. Allowed types: ${allowedTypes.join(', ')}`);
+  }
+  if (!Number.isInteger(total) || total <= 0) {
+    throw uploadError('size must be the file size in bytes');
+  }
+  if (total > config.uploads.maxSize) {
+    throw uploadError(`File is too large: the limit is ${Math.round(config.uploads.maxSize / 1024 / 1024)} MB`, 413);
+  }
+  if (checksum !== undefined && !CHECKSUM_PATTERN.test(checksum)) {
+    throw uploadError('checksum must be "sha256 <base64 digest>"');
+  }
+
+  const now = new Date().toISOString();
+  const upload = {
+    id: crypto.randomUUID(),
+    filename: path.basename(filename.trim()),
+    type,
+    size: total,
+    offset: 0,
+    checksum: checksum || null,
+    hash: null,
+    createdAt: now,
+    updatedAt: now,
+    completedAt: null
+  };
+
+  await fs.ensureDir(RESUMABLE_DIR);
+  await fs.writeFile(partPath(upload.id), Buffer.alloc(0));
+  await writeState(upload);
+  console.log(`⬆️ Resumable upload started: ${upload.id} (${upload.filename}, ${(total / 1024 / 1024).toFixed(2)} MB)`);
+  return upload;
+}
+
+/**
+ * Read the state of an upload
+ * @param {string} id - Upload ID
+ * @returns {Promise<Object|null>} - The upload, or null if it doesn't exist (or expired)
+ */
+async function getUpload(id) {
+  if (!UPLOAD_ID_PATTERN.test(id || '')) return null;
+
+  try {
+    return await fs.readJson(statePath(id));
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+}
+
+/**
+ * Append a chunk at the upload's current offset
+ * The last chunk assembles the file: its SHA-256 is computed (and checked against the upload's checksum)
+ * @param {string} id - Upload ID
+ * @param {number} offset - Byte offset the client sent the chunk for; must equal the upload's offset
+ * @param {Buffer} chunk - Chunk bytes
+ * @param {string} checksum - Optional `sha256 <base64>` of the chunk
+ * @returns {Promise<Object|null>} - The updated upload, or null if it doesn't exist
+ */
+async function appendChunk(id, offset, chunk, checksum) {
+  if (busyUploads.has(id)) {
+    throw uploadError('Another chunk of this upload is being written; retry once it is done', 409);
+  }
+
+  busyUploads.add(id);
+  try {
+    const upload = await getUpload(id);
+    if (!upload) return null;
+
+    if (upload.completedAt) {
+      throw offsetError('Upload is already complete', upload.offset);
+    }
+    if (offset !== upload.offset) {
+      throw offsetError(`Upload-Offset ${offset} doesn't match the upload's offset ${upload.offset}`, upload.offset);
+    }
+    if (chunk.length === 0) {
+      throw uploadError('Chunk is empty');
+    }
+    if (upload.offset + chunk.length > upload.size) {
+      throw uploadError(`Chunk goes past the end of the ${upload.size} byte file`);
+    }
+    if (checksum !== undefined) {
+      const match = CHECKSUM_PATTERN.exec(checksum);
+      if (!match) throw uploadError('Upload-Checksum must be "sha256 <base64 digest>"');
+      if (crypto.createHash('sha256').update(chunk).digest('base64') !== match[1]) {
+        throw uploadError('Chunk checksum mismatch; send the chunk again', CHECKSUM_MISMATCH);
+      }
+    }
+
+    // Bytes written after the last saved state (e.g. before a crash) are dropped, so the file matches the offset
+    const part = partPath(id);
+    if ((await fs.stat(part)).size !== upload.offset) {
+      await fs.truncate(part, upload.offset);
+    }
+    await fs.appendFile(part, chunk);
+
+    upload.offset += chunk.length;
+    upload.updatedAt = new Date().toISOString();
+
+    if (upload.offset === upload.size) {
+      await assembleUpload(upload);
+    }
+
+    await writeState(upload);
+    return upload;
+  } finally {
+    busyUploads.delete(id);
+  }
+}
+
+/**
+ * Hand a finished upload over to a transcription route
+ * The file is moved next to the multipart uploads, so the route cleans it up the same way
+ * @param {string} id - Upload ID
+ * @returns {Promise<Object>} - A multer-style file: { path, originalname, mimetype, size, filename, hash }
+ */
+async function claimUpload(id) {
+  if (busyUploads.has(id)) {
+    throw uploadError('Upload is still being written or already claimed', 409);
+  }
+
+  busyUploads.add(id);
+  try {
+    const upload = await getUpload(id);
+
+    if (!upload) {
+      throw uploadError('Upload not found', 404);
+    }
+    if (!upload.completedAt) {
+      throw offsetError(`Upload is not complete: ${upload.offset} of ${upload.size} bytes received`, upload.offset);
+    }
+
+    const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
+    const filename = `audio-${uniqueSuffix}${path.extname(upload.filename)}`;
+    const filePath = path.join(UPLOADS_DIR, filename);
+
+    await fs.move(partPath(id), filePath);
+    await fs.remove(statePath(id));
+    console.log(`📦 Resumable upload handed to transcription: ${id}`);
+
+    return {
+      path: filePath,
+      filename,
+      originalname: upload.filename,
+      mimetype: upload.type,
+      size: upload.size,
+      hash: upload.hash
+    };
+  } finally {
+    busyUploads.delete(id);
+  }
+}
+
+/**
+ * Cancel an upload and delete what was received
+ * @param {string} id - Upload ID
+ * @returns {Promise<boolean>} - false if the upload doesn't exist
+ */
+async function deleteUpload(id) {
+  if (!(await getUpload(id))) return false;
+
+  await removeUpload(id);
+  console.log(`🗑️ Resumable upload cancelled: ${id}`);
+  return true;
+}
+
+/**
+ * The upload fields returned to clients
+ * @param {Object} upload - Upload state
+ * @returns {Object} - { uploadId, filename, type, size, offset, complete, chunkSize, expiresAt }
+ */
+function describeUpload(upload) {
+  return {
+    uploadId: upload.id,
+    filename: upload.filename,
+    type: upload.type,
+    size: upload.size,
+    offset: upload.offset,
+    complete: Boolean(upload.completedAt),
+    chunkSize: config.uploads.chunkSize,
+    expiresAt: new Date(new Date(upload.updatedAt).getTime() + config.uploads.ttlMs).toISOString()
+  };
+}
+
+/**
+ * Hash the assembled file, and check it against the checksum given when the upload started
+ * A file that doesn't match is discarded; the client has to start over
+ */
+async function assembleUpload(upload) {
+  const hash = await hashFile(partPath(upload.id));
+
+  if (upload.checksum && Buffer.from(hash, 'hex').toString('base64') !== CHECKSUM_PATTERN.exec(upload.checksum)[1]) {
+    await removeUpload(upload.id);
+    throw uploadError('File checksum mismatch; the upload was discarded, start it again', CHECKSUM_MISMATCH);
+  }
+
+  upload.hash = hash;
+  upload.completedAt = new Date().toISOString();
+  console.log(`✅ Resumable upload complete: ${upload.id} (${upload.filename})`);
+}
+
+function hashFile(filePath) {
+  return new Promise((resolve, reject) => {
+    const hash = crypto.createHash('sha256');
+    fs.createReadStream(filePath)
+      .on('data', chunk => hash.update(chunk))
+      .on('end', () => resolve(hash.digest('hex')))
+      .on('error', reject);
+  });
+}
+
+/**
+ * Delete uploads that haven't received a chunk (or been claimed) within the upload TTL
+ */
+async function pruneExpiredUploads() {
+  if (!(await fs.pathExists(RESUMABLE_DIR))) return;
+
+  const now = Date.now();
+  const files = (await fs.readdir(RESUMABLE_DIR)).filter(file => file.endsWith('.json'));
+
+  for (const file of files) {
+    const id = path.basename(file, '.json');
+    try {
+      const upload = await getUpload(id);
+      if (upload && now - new Date(upload.updatedAt).getTime() > config.uploads.ttlMs) {
+        await removeUpload(id);
+        console.log(`🧹 Expired resumable upload removed: ${id}`);
+      }
+    } catch (error) {
+      console.error(`⚠️ Could not check resumable upload ${id}:`, error.message);
+    }
+  }
+}
+
+setInterval(() => pruneExpiredUploads().catch(() => {}), 10 * 60 * 1000).unref();
+
+async function removeUpload(id) {
+  await fs.remove(partPath(id));
+  await fs.remove(statePath(id));
+}
+
+async function writeState(upload) {
+  const file = statePath(upload.id);
+  const temporary = `${file}.${process.pid}.tmp`;
+  await fs.writeJson(temporary, upload);
+  await fs.move(temporary, file, { overwrite: true });
+}
+
+function partPath(id) {
+  return path.join(RESUMABLE_DIR, `${id}.part`);
+}
+
+function statePath(id) {
+  return path.join(RESUMABLE_DIR, `${id}.json`);
+}
+
+function uploadError(message, status = 400) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+// Offset conflicts tell the client where to continue from
+function offsetError(message, offset) {
+  const error = uploadError(message, 409);
+  error.offset = offset;
+  return error;
+}
+
+module.exports = {
+  createUpload,
+  getUpload,
+  appendChunk,
+  claimUpload,
+  deleteUpload,
+  describeUpload
+};
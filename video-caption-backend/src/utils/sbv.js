@@ -0,0 +1,34 @@
+const { formatTimestamp, cleanTextForSRT } = require('./srt');
+
+/**
+ * Convert seconds to SBV time format (H:MM:SS.mmm)
+ * @param {number} seconds - Time in seconds
+ * @returns {string} - SBV formatted time
+ */
+function secondsToSBVTime(seconds) {
+  // SBV writes hours without a leading zero
+  return formatTimestamp(seconds, '.').replace(/^0(\d)/, '$1');
+}
+
+/**
+ * Generate SubViewer (SBV) file content, the legacy YouTube caption format
+ * @param {Array} cues - Cues with start, end and text (seconds)
+ * @returns {string} - SBV formatted content
+ */
+function generateSBV(cues) {
+  if (!cues || !Array.isArray(cues) || cues.length === 0) {
+    return '';
+  }
+
+  return cues
+    .map(cue => {
+      const text = cleanTextForSRT(cue.text).replace(/<[^>]*>/g, '');
+      return `${secondsToSBVTime(cue.start)},${secondsToSBVTime(cue.end)}\n${text}`;
+    })
+    .join('\n\n') + '\n';
+}
+
+module.exports = {
+  secondsToSBVTime,
+  generateSBV
+};
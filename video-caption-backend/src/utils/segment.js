@@ -0,0 +1,240 @@
+const { ensureWordTimings } = require('./words');
+
+/**
+ * Default broadcast-style segmentation rules
+ * Based on common subtitle guidelines (two lines of ~42 characters, 17 characters per second)
+ */
+const DEFAULT_SEGMENTATION_RULES = {
+  maxCharsPerLine: 42,
+  maxLines: 2,
+  minDuration: 1.0,      // seconds
+  maxDuration: 7.0,      // seconds
+  maxCps: 17,            // characters per second
+  breakAtPunctuation: true
+};
+
+// Word endings that close a sentence or a clause
+const SENTENCE_END = /[.!?।]["')\]]*$/;
+const CLAUSE_END = /[,;:—–-]["')\]]*$/;
+
+// Words a line should not end on; breaking before them keeps clauses together
+const CLAUSE_STARTERS = new Set([
+  'and', 'but', 'or', 'so', 'because', 'that', 'which', 'who', 'when', 'while', 'if', 'then',
+  'aur', 'lekin', 'par', 'ki', 'ke', 'jo', 'kyunki', 'toh', 'to', 'phir', 'agar', 'jab'
+]);
+
+/**
+ * Normalize user supplied rules, falling back to the defaults for missing or invalid values
+ * @param {Object} rules - Partial rules
+ * @returns {Object} - Complete rules
+ */
+function resolveSegmentationRules(rules = {}) {
+  const resolved = { ...DEFAULT_SEGMENTATION_RULES };
+
+  for (const key of Object.keys(DEFAULT_SEGMENTATION_RULES)) {
+    const value = rules[key];
+    if (value === undefined || value === null || value === '') continue;
+
+    if (typeof DEFAULT_SEGMENTATION_RULES[key] === 'boolean') {
+      resolved[key] = value === true || value === 'true';
+    } else if (Number.isFinite(Number(value)) && Number(value) > 0) {
+      resolved[key] = Number(value);
+    }
+  }
+
+  if (resolved.minDuration > resolved.maxDuration) {
+    resolved.minDuration = resolved.maxDuration;
+  }
+
+  return resolved;
+}
+
+/**
+ * Re-cut transcription segments into caption cues following the segmentation rules
+ * Works on word timings, so cue boundaries always fall between spoken words
+ * @param {Array} segments - Transcription segments (seconds), optionally with words
+ * @param {Object} rules - Segmentation rules, see DEFAULT_SEGMENTATION_RULES
+ * @returns {Array} - Cues of { start, end, text, lines, words } where text joins lines with '\n'
+ */
+function segmentCaptions(segments, rules = {}) {
+  if (!segments || !Array.isArray(segments) || segments.length === 0) {
+    return [];
+  }
+
+  const resolved = resolveSegmentationRules(rules);
+  const cues = [];
+
+  // Segments are natural pause boundaries, so never join words across them
+  for (const segment of ensureWordTimings(segments)) {
+    const words = segment.words.filter(word => word.word && word.word.trim());
+    splitWords(words, resolved).forEach(cueWords => cues.push(buildCue(cueWords, resolved)));
+  }
+
+  return enforceDurations(cues, resolved);
+}
+
+/**
+ * Split a run of words into groups that each fit in one cue
+ * Recursively cuts at the best-scoring break point until every group satisfies the rules
+ */
+function splitWords(words, rules) {
+  if (words.length === 0) return [];
+  if (words.length === 1 || fitsInCue(words, rules)) return [words];
+
+  const breakIndex = findBestBreak(words, rules);
+  return [
+    ...splitWords(words.slice(0, breakIndex), rules),
+    ...splitWords(words.slice(breakIndex), rules)
+  ];
+}
+
+// Reading speed isn't checked here: cutting fast speech into more cues doesn't slow it down,
+// so slow cues are instead given more screen time in enforceDurations()
+function fitsInCue(words, rules) {
+  const duration = words[words.length - 1].end - words[0].start;
+  if (duration > rules.maxDuration) return false;
+
+  return wrapLines(words, rules.maxCharsPerLine, rules.breakAtPunctuation).length <= rules.maxLines;
+}
+
+/**
+ * Pick where to cut a word run in two: prefer sentence ends, then clause ends,
+ * then positions before conjunctions, and otherwise the point that balances the halves
+ * @returns {number} - Index of the first word of the second half
+ */
+function findBestBreak(words, rules) {
+  const maxCueChars = rules.maxCharsPerLine * rules.maxLines;
+  let bestIndex = Math.ceil(words.length / 2);
+  let bestScore = -Infinity;
+
+  for (let i = 1; i < words.length; i++) {
+    const head = words.slice(0, i);
+    const headChars = joinWords(head).length;
+    const headDuration = head[head.length - 1].end - head[0].start;
+    const previous = words[i - 1].word;
+
+    let score = 0;
+
+    if (rules.breakAtPunctuation) {
+      if (SENTENCE_END.test(previous)) score += 100;
+      else if (CLAUSE_END.test(previous)) score += 60;
+      else if (CLAUSE_STARTERS.has(normalizeWord(words[i].word))) score += 25;
+    }
+
+    // A pause between words is a natural break as well
+    const gap = words[i].start - words[i - 1].end;
+    score += Math.min(gap, 1) * 40;
+
+    // Prefer a first half that fills the cue, but never one that overflows it
+    if (headChars > maxCueChars || headDuration > rules.maxDuration) {
+      score -= 1000;
+    } else {
+      score += (headChars / maxCueChars) * 30;
+    }
+
+    // Avoid leaving a single orphan word on either side
+    if (i === 1 || i === words.length - 1) score -= 50;
+
+    if (score > bestScore) {
+      bestScore = score;
+      bestIndex = i;
+    }
+  }
+
+  return bestIndex;
+}
+
+/**
+ * Greedily wrap words into lines no longer than maxChars
+ * Two-line cues are re-balanced so both lines have similar length, preferring a clause boundary
+ * @returns {Array<Array>} - Words per line
+ */
+function wrapLines(words, maxChars, breakAtPunctuation = true) {
+  const lines = [];
+  let current = [];
+
+  for (const word of words) {
+    const candidate = [...current, word];
+    if (current.length > 0 && joinWords(candidate).length > maxChars) {
+      lines.push(current);
+      current = [word];
+    } else {
+      current = candidate;
+    }
+  }
+  if (current.length > 0) lines.push(current);
+
+  if (lines.length !== 2) return lines;
+
+  const all = [...lines[0], ...lines[1]];
+  let best = lines;
+  let bestScore = -Infinity;
+
+  for (let i = 1; i < all.length; i++) {
+    const first = joinWords(all.slice(0, i));
+    const second = joinWords(all.slice(i));
+    if (first.length > maxChars || second.length > maxChars) continue;
+
+    let score = -Math.abs(first.length - second.length);
+    if (breakAtPunctuation) {
+      if (SENTENCE_END.test(all[i - 1].word) || CLAUSE_END.test(all[i - 1].word)) score += 20;
+      else if (CLAUSE_STARTERS.has(normalizeWord(all[i].word))) score += 8;
+    }
+
+    if (score > bestScore) {
+      bestScore = score;
+      best = [all.slice(0, i), all.slice(i)];
+    }
+  }
+
+  return best;
+}
+
+function buildCue(words, rules) {
+  const lines = wrapLines(words, rules.maxCharsPerLine, rules.breakAtPunctuation).map(joinWords);
+
+  return {
+    start: words[0].start,
+    end: words[words.length - 1].end,
+    text: lines.join('\n'),
+    lines,
+    words
+  };
+}
+
+/**
+ * Stretch cues shorter than the minimum duration (or than reading speed needs)
+ * into the gap before the next cue, without overlapping it
+ */
+function enforceDurations(cues, rules) {
+  return cues.map((cue, index) => {
+    const next = cues[index + 1];
+    const readingTime = cue.text.replace(/\n/g, ' ').length / rules.maxCps;
+    const targetDuration = Math.min(rules.maxDuration, Math.max(rules.minDuration, readingTime));
+    const latestEnd = next ? next.start : Infinity;
+
+    if (cue.end - cue.start < targetDuration) {
+      const end = Math.min(cue.start + targetDuration, latestEnd);
+      return { ...cue, end: Math.max(cue.end, roundTime(end)) };
+    }
+    return cue;
+  });
+}
+
+function joinWords(words) {
+  return words.map(word => word.word.trim()).join(' ');
+}
+
+function normalizeWord(word) {
+  return word.toLowerCase().replace(/[^\p{L}\p{N}']/gu, '');
+}
+
+function roundTime(seconds) {
+  return Math.round(seconds * 1000) / 1000;
+}
+
+module.exports = {
+  DEFAULT_SEGMENTATION_RULES,
+  resolveSegmentationRules,
+  segmentCaptions
+};
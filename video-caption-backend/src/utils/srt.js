@@ -1,10 +1,15 @@
+const { getBilingualText } = require('./tracks');
+
 /**
  * Generate SRT file content from transcription segments
  * Compatible with Remotion video player
  * @param {Array} segments - Array of transcription segments with start, end, and text
+ * @param {Object} options - Optional settings
+ * @param {string} options.secondaryTrack - Track stacked with each cue's text for bilingual subtitles
+ * @param {string} options.secondaryPosition - 'below' (default) or 'above' the cue's text
  * @returns {string} - SRT formatted content
  */
-function generateSRT(segments) {
+function generateSRT(segments, { secondaryTrack, secondaryPosition } = {}) {
   if (!segments || !Array.isArray(segments) || segments.length === 0) {
     return '';
   }
@@ -20,8 +25,8 @@ function generateSRT(segments) {
     const endTime = secondsToSRTTime(segment.end);
     srtContent += `${startTime} --> ${endTime}\n`;
     
-    // Text content (clean and format)
-    const cleanText = cleanTextForSRT(segment.text);
+    // Text content (clean and format), with the second track's lines in bilingual mode
+    const cleanText = cleanTextForSRT(getBilingualText(segment, secondaryTrack, secondaryPosition));
     srtContent += `${cleanText}\n`;
     
     // Empty line between entries
@@ -33,6 +38,7 @@ function generateSRT(segments) {
 
 /**
  * Generate Remotion-compatible captions data
+ * All times, including the per-word `words` timings, are in milliseconds
  * @param {Array} segments - Array of transcription segments
  * @returns {Array} - Array of caption objects for Remotion
  */
@@ -46,7 +52,16 @@ function generateRemotionCaptions(segments) {
     startTime: Math.round(segment.start * 1000), // Convert to milliseconds
     endTime: Math.round(segment.end * 1000),     // Convert to milliseconds
     text: cleanTextForSRT(segment.text),
-    duration: Math.round((segment.end - segment.start) * 1000)
+    duration: Math.round((segment.end - segment.start) * 1000),
+    words: (segment.words || []).map(word => ({
+      word: word.word,
+      start: Math.round(word.start * 1000), // Convert to milliseconds
+      end: Math.round(word.end * 1000),
+      ...(word.emphasis ? { emphasis: true } : {})
+    })),
+    ...(segment.emoji ? { emoji: segment.emoji } : {}),
+    // Other text tracks of the cue, e.g. { en: 'English translation' }
+    ...(segment.tracks ? { tracks: segment.tracks } : {})
   }));
 }
 
@@ -56,27 +71,75 @@ function generateRemotionCaptions(segments) {
  * @returns {string} - SRT formatted time
  */
 function secondsToSRTTime(seconds) {
-  const hours = Math.floor(seconds / 3600);
-  const minutes = Math.floor((seconds % 3600) / 60);
-  const secs = Math.floor(seconds % 60);
-  const milliseconds = Math.floor((seconds % 1) * 1000);
+  return formatTimestamp(seconds, ',');
+}
+
+/**
+ * Format seconds as HH:MM:SS followed by a separator and milliseconds
+ * Shared by the SRT (comma) and WebVTT (dot) writers
+ * @param {number} seconds - Time in seconds
+ * @param {string} separator - Character between seconds and milliseconds
+ * @returns {string} - Formatted time
+ */
+function formatTimestamp(seconds, separator) {
+  // Round to whole milliseconds first so 6.8 doesn't come out as 00:00:06,799
+  const totalMs = Math.max(0, Math.round(seconds * 1000));
+  const hours = Math.floor(totalMs / 3600000);
+  const minutes = Math.floor((totalMs % 3600000) / 60000);
+  const secs = Math.floor((totalMs % 60000) / 1000);
+  const milliseconds = totalMs % 1000;
 
   return `${hours.toString().padStart(2, '0')}:${minutes
     .toString()
-    .padStart(2, '0')}:${secs.toString().padStart(2, '0')},${milliseconds
+    .padStart(2, '0')}:${secs.toString().padStart(2, '0')}${separator}${milliseconds
     .toString()
     .padStart(3, '0')}`;
 }
 
+// Matches SRT/VTT style timestamps: optional hours, comma or dot before 1-3 millisecond digits
+const TIMESTAMP_PATTERN = '(?:\\d+:)?\\d{1,2}:\\d{1,2}(?:[,.]\\d{1,3})?';
+const TIMING_LINE = new RegExp(`^\\s*(${TIMESTAMP_PATTERN})\\s*-+>\\s*(${TIMESTAMP_PATTERN})(.*)$`);
+
 /**
  * Convert SRT time format to seconds
+ * Tolerates a dot instead of a comma, missing hours and short millisecond fields
  * @param {string} srtTime - Time in SRT format (HH:MM:SS,mmm)
  * @returns {number} - Time in seconds
  */
 function srtTimeToSeconds(srtTime) {
-  const [time, ms] = srtTime.split(',');
-  const [hours, minutes, seconds] = time.split(':').map(Number);
-  return hours * 3600 + minutes * 60 + seconds + parseInt(ms) / 1000;
+  const [time, ms = '0'] = srtTime.trim().split(/[,.]/);
+  const parts = time.split(':').map(Number);
+  while (parts.length < 3) parts.unshift(0);
+  const [hours, minutes, seconds] = parts;
+  // ",5" means 500 ms, not 5 ms
+  return hours * 3600 + minutes * 60 + seconds + parseInt(ms.padEnd(3, '0').slice(0, 3), 10) / 1000;
+}
+
+/**
+ * Parse a "start --> end [settings]" timing line
+ * @param {string} line - Timing line from an SRT or WebVTT file
+ * @returns {Object|null} - { start, end, settings } in seconds, or null if the line isn't a timing line
+ */
+function parseTimingLine(line) {
+  const match = line.match(TIMING_LINE);
+  if (!match) return null;
+
+  return {
+    start: srtTimeToSeconds(match[1]),
+    end: srtTimeToSeconds(match[2]),
+    settings: match[3].trim()
+  };
+}
+
+/**
+ * Normalize line endings and strip a byte order mark
+ * @param {string} content - Raw caption file content
+ * @returns {string} - Content with \n line endings
+ */
+function normalizeCaptionContent(content) {
+  return String(content || '')
+    .replace(/^\uFEFF/, '')
+    .replace(/\r\n?/g, '\n');
 }
 
 /**
@@ -87,7 +150,18 @@ function srtTimeToSeconds(srtTime) {
 function cleanTextForSRT(text) {
   if (!text) return '';
   
+  // Clean each line on its own so segmentation line breaks survive
   return text
+    .split('\n')
+    .map(cleanLine)
+    .filter(line => line.length > 0)
+    .join('\n')
+    // Capitalize first letter
+    .replace(/^[a-z]/, letter => letter.toUpperCase());
+}
+
+function cleanLine(line) {
+  return line
     .trim()
     // Remove multiple spaces
     .replace(/\s+/g, ' ')
@@ -96,35 +170,64 @@ function cleanTextForSRT(text) {
     // Handle common punctuation issues
     .replace(/\s+([.!?])/g, '$1')
     // Ensure proper capitalization after sentence endings
-    .replace(/([.!?]\s+)([a-z])/g, (match, punct, letter) => punct + letter.toUpperCase())
-    // Capitalize first letter
-    .replace(/^[a-z]/, letter => letter.toUpperCase());
+    .replace(/([.!?]\s+)([a-z])/g, (match, punct, letter) => punct + letter.toUpperCase());
 }
 
 /**
  * Parse existing SRT content into segments
+ * Tolerant of CRLF line endings, missing or wrong cue numbers, extra blank lines,
+ * dot millisecond separators and coordinates after the timing line
  * @param {string} srtContent - SRT file content
  * @returns {Array} - Array of segments
  */
 function parseSRTContent(srtContent) {
   const segments = [];
-  const entries = srtContent.trim().split('\n\n');
-  
-  for (const entry of entries) {
-    const lines = entry.split('\n');
-    if (lines.length >= 3) {
-      const timeMatch = lines[1].match(/(\d{2}:\d{2}:\d{2},\d{3}) --> (\d{2}:\d{2}:\d{2},\d{3})/);
-      if (timeMatch) {
-        const start = srtTimeToSeconds(timeMatch[1]);
-        const end = srtTimeToSeconds(timeMatch[2]);
-        const text = lines.slice(2).join('\n').trim();
-        
-        segments.push({ start, end, text });
+  const lines = normalizeCaptionContent(srtContent).split('\n');
+  let current = null;
+
+  const finishCue = () => {
+    // Blank lines are never kept as text, and the next cue's number is removed when its timing line is read
+    if (current) {
+      segments.push({
+        start: current.start,
+        end: current.end,
+        text: current.textLines.join('\n').trim()
+      });
+    }
+    current = null;
+  };
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+    const timing = parseTimingLine(line);
+
+    if (timing) {
+      // A timing line always starts a new cue; remove its number if it was read as text
+      if (current && /^\s*\d+\s*$/.test(current.textLines[current.textLines.length - 1] || '')) {
+        current.textLines.pop();
+      }
+      finishCue();
+      current = { start: timing.start, end: timing.end, textLines: [] };
+      continue;
+    }
+
+    if (!current) continue;
+
+    if (line.trim() === '') {
+      // A blank line ends the cue unless the next line is just more text of it
+      const nextLine = lines[i + 1] || '';
+      const nextNext = lines[i + 2] || '';
+      if (parseTimingLine(nextLine) || (/^\s*\d+\s*$/.test(nextLine) && parseTimingLine(nextNext)) || nextLine.trim() === '') {
+        finishCue();
       }
+      continue;
     }
+
+    current.textLines.push(line.trim());
   }
-  
-  return segments;
+  finishCue();
+
+  return segments.filter(segment => segment.text.length > 0);
 }
 
 /**
@@ -175,6 +278,9 @@ module.exports = {
   generateRemotionCaptions,
   secondsToSRTTime,
   srtTimeToSeconds,
+  formatTimestamp,
+  parseTimingLine,
+  normalizeCaptionContent,
   cleanTextForSRT,
   parseSRTContent,
   validateSRT
@@ -0,0 +1,210 @@
+const { resolveFrameRate, secondsToTimecodeParts } = require('./timecode');
+
+const GSI_BLOCK_SIZE = 1024;
+const TTI_BLOCK_SIZE = 128;
+const TEXT_FIELD_SIZE = 112;
+
+// Teletext control codes used in the TTI text field
+const DOUBLE_HEIGHT = 0x0d;
+const START_BOX = 0x0b;
+const END_BOX = 0x0a;
+const NEW_LINE = 0x8a;
+const UNUSED_SPACE = 0x8f;
+
+// Language codes from EBU Tech 3264 annex (the ones our transcription engines produce)
+const LANGUAGE_CODES = { en: '09', de: '08', es: '0A', fr: '0F', it: '15', nl: '1D', pt: '21' };
+
+// ISO 6937 writes accented letters as a diacritic byte followed by the base letter
+const DIACRITICS = {
+  '\u0300': 0xc1, '\u0301': 0xc2, '\u0302': 0xc3, '\u0303': 0xc4, '\u0304': 0xc5,
+  '\u0306': 0xc6, '\u0307': 0xc7, '\u0308': 0xc8, '\u030A': 0xca, '\u0327': 0xcb,
+  '\u030B': 0xcd, '\u0328': 0xce, '\u030C': 0xcf
+};
+
+const SPECIAL_CHARACTERS = {
+  '$': 0xa4, '¡': 0xa1, '£': 0xa3, '¿': 0xbf, '‘': 0xa9, '’': 0xb9, '“': 0xaa, '”': 0xba,
+  '–': 0xd0, '—': 0xd0, 'Æ': 0xe1, 'Ø': 0xe9, 'Œ': 0xea, 'æ': 0xf1, 'ø': 0xf9, 'œ': 0xfa, 'ß': 0xfb
+};
+
+/**
+ * Generate an EBU-STL (Tech 3264) binary subtitle file from caption cues
+ * Writes a GSI header block and one Teletext-style TTI block per cue (plus extension blocks
+ * for long cues), with timecodes counted at 25 or 30 fps
+ * @param {Array} cues - Cues with start, end and text (seconds)
+ * @param {Object} options - Optional settings
+ * @param {number|string} options.frameRate - Video frame rate; 25/50 write STL25.01, 29.97/30/59.94/60 write STL30.01
+ * @param {boolean} options.dropFrame - Use drop-frame timecode at 29.97 and 59.94
+ * @param {string} options.title - Programme title
+ * @param {string} options.language - ISO 639-1 language of the captions
+ * @param {Object} options.style - Caption style; its position picks the Teletext row
+ * @returns {Buffer} - EBU-STL file content
+ */
+function generateEBUSTL(cues, { frameRate = 25, dropFrame = false, title = 'Simora Captions', language = 'en', style = {} } = {}) {
+  const { stlRate, timecodeRate } = resolveSTLFrameRate(frameRate);
+  const toTimecode = (seconds) => {
+    const { hours, minutes, secs, frames } = secondsToTimecodeParts(seconds, timecodeRate, { dropFrame });
+    return [hours, minutes, secs, frames];
+  };
+
+  const ttiBlocks = [];
+  let subtitleCount = 0;
+  (cues || []).forEach(cue => {
+    const lines = String(cue.text || '')
+      .split('\n')
+      .map(line => line.replace(/<[^>]*>/g, '').trim())
+      .filter(Boolean);
+    if (lines.length === 0) return;
+
+    subtitleCount += 1;
+    const text = encodeTeletextLines(lines);
+    const chunks = [];
+    for (let offset = 0; offset < text.length; offset += TEXT_FIELD_SIZE) {
+      chunks.push(text.slice(offset, offset + TEXT_FIELD_SIZE));
+    }
+
+    chunks.forEach((chunk, chunkIndex) => {
+      ttiBlocks.push(buildTTIBlock({
+        subtitleNumber: subtitleCount,
+        // Extension blocks count up from 0; 0xFF marks the last block of a subtitle
+        extensionBlock: chunkIndex === chunks.length - 1 ? 0xff : chunkIndex,
+        timeIn: toTimecode(cue.start),
+        timeOut: toTimecode(cue.end),
+        verticalPosition: verticalPositionFor(style.position, lines.length),
+        text: chunk
+      }));
+    });
+  });
+
+  const gsi = buildGSIBlock({
+    stlRate,
+    title,
+    language,
+    blockCount: ttiBlocks.length,
+    subtitleCount,
+    maxRows: 23
+  });
+
+  return Buffer.concat([gsi, ...ttiBlocks]);
+}
+
+/**
+ * EBU-STL only defines 25 and 30 fps timecode; 50 and 60 fps video count frame pairs
+ */
+function resolveSTLFrameRate(frameRate) {
+  const { fps, nominal } = resolveFrameRate(frameRate);
+  const halved = nominal === 50 || nominal === 60;
+  const base = halved ? nominal / 2 : nominal;
+
+  if (base !== 25 && base !== 30) {
+    const error = new Error(`EBU-STL supports 25 and 30 fps timecode (or 50/60), not ${frameRate}`);
+    error.status = 400;
+    throw error;
+  }
+
+  return { stlRate: base, timecodeRate: halved ? fps / 2 : fps };
+}
+
+function buildGSIBlock({ stlRate, title, language, blockCount, subtitleCount, maxRows }) {
+  const block = Buffer.alloc(GSI_BLOCK_SIZE, 0x20);
+  const today = new Date();
+  const date = [today.getFullYear() % 100, today.getMonth() + 1, today.getDate()]
+    .map(value => value.toString().padStart(2, '0'))
+    .join('');
+
+  const writeField = (offset, length, value) => {
+    const bytes = encodeISO6937(String(value)).subarray(0, length);
+    bytes.copy(block, offset);
+  };
+
+  writeField(0, 3, '850');                                // Code page number
+  writeField(3, 8, `STL${stlRate}.01`);                   // Disk format code
+  writeField(11, 1, '1');                                 // Display standard: Level-1 Teletext
+  writeField(12, 2, '00');                                // Character code table: Latin (ISO 6937)
+  writeField(14, 2, LANGUAGE_CODES[String(language).slice(0, 2).toLowerCase()] || '00');
+  writeField(16, 32, title);                              // Original programme title
+  writeField(224, 6, date);                               // Creation date
+  writeField(230, 6, date);                               // Revision date
+  writeField(236, 2, '00');                               // Revision number
+  writeField(238, 5, blockCount.toString().padStart(5, '0'));
+  writeField(243, 5, subtitleCount.toString().padStart(5, '0'));
+  writeField(248, 3, '001');                              // Subtitle groups
+  writeField(251, 2, '40');                               // Maximum characters per row
+  writeField(253, 2, maxRows.toString().padStart(2, '0'));
+  writeField(255, 1, '1');                                // Time code status: intended for use
+  writeField(256, 8, '00000000');                         // Time code: start of programme
+  writeField(264, 8, '00000000');                         // Time code: first in-cue
+  writeField(272, 1, '1');                                // Total number of disks
+  writeField(273, 1, '1');                                // Disk sequence number
+
+  return block;
+}
+
+function buildTTIBlock({ subtitleNumber, extensionBlock, timeIn, timeOut, verticalPosition, text }) {
+  const block = Buffer.alloc(TTI_BLOCK_SIZE, UNUSED_SPACE);
+
+  block.writeUInt8(0, 0);                        // Subtitle group number
+  block.writeUInt16LE(subtitleNumber % 65536, 1);
+  block.writeUInt8(extensionBlock, 3);
+  block.writeUInt8(0, 4);                        // Cumulative status: not cumulative
+  timeIn.forEach((value, index) => block.writeUInt8(value, 5 + index));
+  timeOut.forEach((value, index) => block.writeUInt8(value, 9 + index));
+  block.writeUInt8(verticalPosition, 13);
+  block.writeUInt8(2, 14);                       // Justification: centred
+  block.writeUInt8(0, 15);                       // Comment flag: subtitle data
+  text.copy(block, 16);
+
+  return block;
+}
+
+/**
+ * Double-height boxed Teletext lines; every line takes two rows
+ */
+function encodeTeletextLines(lines) {
+  const bytes = [];
+  lines.forEach((line, index) => {
+    if (index > 0) bytes.push(NEW_LINE, NEW_LINE);
+    bytes.push(DOUBLE_HEIGHT, START_BOX, START_BOX, ...encodeISO6937(line), END_BOX, END_BOX);
+  });
+  return Buffer.from(bytes);
+}
+
+// Teletext row (1-23) of the first line
+function verticalPositionFor(position, lineCount) {
+  if (position === 'top') return 1;
+  if (position === 'middle') return 12 - lineCount;
+  return 22 - (lineCount - 1) * 2;
+}
+
+/**
+ * Encode text in the ISO 6937 Latin character set used by EBU-STL
+ * Characters outside the set (e.g. Devanagari) are replaced with '?'
+ */
+function encodeISO6937(text) {
+  const bytes = [];
+
+  for (const char of text) {
+    if (SPECIAL_CHARACTERS[char]) {
+      bytes.push(SPECIAL_CHARACTERS[char]);
+      continue;
+    }
+
+    const code = char.charCodeAt(0);
+    if (code >= 0x20 && code <= 0x7e) {
+      bytes.push(code);
+      continue;
+    }
+
+    const [base, mark] = char.normalize('NFD');
+    if (base && base.charCodeAt(0) <= 0x7e && DIACRITICS[mark]) {
+      bytes.push(DIACRITICS[mark], base.charCodeAt(0));
+    } else {
+      bytes.push(0x3f);
+    }
+  }
+
+  return Buffer.from(bytes);
+}
+
+module.exports = {
+  generateEBUSTL
+};
@@ -0,0 +1,123 @@
+// NTSC rates run 1000/1001 slower than their nominal frame count
+const NTSC_RATES = { 23.976: 24, 29.97: 30, 47.952: 48, 59.94: 60 };
+
+/**
+ * Resolve a frame rate given as a number (25, 29.97) or a fraction string ("30000/1001")
+ * @param {number|string} value - Frame rate
+ * @returns {Object} - { fps, nominal, isNTSC } where fps is the exact rate and nominal the
+ *   whole number of frames a timecode counts per second
+ */
+function resolveFrameRate(value) {
+  let fps = Number(value);
+
+  if (typeof value === 'string' && value.includes('/')) {
+    const [numerator, denominator] = value.split('/').map(Number);
+    fps = numerator / denominator;
+  }
+
+  if (!Number.isFinite(fps) || fps <= 0 || fps > 120) {
+    const error = new Error(`Invalid frame rate: ${value}`);
+    error.status = 400;
+    throw error;
+  }
+
+  const ntsc = Object.keys(NTSC_RATES).find(rate => Math.abs(fps - Number(rate)) < 0.01);
+  if (ntsc) {
+    return { fps: (NTSC_RATES[ntsc] * 1000) / 1001, nominal: NTSC_RATES[ntsc], isNTSC: true };
+  }
+
+  return { fps, nominal: Math.round(fps), isNTSC: false };
+}
+
+/**
+ * Convert seconds to a SMPTE timecode (HH:MM:SS:FF) by counting frames
+ * At NTSC rates the non-drop timecode drifts behind the clock; drop-frame timecode
+ * (HH:MM:SS;FF) skips frame labels to stay in sync with it
+ * @param {number} seconds - Time in seconds
+ * @param {number|string} frameRate - Frame rate, see resolveFrameRate()
+ * @param {Object} options - Optional settings
+ * @param {boolean} options.dropFrame - Use drop-frame labels (29.97 and 59.94 only)
+ * @returns {string} - Timecode
+ */
+function secondsToTimecode(seconds, frameRate, { dropFrame = false } = {}) {
+  const { hours, minutes, secs, frames } = secondsToTimecodeParts(seconds, frameRate, { dropFrame });
+  const useDropFrame = dropFrame && isDropFrameRate(frameRate);
+
+  return `${pad(hours)}:${pad(minutes)}:${pad(secs)}${useDropFrame ? ';' : ':'}${pad(frames)}`;
+}
+
+/**
+ * Split seconds into timecode fields, as written by binary formats such as EBU-STL
+ * @param {number} seconds - Time in seconds
+ * @param {number|string} frameRate - Frame rate, see resolveFrameRate()
+ * @param {Object} options - Optional settings
+ * @param {boolean} options.dropFrame - Use drop-frame labels (29.97 and 59.94 only)
+ * @returns {Object} - { hours, minutes, secs, frames }
+ */
+function secondsToTimecodeParts(seconds, frameRate, { dropFrame = false } = {}) {
+  const { fps, nominal } = resolveFrameRate(frameRate);
+  let frameNumber = Math.max(0, Math.round(seconds * fps));
+
+  if (dropFrame && isDropFrameRate(frameRate)) {
+    // Skip the first 2 (or 4 at 59.94) labels of every minute except each tenth minute
+    const dropped = nominal / 15;
+    const framesPer10Minutes = Math.round(fps * 600);
+    const framesPerMinute = nominal * 60 - dropped;
+    const tens = Math.floor(frameNumber / framesPer10Minutes);
+    const remainder = frameNumber % framesPer10Minutes;
+
+    frameNumber += dropped * 9 * tens;
+    if (remainder > dropped) {
+      frameNumber += dropped * Math.floor((remainder - dropped) / framesPerMinute);
+    }
+  }
+
+  const framesPerHour = nominal * 3600;
+  return {
+    // Timecodes wrap after 24 hours
+    hours: Math.floor(frameNumber / framesPerHour) % 24,
+    minutes: Math.floor((frameNumber % framesPerHour) / (nominal * 60)),
+    secs: Math.floor((frameNumber % (nominal * 60)) / nominal),
+    frames: frameNumber % nominal
+  };
+}
+
+/**
+ * Convert seconds to a media clock time with frames (HH:MM:SS:FF)
+ * Unlike SMPTE timecode, the HH:MM:SS part is real time and FF counts frames within that second,
+ * which is how TTML reads clock times when ttp:timeBase is "media"
+ * @param {number} seconds - Time in seconds
+ * @param {number|string} frameRate - Frame rate, see resolveFrameRate()
+ * @returns {string} - Clock time with frames
+ */
+function secondsToMediaTime(seconds, frameRate) {
+  const { fps } = resolveFrameRate(frameRate);
+  let wholeSeconds = Math.floor(Math.max(0, seconds));
+  let frames = Math.round((Math.max(0, seconds) - wholeSeconds) * fps);
+
+  // Rounding up to the next second's first frame
+  if (frames >= Math.ceil(fps)) {
+    wholeSeconds += 1;
+    frames = 0;
+  }
+
+  const hours = Math.floor(wholeSeconds / 3600);
+  const minutes = Math.floor((wholeSeconds % 3600) / 60);
+  return `${pad(hours)}:${pad(minutes)}:${pad(wholeSeconds % 60)}:${pad(frames)}`;
+}
+
+function isDropFrameRate(frameRate) {
+  const { isNTSC, nominal } = resolveFrameRate(frameRate);
+  return isNTSC && (nominal === 30 || nominal === 60);
+}
+
+function pad(value) {
+  return value.toString().padStart(2, '0');
+}
+
+module.exports = {
+  resolveFrameRate,
+  secondsToTimecode,
+  secondsToTimecodeParts,
+  secondsToMediaTime
+};
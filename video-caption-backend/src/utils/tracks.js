@@ -0,0 +1,105 @@
+const { ensureWordTimings } = require('./words');
+
+// Track ids are short names such as a language code: 'en', 'hi', 'translation'
+const TRACK_ID_PATTERN = /^[a-z0-9_-]{1,24}$/i;
+
+/**
+ * Attach a second text track to cues, e.g. the English translation of a Hinglish transcript
+ * The track's words go to the cue they are spoken in (by the middle of each word), or to the
+ * nearest cue, so a track timed differently still lines up with the cues
+ * @param {Array} cues - Cues or segments with start and end (seconds)
+ * @param {Array} segments - Segments of the track with start, end, text and optional words
+ * @param {string} trackId - Name of the track, see TRACK_ID_PATTERN
+ * @returns {Array} - New cues with `tracks[trackId]` set; cues the track has no words for drop it
+ */
+function attachTrack(cues, segments, trackId) {
+  const texts = cues.map(() => []);
+  const words = ensureWordTimings(segments || []).flatMap(segment => segment.words);
+
+  words.forEach(word => {
+    const middle = (word.start + word.end) / 2;
+    let nearest = -1;
+    let nearestDistance = Infinity;
+
+    cues.forEach((cue, index) => {
+      const distance = middle < cue.start ? cue.start - middle : middle >= cue.end ? middle - cue.end : 0;
+      if (distance < nearestDistance) {
+        nearest = index;
+        nearestDistance = distance;
+      }
+    });
+
+    const text = String(word.word || '').trim();
+    if (nearest >= 0 && text) texts[nearest].push(text);
+  });
+
+  return cues.map((cue, index) => {
+    const tracks = { ...cue.tracks };
+    delete tracks[trackId];
+    if (texts[index].length > 0) tracks[trackId] = texts[index].join(' ');
+    return withTracks(cue, tracks);
+  });
+}
+
+/**
+ * Re-attach the tracks of segments to cues cut from them (after re-segmentation)
+ * @param {Array} cues - Cues without tracks
+ * @param {Array} segments - Segments the cues were cut from, with `tracks`
+ * @returns {Array} - Cues carrying every track of the segments
+ */
+function carryTracks(cues, segments) {
+  return listTracks(segments).reduce((result, trackId) => attachTrack(result, getTrackSegments(segments, trackId), trackId), cues);
+}
+
+/**
+ * One track of cues as segments of its own
+ * @param {Array} cues - Cues with `tracks`
+ * @param {string} trackId - Name of the track
+ * @returns {Array} - { start, end, text } for every cue that has the track
+ */
+function getTrackSegments(cues, trackId) {
+  return (cues || [])
+    .filter(cue => cue.tracks && cue.tracks[trackId])
+    .map(cue => ({ start: cue.start, end: cue.end, text: cue.tracks[trackId] }));
+}
+
+/**
+ * Names of the tracks present in any cue
+ * @param {Array} cues - Cues with optional `tracks`
+ * @returns {Array<string>} - Track ids in order of first appearance
+ */
+function listTracks(cues) {
+  const ids = new Set();
+  (cues || []).forEach(cue => Object.keys(cue.tracks || {}).forEach(id => ids.add(id)));
+  return [...ids];
+}
+
+/**
+ * A cue's text with a second track stacked below (or above) it, for bilingual exports
+ * @param {Object} cue - Cue with text and optional `tracks`
+ * @param {string} trackId - Track to add; the cue's own text is returned when empty or missing
+ * @param {string} position - 'below' (default) or 'above' the cue's text
+ * @returns {string} - Text with the two tracks separated by a line break
+ */
+function getBilingualText(cue, trackId, position = 'below') {
+  const secondary = trackId && cue.tracks ? cue.tracks[trackId] : '';
+  if (!secondary) return cue.text;
+  return position === 'above' ? `${secondary}\n${cue.text}` : `${cue.text}\n${secondary}`;
+}
+
+// Cues without any track carry no `tracks` field at all
+function withTracks(cue, tracks) {
+  const result = { ...cue };
+  delete result.tracks;
+  if (Object.keys(tracks).length > 0) result.tracks = tracks;
+  return result;
+}
+
+module.exports = {
+  TRACK_ID_PATTERN,
+  attachTrack,
+  carryTracks,
+  getTrackSegments,
+  listTracks,
+  getBilingualText
+};
@@ -0,0 +1,221 @@
+const { generateSRT, generateRemotionCaptions, validateSRT } = require('./srt');
+const { ensureWordTimings } = require('./words');
+const { segmentCaptions, resolveSegmentationRules } = require('./segment');
+const { SCRIPTS, transliterateCues } = require('./transliterate');
+const { attachTrack, listTracks } = require('./tracks');
+const { buildCacheKey, getCachedTranscription, hasCachedTranscription, cacheTranscription } = require('./transcriptionCache');
+const { getTranslationEngine } = require('../engines');
+const config = require('../config');
+
+/**
+ * Run an engine on an uploaded file, plus the English translation track when asked for
+ * Shared by the synchronous upload routes and the background job runner
+ * @param {Object} engine - Transcription engine, see engines/index.js
+ * @param {string} audioFilePath - Path to the uploaded audio
+ * @param {Object} options - Optional settings
+ * @param {Object} options.options - Validated request options (language, task, model, ...), see utils/whisperOptions.js
+ * @param {boolean} options.translate - Add an English translation as the `en` track
+ * @param {Function} options.onProgress - Receives progress; translation progress has `stage: 'translate'`
+ * @param {string} options.hash - SHA-256 of the audio (set by the upload middleware); engine results are cached by it
+ * @returns {Promise<Object>} - { segments, tracks, details } for buildTranscriptionResult()
+ */
+async function transcribeAudio(engine, audioFilePath, { options = {}, translate = false, onProgress, hash } = {}) {
+  const result = await runEngine(engine, 'transcribe', audioFilePath, { options, onProgress, hash });
+
+  // Optional English translation, kept as a second text track
+  const tracks = {};
+  let translation = null;
+  if (translate) {
+    console.log('🌍 Translating audio to English...');
+    translation = await runEngine(getTranslationEngine(engine), 'translate', audioFilePath, {
+      options,
+      onProgress: onProgress && (progress => onProgress({ ...progress, stage: 'translate' })),
+      hash
+    });
+    tracks.en = translation.segments;
+  }
+
+  return {
+    segments: result.segments,
+    tracks,
+    details: {
+      ...engine.details,
+      ...result.details,
+      task: options.task || 'transcribe',
+      detectedLanguage: result.language || null,
+      cached: result.cached && (!translation || translation.cached)
+    }
+  };
+}
+
+/**
+ * Check whether transcribeAudio() would be answered from the cache alone
+ * The job route uses it to let cached requests skip the queue
+ * @param {Object} engine - Transcription engine
+ * @param {Object} settings - The same { options, translate, hash } as transcribeAudio()
+ * @returns {Promise<boolean>}
+ */
+async function isTranscriptionCached(engine, { options = {}, translate = false, hash } = {}) {
+  if (!hash) return false;
+
+  const keys = [engineCacheKey(engine, 'transcribe', options, hash)];
+  if (translate) keys.push(engineCacheKey(getTranslationEngine(engine), 'translate', options, hash));
+
+  const hits = await Promise.all(keys.map(hasCachedTranscription));
+  return hits.every(Boolean);
+}
+
+/**
+ * Run one engine call, answering it from the transcription cache when the same audio was
+ * already run with the same engine, model and options
+ * @returns {Promise<Object>} - The engine result, with `cached: true` when it came from the cache
+ */
+async function runEngine(engine, method, audioFilePath, { options, onProgress, hash }) {
+  const key = hash ? engineCacheKey(engine, method, options, hash) : null;
+
+  const cached = key && await getCachedTranscription(key);
+  if (cached) {
+    console.log(`⚡ Using cached ${method} result (${engine.name}, ${hash.slice(0, 12)})`);
+    return { ...cached, cached: true };
+  }
+
+  const result = await engine[method](audioFilePath, { ...options, onProgress });
+
+  if (key) {
+    await cacheTranscription(key, result, {
+      hash,
+      engine: engine.name,
+      method,
+      model: (result.details && result.details.model) || (engine.details && engine.details.model) || null,
+      options
+    });
+  }
+  return { ...result, cached: false };
+}
+
+// Engine details carry the configured model, so changing it (e.g. WHISPER_MODEL) changes the key
+function engineCacheKey(engine, method, options, hash) {
+  return buildCacheKey({ hash, engine: engine.name, details: engine.details, method, options });
+}
+
+/**
+ * Build the response payload for a finished transcription
+ * Shared by the synchronous upload routes and the background job runner
+ * @param {Array} segments - Array of transcription segments with start, end, text and optional words
+ * @param {Object} extra - Additional fields merged into the result (filename, model, language)
+ * @param {Object} options - Optional settings
+ * @param {Object} options.segmentation - Segmentation rule overrides for this transcription
+ * @param {string} options.script - Write the transcript in 'roman' or 'devanagari' script
+ * @param {Object} options.tracks - Extra text tracks as { trackId: segments }, e.g. { en: translation }
+ * @returns {Object} - SRT content, Remotion captions, cues, raw transcription and validation info
+ */
+function buildTranscriptionResult(segments, extra = {}, { segmentation, script, tracks = {} } = {}) {
+  // Every segment carries word timings so the player can highlight words as they are spoken
+  let transcription = ensureWordTimings(segments);
+
+  if (script) {
+    console.log(`🔤 Transliterating transcript to ${script} script...`);
+    transcription = transliterateCues(transcription, script);
+  }
+
+  // Re-cut the raw segments into readable cues; preview and every export use these
+  const rules = resolveSegmentationRules({ ...config.segmentation, ...segmentation });
+  let cues = segmentCaptions(transcription, rules);
+
+  // Segments and cues both carry the other tracks, lined up with their own times
+  for (const [trackId, trackSegments] of Object.entries(tracks)) {
+    transcription = attachTrack(transcription, trackSegments, trackId);
+    cues = attachTrack(cues, trackSegments, trackId);
+  }
+
+  return {
+    ...buildCaptionOutputs(cues),
+    transcription: transcription,
+    duration: transcription.length > 0 ? transcription[transcription.length - 1].end : 0,
+    segmentCount: transcription.length,
+    segmentation: rules,
+    script: script || null,
+    tracks: listTracks(cues),
+    ...extra
+  };
+}
+
+/**
+ * Generate the caption outputs for a list of cues
+ * @param {Array} cues - Caption cues (seconds)
+ * @returns {Object} - { srt, captions, cues, cueCount, validation }
+ */
+function buildCaptionOutputs(cues) {
+  // Generate SRT format
+  console.log('📝 Generating SRT file...');
+  const srtContent = generateSRT(cues);
+
+  // Generate Remotion-compatible captions
+  const remotionCaptions = generateRemotionCaptions(cues);
+
+  // Validate SRT content
+  const validation = validateSRT(srtContent);
+  if (!validation.isValid) {
+    console.warn('⚠️ SRT validation warnings:', validation.errors);
+  }
+
+  return {
+    srt: srtContent,
+    captions: remotionCaptions, // Remotion-compatible format
+    cues: cues,
+    cueCount: cues.length,
+    validation: validation
+  };
+}
+
+/**
+ * Read segmentation rule overrides sent with a multipart request
+ * @param {string} value - JSON encoded rules from a form field
+ * @returns {Object} - Parsed rules, or an empty object when absent
+ */
+function parseSegmentationField(value) {
+  if (!value) return {};
+
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    const parseError = new Error('segmentation must be a JSON object');
+    parseError.status = 400;
+    throw parseError;
+  }
+}
+
+/**
+ * Read the script a transcript should be written in from a request field
+ * @param {string} value - 'roman', 'devanagari', or empty to keep the transcript as transcribed
+ * @returns {string|null} - The script, or null when absent
+ */
+function parseScriptField(value) {
+  if (!value) return null;
+
+  if (!SCRIPTS.includes(value)) {
+    const scriptError = new Error(`script must be one of: ${SCRIPTS.join(', ')}`);
+    scriptError.status = 400;
+    throw scriptError;
+  }
+  return value;
+}
+
+/**
+ * Read the on/off `translate` field of a multipart request
+ * @param {string} value - 'true' to add an English translation track
+ * @returns {boolean}
+ */
+function parseTranslateField(value) {
+  return value === true || value === 'true';
+}
+
+module.exports = {
+  transcribeAudio,
+  isTranscriptionCached,
+  buildTranscriptionResult,
+  buildCaptionOutputs,
+  parseSegmentationField,
+  parseScriptField,
+  parseTranslateField
+};
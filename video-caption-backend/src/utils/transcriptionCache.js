@@ -0,0 +1,218 @@
+const crypto = require('crypto');
+const path = require('path');
+const fs = require('fs-extra');
+const config = require('../config');
+
+// One JSON file per cached engine result: { key, createdAt, meta, value }
+// A file's modification time is when the entry was last used, so LRU order survives restarts
+const CACHE_DIR = path.join(config.dataDir, 'cache');
+const CACHE_FILE_PATTERN = /^[0-9a-f]{64}\.json$/;
+
+// key -> { key, size, createdAt, lastUsedAt, ...meta }, read from disk on first use
+let indexPromise = null;
+
+/**
+ * Build the cache key of an engine run
+ * @param {Object} parts - Everything the result depends on, e.g. { hash, engine, details, method, options }
+ * @returns {string} - Hex SHA-256; the same parts in any key order give the same key
+ */
+function buildCacheKey(parts) {
+  return crypto.createHash('sha256').update(stableStringify(parts)).digest('hex');
+}
+
+/**
+ * Look up a cached engine result
+ * @param {string} key - Key from buildCacheKey()
+ * @returns {Promise<Object|null>} - The cached result, or null on a miss or when the cache is off
+ */
+async function getCachedTranscription(key) {
+  if (!config.transcriptionCache.enabled) return null;
+
+  const index = await loadIndexOrWarn();
+  const entry = index.get(key);
+  if (!entry) return null;
+
+  if (isExpired(entry)) {
+    await removeEntry(index, key);
+    return null;
+  }
+
+  try {
+    const { value } = await fs.readJson(entryPath(key));
+    const now = new Date();
+    await fs.utimes(entryPath(key), now, now);
+    entry.lastUsedAt = now.toISOString();
+    return value;
+  } catch (error) {
+    console.warn(`⚠️ Dropping unreadable cache entry ${key}:`, error.message);
+    await removeEntry(index, key);
+    return null;
+  }
+}
+
+/**
+ * Check for a usable cache entry without reading it
+ * @param {string} key - Key from buildCacheKey()
+ * @returns {Promise<boolean>}
+ */
+async function hasCachedTranscription(key) {
+  if (!config.transcriptionCache.enabled) return false;
+
+  const entry = (await loadIndexOrWarn()).get(key);
+  return Boolean(entry) && !isExpired(entry);
+}
+
+/**
+ * Store an engine result, then evict entries beyond the cache limits
+ * A failed write is logged and otherwise ignored; the cache only ever saves time
+ * @param {string} key - Key from buildCacheKey()
+ * @param {Object} value - Engine result, see engines/index.js
+ * @param {Object} meta - Descriptive fields listed by the admin route (hash, engine, method, model, options)
+ */
+async function cacheTranscription(key, value, meta = {}) {
+  if (!config.transcriptionCache.enabled) return;
+
+  try {
+    const index = await loadIndex();
+    const createdAt = new Date().toISOString();
+    const file = entryPath(key);
+    const temporary = `${file}.${process.pid}.tmp`;
+
+    await fs.writeJson(temporary, { key, createdAt, meta, value });
+    await fs.move(temporary, file, { overwrite: true });
+    const { size } = await fs.stat(file);
+
+    index.set(key, { ...meta, key, size, createdAt, lastUsedAt: createdAt });
+    await evictTranscriptions(index);
+  } catch (error) {
+    console.warn('⚠️ Could not cache transcription:', error.message);
+  }
+}
+
+/**
+ * Describe the cache for the admin route
+ * @returns {Promise<Object>} - { enabled, limits, entryCount, totalBytes, entries } with the most recently used entries first
+ */
+async function describeTranscriptionCache() {
+  const index = await loadIndex();
+  const entries = [...index.values()].sort((a, b) => b.lastUsedAt.localeCompare(a.lastUsedAt));
+  const { enabled, maxEntries, maxBytes, ttlMs } = config.transcriptionCache;
+
+  return {
+    enabled,
+    limits: { maxEntries, maxBytes, ttlMs },
+    entryCount: entries.length,
+    totalBytes: entries.reduce((sum, entry) => sum + entry.size, 0),
+    entries
+  };
+}
+
+/**
+ * Remove cache entries
+ * @param {Object} filter - Optional { key, hash, engine }; entries must match every field given. No filter removes everything
+ * @returns {Promise<number>} - How many entries were removed
+ */
+async function purgeTranscriptionCache(filter = {}) {
+  const index = await loadIndex();
+  const fields = ['key', 'hash', 'engine'].filter(field => filter[field]);
+  const matches = [...index.values()].filter(entry => fields.every(field => entry[field] === filter[field]));
+
+  for (const entry of matches) {
+    await removeEntry(index, entry.key);
+  }
+
+  console.log(`🧹 Purged ${matches.length} cached transcription${matches.length === 1 ? '' : 's'}`);
+  return matches.length;
+}
+
+/**
+ * Drop expired entries, then the least recently used ones until the cache is within its entry and size limits
+ */
+async function evictTranscriptions(index) {
+  const { maxEntries, maxBytes } = config.transcriptionCache;
+  const entries = [...index.values()].sort((a, b) => a.lastUsedAt.localeCompare(b.lastUsedAt));
+  let count = entries.length;
+  let totalBytes = entries.reduce((sum, entry) => sum + entry.size, 0);
+
+  for (const entry of entries) {
+    if (!isExpired(entry) && count <= maxEntries && totalBytes <= maxBytes) continue;
+
+    await removeEntry(index, entry.key);
+    count--;
+    totalBytes -= entry.size;
+    console.log(`🗑️ Evicted cached transcription ${entry.key.slice(0, 12)} (${entry.engine})`);
+  }
+}
+
+function loadIndex() {
+  if (!indexPromise) {
+    indexPromise = readIndex().catch(error => {
+      indexPromise = null;
+      throw error;
+    });
+  }
+  return indexPromise;
+}
+
+// A cache that can't be read behaves as empty rather than failing transcriptions
+function loadIndexOrWarn() {
+  return loadIndex().catch(error => {
+    console.warn('⚠️ Transcription cache unavailable:', error.message);
+    return new Map();
+  });
+}
+
+async function readIndex() {
+  await fs.ensureDir(CACHE_DIR);
+  const index = new Map();
+  const files = (await fs.readdir(CACHE_DIR)).filter(file => CACHE_FILE_PATTERN.test(file));
+
+  for (const file of files) {
+    const filePath = path.join(CACHE_DIR, file);
+    try {
+      const { key, createdAt, meta } = await fs.readJson(filePath);
+      const stats = await fs.stat(filePath);
+      index.set(key, { ...meta, key, size: stats.size, createdAt, lastUsedAt: stats.mtime.toISOString() });
+    } catch (error) {
+      console.warn(`⚠️ Removing unreadable cache file ${file}:`, error.message);
+      await fs.remove(filePath);
+    }
+  }
+
+  console.log(`⚡ Transcription cache loaded: ${index.size} entries`);
+  return index;
+}
+
+async function removeEntry(index, key) {
+  index.delete(key);
+  await fs.remove(entryPath(key));
+}
+
+function isExpired(entry) {
+  return Date.now() - new Date(entry.createdAt).getTime() > config.transcriptionCache.ttlMs;
+}
+
+function entryPath(key) {
+  return path.join(CACHE_DIR, `${key}.json`);
+}
+
+// JSON with object keys sorted, so equal options always hash the same
+function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    const keys = Object.keys(value).filter(key => value[key] !== undefined).sort();
+    return `{${keys.map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value === undefined ? null : value);
+}
+
+module.exports = {
+  buildCacheKey,
+  getCachedTranscription,
+  hasCachedTranscription,
+  cacheTranscription,
+  describeTranscriptionCache,
+  purgeTranscriptionCache
+};
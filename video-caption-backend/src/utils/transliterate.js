@@ -0,0 +1,365 @@
+const { HINGLISH_DICTIONARY, ENGLISH_WORDS } = require('./hinglishDictionary');
+
+// Scripts transcripts can be converted to
+const SCRIPTS = ['roman', 'devanagari'];
+
+const DEVANAGARI_PATTERN = /[ऀ-ॿ]/;
+const LATIN_PATTERN = /[a-z]/i;
+
+// Roman → Devanagari: longest spellings first so "chh" wins over "ch" and "c"
+const ROMAN_CONSONANTS = [
+  ['chh', 'छ'], ['cch', 'च्छ'], ['kh', 'ख'], ['gh', 'घ'], ['ch', 'च'], ['jh', 'झ'], ['th', 'थ'],
+  ['dh', 'ध'], ['ph', 'फ'], ['bh', 'भ'], ['sh', 'श'], ['k', 'क'], ['g', 'ग'], ['c', 'क'], ['j', 'ज'],
+  ['t', 'त'], ['d', 'द'], ['n', 'न'], ['p', 'प'], ['b', 'ब'], ['m', 'म'], ['y', 'य'], ['r', 'र'],
+  ['l', 'ल'], ['v', 'व'], ['w', 'व'], ['s', 'स'], ['h', 'ह'], ['f', 'फ़'], ['z', 'ज़'], ['q', 'क़'],
+  ['x', 'क्स']
+];
+
+// [spelling, independent vowel, vowel sign after a consonant]
+const ROMAN_VOWELS = [
+  ['aa', 'आ', 'ा'], ['ai', 'ऐ', 'ै'], ['au', 'औ', 'ौ'], ['ee', 'ई', 'ी'], ['ii', 'ई', 'ी'],
+  ['oo', 'ऊ', 'ू'], ['uu', 'ऊ', 'ू'], ['a', 'अ', ''], ['i', 'इ', 'ि'], ['u', 'उ', 'ु'],
+  ['e', 'ए', 'े'], ['o', 'ओ', 'ो']
+];
+
+// Second letters that join the consonant before them into a conjunct (kya, pyaar, kripa)
+const CONJUNCT_SECOND = new Set(['y', 'r', 'v', 'w']);
+// Letters an s joins inside a word (nashta, mushkil, sparsh)
+const S_CONJUNCTS = new Set(['t', 'th', 'k', 'kh', 'p', 'ph']);
+
+// Devanagari → Roman
+const DEVANAGARI_CONSONANTS = {
+  'क': 'k', 'ख': 'kh', 'ग': 'g', 'घ': 'gh', 'ङ': 'n', 'च': 'ch', 'छ': 'chh', 'ज': 'j', 'झ': 'jh',
+  'ञ': 'n', 'ट': 't', 'ठ': 'th', 'ड': 'd', 'ढ': 'dh', 'ण': 'n', 'त': 't', 'थ': 'th', 'द': 'd',
+  'ध': 'dh', 'न': 'n', 'प': 'p', 'फ': 'ph', 'ब': 'b', 'भ': 'bh', 'म': 'm', 'य': 'y', 'र': 'r',
+  'ल': 'l', 'व': 'v', 'श': 'sh', 'ष': 'sh', 'स': 's', 'ह': 'h',
+  'क़': 'q', 'ख़': 'kh', 'ग़': 'gh', 'ज़': 'z', 'ड़': 'd', 'ढ़': 'dh', 'फ़': 'f', 'य़': 'y'
+};
+
+// Consonants written with a nukta (dot below) read differently: ज + ़ is z
+const NUKTA_CONSONANTS = { 'क': 'q', 'ख': 'kh', 'ग': 'gh', 'ज': 'z', 'ड': 'd', 'ढ': 'dh', 'फ': 'f', 'य': 'y' };
+
+const DEVANAGARI_VOWELS = {
+  'अ': 'a', 'आ': 'aa', 'इ': 'i', 'ई': 'ee', 'उ': 'u', 'ऊ': 'oo', 'ऋ': 'ri', 'ए': 'e', 'ऐ': 'ai',
+  'ओ': 'o', 'औ': 'au', 'ऑ': 'o'
+};
+
+// Vowel signs; long vowels are spelled short at the end of a word, as in casual Hinglish (kya, nahi)
+const DEVANAGARI_SIGNS = {
+  'ा': ['aa', 'a'], 'ि': ['i', 'i'], 'ी': ['ee', 'i'], 'ु': ['u', 'u'], 'ू': ['oo', 'u'],
+  'ृ': ['ri', 'ri'], 'े': ['e', 'e'], 'ै': ['ai', 'ai'], 'ो': ['o', 'o'], 'ौ': ['au', 'au'], 'ॉ': ['o', 'o']
+};
+
+const VIRAMA = '्';
+const NUKTA = '़';
+const NASALS = new Set(['ं', 'ँ']);
+const LABIALS = new Set(['प', 'फ', 'ब', 'भ', 'म']);
+
+// Devanagari spelling → preferred romanization, the first spelling listed in the dictionary
+// Keys are NFC, which writes nukta letters (ज़) as the letter plus a nukta
+const ROMAN_SPELLINGS = Object.entries(HINGLISH_DICTIONARY).reduce((spellings, [roman, devanagari]) => {
+  const key = devanagari.normalize('NFC');
+  if (!spellings[key]) spellings[key] = roman;
+  return spellings;
+}, {});
+
+// English spellings a rule must never convert even when the words around them are Hindi
+const ENGLISH_SPELLING_PATTERN = /[qxw]|ck|tion|ing$|ght|ou|ea|oa|ee[dkpt]|nt$|[bcdfgjklmnprtv]s$|[bcdfgjklmnpqrstvxz]{3}|([bcdfgklmnprst])\1$/;
+
+/**
+ * Which script a text is mostly written in
+ * @param {string} text - Any text
+ * @returns {string|null} - 'devanagari', 'roman', or null when it has no letters of either
+ */
+function detectScript(text) {
+  let devanagari = 0;
+  let roman = 0;
+  for (const char of text || '') {
+    if (DEVANAGARI_PATTERN.test(char)) devanagari++;
+    else if (LATIN_PATTERN.test(char)) roman++;
+  }
+  if (!devanagari && !roman) return null;
+  return devanagari > roman ? 'devanagari' : 'roman';
+}
+
+/**
+ * Split a token into its leading punctuation, the word, and its trailing punctuation
+ */
+function splitToken(token) {
+  const match = token.match(/^([^\p{L}\p{M}\p{N}]*)(.*?)([^\p{L}\p{M}\p{N}]*)$/u);
+  return { before: match[1], core: match[2], after: match[3] };
+}
+
+/**
+ * Spell a romanized Hindi word in Devanagari, syllable by syllable
+ * Consonant clusters inside a word are written as Hindi spells them after dropping the short "a"
+ * (karna → करना); clusters starting or ending a word, doubled letters, st/sk/sp and y/r/v
+ * glides form conjuncts (dost → दोस्त, pakka → पक्का, kya → क्या)
+ * @param {string} word - Lower case Latin letters
+ * @returns {string} - The word in Devanagari
+ */
+function romanToDevanagari(word) {
+  const units = [];
+  for (let i = 0; i < word.length;) {
+    const vowel = ROMAN_VOWELS.find(([spelling]) => word.startsWith(spelling, i));
+    if (vowel) {
+      units.push({ vowel, spelling: vowel[0] });
+      i += vowel[0].length;
+      continue;
+    }
+    const consonant = ROMAN_CONSONANTS.find(([spelling]) => word.startsWith(spelling, i));
+    if (consonant) {
+      units.push({ consonant: consonant[1], spelling: consonant[0] });
+      i += consonant[0].length;
+      continue;
+    }
+    // Not a letter we can spell (digits, apostrophes): keep it
+    units.push({ other: word[i], spelling: word[i] });
+    i++;
+  }
+
+  let output = '';
+  // Whether the last letter written is a consonant still waiting for its vowel
+  let pending = false;
+
+  units.forEach((unit, index) => {
+    const previous = units[index - 1];
+    const next = units[index + 1];
+    const isLast = index === units.length - 1;
+
+    if (unit.vowel) {
+      if (pending) {
+        // Final a and i are long in Hindi words: kya → क्या, hindi → हिंदी
+        if (isLast && unit.spelling === 'a') output += 'ा';
+        else if (isLast && unit.spelling === 'i') output += 'ी';
+        else output += unit.vowel[2];
+      } else {
+        output += unit.vowel[1];
+      }
+      pending = false;
+      return;
+    }
+
+    if (unit.consonant) {
+      // n or m between a vowel and a consonant is a nasal: hindi → हिंदी
+      if ((unit.spelling === 'n' || unit.spelling === 'm') && previous && previous.vowel && next && next.consonant) {
+        output += 'ं';
+        pending = false;
+        return;
+      }
+      if (pending) {
+        const joins = index === 1 || isLast || CONJUNCT_SECOND.has(unit.spelling)
+          || unit.spelling === previous.spelling
+          || ((previous.spelling === 's' || previous.spelling === 'sh') && S_CONJUNCTS.has(unit.spelling));
+        if (joins) output += VIRAMA;
+      }
+      output += unit.consonant;
+      pending = true;
+      return;
+    }
+
+    output += unit.other;
+    pending = false;
+  });
+  return output;
+}
+
+/**
+ * Spell a Devanagari word in casual Hinglish romanization
+ * The short "a" every consonant carries is dropped at the end of a word and, scanning from the
+ * end, between a vowel and a consonant followed by a vowel (समझना → samajhna, करना → karna)
+ * @param {string} word - A Devanagari word
+ * @returns {string} - The word in Latin letters
+ */
+function devanagariToRoman(word) {
+  // Syllables: { text, consonant, vowel, inherent } where inherent marks a consonant still
+  // carrying its short "a" and vowel one followed by a written vowel
+  const syllables = [];
+  const chars = Array.from(word.normalize('NFC'));
+
+  for (let i = 0; i < chars.length; i++) {
+    const char = chars[i];
+
+    if (DEVANAGARI_CONSONANTS[char]) {
+      const syllable = { text: DEVANAGARI_CONSONANTS[char], consonant: true, vowel: false, inherent: true };
+      if (chars[i + 1] === NUKTA) {
+        syllable.text = NUKTA_CONSONANTS[char] || syllable.text;
+        i++;
+      }
+      const sign = chars[i + 1];
+      if (sign === VIRAMA) {
+        syllable.inherent = false;
+        i++;
+      } else if (DEVANAGARI_SIGNS[sign]) {
+        syllable.text += DEVANAGARI_SIGNS[sign][i + 2 >= chars.length ? 1 : 0];
+        syllable.inherent = false;
+        syllable.vowel = true;
+        i++;
+      }
+      syllables.push(syllable);
+    } else if (DEVANAGARI_VOWELS[char]) {
+      syllables.push({ text: DEVANAGARI_VOWELS[char], consonant: false, vowel: true, inherent: false });
+    } else if (NASALS.has(char)) {
+      const nasal = LABIALS.has(chars[i + 1]) ? 'm' : 'n';
+      const last = syllables[syllables.length - 1];
+      if (last) {
+        // A nasalised short a is spoken: हँस → hans
+        if (last.inherent) last.text += 'a';
+        last.text += nasal;
+        last.inherent = false;
+        last.vowel = true;
+      } else {
+        syllables.push({ text: nasal, consonant: false, vowel: false, inherent: false });
+      }
+    } else if (char === 'ः') {
+      syllables.push({ text: 'h', consonant: false, vowel: false, inherent: false });
+    } else if (char >= '०' && char <= '९') {
+      syllables.push({ text: String(char.charCodeAt(0) - '०'.charCodeAt(0)), consonant: false, vowel: false, inherent: false });
+    } else if (char !== NUKTA) {
+      syllables.push({ text: char, consonant: false, vowel: false, inherent: false });
+    }
+  }
+
+  const hasVowel = (syllable) => syllable.vowel || syllable.inherent;
+  const last = syllables[syllables.length - 1];
+  if (last && last.inherent && syllables.length > 1) last.inherent = false;
+
+  for (let i = syllables.length - 2; i > 0; i--) {
+    const next = syllables[i + 1];
+    if (syllables[i].inherent && hasVowel(syllables[i - 1]) && next.consonant && hasVowel(next)) {
+      syllables[i].inherent = false;
+    }
+  }
+
+  return syllables.map(syllable => syllable.text + (syllable.inherent ? 'a' : '')).join('');
+}
+
+/**
+ * Decide which romanized words of a text are Hindi
+ * Dictionary words are Hindi and known English words are English. Words that are both (main,
+ * to, the) follow their nearest unambiguous neighbours, then the rest of the text; unknown words
+ * are Hindi when the text leans Hindi and they are not spelled like English
+ * @param {Array<string>} words - Lower case words of the text, in order
+ * @returns {Array<boolean>} - Whether each word should be written in Devanagari
+ */
+function classifyHindiWords(words) {
+  const kinds = words.map(word => {
+    if (!/^[a-z]+$/.test(word)) return null;
+    const isHindi = Boolean(HINGLISH_DICTIONARY[word]);
+    const isEnglish = ENGLISH_WORDS.has(word);
+    if (isHindi && isEnglish) return 'both';
+    if (isHindi) return 'hindi';
+    if (isEnglish) return 'english';
+    return 'unknown';
+  });
+
+  const hindi = kinds.filter(kind => kind === 'hindi').length;
+  const english = kinds.filter(kind => kind === 'english').length;
+
+  const nearest = (index, step) => {
+    for (let i = index + step; i >= 0 && i < kinds.length; i += step) {
+      if (kinds[i] === 'hindi' || kinds[i] === 'english') return kinds[i];
+    }
+    return null;
+  };
+
+  return kinds.map((kind, index) => {
+    if (kind === 'hindi' || kind === 'english' || kind === null) return kind === 'hindi';
+    if (kind === 'unknown') return hindi > 0 && hindi >= english && !ENGLISH_SPELLING_PATTERN.test(words[index]);
+
+    const neighbours = [nearest(index, -1), nearest(index, 1)];
+    const hindiNeighbours = neighbours.filter(item => item === 'hindi').length;
+    const englishNeighbours = neighbours.filter(item => item === 'english').length;
+    if (hindiNeighbours !== englishNeighbours) return hindiNeighbours > englishNeighbours;
+    return hindi > english;
+  });
+}
+
+/**
+ * Create a converter for the words of one text, so a cue's words convert the way its text does
+ * @param {string} text - The text the words come from (a cue or segment)
+ * @param {string} script - 'roman' or 'devanagari'
+ * @returns {Function} - (token, index) => the token in the target script, punctuation kept;
+ *   index is the token's position among the words of the text
+ */
+function createConverter(text, script) {
+  if (script === 'roman') {
+    return (token) => {
+      const { before, core, after } = splitToken(token);
+      if (!DEVANAGARI_PATTERN.test(core)) return token;
+      const word = core.normalize('NFC');
+      return before + (ROMAN_SPELLINGS[word] || devanagariToRoman(word)) + after.replace(/[।॥]/g, '.');
+    };
+  }
+
+  const words = (text || '').split(/\s+/).filter(Boolean).map(token => splitToken(token).core.toLowerCase());
+  const hindiWords = classifyHindiWords(words);
+
+  return (token, index) => {
+    const { before, core, after } = splitToken(token);
+    const word = core.toLowerCase();
+    // Words that no longer line up with the text (edited separately) are classified on their own
+    const isHindi = words[index] === word ? hindiWords[index] : classifyHindiWords([word])[0];
+    if (!isHindi) return token;
+    return before + (HINGLISH_DICTIONARY[word] || romanToDevanagari(word)) + after;
+  };
+}
+
+/**
+ * Convert the whitespace-separated words of a text, keeping the whitespace
+ * @param {string} text - Text to convert
+ * @param {Function} convert - Converter from createConverter()
+ * @param {number} offset - Position of the text's first word among the converter's words
+ */
+function convertWords(text, convert, offset = 0) {
+  let index = offset;
+  return text.split(/(\s+)/).map(part => (!part || /^\s+$/.test(part) ? part : convert(part, index++))).join('');
+}
+
+/**
+ * Convert a text to Roman or Devanagari script, keeping English words and punctuation as they are
+ * @param {string} text - Hinglish text in either script (or a mix)
+ * @param {string} script - 'roman' or 'devanagari'
+ * @returns {string} - The converted text
+ */
+function transliterateText(text, script) {
+  if (!text) return text;
+  return convertWords(text, createConverter(text, script));
+}
+
+/**
+ * Convert cues or transcription segments to Roman or Devanagari script
+ * Each word keeps its timing (and emphasis or other marks); one word converts to one word
+ * @param {Array} cues - Cues or segments with text and optional lines and words
+ * @param {string} script - 'roman' or 'devanagari'
+ * @returns {Array} - New cues with text, lines and words converted
+ */
+function transliterateCues(cues, script) {
+  return cues.map(cue => {
+    const text = cue.text || '';
+    const convert = createConverter(text, script);
+    const converted = { ...cue, text: convertWords(text, convert) };
+
+    if (Array.isArray(cue.lines)) {
+      let offset = 0;
+      converted.lines = cue.lines.map(line => {
+        const result = convertWords(line, convert, offset);
+        offset += line.split(/\s+/).filter(Boolean).length;
+        return result;
+      });
+    }
+    if (Array.isArray(cue.words)) {
+      converted.words = cue.words.map((word, index) => ({ ...word, word: convert(String(word.word), index) }));
+    }
+    return converted;
+  });
+}
+
+module.exports = {
+  SCRIPTS,
+  detectScript,
+  romanToDevanagari,
+  devanagariToRoman,
+  transliterateText,
+  transliterateCues
+};
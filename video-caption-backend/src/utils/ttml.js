@@ -0,0 +1,125 @@
+const { formatTimestamp } = require('./srt');
+const { resolveFrameRate, secondsToMediaTime } = require('./timecode');
+
+// TTML 1 (current W3C) and the DFXP draft namespaces still required by some platforms
+const NAMESPACES = {
+  ttml: {
+    tt: 'http://www.w3.org/ns/ttml',
+    parameter: 'http://www.w3.org/ns/ttml#parameter',
+    styling: 'http://www.w3.org/ns/ttml#styling',
+    metadata: 'http://www.w3.org/ns/ttml#metadata'
+  },
+  dfxp: {
+    tt: 'http://www.w3.org/2006/10/ttaf1',
+    parameter: 'http://www.w3.org/2006/10/ttaf1#parameter',
+    styling: 'http://www.w3.org/2006/10/ttaf1#styling',
+    metadata: 'http://www.w3.org/2006/10/ttaf1#metadata'
+  }
+};
+
+// Caption region for each caption style position: [origin, displayAlign]
+const REGIONS = {
+  top: ['10% 5%', 'before'],
+  middle: ['10% 10%', 'center'],
+  bottom: ['10% 10%', 'after']
+};
+
+/**
+ * Generate a TTML (or DFXP) document from caption cues
+ * Times are media times in milliseconds, or HH:MM:SS:FF frames when a frame rate is given
+ * @param {Array} cues - Cues with start, end and text (seconds)
+ * @param {Object} options - Optional settings
+ * @param {string} options.language - xml:lang of the document
+ * @param {string} options.title - Document title
+ * @param {number|string} options.frameRate - Write frame-based times at this rate, e.g. 25 or 29.97
+ * @param {Object} options.style - Caption style (font, colours, position), see DEFAULT_ASS_STYLE
+ * @param {boolean} options.dfxp - Use the legacy DFXP namespaces
+ * @returns {string} - TTML document
+ */
+function generateTTML(cues, { language = 'en', title, frameRate, style = {}, dfxp = false } = {}) {
+  const ns = dfxp ? NAMESPACES.dfxp : NAMESPACES.ttml;
+  const rate = frameRate ? resolveFrameRate(frameRate) : null;
+  const formatTime = rate
+    ? (seconds) => secondsToMediaTime(seconds, frameRate)
+    : (seconds) => formatTimestamp(seconds, '.');
+
+  const timingAttributes = rate
+    ? ` ttp:frameRate="${rate.nominal}"${rate.isNTSC ? ' ttp:frameRateMultiplier="1000 1001"' : ''}`
+    : '';
+  const [origin, displayAlign] = REGIONS[style.position] || REGIONS.bottom;
+
+  const paragraphs = (cues || []).map((cue, index) => {
+    const text = String(cue.text || '')
+      .split('\n')
+      .map(line => escapeXML(line.replace(/<[^>]*>/g, '').trim()))
+      .filter(Boolean)
+      .join('<br/>');
+
+    return `      <p xml:id="c${index + 1}" begin="${formatTime(cue.start)}" end="${formatTime(cue.end)}">${text}</p>`;
+  });
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<tt xmlns="${ns.tt}" xmlns:ttp="${ns.parameter}" xmlns:tts="${ns.styling}" xmlns:ttm="${ns.metadata}" xml:lang="${escapeXML(language)}" ttp:timeBase="media"${timingAttributes}>
+  <head>
+    <metadata>
+      <ttm:title>${escapeXML(title || 'Simora Captions')}</ttm:title>
+    </metadata>
+    <styling>
+      <style xml:id="s1"${formatStyleAttributes(style)}/>
+    </styling>
+    <layout>
+      <region xml:id="r1" tts:origin="${origin}" tts:extent="80% 85%" tts:displayAlign="${displayAlign}" tts:textAlign="center"/>
+    </layout>
+  </head>
+  <body style="s1" region="r1">
+    <div>
+${paragraphs.join('\n')}
+    </div>
+  </body>
+</tt>
+`;
+}
+
+// Only the style properties that were set; players fall back to their own defaults otherwise
+function formatStyleAttributes(style) {
+  const attributes = [
+    ['tts:fontFamily', style.fontFamily],
+    ['tts:color', style.textColor && expandHex(style.textColor)],
+    ['tts:fontWeight', style.fontWeight === undefined ? undefined : (style.fontWeight >= 600 ? 'bold' : 'normal')],
+    ['tts:backgroundColor', style.showBackground && style.backgroundColor
+      ? withOpacity(style.backgroundColor, style.backgroundOpacity)
+      : undefined],
+    ['tts:textOutline', !style.showBackground && style.outlineColor && style.outlineWidth
+      ? `${expandHex(style.outlineColor)} ${style.outlineWidth}px`
+      : undefined]
+  ];
+
+  return attributes
+    .filter(([, value]) => value !== undefined && value !== null && value !== '')
+    .map(([name, value]) => ` ${name}="${escapeXML(String(value))}"`)
+    .join('');
+}
+
+// TTML colours take an alpha channel as #RRGGBBAA
+function withOpacity(hex, opacity = 1) {
+  const alpha = Math.round(Math.min(1, Math.max(0, opacity)) * 255);
+  return `${expandHex(hex).slice(0, 7)}${alpha.toString(16).padStart(2, '0')}`;
+}
+
+// TTML has no #RGB shorthand, so it is written out as #RRGGBB
+function expandHex(hex) {
+  const value = String(hex).replace('#', '');
+  return value.length === 3 ? `#${value.split('').map(char => char + char).join('')}` : `#${value}`;
+}
+
+function escapeXML(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+module.exports = {
+  generateTTML
+};
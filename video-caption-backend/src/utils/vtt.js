@@ -0,0 +1,225 @@
+const { formatTimestamp, parseTimingLine, srtTimeToSeconds, normalizeCaptionContent } = require('./srt');
+
+// Cue settings allowed by the WebVTT spec, in the order they are written
+const CUE_SETTING_KEYS = ['vertical', 'line', 'position', 'size', 'align', 'region'];
+
+// Inline timestamp tags used for karaoke-style word timing, e.g. <00:00:01.250>
+const INLINE_TIMESTAMP = /<((?:\d+:)?\d{1,2}:\d{2}\.\d{3})>/g;
+
+/**
+ * Convert seconds to WebVTT time format (HH:MM:SS.mmm)
+ * @param {number} seconds - Time in seconds
+ * @returns {string} - WebVTT formatted time
+ */
+function secondsToVTTTime(seconds) {
+  return formatTimestamp(seconds, '.');
+}
+
+/**
+ * Generate WebVTT file content from caption cues
+ * @param {Array} cues - Cues with start, end and text (seconds); optional id, settings, note and words
+ * @param {Object} options - Optional settings
+ * @param {string} options.title - Text after the WEBVTT header
+ * @param {Array<string>} options.notes - NOTE blocks written after the header
+ * @param {boolean} options.wordTimestamps - Write inline <timestamp> tags from cue words (karaoke style)
+ * @returns {string} - WebVTT formatted content
+ */
+function generateVTT(cues, { title, notes = [], wordTimestamps = false } = {}) {
+  let vttContent = title ? `WEBVTT ${title.replace(/\n/g, ' ')}\n\n` : 'WEBVTT\n\n';
+
+  notes.forEach(note => {
+    vttContent += `${formatNote(note)}\n\n`;
+  });
+
+  (cues || []).forEach(cue => {
+    if (cue.note) {
+      vttContent += `${formatNote(cue.note)}\n\n`;
+    }
+
+    // Cue identifiers must not contain "-->" or line breaks
+    if (cue.id !== undefined && cue.id !== null && cue.id !== '') {
+      vttContent += `${String(cue.id).replace(/-->|\n/g, ' ')}\n`;
+    }
+
+    const settings = formatCueSettings(cue.settings);
+    vttContent += `${secondsToVTTTime(cue.start)} --> ${secondsToVTTTime(cue.end)}${settings ? ` ${settings}` : ''}\n`;
+
+    const text = wordTimestamps && Array.isArray(cue.words) && cue.words.length > 0
+      ? formatKaraokeText(cue)
+      : escapeVTTText(cue.text);
+    // Blank lines would end the cue early
+    vttContent += `${text.split('\n').filter(line => line.trim()).join('\n')}\n\n`;
+  });
+
+  return vttContent.trim() + '\n';
+}
+
+/**
+ * Parse WebVTT content into cues
+ * NOTE blocks are attached to the cue that follows them; STYLE and REGION blocks are skipped.
+ * Inline timestamp tags become per-word timings
+ * @param {string} vttContent - WebVTT file content
+ * @returns {Array} - Cues of { start, end, text, id?, settings?, note?, words? } (seconds)
+ */
+function parseVTTContent(vttContent) {
+  const content = normalizeCaptionContent(vttContent);
+
+  if (!/^WEBVTT(?:[ \t].*)?(?:\n|$)/.test(content)) {
+    throw new Error('Not a WebVTT file: missing WEBVTT header');
+  }
+
+  const blocks = content.split(/\n[ \t]*\n+/).slice(1);
+  const cues = [];
+  let pendingNote = null;
+
+  for (const block of blocks) {
+    const lines = block.split('\n').filter((line, index) => index > 0 || line.trim() !== '');
+    if (lines.length === 0) continue;
+
+    if (/^NOTE(?:\s|$)/.test(lines[0])) {
+      const note = [lines[0].replace(/^NOTE\s?/, ''), ...lines.slice(1)].join('\n').trim();
+      pendingNote = pendingNote ? `${pendingNote}\n${note}` : note;
+      continue;
+    }
+    if (/^(STYLE|REGION)(?:\s|$)/.test(lines[0])) {
+      continue;
+    }
+
+    const timingIndex = lines.findIndex(line => line.includes('-->'));
+    const timing = timingIndex >= 0 ? parseTimingLine(lines[timingIndex]) : null;
+    if (!timing || timingIndex > 1) {
+      console.warn('⚠️ Skipping malformed WebVTT block:', lines[0]);
+      continue;
+    }
+
+    const rawText = lines.slice(timingIndex + 1).join('\n');
+    const cue = {
+      start: timing.start,
+      end: timing.end,
+      text: stripVTTTags(rawText)
+    };
+
+    if (timingIndex === 1) cue.id = lines[0].trim();
+    if (timing.settings) cue.settings = parseCueSettings(timing.settings);
+    if (pendingNote) cue.note = pendingNote;
+    pendingNote = null;
+
+    const words = extractInlineWordTimings(rawText, timing.start, timing.end);
+    if (words.length > 0) cue.words = words;
+
+    if (cue.text.length > 0) {
+      cues.push(cue);
+    }
+  }
+
+  return cues;
+}
+
+/**
+ * Parse a cue settings string ("line:90% align:center") into an object
+ * @param {string} settings - Settings part of a timing line
+ * @returns {Object} - Setting name → value
+ */
+function parseCueSettings(settings) {
+  const parsed = {};
+  settings.split(/\s+/).forEach(setting => {
+    const [key, value] = setting.split(':');
+    if (CUE_SETTING_KEYS.includes(key) && value) {
+      parsed[key] = value;
+    }
+  });
+  return parsed;
+}
+
+/**
+ * Format cue settings for a timing line
+ * @param {Object|string} settings - Settings object or an already formatted string
+ * @returns {string} - "key:value" pairs separated by spaces
+ */
+function formatCueSettings(settings) {
+  if (!settings) return '';
+  if (typeof settings === 'string') return settings.trim();
+
+  return CUE_SETTING_KEYS
+    .filter(key => settings[key] !== undefined && settings[key] !== null && settings[key] !== '')
+    .map(key => `${key}:${settings[key]}`)
+    .join(' ');
+}
+
+function formatNote(note) {
+  // "-->" is not allowed inside a NOTE block
+  return `NOTE ${String(note).replace(/-->/g, '->').replace(/\n\s*\n/g, '\n')}`;
+}
+
+function formatKaraokeText(cue) {
+  return cue.words
+    .map((word, index) => {
+      const escaped = escapeVTTText(word.word);
+      return index === 0 ? escaped : `<${secondsToVTTTime(word.start)}>${escaped}`;
+    })
+    .join(' ');
+}
+
+function extractInlineWordTimings(rawText, cueStart, cueEnd) {
+  if (!INLINE_TIMESTAMP.test(rawText)) return [];
+  INLINE_TIMESTAMP.lastIndex = 0;
+
+  // Split the text into runs that each start at a timestamp
+  const runs = [];
+  let lastIndex = 0;
+  let runStart = cueStart;
+  let match;
+  while ((match = INLINE_TIMESTAMP.exec(rawText)) !== null) {
+    runs.push({ start: runStart, text: rawText.slice(lastIndex, match.index) });
+    runStart = srtTimeToSeconds(match[1]);
+    lastIndex = match.index + match[0].length;
+  }
+  runs.push({ start: runStart, text: rawText.slice(lastIndex) });
+
+  const words = [];
+  runs.forEach(run => {
+    stripVTTTags(run.text).split(/\s+/).filter(Boolean).forEach(word => {
+      words.push({ word, start: run.start, end: run.start });
+    });
+  });
+
+  // Each word lasts until the next one starts
+  words.forEach((word, index) => {
+    word.end = index + 1 < words.length ? Math.max(word.start, words[index + 1].start) : cueEnd;
+  });
+
+  return words;
+}
+
+function escapeVTTText(text) {
+  return String(text || '')
+    // SRT <font> tags have no WebVTT equivalent
+    .replace(/<\/?font[^>]*>/gi, '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    // Bold, italic and underline tags mean the same in SRT and WebVTT, so keep them
+    .replace(/&lt;(\/?)([biu])&gt;/gi, (match, slash, tag) => `<${slash}${tag.toLowerCase()}>`);
+}
+
+function stripVTTTags(text) {
+  return text
+    .replace(/<[^>]*>/g, '')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&lrm;|&rlm;/g, '')
+    .replace(/&amp;/g, '&')
+    .split('\n')
+    .map(line => line.trim())
+    .filter(Boolean)
+    .join('\n');
+}
+
+module.exports = {
+  secondsToVTTTime,
+  generateVTT,
+  parseVTTContent,
+  parseCueSettings,
+  formatCueSettings
+};
@@ -1,116 +1,60 @@
 const { spawn } = require('child_process');
 const path = require('path');
 const fs = require('fs-extra');
+const { createProgressTracker, parseWhisperProgress, parseHinglishProgress } = require('./progress');
 
 /**
- * Process audio file using local Whisper model
+ * Transcribe with the whisper CLI, reading its JSON output file for segments and per-word timings
+ * Uses multilingual model for better support of mixed languages
  * @param {string} audioFilePath - Path to the audio file
  * @param {string} model - Whisper model to use (base, small, medium, large)
- * @returns {Promise<Array>} - Array of transcription segments with timestamps
+ * @param {Object} options - Optional settings
+ * @param {Function} options.onProgress - Receives { percent, elapsedMs, etaMs, ... } as frames are decoded
+ * @param {string} options.command - Whisper CLI executable (default: whisper on PATH)
+ * @param {Array<string>} options.extraArgs - Additional CLI arguments appended to the command
+ * @param {string} options.task - 'transcribe' (default) or 'translate' to English
+ * @param {string} options.language - Spoken language code; detected automatically when omitted
+ * @param {string} options.initialPrompt - Text that primes vocabulary and spelling (names, jargon)
+ * @param {number} options.temperature - Sampling temperature, 0 for the most likely text
+ * @returns {Promise<Object>} - { segments, language } with the transcription segments and the language
+ *   Whisper transcribed (detected or given)
  */
-async function processAudioWithWhisper(audioFilePath, model = 'base') {
+async function processAudioWithWhisperSimple(audioFilePath, model = 'large', {
+  onProgress,
+  command = 'whisper',
+  extraArgs = [],
+  task = 'transcribe',
+  language,
+  initialPrompt,
+  temperature = 0
+} = {}) {
   return new Promise((resolve, reject) => {
-    console.log(`🎙️ Starting Whisper transcription with model: ${model}`);
-    
-    // Check if file exists
-    if (!fs.existsSync(audioFilePath)) {
-      return reject(new Error('Audio file not found'));
-    }
-
-    // Prepare whisper command with word-level timestamps
-    // Removing language parameter for auto-detection (works better for Hinglish)
-    const whisperArgs = [
-      '-m', 'whisper',
-      audioFilePath,
-      '--model', model,
-      '--output_format', 'json',
-      '--word_timestamps', 'True'
-    ];
-
-    console.log('🔧 Whisper command:', 'python', whisperArgs.join(' '));
-
-    const whisperProcess = spawn('python', whisperArgs, {
-      stdio: ['ignore', 'pipe', 'pipe']
-    });
-
-    let stdout = '';
-    let stderr = '';
-
-    whisperProcess.stdout.on('data', (data) => {
-      stdout += data.toString();
-    });
-
-    whisperProcess.stderr.on('data', (data) => {
-      stderr += data.toString();
-      // Whisper logs progress to stderr, so we log it
-      console.log('Whisper:', data.toString().trim());
-    });
-
-    whisperProcess.on('close', (code) => {
-      if (code !== 0) {
-        console.error('❌ Whisper process failed with code:', code);
-        console.error('Stderr:', stderr);
-        return reject(new Error(`Whisper transcription failed: ${stderr}`));
-      }
-
-      try {
-        // Parse Whisper JSON output
-        const result = JSON.parse(stdout);
-        
-        if (!result.segments || !Array.isArray(result.segments)) {
-          return reject(new Error('Invalid Whisper output format'));
-        }
-
-        // Transform segments for SRT generation
-        const segments = result.segments.map(segment => ({
-          start: segment.start,
-          end: segment.end,
-          text: segment.text.trim()
-        })).filter(segment => segment.text.length > 0);
-
-        console.log(`✅ Transcription completed: ${segments.length} segments`);
-        resolve(segments);
-
-      } catch (parseError) {
-        console.error('❌ Error parsing Whisper output:', parseError);
-        reject(new Error('Failed to parse Whisper transcription result'));
-      }
-    });
-
-    whisperProcess.on('error', (error) => {
-      console.error('❌ Error spawning Whisper process:', error);
-      reject(new Error('Failed to start Whisper transcription. Make sure Whisper is installed: pip install openai-whisper'));
-    });
-  });
-}
-
-/**
- * Alternative implementation using whisper with simpler JSON output
- * Uses multilingual model for better support of mixed languages
- */
-async function processAudioWithWhisperSimple(audioFilePath, model = 'large') {
-  return new Promise((resolve, reject) => {
-    console.log(`🎙️ Starting Whisper transcription with multilingual model: ${model}`);
+    console.log(`🎙️ Starting Whisper ${task === 'translate' ? 'translation' : 'transcription'} with multilingual model: ${model}`);
+    const reportProgress = createProgressTracker(onProgress);
     
     const outputDir = path.dirname(audioFilePath);
     const baseName = path.basename(audioFilePath, path.extname(audioFilePath));
     
-    // Use whisper CLI with SRT output - multilingual model for better language detection
+    // Use whisper CLI with JSON output so per-word timings come back with the segments
     // Large model provides the best multilingual support and accuracy for Hinglish content
-    // Omitting --language parameter allows automatic language detection (default behavior)
+    // Without a language Whisper detects it from the first 30 seconds (works better for Hinglish)
     const whisperArgs = [
       audioFilePath,
       '--model', model,
       '--output_dir', outputDir,
-      '--output_format', 'srt',
+      '--output_format', 'json',
+      '--word_timestamps', 'True',
       '--verbose', 'False',  // Reduce verbose output
-      '--task', 'transcribe',  // Explicitly set task to transcribe (not translate)
-      '--temperature', '0.0'  // Lower temperature for more consistent results
+      '--task', task,  // transcribe in the spoken language, or translate to English
+      '--temperature', String(temperature),  // 0 gives the most consistent results
+      ...(language ? ['--language', language] : []),
+      ...(initialPrompt ? ['--initial_prompt', initialPrompt] : []),
+      ...extraArgs
     ];
 
-    console.log('🔧 Whisper command:', 'whisper', whisperArgs.join(' '));
+    console.log('🔧 Whisper command:', command, whisperArgs.join(' '));
 
-    const whisperProcess = spawn('whisper', whisperArgs, {
+    const whisperProcess = spawn(command, whisperArgs, {
       stdio: ['ignore', 'pipe', 'pipe']
     });
 
@@ -121,8 +65,15 @@ async function processAudioWithWhisperSimple(audioFilePath, model = 'large') {
     });
 
     whisperProcess.stderr.on('data', (data) => {
-      stderr += data.toString();
-      console.log('Whisper:', data.toString().trim());
+      const output = data.toString();
+      stderr += output;
+      console.log('Whisper:', output.trim());
+
+      // With --verbose False whisper draws a frame progress bar on stderr
+      const progress = parseWhisperProgress(output);
+      if (progress) {
+        reportProgress(progress.processed, progress.total, 'frames');
+      }
     });
 
     whisperProcess.on('close', async (code) => {
@@ -139,25 +90,27 @@ async function processAudioWithWhisperSimple(audioFilePath, model = 'large') {
       }
 
       try {
-        // Read the generated SRT file
-        const srtPath = path.join(outputDir, `${baseName}.srt`);
+        // Read the generated JSON file
+        const jsonPath = path.join(outputDir, `${baseName}.json`);
         
-        if (fs.existsSync(srtPath)) {
-          const srtContent = await fs.readFile(srtPath, 'utf8');
+        if (fs.existsSync(jsonPath)) {
+          const result = await fs.readJson(jsonPath);
           
-          // Parse SRT to segments
-          const segments = parseSRTContent(srtContent);
+          if (!result.segments || !Array.isArray(result.segments)) {
+            return reject(new Error('Invalid Whisper output format'));
+          }
           
-          // Clean up generated files
+          const segments = mapWhisperSegments(result.segments);
+          
+          // Clean up generated file
           try {
-            await fs.remove(srtPath);
-            await fs.remove(path.join(outputDir, `${baseName}.txt`));
+            await fs.remove(jsonPath);
           } catch (cleanupError) {
             console.warn('Warning: Could not clean up temporary files:', cleanupError.message);
           }
           
-          console.log(`✅ Transcription completed: ${segments.length} segments`);
-          resolve(segments);
+          console.log(`✅ Transcription completed: ${segments.length} segments (language: ${result.language || 'unknown'})`);
+          resolve({ segments, language: result.language || language || null });
         } else {
           reject(new Error('Whisper did not generate expected output file'));
         }
@@ -176,47 +129,96 @@ async function processAudioWithWhisperSimple(audioFilePath, model = 'large') {
 }
 
 /**
- * Parse SRT content into segments
+ * Convert segments from Whisper's JSON output into our segment format
+ * Keeps the per-word timings produced by --word_timestamps
+ * @param {Array} whisperSegments - `segments` array from Whisper JSON output
+ * @returns {Array} - Array of { start, end, text, words: [{ word, start, end }] }
  */
-function parseSRTContent(srtContent) {
-  const segments = [];
-  const entries = srtContent.trim().split('\n\n');
-  
-  for (const entry of entries) {
-    const lines = entry.split('\n');
-    if (lines.length >= 3) {
-      const timeMatch = lines[1].match(/(\d{2}:\d{2}:\d{2},\d{3}) --> (\d{2}:\d{2}:\d{2},\d{3})/);
-      if (timeMatch) {
-        const start = srtTimeToSeconds(timeMatch[1]);
-        const end = srtTimeToSeconds(timeMatch[2]);
-        const text = lines.slice(2).join(' ').trim();
-        
-        segments.push({ start, end, text });
-      }
-    }
-  }
-  
-  return segments;
+function mapWhisperSegments(whisperSegments) {
+  return whisperSegments.map(segment => ({
+    start: segment.start,
+    end: segment.end,
+    text: segment.text.trim(),
+    words: (segment.words || [])
+      .map(word => ({
+        word: word.word.trim(),
+        start: word.start,
+        end: word.end
+      }))
+      .filter(word => word.word.length > 0)
+  })).filter(segment => segment.text.length > 0);
 }
 
 /**
- * Convert SRT time format to seconds
+ * Detect the spoken language and how likely it is with whisper_language.py
+ * @param {string} audioFilePath - Path to the audio file
+ * @param {string} model - Whisper model size used for detection
+ * @param {Object} options - Optional settings
+ * @param {string} options.pythonPath - Python interpreter with openai-whisper installed (default: python3 on PATH)
+ * @returns {Promise<Object>} - { language, probability, probabilities } for the most likely languages
  */
-function srtTimeToSeconds(timeStr) {
-  const [time, ms] = timeStr.split(',');
-  const [hours, minutes, seconds] = time.split(':').map(Number);
-  return hours * 3600 + minutes * 60 + seconds + parseInt(ms) / 1000;
+async function detectWhisperLanguage(audioFilePath, model = 'base', { pythonPath = 'python3' } = {}) {
+  return new Promise((resolve, reject) => {
+    const pythonScript = path.join(__dirname, 'whisper_language.py');
+    console.log(`🔎 Detecting spoken language with Whisper model: ${model}`);
+
+    const pythonProcess = spawn(pythonPath, [pythonScript, audioFilePath, '--model', model], {
+      stdio: ['ignore', 'pipe', 'pipe']
+    });
+
+    let stdout = '';
+    let stderr = '';
+
+    pythonProcess.stdout.on('data', (data) => {
+      stdout += data.toString();
+    });
+
+    pythonProcess.stderr.on('data', (data) => {
+      stderr += data.toString();
+    });
+
+    pythonProcess.on('close', (code) => {
+      if (code !== 0) {
+        return reject(new Error(`Language detection failed: ${stderr.trim()}`));
+      }
+
+      try {
+        resolve(JSON.parse(stdout));
+      } catch (error) {
+        reject(new Error(`Failed to parse language detection result: ${error.message}`));
+      }
+    });
+
+    pythonProcess.on('error', (error) => {
+      reject(new Error(`Failed to start language detection with ${pythonPath}: ${error.message}`));
+    });
+  });
 }
 
 /**
  * Process audio using specialized Hinglish Whisper model
  * @param {string} audioFilePath - Path to the audio file
  * @param {string} model - Hugging Face model identifier for Hinglish
- * @returns {Promise<Array>} - Array of transcription segments
+ * @param {Object} options - Optional settings
+ * @param {Function} options.onProgress - Receives { percent, elapsedMs, etaMs, ... } after each audio chunk
+ * @param {string} options.pythonPath - Python interpreter with torch/transformers installed (default: python3 on PATH)
+ * @param {Array<string>} options.extraArgs - Additional arguments passed to hinglish_whisper.py
+ * @param {string} options.language - Spoken language code; detected from the first chunk when omitted
+ * @param {string} options.task - 'transcribe' (default) or 'translate' to English
+ * @param {string} options.initialPrompt - Text that primes vocabulary and spelling
+ * @returns {Promise<Object>} - { segments, language, languageProbability }
  */
-async function processAudioWithHinglishWhisper(audioFilePath, model = 'Oriserve/Whisper-Hindi2Hinglish-Swift') {
+async function processAudioWithHinglishWhisper(audioFilePath, model = 'Oriserve/Whisper-Hindi2Hinglish-Swift', {
+  onProgress,
+  pythonPath = 'python3',
+  extraArgs = [],
+  language,
+  task,
+  initialPrompt
+} = {}) {
   return new Promise((resolve, reject) => {
     console.log(`🎙️ Starting Hinglish Whisper transcription with model: ${model}`);
+    const reportProgress = createProgressTracker(onProgress);
     
     const outputDir = path.dirname(audioFilePath);
     const baseName = path.basename(audioFilePath, path.extname(audioFilePath));
@@ -229,12 +231,16 @@ async function processAudioWithHinglishWhisper(audioFilePath, model = 'Oriserve/
       pythonScript,
       audioFilePath,
       '--model', model,
-      '--output', outputFile
+      '--output', outputFile,
+      ...(language ? ['--language', language] : []),
+      ...(task ? ['--task', task] : []),
+      ...(initialPrompt ? ['--prompt', initialPrompt] : []),
+      ...extraArgs
     ];
 
-    console.log('🔧 Hinglish Whisper command:', 'python3', pythonArgs.join(' '));
+    console.log('🔧 Hinglish Whisper command:', pythonPath, pythonArgs.join(' '));
 
-    const pythonProcess = spawn('/Users/bhavesh-appbrew/Desktop/Simora AI/.venv/bin/python', pythonArgs, {
+    const pythonProcess = spawn(pythonPath, pythonArgs, {
       stdio: ['ignore', 'pipe', 'pipe']
     });
 
@@ -245,8 +251,14 @@ async function processAudioWithHinglishWhisper(audioFilePath, model = 'Oriserve/
     });
 
     pythonProcess.stderr.on('data', (data) => {
-      stderr += data.toString();
-      console.log('Hinglish Whisper:', data.toString().trim());
+      const output = data.toString();
+      stderr += output;
+      console.log('Hinglish Whisper:', output.trim());
+
+      const progress = parseHinglishProgress(output);
+      if (progress) {
+        reportProgress(progress.processed, progress.total, 'chunks');
+      }
     });
 
     pythonProcess.on('close', (code) => {
@@ -274,7 +286,11 @@ async function processAudioWithHinglishWhisper(audioFilePath, model = 'Oriserve/
         // Clean up the output file
         fs.unlinkSync(outputFile);
         
-        resolve(transcriptionData.segments || []);
+        resolve({
+          segments: transcriptionData.segments || [],
+          language: transcriptionData.language || null,
+          languageProbability: transcriptionData.language_probability ?? null
+        });
         
       } catch (error) {
         console.error('Error parsing Hinglish transcription results:', error);
@@ -284,13 +300,13 @@ async function processAudioWithHinglishWhisper(audioFilePath, model = 'Oriserve/
 
     pythonProcess.on('error', (error) => {
       console.error('Failed to start Hinglish Python process:', error);
-      reject(new Error(`Failed to start Hinglish transcription: ${error.message}`));
+      reject(new Error(`Failed to start Hinglish transcription with ${pythonPath}: ${error.message}. Set HINGLISH_PYTHON to a Python interpreter with torch and transformers installed`));
     });
   });
 }
 
 module.exports = {
-  processAudioWithWhisper: processAudioWithWhisperSimple,
   processAudioWithHinglishWhisper,
-  processAudioWithWhisperSimple
+  processAudioWithWhisperSimple,
+  detectWhisperLanguage
 };
\ No newline at end of file
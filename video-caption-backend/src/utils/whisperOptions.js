@@ -0,0 +1,131 @@
+/**
+ * Languages Whisper can transcribe, by the code its --language flag takes
+ */
+const WHISPER_LANGUAGES = {
+  en: 'English', zh: 'Chinese', de: 'German', es: 'Spanish', ru: 'Russian', ko: 'Korean', fr: 'French',
+  ja: 'Japanese', pt: 'Portuguese', tr: 'Turkish', pl: 'Polish', ca: 'Catalan', nl: 'Dutch', ar: 'Arabic',
+  sv: 'Swedish', it: 'Italian', id: 'Indonesian', hi: 'Hindi', fi: 'Finnish', vi: 'Vietnamese', he: 'Hebrew',
+  uk: 'Ukrainian', el: 'Greek', ms: 'Malay', cs: 'Czech', ro: 'Romanian', da: 'Danish', hu: 'Hungarian',
+  ta: 'Tamil', no: 'Norwegian', th: 'Thai', ur: 'Urdu', hr: 'Croatian', bg: 'Bulgarian', lt: 'Lithuanian',
+  la: 'Latin', mi: 'Maori', ml: 'Malayalam', cy: 'Welsh', sk: 'Slovak', te: 'Telugu', fa: 'Persian',
+  lv: 'Latvian', bn: 'Bengali', sr: 'Serbian', az: 'Azerbaijani', sl: 'Slovenian', kn: 'Kannada',
+  et: 'Estonian', mk: 'Macedonian', br: 'Breton', eu: 'Basque', is: 'Icelandic', hy: 'Armenian',
+  ne: 'Nepali', mn: 'Mongolian', bs: 'Bosnian', kk: 'Kazakh', sq: 'Albanian', sw: 'Swahili', gl: 'Galician',
+  mr: 'Marathi', pa: 'Punjabi', si: 'Sinhala', km: 'Khmer', sn: 'Shona', yo: 'Yoruba', so: 'Somali',
+  af: 'Afrikaans', oc: 'Occitan', ka: 'Georgian', be: 'Belarusian', tg: 'Tajik', sd: 'Sindhi',
+  gu: 'Gujarati', am: 'Amharic', yi: 'Yiddish', lo: 'Lao', uz: 'Uzbek', fo: 'Faroese', ht: 'Haitian Creole',
+  ps: 'Pashto', tk: 'Turkmen', nn: 'Nynorsk', mt: 'Maltese', sa: 'Sanskrit', lb: 'Luxembourgish',
+  my: 'Myanmar', bo: 'Tibetan', tl: 'Tagalog', mg: 'Malagasy', as: 'Assamese', tt: 'Tatar', haw: 'Hawaiian',
+  ln: 'Lingala', ha: 'Hausa', ba: 'Bashkir', jw: 'Javanese', su: 'Sundanese', yue: 'Cantonese'
+};
+
+// Model sizes of the openai-whisper CLI; `.en` models only know English
+const WHISPER_MODELS = [
+  'tiny', 'tiny.en', 'base', 'base.en', 'small', 'small.en', 'medium', 'medium.en',
+  'large', 'large-v1', 'large-v2', 'large-v3', 'large-v3-turbo', 'turbo'
+];
+
+const WHISPER_TASKS = ['transcribe', 'translate'];
+
+// Whisper reads at most 224 prompt tokens; longer prompts are cut from the start
+const MAX_PROMPT_LENGTH = 800;
+
+// Every option a request may set; engines list the ones they support in `engine.options`
+const TRANSCRIPTION_OPTIONS = ['language', 'task', 'model', 'initialPrompt', 'temperature'];
+
+/**
+ * Read and validate the Whisper settings of a transcription request
+ * Empty fields are left out, so the engine's defaults apply (e.g. automatic language detection)
+ * @param {Object} body - Request body with optional language, task, model, initialPrompt and temperature
+ * @param {Object} engine - Engine that will run the transcription; options it doesn't support are rejected
+ * @returns {Object} - The options that were set: { language, task, model, initialPrompt, temperature }
+ */
+function parseTranscriptionOptions(body = {}, engine) {
+  const options = {};
+  const language = String(body.language || '').trim().toLowerCase();
+  const task = String(body.task || '').trim().toLowerCase();
+  const model = String(body.model || '').trim();
+  const initialPrompt = String(body.initialPrompt || '').trim();
+  const temperature = String(body.temperature ?? '').trim();
+
+  if (language && language !== 'auto') {
+    // Language names work as well as codes, as with the whisper CLI
+    const code = WHISPER_LANGUAGES[language]
+      ? language
+      : Object.keys(WHISPER_LANGUAGES).find(key => WHISPER_LANGUAGES[key].toLowerCase() === language);
+    if (!code) throw optionError(`Unknown language: ${body.language}. Use a Whisper language code such as en or hi`);
+    options.language = code;
+  }
+
+  if (task) {
+    if (!WHISPER_TASKS.includes(task)) throw optionError(`task must be one of: ${WHISPER_TASKS.join(', ')}`);
+    options.task = task;
+  }
+
+  if (model) {
+    if (!WHISPER_MODELS.includes(model)) throw optionError(`model must be one of: ${WHISPER_MODELS.join(', ')}`);
+    options.model = model;
+  }
+
+  if (initialPrompt) {
+    if (initialPrompt.length > MAX_PROMPT_LENGTH) {
+      throw optionError(`initialPrompt must be at most ${MAX_PROMPT_LENGTH} characters`);
+    }
+    options.initialPrompt = initialPrompt;
+  }
+
+  if (temperature) {
+    const value = Number(temperature);
+    if (!Number.isFinite(value) || value < 0 || value > 1) throw optionError('temperature must be a number from 0 to 1');
+    options.temperature = value;
+  }
+
+  // English-only models can neither transcribe other languages nor translate into English
+  if (options.model && options.model.endsWith('.en')) {
+    if (options.task === 'translate' || String(body.translate) === 'true') {
+      throw optionError(`${options.model} is an English-only model and cannot translate`);
+    }
+    if (options.language && options.language !== 'en') {
+      throw optionError(`${options.model} is an English-only model; use ${options.model.replace('.en', '')} for ${WHISPER_LANGUAGES[options.language]}`);
+    }
+  }
+
+  const supported = (engine && engine.options) || [];
+  const unsupported = Object.keys(options).filter(key => !supported.includes(key));
+  if (unsupported.length > 0) {
+    throw optionError(`The ${engine.name} engine does not support: ${unsupported.join(', ')}`);
+  }
+
+  return options;
+}
+
+/**
+ * Describe a detected or requested language for API responses
+ * @param {string} code - Whisper language code
+ * @param {number|null} probability - Detection probability from 0 to 1, or null when not detected
+ * @returns {Object|null} - { code, name, probability }, or null without a code
+ */
+function describeLanguage(code, probability = null) {
+  if (!code) return null;
+  const key = String(code).toLowerCase();
+  return {
+    code: key,
+    name: WHISPER_LANGUAGES[key] || key,
+    probability: Number.isFinite(probability) ? Math.round(probability * 1000) / 1000 : null
+  };
+}
+
+function optionError(message) {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+}
+
+module.exports = {
+  WHISPER_LANGUAGES,
+  WHISPER_MODELS,
+  WHISPER_TASKS,
+  TRANSCRIPTION_OPTIONS,
+  parseTranscriptionOptions,
+  describeLanguage
+};
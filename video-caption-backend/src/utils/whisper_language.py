@@ -0,0 +1,54 @@
+#!/usr/bin/env python3
+"""
+Spoken language detection with openai-whisper, reporting how sure the model is
+The whisper CLI only writes the detected language, not its probability
+"""
+
+import sys
+import json
+import argparse
+import whisper
+import warnings
+warnings.filterwarnings("ignore")
+
+def detect_language(audio_path, model_name="base", top=5):
+    """
+    Detect the spoken language from the first 30 seconds of audio
+
+    Args:
+        audio_path (str): Path to audio file
+        model_name (str): Whisper model size
+        top (int): Number of most likely languages to return
+
+    Returns:
+        dict: { language, probability, probabilities } with the most likely languages
+    """
+    print(f"Loading Whisper model for language detection: {model_name}", file=sys.stderr)
+    model = whisper.load_model(model_name)
+
+    audio = whisper.pad_or_trim(whisper.load_audio(audio_path))
+    mel = whisper.log_mel_spectrogram(audio, n_mels=model.dims.n_mels).to(model.device)
+    _, probs = model.detect_language(mel)
+
+    ranked = sorted(probs.items(), key=lambda item: item[1], reverse=True)[:top]
+    return {
+        "language": ranked[0][0],
+        "probability": float(ranked[0][1]),
+        "probabilities": {code: float(probability) for code, probability in ranked}
+    }
+
+def main():
+    parser = argparse.ArgumentParser(description='Whisper language detection')
+    parser.add_argument('audio_path', help='Path to audio file')
+    parser.add_argument('--model', default='base', help='Whisper model size')
+
+    args = parser.parse_args()
+
+    try:
+        print(json.dumps(detect_language(args.audio_path, args.model)))
+    except Exception as e:
+        print(f"Error: {str(e)}", file=sys.stderr)
+        sys.exit(1)
+
+if __name__ == "__main__":
+    main()
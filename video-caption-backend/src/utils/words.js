@@ -0,0 +1,48 @@
+/**
+ * Estimate word timings for a segment that has none
+ * Spreads the segment's duration over its words in proportion to their length,
+ * which follows speech far better than an even split
+ * @param {Object} segment - Segment with start, end and text (seconds)
+ * @returns {Array} - Array of { word, start, end } in seconds
+ */
+function estimateWordTimings(segment) {
+  const words = (segment.text || '').trim().split(/\s+/).filter(Boolean);
+  if (words.length === 0) return [];
+
+  const totalChars = words.reduce((sum, word) => sum + word.length, 0);
+  const duration = segment.end - segment.start;
+
+  let cursor = segment.start;
+  return words.map((word, index) => {
+    const start = cursor;
+    const end = index === words.length - 1
+      ? segment.end
+      : start + duration * (word.length / totalChars);
+    cursor = end;
+    return { word, start: roundTime(start), end: roundTime(end) };
+  });
+}
+
+/**
+ * Make sure every segment carries a `words` array
+ * Engines that report real word timings keep them; the rest get estimated timings
+ * @param {Array} segments - Array of transcription segments
+ * @returns {Array} - Segments with { word, start, end } words, in seconds
+ */
+function ensureWordTimings(segments) {
+  return segments.map(segment => {
+    if (Array.isArray(segment.words) && segment.words.length > 0) {
+      return segment;
+    }
+    return { ...segment, words: estimateWordTimings(segment) };
+  });
+}
+
+function roundTime(seconds) {
+  return Math.round(seconds * 1000) / 1000;
+}
+
+module.exports = {
+  estimateWordTimings,
+  ensureWordTimings
+};
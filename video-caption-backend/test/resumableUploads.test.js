@@ -0,0 +1,257 @@
+const { describe, test, before, afterEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const path = require('path');
+const fs = require('fs-extra');
+const config = require('../src/config');
+const {
+  createUpload,
+  getUpload,
+  appendChunk,
+  claimUpload,
+  deleteUpload,
+  describeUpload
+} = require('../src/utils/resumableUploads');
+
+const RESUMABLE_DIR = path.join(__dirname, '..', 'uploads', 'resumable');
+const ALLOWED_TYPES = ['audio/mpeg'];
+const DEFAULT_LIMITS = { ...config.uploads };
+
+const sha256 = (data) => `sha256 ${crypto.createHash('sha256').update(data).digest('base64')}`;
+
+// Uploads and claimed files created by a test, removed after it
+const createdIds = [];
+const claimedPaths = [];
+
+const start = async (content, fields = {}) => {
+  const upload = await createUpload({ filename: 'talk.mp3', type: 'audio/mpeg', size: content.length, ...fields }, ALLOWED_TYPES);
+  createdIds.push(upload.id);
+  return upload;
+};
+
+const claim = async (id) => {
+  const file = await claimUpload(id);
+  claimedPaths.push(file.path);
+  return file;
+};
+
+// Keep log lines of the upload store out of the test output
+const quiet = () => {
+  const { log } = console;
+  console.log = () => {};
+  return () => Object.assign(console, { log });
+};
+
+describe('resumableUploads', () => {
+  const content = Buffer.from('0123456789abcdefghij');
+  let restoreConsole;
+
+  before(() => {
+    restoreConsole = quiet();
+  });
+
+  afterEach(async () => {
+    Object.assign(config.uploads, DEFAULT_LIMITS);
+    for (const id of createdIds.splice(0)) await deleteUpload(id);
+    for (const file of claimedPaths.splice(0)) await fs.remove(file);
+  });
+
+  after(() => restoreConsole());
+
+  describe('createUpload', () => {
+    test('starts an empty upload and stores its state', async () => {
+      const upload = await start(content, { filename: '../../etc/talk.mp3' });
+
+      assert.equal(upload.offset, 0);
+      assert.equal(upload.size, 20);
+      assert.equal(upload.filename, 'talk.mp3');
+      assert.equal(upload.completedAt, null);
+      assert.deepEqual(await getUpload(upload.id), upload);
+      assert.equal((await fs.stat(path.join(RESUMABLE_DIR, `${upload.id}.part`))).size, 0);
+    });
+
+    test('rejects missing names, unsupported types, bad sizes and malformed checksums with a 400', async () => {
+      const invalid = [
+        [{ filename: ' ' }, /filename is required/],
+        [{ type: 'text/plain' }, /Unsupported file type: text\/plain/],
+        [{ size: 0 }, /size must be the file size/],
+        [{ size: 1.5 }, /size must be the file size/],
+        [{ checksum: 'md5 abc' }, /checksum must be/]
+      ];
+      for (const [fields, message] of invalid) {
+        await assert.rejects(start(content, fields), error => error.status === 400 && message.test(error.message));
+      }
+    });
+
+    test('rejects files over the size limit with a 413', async () => {
+      config.uploads.maxSize = 10;
+      await assert.rejects(start(content), error => error.status === 413);
+    });
+  });
+
+  describe('appendChunk', () => {
+    test('appends chunks at the offset and completes the file with its hash', async () => {
+      const { id } = await start(content);
+
+      const partial = await appendChunk(id, 0, content.subarray(0, 8));
+      assert.equal(partial.offset, 8);
+      assert.equal(partial.completedAt, null);
+
+      const done = await appendChunk(id, 8, content.subarray(8));
+      assert.equal(done.offset, 20);
+      assert.ok(done.completedAt);
+      assert.equal(done.hash, crypto.createHash('sha256').update(content).digest('hex'));
+      assert.equal(describeUpload(done).complete, true);
+    });
+
+    test('rejects a chunk for the wrong offset with a 409 that gives the current offset', async () => {
+      const { id } = await start(content);
+      await appendChunk(id, 0, content.subarray(0, 8));
+
+      for (const offset of [0, 4, 12]) {
+        await assert.rejects(
+          appendChunk(id, offset, content.subarray(offset, offset + 4)),
+          error => error.status === 409 && error.offset === 8
+        );
+      }
+      assert.equal((await getUpload(id)).offset, 8);
+    });
+
+    test('rejects chunks to a finished upload with a 409', async () => {
+      const { id } = await start(content);
+      await appendChunk(id, 0, content);
+
+      await assert.rejects(appendChunk(id, 20, Buffer.from('x')), error => error.status === 409 && error.offset === 20);
+    });
+
+    test('rejects empty chunks and chunks past the end of the file', async () => {
+      const { id } = await start(content);
+
+      await assert.rejects(appendChunk(id, 0, Buffer.alloc(0)), error => error.status === 400 && /empty/.test(error.message));
+      await assert.rejects(
+        appendChunk(id, 0, Buffer.concat([content, Buffer.from('!')])),
+        error => error.status === 400 && /past the end/.test(error.message)
+      );
+    });
+
+    test('accepts a chunk whose checksum matches', async () => {
+      const { id } = await start(content);
+      const chunk = content.subarray(0, 8);
+
+      assert.equal((await appendChunk(id, 0, chunk, sha256(chunk))).offset, 8);
+    });
+
+    test('rejects a chunk whose checksum does not match with a 460, keeping the offset', async () => {
+      const { id } = await start(content);
+
+      await assert.rejects(
+        appendChunk(id, 0, content.subarray(0, 8), sha256('something else')),
+        error => error.status === 460 && /Chunk checksum mismatch/.test(error.message)
+      );
+      assert.equal((await getUpload(id)).offset, 0);
+      assert.equal((await fs.stat(path.join(RESUMABLE_DIR, `${id}.part`))).size, 0);
+    });
+
+    test('rejects a malformed chunk checksum with a 400', async () => {
+      const { id } = await start(content);
+      await assert.rejects(appendChunk(id, 0, content, 'sha1 abc'), error => error.status === 400);
+    });
+
+    test('completes a file whose checksum matches the one given at the start', async () => {
+      const { id } = await start(content, { checksum: sha256(content) });
+      assert.ok((await appendChunk(id, 0, content)).completedAt);
+    });
+
+    test('discards a file whose checksum does not match with a 460', async () => {
+      const { id } = await start(content, { checksum: sha256('another file') });
+      await appendChunk(id, 0, content.subarray(0, 10));
+
+      await assert.rejects(
+        appendChunk(id, 10, content.subarray(10)),
+        error => error.status === 460 && /File checksum mismatch/.test(error.message)
+      );
+      assert.equal(await getUpload(id), null);
+      assert.equal(await fs.pathExists(path.join(RESUMABLE_DIR, `${id}.part`)), false);
+    });
+
+    test('drops bytes written past the saved offset before appending', async () => {
+      const { id } = await start(content, { checksum: sha256(content) });
+      await appendChunk(id, 0, content.subarray(0, 8));
+      // A chunk that was written but whose state was never saved, e.g. before a crash
+      await fs.appendFile(path.join(RESUMABLE_DIR, `${id}.part`), 'stray bytes');
+
+      const done = await appendChunk(id, 8, content.subarray(8));
+      assert.equal(done.hash, crypto.createHash('sha256').update(content).digest('hex'));
+    });
+
+    test('rejects a second chunk while one is being written with a 409', async () => {
+      const { id } = await start(content);
+
+      const first = appendChunk(id, 0, content.subarray(0, 8));
+      await assert.rejects(appendChunk(id, 0, content.subarray(0, 8)), error => error.status === 409 && error.offset === undefined);
+      assert.equal((await first).offset, 8);
+    });
+
+    test('returns null for unknown uploads', async () => {
+      assert.equal(await appendChunk(crypto.randomUUID(), 0, content), null);
+    });
+  });
+
+  describe('claimUpload', () => {
+    test('hands over a finished upload as a multer-style file, once', async () => {
+      const { id } = await start(content);
+      await appendChunk(id, 0, content);
+
+      const file = await claim(id);
+      assert.equal(file.originalname, 'talk.mp3');
+      assert.equal(file.mimetype, 'audio/mpeg');
+      assert.equal(file.size, 20);
+      assert.equal(file.hash, crypto.createHash('sha256').update(content).digest('hex'));
+      assert.match(file.filename, /^audio-\d+-\d+\.mp3$/);
+      assert.deepEqual(await fs.readFile(file.path), content);
+
+      assert.equal(await getUpload(id), null);
+      await assert.rejects(claimUpload(id), error => error.status === 404);
+    });
+
+    test('refuses an unfinished upload with a 409 that gives the offset', async () => {
+      const { id } = await start(content);
+      await appendChunk(id, 0, content.subarray(0, 5));
+
+      await assert.rejects(claimUpload(id), error => error.status === 409 && error.offset === 5);
+      assert.ok(await getUpload(id));
+    });
+  });
+
+  describe('getUpload', () => {
+    test('only reads IDs shaped like upload IDs', async () => {
+      assert.equal(await getUpload('../../package'), null);
+      assert.equal(await getUpload(undefined), null);
+    });
+  });
+
+  describe('deleteUpload', () => {
+    test('removes the upload and what was received', async () => {
+      const { id } = await start(content);
+      await appendChunk(id, 0, content.subarray(0, 5));
+
+      assert.equal(await deleteUpload(id), true);
+      assert.equal(await getUpload(id), null);
+      assert.equal(await fs.pathExists(path.join(RESUMABLE_DIR, `${id}.part`)), false);
+      assert.equal(await deleteUpload(id), false);
+    });
+  });
+
+  describe('describeUpload', () => {
+    test('gives clients the offset, chunk size and expiry', async () => {
+      const upload = await start(content);
+      const described = describeUpload(upload);
+
+      assert.equal(described.uploadId, upload.id);
+      assert.equal(described.offset, 0);
+      assert.equal(described.complete, false);
+      assert.equal(described.chunkSize, config.uploads.chunkSize);
+      assert.equal(new Date(described.expiresAt).getTime(), new Date(upload.updatedAt).getTime() + config.uploads.ttlMs);
+    });
+  });
+});
@@ -0,0 +1,30 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const { generateSBV, secondsToSBVTime } = require('../src/utils/sbv');
+
+describe('secondsToSBVTime', () => {
+  test('writes hours without a leading zero', () => {
+    assert.equal(secondsToSBVTime(1.5), '0:00:01.500');
+    assert.equal(secondsToSBVTime(3723.25), '1:02:03.250');
+    assert.equal(secondsToSBVTime(36000), '10:00:00.000');
+  });
+});
+
+describe('generateSBV', () => {
+  test('writes comma-separated start and end times above each cue', () => {
+    const sbv = generateSBV([
+      { start: 0, end: 1.2, text: 'hello there' },
+      { start: 2, end: 3, text: 'Two\nlines' }
+    ]);
+    assert.equal(sbv, '0:00:00.000,0:00:01.200\nHello there\n\n0:00:02.000,0:00:03.000\nTwo\nlines\n');
+  });
+
+  test('strips markup from cue text', () => {
+    assert.equal(generateSBV([{ start: 0, end: 1, text: '<b>Bold</b> move' }]), '0:00:00.000,0:00:01.000\nBold move\n');
+  });
+
+  test('writes nothing without cues', () => {
+    assert.equal(generateSBV([]), '');
+    assert.equal(generateSBV(null), '');
+  });
+});
@@ -0,0 +1,105 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const { DEFAULT_SEGMENTATION_RULES, resolveSegmentationRules, segmentCaptions } = require('../src/utils/segment');
+
+// One word every `step` seconds, each lasting most of its slot
+function timedWords(text, start = 0, step = 0.4) {
+  return text.split(' ').map((word, index) => ({
+    word,
+    start: start + index * step,
+    end: start + index * step + step * 0.75
+  }));
+}
+
+function segmentOf(text, start = 0, step = 0.4) {
+  const words = timedWords(text, start, step);
+  return { start: words[0].start, end: words[words.length - 1].end, text, words };
+}
+
+describe('resolveSegmentationRules', () => {
+  test('falls back to the defaults for missing and invalid values', () => {
+    assert.deepEqual(resolveSegmentationRules(), DEFAULT_SEGMENTATION_RULES);
+    assert.deepEqual(
+      resolveSegmentationRules({ maxCharsPerLine: 'wide', maxLines: -1, maxCps: '' }),
+      DEFAULT_SEGMENTATION_RULES
+    );
+  });
+
+  test('reads numbers and booleans sent as form strings', () => {
+    const rules = resolveSegmentationRules({ maxCharsPerLine: '32', maxLines: '1', breakAtPunctuation: 'false' });
+    assert.equal(rules.maxCharsPerLine, 32);
+    assert.equal(rules.maxLines, 1);
+    assert.equal(rules.breakAtPunctuation, false);
+  });
+
+  test('never lets the minimum duration exceed the maximum', () => {
+    const rules = resolveSegmentationRules({ minDuration: 5, maxDuration: 3 });
+    assert.equal(rules.minDuration, 3);
+    assert.equal(rules.maxDuration, 3);
+  });
+});
+
+describe('segmentCaptions', () => {
+  test('returns no cues without segments', () => {
+    assert.deepEqual(segmentCaptions([]), []);
+    assert.deepEqual(segmentCaptions(null), []);
+  });
+
+  test('keeps a short segment as one single-line cue', () => {
+    const [cue, ...rest] = segmentCaptions([segmentOf('Hello there, friend')]);
+    assert.equal(rest.length, 0);
+    assert.equal(cue.text, 'Hello there, friend');
+    assert.deepEqual(cue.lines, ['Hello there, friend']);
+    assert.equal(cue.start, 0);
+  });
+
+  test('keeps every line and cue within the character and line limits', () => {
+    const text = 'this is a rather long sentence that keeps going well past what fits on two lines of captions ' +
+      'and then it carries on with even more words so that several cues are needed to show it all';
+    const cues = segmentCaptions([segmentOf(text, 0, 0.2)], { maxCharsPerLine: 20, maxLines: 2 });
+
+    assert.ok(cues.length > 1);
+    for (const cue of cues) {
+      assert.ok(cue.lines.length <= 2, `too many lines: ${cue.text}`);
+      cue.lines.forEach(line => assert.ok(line.length <= 20, `line too long: ${line}`));
+    }
+    assert.equal(cues.map(cue => cue.lines.join(' ')).join(' '), text);
+  });
+
+  test('prefers to cut after a sentence end', () => {
+    const cues = segmentCaptions(
+      [segmentOf('We went home early. Then we cooked dinner together')],
+      { maxCharsPerLine: 30, maxLines: 1 }
+    );
+    assert.equal(cues[0].text, 'We went home early.');
+    assert.equal(cues[1].text, 'Then we cooked dinner together');
+  });
+
+  test('cuts cues that would stay on screen longer than the maximum duration', () => {
+    const cues = segmentCaptions([segmentOf('one two three four five six seven eight', 0, 1)], { maxDuration: 3 });
+    assert.ok(cues.length > 1);
+    cues.forEach(cue => assert.ok(cue.words[cue.words.length - 1].end - cue.words[0].start <= 3));
+  });
+
+  test('never joins words across segments', () => {
+    const cues = segmentCaptions([segmentOf('First part'), segmentOf('second part', 2)]);
+    assert.deepEqual(cues.map(cue => cue.text), ['First part', 'second part']);
+  });
+
+  test('stretches short cues to the minimum duration without overlapping the next one', () => {
+    const cues = segmentCaptions([
+      { start: 0, end: 0.3, text: 'Hi', words: [{ word: 'Hi', start: 0, end: 0.3 }] },
+      { start: 0.6, end: 0.9, text: 'there', words: [{ word: 'there', start: 0.6, end: 0.9 }] }
+    ], { minDuration: 1 });
+
+    assert.equal(cues[0].end, 0.6);
+    assert.equal(cues[1].end, 1.6);
+  });
+
+  test('estimates word timings for segments without them', () => {
+    const cues = segmentCaptions([{ start: 0, end: 2, text: 'no word timings here' }]);
+    assert.equal(cues.length, 1);
+    assert.equal(cues[0].words.length, 4);
+    assert.equal(cues[0].text, 'no word timings here');
+  });
+});
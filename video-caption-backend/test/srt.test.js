@@ -0,0 +1,83 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const { generateSRT, parseSRTContent, srtTimeToSeconds, secondsToSRTTime, validateSRT } = require('../src/utils/srt');
+
+describe('SRT timestamps', () => {
+  test('formats seconds with a comma before the milliseconds', () => {
+    assert.equal(secondsToSRTTime(0), '00:00:00,000');
+    assert.equal(secondsToSRTTime(3723.5), '01:02:03,500');
+  });
+
+  test('rounds to whole milliseconds instead of truncating', () => {
+    assert.equal(secondsToSRTTime(6.8), '00:00:06,800');
+    assert.equal(secondsToSRTTime(59.9996), '00:01:00,000');
+  });
+
+  test('reads dots, missing hours and short millisecond fields', () => {
+    assert.equal(srtTimeToSeconds('01:02:03,500'), 3723.5);
+    assert.equal(srtTimeToSeconds('00:00:01.250'), 1.25);
+    assert.equal(srtTimeToSeconds('02:03,5'), 123.5);
+    assert.equal(srtTimeToSeconds('00:00:04'), 4);
+  });
+});
+
+describe('parseSRTContent', () => {
+  test('reads what generateSRT writes', () => {
+    const segments = [
+      { start: 0.5, end: 2, text: 'First line\nsecond line' },
+      { start: 2.5, end: 4.25, text: 'Next cue' }
+    ];
+    assert.deepEqual(parseSRTContent(generateSRT(segments)), segments);
+  });
+
+  test('tolerates CRLF line endings, a byte order mark and extra blank lines', () => {
+    const content = '\uFEFF1\r\n00:00:01,000 --> 00:00:02,000\r\nHello\r\n\r\n\r\n\r\n2\r\n00:00:03,000 --> 00:00:04,000\r\nWorld\r\n';
+    assert.deepEqual(parseSRTContent(content), [
+      { start: 1, end: 2, text: 'Hello' },
+      { start: 3, end: 4, text: 'World' }
+    ]);
+  });
+
+  test('does not need cue numbers, and ignores wrong ones', () => {
+    const content = '00:00:01,000 --> 00:00:02,000\nNo number\n\n7\n00:00:03,000 --> 00:00:04,000\nWrong number\n';
+    assert.deepEqual(parseSRTContent(content).map(segment => segment.text), ['No number', 'Wrong number']);
+  });
+
+  test('does not read the next cue number as text, even without a blank line before it', () => {
+    const content = '1\n00:00:01,000 --> 00:00:02,000\nHello\n2\n00:00:03,000 --> 00:00:04,000\nWorld\n';
+    assert.deepEqual(parseSRTContent(content).map(segment => segment.text), ['Hello', 'World']);
+  });
+
+  test('keeps text after a single blank line inside the cue', () => {
+    const content = '1\n00:00:01,000 --> 00:00:02,000\nHello\n\nagain\n\n2\n00:00:03,000 --> 00:00:04,000\nWorld\n';
+    assert.equal(parseSRTContent(content)[0].text, 'Hello\nagain');
+  });
+
+  test('reads dot separators and ignores coordinates after the timing line', () => {
+    const content = '1\n00:00:01.000 --> 00:00:02.500 X1:100 X2:200 Y1:10 Y2:50\nPositioned\n';
+    assert.deepEqual(parseSRTContent(content), [{ start: 1, end: 2.5, text: 'Positioned' }]);
+  });
+
+  test('skips cues without text', () => {
+    const content = '1\n00:00:01,000 --> 00:00:02,000\n\n2\n00:00:03,000 --> 00:00:04,000\nText\n';
+    assert.deepEqual(parseSRTContent(content), [{ start: 3, end: 4, text: 'Text' }]);
+  });
+});
+
+describe('validateSRT', () => {
+  test('accepts generated SRT', () => {
+    assert.equal(validateSRT(generateSRT([{ start: 0, end: 1, text: 'Hi' }])).isValid, true);
+  });
+
+  test('reports overlapping cues and cues that end before they start', () => {
+    const content = '1\n00:00:01,000 --> 00:00:03,000\nA\n\n2\n00:00:02,000 --> 00:00:02,000\nB\n';
+    const result = validateSRT(content);
+    assert.equal(result.isValid, false);
+    assert.deepEqual(result.errors, ['Overlapping timestamps at entry 1 and 2', 'Invalid duration at entry 2']);
+  });
+
+  test('rejects content without cues', () => {
+    assert.equal(validateSRT('').isValid, false);
+    assert.deepEqual(validateSRT('just text').errors, ['No valid subtitle entries found']);
+  });
+});
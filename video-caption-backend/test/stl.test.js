@@ -0,0 +1,110 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const { generateEBUSTL } = require('../src/utils/stl');
+
+const GSI_BLOCK_SIZE = 1024;
+const TTI_BLOCK_SIZE = 128;
+
+// The TTI blocks after the GSI header, one Buffer each
+function ttiBlocks(stl) {
+  const blocks = [];
+  for (let offset = GSI_BLOCK_SIZE; offset < stl.length; offset += TTI_BLOCK_SIZE) {
+    blocks.push(stl.subarray(offset, offset + TTI_BLOCK_SIZE));
+  }
+  return blocks;
+}
+
+const gsiField = (stl, offset, length) => stl.subarray(offset, offset + length).toString('latin1');
+const timeIn = (block) => [...block.subarray(5, 9)];
+const timeOut = (block) => [...block.subarray(9, 13)];
+
+describe('generateEBUSTL', () => {
+  test('writes a GSI header and one TTI block per cue', () => {
+    const stl = generateEBUSTL(
+      [{ start: 1, end: 2, text: 'Hello' }, { start: 3, end: 4, text: 'World' }],
+      { title: 'Pilot', language: 'fr' }
+    );
+
+    assert.equal(stl.length, GSI_BLOCK_SIZE + 2 * TTI_BLOCK_SIZE);
+    assert.equal(gsiField(stl, 0, 3), '850');
+    assert.equal(gsiField(stl, 3, 8), 'STL25.01');
+    assert.equal(gsiField(stl, 14, 2), '0F');
+    assert.equal(gsiField(stl, 16, 5), 'Pilot');
+    assert.equal(gsiField(stl, 238, 5), '00002');
+    assert.equal(gsiField(stl, 243, 5), '00002');
+
+    const [first, second] = ttiBlocks(stl);
+    assert.equal(first.readUInt16LE(1), 1);
+    assert.equal(second.readUInt16LE(1), 2);
+    assert.equal(first[3], 0xff);
+  });
+
+  test('writes timecodes as hours, minutes, seconds and frames', () => {
+    const [block] = ttiBlocks(generateEBUSTL([{ start: 61.48, end: 3661.04, text: 'Hi' }], { frameRate: 25 }));
+    assert.deepEqual(timeIn(block), [0, 1, 1, 12]);
+    assert.deepEqual(timeOut(block), [1, 1, 1, 1]);
+  });
+
+  test('counts frame pairs at 50 and 60 fps', () => {
+    const stl50 = generateEBUSTL([{ start: 0.48, end: 1, text: 'Hi' }], { frameRate: 50 });
+    assert.equal(gsiField(stl50, 3, 8), 'STL25.01');
+    assert.deepEqual(timeIn(ttiBlocks(stl50)[0]), [0, 0, 0, 12]);
+
+    const stl60 = generateEBUSTL([{ start: 0.5, end: 1, text: 'Hi' }], { frameRate: 60 });
+    assert.equal(gsiField(stl60, 3, 8), 'STL30.01');
+    assert.deepEqual(timeIn(ttiBlocks(stl60)[0]), [0, 0, 0, 15]);
+  });
+
+  test('writes drop-frame timecode at 29.97 when asked', () => {
+    const minute = 1800 / (30000 / 1001);
+    const [block] = ttiBlocks(generateEBUSTL([{ start: minute, end: minute + 1, text: 'Hi' }], { frameRate: 29.97, dropFrame: true }));
+    assert.deepEqual(timeIn(block), [0, 1, 0, 2]);
+  });
+
+  test('rejects frame rates without an EBU-STL timecode with a 400', () => {
+    for (const frameRate of [23.976, 24, 48]) {
+      assert.throws(
+        () => generateEBUSTL([{ start: 0, end: 1, text: 'Hi' }], { frameRate }),
+        error => error.status === 400 && /EBU-STL supports 25 and 30 fps/.test(error.message)
+      );
+    }
+  });
+
+  test('encodes text as double-height boxed Teletext in ISO 6937', () => {
+    const [block] = ttiBlocks(generateEBUSTL([{ start: 0, end: 1, text: 'Café\n<i>£5</i>' }]));
+    const text = [...block.subarray(16, 16 + 19)];
+    assert.deepEqual(text, [
+      0x0d, 0x0b, 0x0b, 0x43, 0x61, 0x66, 0xc2, 0x65, 0x0a, 0x0a,
+      0x8a, 0x8a,
+      0x0d, 0x0b, 0x0b, 0xa3, 0x35, 0x0a, 0x0a
+    ]);
+    assert.equal(block[16 + 19], 0x8f);
+  });
+
+  test('replaces characters outside ISO 6937 with a question mark', () => {
+    const [block] = ttiBlocks(generateEBUSTL([{ start: 0, end: 1, text: 'नमस्ते' }]));
+    assert.ok([...block.subarray(19, 25)].every(byte => byte === 0x3f));
+  });
+
+  test('puts the first line on the Teletext row for the caption position', () => {
+    const cues = [{ start: 0, end: 1, text: 'One\nTwo' }];
+    assert.equal(ttiBlocks(generateEBUSTL(cues))[0][13], 20);
+    assert.equal(ttiBlocks(generateEBUSTL(cues, { style: { position: 'top' } }))[0][13], 1);
+    assert.equal(ttiBlocks(generateEBUSTL(cues, { style: { position: 'middle' } }))[0][13], 10);
+  });
+
+  test('continues long cues in extension blocks', () => {
+    const text = Array.from({ length: 8 }, () => 'A line that is quite long').join('\n');
+    const blocks = ttiBlocks(generateEBUSTL([{ start: 0, end: 1, text }]));
+
+    assert.equal(blocks.length, 3);
+    assert.deepEqual(blocks.map(block => block[3]), [0, 1, 0xff]);
+    assert.ok(blocks.every(block => block.readUInt16LE(1) === 1));
+  });
+
+  test('skips cues without text', () => {
+    const stl = generateEBUSTL([{ start: 0, end: 1, text: ' ' }, { start: 1, end: 2, text: 'Hi' }]);
+    assert.equal(ttiBlocks(stl).length, 1);
+    assert.equal(gsiField(stl, 243, 5), '00001');
+  });
+});
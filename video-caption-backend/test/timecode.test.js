@@ -0,0 +1,98 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const { resolveFrameRate, secondsToTimecode, secondsToTimecodeParts, secondsToMediaTime } = require('../src/utils/timecode');
+
+const NTSC_30 = 30000 / 1001;
+const NTSC_60 = 60000 / 1001;
+
+// Time of a frame number at an exact rate
+const frameTime = (frame, fps) => frame / fps;
+
+describe('resolveFrameRate', () => {
+  test('reads whole, decimal and fractional rates', () => {
+    assert.deepEqual(resolveFrameRate(25), { fps: 25, nominal: 25, isNTSC: false });
+    assert.deepEqual(resolveFrameRate('30000/1001'), { fps: NTSC_30, nominal: 30, isNTSC: true });
+    assert.deepEqual(resolveFrameRate('23.976'), { fps: 24000 / 1001, nominal: 24, isNTSC: true });
+    assert.deepEqual(resolveFrameRate(59.94), { fps: NTSC_60, nominal: 60, isNTSC: true });
+  });
+
+  test('rejects rates that are not positive numbers up to 120 with a 400', () => {
+    for (const value of ['abc', 0, -25, 240, '1/0']) {
+      assert.throws(() => resolveFrameRate(value), error => error.status === 400 && /Invalid frame rate/.test(error.message));
+    }
+  });
+});
+
+describe('secondsToTimecode', () => {
+  test('counts frames at whole rates', () => {
+    assert.equal(secondsToTimecode(0, 25), '00:00:00:00');
+    assert.equal(secondsToTimecode(1.48, 25), '00:00:01:12');
+    assert.equal(secondsToTimecode(3661.04, 25), '01:01:01:01');
+  });
+
+  test('rounds to the nearest frame', () => {
+    assert.equal(secondsToTimecode(0.019, 25), '00:00:00:00');
+    assert.equal(secondsToTimecode(0.021, 25), '00:00:00:01');
+  });
+
+  test('wraps after 24 hours', () => {
+    assert.equal(secondsToTimecode(86400 + 1, 25), '00:00:01:00');
+  });
+
+  test('lets non-drop timecode fall behind the clock at 29.97', () => {
+    // An hour of 29.97 video is 107892 frames, 108 short of a 30 fps hour
+    assert.equal(secondsToTimecode(frameTime(107892, NTSC_30), 29.97), '00:59:56:12');
+  });
+
+  test('skips the first two labels of each minute at 29.97 drop-frame', () => {
+    assert.equal(secondsToTimecode(frameTime(1799, NTSC_30), 29.97, { dropFrame: true }), '00:00:59;29');
+    assert.equal(secondsToTimecode(frameTime(1800, NTSC_30), 29.97, { dropFrame: true }), '00:01:00;02');
+    assert.equal(secondsToTimecode(frameTime(3598, NTSC_30), 29.97, { dropFrame: true }), '00:02:00;02');
+  });
+
+  test('keeps the labels of every tenth minute at 29.97 drop-frame', () => {
+    assert.equal(secondsToTimecode(frameTime(17981, NTSC_30), 29.97, { dropFrame: true }), '00:09:59;29');
+    assert.equal(secondsToTimecode(frameTime(17982, NTSC_30), 29.97, { dropFrame: true }), '00:10:00;00');
+    assert.equal(secondsToTimecode(frameTime(17983, NTSC_30), 29.97, { dropFrame: true }), '00:10:00;01');
+  });
+
+  test('stays in step with the clock over an hour of drop-frame', () => {
+    assert.equal(secondsToTimecode(frameTime(107892, NTSC_30), 29.97, { dropFrame: true }), '01:00:00;00');
+    assert.equal(secondsToTimecode(3600, 29.97, { dropFrame: true }), '01:00:00;00');
+  });
+
+  test('skips four labels a minute at 59.94 drop-frame', () => {
+    assert.equal(secondsToTimecode(frameTime(3599, NTSC_60), 59.94, { dropFrame: true }), '00:00:59;59');
+    assert.equal(secondsToTimecode(frameTime(3600, NTSC_60), 59.94, { dropFrame: true }), '00:01:00;04');
+    assert.equal(secondsToTimecode(frameTime(215784, NTSC_60), 59.94, { dropFrame: true }), '01:00:00;00');
+  });
+
+  test('ignores drop-frame at rates that have none', () => {
+    assert.equal(secondsToTimecode(60, 25, { dropFrame: true }), '00:01:00:00');
+    assert.equal(secondsToTimecode(frameTime(1440, 24000 / 1001), 23.976, { dropFrame: true }), '00:01:00:00');
+  });
+});
+
+describe('secondsToTimecodeParts', () => {
+  test('returns the timecode fields as numbers', () => {
+    assert.deepEqual(
+      secondsToTimecodeParts(frameTime(1800, NTSC_30), '30000/1001', { dropFrame: true }),
+      { hours: 0, minutes: 1, secs: 0, frames: 2 }
+    );
+  });
+});
+
+describe('secondsToMediaTime', () => {
+  test('keeps real seconds and counts frames within the second', () => {
+    assert.equal(secondsToMediaTime(3600, 29.97), '01:00:00:00');
+    assert.equal(secondsToMediaTime(1.48, 25), '00:00:01:12');
+  });
+
+  test('rounds the last frame of a second up to the next second', () => {
+    assert.equal(secondsToMediaTime(1.999, 25), '00:00:02:00');
+  });
+
+  test('clamps negative times to zero', () => {
+    assert.equal(secondsToMediaTime(-1, 25), '00:00:00:00');
+  });
+});
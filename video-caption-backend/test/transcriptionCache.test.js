@@ -0,0 +1,168 @@
+const { describe, test, before, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+
+// The cache lives in DATA_DIR, so point it at a scratch directory before anything loads the config
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'caption-cache-test-'));
+process.env.DATA_DIR = dataDir;
+
+const config = require('../src/config');
+const CACHE_DIR = path.join(dataDir, 'cache');
+const DEFAULT_LIMITS = { ...config.transcriptionCache };
+
+let cache = require('../src/utils/transcriptionCache');
+
+// Re-require the module so its index is read from disk again, as after a server restart
+const restart = () => {
+  delete require.cache[require.resolve('../src/utils/transcriptionCache')];
+  cache = require('../src/utils/transcriptionCache');
+};
+
+// Last-used times are ISO strings with millisecond precision, so steps need to be apart
+const tick = (ms = 5) => new Promise(resolve => setTimeout(resolve, ms));
+
+const key = (name) => cache.buildCacheKey({ name });
+const result = (text) => ({ method: 'mock', segments: [{ start: 0, end: 1, text }] });
+const cachedKeys = async () => (await cache.describeTranscriptionCache()).entries.map(entry => entry.key).sort();
+
+// Keep log lines of the cache out of the test output
+const quiet = () => {
+  const { log, warn } = console;
+  console.log = () => {};
+  console.warn = () => {};
+  return () => Object.assign(console, { log, warn });
+};
+
+describe('transcriptionCache', () => {
+  let restoreConsole;
+
+  before(() => {
+    restoreConsole = quiet();
+  });
+
+  beforeEach(async () => {
+    Object.assign(config.transcriptionCache, DEFAULT_LIMITS);
+    await cache.purgeTranscriptionCache();
+  });
+
+  after(async () => {
+    restoreConsole();
+    await fs.remove(dataDir);
+  });
+
+  test('builds the same key whatever the key order, ignoring undefined fields', () => {
+    const first = cache.buildCacheKey({ hash: 'abc', engine: 'whisper', options: { language: 'hi', task: 'transcribe' } });
+    const second = cache.buildCacheKey({ options: { task: 'transcribe', language: 'hi', model: undefined }, engine: 'whisper', hash: 'abc' });
+
+    assert.match(first, /^[0-9a-f]{64}$/);
+    assert.equal(first, second);
+    assert.notEqual(first, cache.buildCacheKey({ hash: 'abc', engine: 'hinglish', options: { language: 'hi', task: 'transcribe' } }));
+  });
+
+  test('returns stored results and misses unknown keys', async () => {
+    assert.equal(await cache.getCachedTranscription(key('a')), null);
+    assert.equal(await cache.hasCachedTranscription(key('a')), false);
+
+    await cache.cacheTranscription(key('a'), result('hello'), { hash: 'h1', engine: 'mock' });
+
+    assert.deepEqual(await cache.getCachedTranscription(key('a')), result('hello'));
+    assert.equal(await cache.hasCachedTranscription(key('a')), true);
+    assert.ok(await fs.pathExists(path.join(CACHE_DIR, `${key('a')}.json`)));
+  });
+
+  test('evicts the least recently used entry beyond the entry limit', async () => {
+    config.transcriptionCache.maxEntries = 2;
+
+    await cache.cacheTranscription(key('a'), result('a'));
+    await tick();
+    await cache.cacheTranscription(key('b'), result('b'));
+    await tick();
+    // Reading an entry makes it the most recently used one
+    await cache.getCachedTranscription(key('a'));
+    await tick();
+    await cache.cacheTranscription(key('c'), result('c'));
+
+    assert.deepEqual(await cachedKeys(), [key('a'), key('c')].sort());
+    assert.equal(await fs.pathExists(path.join(CACHE_DIR, `${key('b')}.json`)), false);
+  });
+
+  test('evicts the least recently used entries beyond the size limit', async () => {
+    await cache.cacheTranscription(key('a'), result('a'));
+    const { totalBytes } = await cache.describeTranscriptionCache();
+    config.transcriptionCache.maxBytes = Math.floor(totalBytes * 2.5);
+
+    await tick();
+    await cache.cacheTranscription(key('b'), result('b'));
+    await tick();
+    await cache.cacheTranscription(key('c'), result('c'));
+
+    assert.deepEqual(await cachedKeys(), [key('b'), key('c')].sort());
+    assert.ok((await cache.describeTranscriptionCache()).totalBytes <= config.transcriptionCache.maxBytes);
+  });
+
+  test('drops entries older than the time to live', async () => {
+    config.transcriptionCache.ttlMs = 30;
+    await cache.cacheTranscription(key('a'), result('a'));
+    assert.equal(await cache.hasCachedTranscription(key('a')), true);
+
+    await tick(50);
+
+    assert.equal(await cache.hasCachedTranscription(key('a')), false);
+    assert.equal(await cache.getCachedTranscription(key('a')), null);
+    assert.equal(await fs.pathExists(path.join(CACHE_DIR, `${key('a')}.json`)), false);
+  });
+
+  test('evicts expired entries when a new one is stored', async () => {
+    config.transcriptionCache.ttlMs = 30;
+    await cache.cacheTranscription(key('a'), result('a'));
+    await tick(50);
+    await cache.cacheTranscription(key('b'), result('b'));
+
+    assert.deepEqual(await cachedKeys(), [key('b')]);
+  });
+
+  test('keeps the usage order across restarts', async () => {
+    config.transcriptionCache.maxEntries = 2;
+
+    await cache.cacheTranscription(key('a'), result('a'));
+    await tick();
+    await cache.cacheTranscription(key('b'), result('b'));
+    await tick();
+    await cache.getCachedTranscription(key('a'));
+    await tick();
+
+    restart();
+    await cache.cacheTranscription(key('c'), result('c'));
+
+    assert.deepEqual(await cachedKeys(), [key('a'), key('c')].sort());
+  });
+
+  test('drops entries whose file can no longer be read', async () => {
+    await cache.cacheTranscription(key('a'), result('a'));
+    await fs.writeFile(path.join(CACHE_DIR, `${key('a')}.json`), '{ not json');
+
+    assert.equal(await cache.getCachedTranscription(key('a')), null);
+    assert.deepEqual(await cachedKeys(), []);
+  });
+
+  test('purges only the entries matching every filter field', async () => {
+    await cache.cacheTranscription(key('a'), result('a'), { hash: 'h1', engine: 'whisper' });
+    await cache.cacheTranscription(key('b'), result('b'), { hash: 'h1', engine: 'hinglish' });
+    await cache.cacheTranscription(key('c'), result('c'), { hash: 'h2', engine: 'whisper' });
+
+    assert.equal(await cache.purgeTranscriptionCache({ hash: 'h1', engine: 'whisper' }), 1);
+    assert.equal(await cache.purgeTranscriptionCache({ hash: 'h1' }), 1);
+    assert.deepEqual(await cachedKeys(), [key('c')]);
+  });
+
+  test('neither reads nor stores anything when turned off', async () => {
+    config.transcriptionCache.enabled = false;
+    await cache.cacheTranscription(key('a'), result('a'));
+    assert.equal(await cache.getCachedTranscription(key('a')), null);
+
+    config.transcriptionCache.enabled = true;
+    assert.deepEqual(await cachedKeys(), []);
+  });
+});
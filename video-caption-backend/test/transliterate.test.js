@@ -0,0 +1,111 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  detectScript,
+  romanToDevanagari,
+  devanagariToRoman,
+  transliterateText,
+  transliterateCues
+} = require('../src/utils/transliterate');
+
+describe('detectScript', () => {
+  test('picks the script most letters are written in', () => {
+    assert.equal(detectScript('आज मैं घर जा रहा office'), 'devanagari');
+    assert.equal(detectScript('main office जा'), 'roman');
+  });
+
+  test('returns null for text without letters of either script', () => {
+    assert.equal(detectScript('123 !?'), null);
+    assert.equal(detectScript(''), null);
+  });
+});
+
+describe('romanToDevanagari', () => {
+  test('drops the short a inside a word', () => {
+    assert.equal(romanToDevanagari('karna'), 'करना');
+    assert.equal(romanToDevanagari('kitaab'), 'किताब');
+  });
+
+  test('joins doubled letters, glides and s clusters into conjuncts', () => {
+    assert.equal(romanToDevanagari('pakka'), 'पक्का');
+    assert.equal(romanToDevanagari('kya'), 'क्या');
+    assert.equal(romanToDevanagari('dost'), 'दोस्त');
+    assert.equal(romanToDevanagari('mushkil'), 'मुश्किल');
+    assert.equal(romanToDevanagari('sparsh'), 'स्पर्श');
+  });
+});
+
+describe('devanagariToRoman', () => {
+  test('spells words the way Hinglish is usually typed', () => {
+    assert.equal(devanagariToRoman('करना'), 'karna');
+    assert.equal(devanagariToRoman('पक्का'), 'pakka');
+    assert.equal(devanagariToRoman('आज'), 'aaj');
+    assert.equal(devanagariToRoman('हम'), 'ham');
+  });
+
+  test('reads nukta letters and nasal signs', () => {
+    assert.equal(devanagariToRoman('ज़िंदगी'), 'zindgi');
+    assert.equal(devanagariToRoman('मैं'), 'main');
+  });
+});
+
+describe('transliterateText', () => {
+  test('writes Hindi words in Devanagari and keeps English words and punctuation', () => {
+    assert.equal(
+      transliterateText('Aaj main office ja raha hoon, kya tum aaoge?', 'devanagari'),
+      'आज मैं office जा रहा हूँ, क्या तुम आओगे?'
+    );
+  });
+
+  test('writes Devanagari in Roman letters with a full stop for the danda', () => {
+    assert.equal(transliterateText('आज मैं office जा रहा हूँ।', 'roman'), 'aaj main office ja raha hoon.');
+  });
+
+  test('leaves English sentences alone', () => {
+    const text = 'I am going to the office today';
+    assert.equal(transliterateText(text, 'devanagari'), text);
+  });
+
+  test('reads words that are both Hindi and English from the text around them', () => {
+    assert.equal(transliterateText('main to ghar ja raha hoon', 'devanagari'), 'मैं तो घर जा रहा हूँ');
+  });
+
+  test('returns empty text as it is', () => {
+    assert.equal(transliterateText('', 'roman'), '');
+    assert.equal(transliterateText(null, 'roman'), null);
+  });
+});
+
+describe('transliterateCues', () => {
+  test('converts text, lines and words, keeping word timings and marks', () => {
+    const [cue] = transliterateCues([{
+      start: 0,
+      end: 2,
+      text: 'Kya haal hai\ndost?',
+      lines: ['Kya haal hai', 'dost?'],
+      words: [
+        { word: 'Kya', start: 0, end: 0.5, emphasis: true },
+        { word: 'haal', start: 0.5, end: 1 },
+        { word: 'hai', start: 1, end: 1.5 },
+        { word: 'dost?', start: 1.5, end: 2 }
+      ]
+    }], 'devanagari');
+
+    assert.equal(cue.text, 'क्या हाल है\nदोस्त?');
+    assert.deepEqual(cue.lines, ['क्या हाल है', 'दोस्त?']);
+    assert.deepEqual(cue.words, [
+      { word: 'क्या', start: 0, end: 0.5, emphasis: true },
+      { word: 'हाल', start: 0.5, end: 1 },
+      { word: 'है', start: 1, end: 1.5 },
+      { word: 'दोस्त?', start: 1.5, end: 2 }
+    ]);
+    assert.equal(cue.start, 0);
+  });
+
+  test('does not change the cues it was given', () => {
+    const cues = [{ start: 0, end: 1, text: 'नमस्ते दोस्त' }];
+    const [cue] = transliterateCues(cues, 'roman');
+    assert.equal(cues[0].text, 'नमस्ते दोस्त');
+    assert.equal(detectScript(cue.text), 'roman');
+  });
+});
@@ -0,0 +1,67 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const { generateTTML } = require('../src/utils/ttml');
+
+const cues = [
+  { start: 1, end: 2.5, text: 'Fish & <i>chips</i>\nfor "two"' },
+  { start: 3, end: 4, text: 'Next' }
+];
+
+// The <style> element of the document
+const styleElement = (ttml) => ttml.match(/<style [^>]*\/>/)[0];
+
+describe('generateTTML', () => {
+  test('writes paragraphs with millisecond media times', () => {
+    const ttml = generateTTML(cues);
+    assert.match(ttml, /<p xml:id="c1" begin="00:00:01\.000" end="00:00:02\.500">Fish &amp; chips<br\/>for &quot;two&quot;<\/p>/);
+    assert.match(ttml, /<p xml:id="c2" begin="00:00:03\.000" end="00:00:04\.000">Next<\/p>/);
+    assert.match(ttml, /xmlns="http:\/\/www\.w3\.org\/ns\/ttml"/);
+    assert.match(ttml, /ttp:timeBase="media"/);
+  });
+
+  test('writes frame times and the frame rate multiplier at NTSC rates', () => {
+    const ttml = generateTTML(cues, { frameRate: 29.97 });
+    assert.match(ttml, /ttp:frameRate="30" ttp:frameRateMultiplier="1000 1001"/);
+    assert.match(ttml, /begin="00:00:01:00" end="00:00:02:15"/);
+
+    assert.doesNotMatch(generateTTML(cues, { frameRate: 25 }), /frameRateMultiplier/);
+  });
+
+  test('uses the DFXP namespaces when asked', () => {
+    assert.match(generateTTML(cues, { dfxp: true }), /xmlns="http:\/\/www\.w3\.org\/2006\/10\/ttaf1"/);
+  });
+
+  test('escapes the language and title', () => {
+    const ttml = generateTTML(cues, { language: 'en"x', title: 'Tom & Jerry' });
+    assert.match(ttml, /xml:lang="en&quot;x"/);
+    assert.match(ttml, /<ttm:title>Tom &amp; Jerry<\/ttm:title>/);
+  });
+
+  test('writes only the style properties that were set', () => {
+    assert.equal(styleElement(generateTTML(cues)), '<style xml:id="s1"/>');
+    assert.equal(
+      styleElement(generateTTML(cues, { style: { fontFamily: 'Arial', fontWeight: 700, textColor: '#FFCC00' } })),
+      '<style xml:id="s1" tts:fontFamily="Arial" tts:color="#FFCC00" tts:fontWeight="bold"/>'
+    );
+  });
+
+  test('writes the background with its opacity as an alpha channel', () => {
+    const style = { showBackground: true, backgroundColor: '#000000', backgroundOpacity: 0.5 };
+    assert.match(styleElement(generateTTML(cues, { style })), /tts:backgroundColor="#00000080"/);
+  });
+
+  test('writes #RGB colours out in full', () => {
+    const style = { textColor: '#fc0', showBackground: true, backgroundColor: '#0a0', backgroundOpacity: 1 };
+    const element = styleElement(generateTTML(cues, { style }));
+    assert.match(element, /tts:color="#ffcc00"/);
+    assert.match(element, /tts:backgroundColor="#00aa00ff"/);
+
+    const outlined = styleElement(generateTTML(cues, { style: { outlineColor: '#000', outlineWidth: 2 } }));
+    assert.match(outlined, /tts:textOutline="#000000 2px"/);
+  });
+
+  test('places the region for the caption position', () => {
+    assert.match(generateTTML(cues), /tts:origin="10% 10%" tts:extent="80% 85%" tts:displayAlign="after"/);
+    assert.match(generateTTML(cues, { style: { position: 'top' } }), /tts:origin="10% 5%"[^>]*tts:displayAlign="before"/);
+  });
+});
@@ -0,0 +1,102 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const { generateVTT, parseVTTContent, parseCueSettings, formatCueSettings, secondsToVTTTime } = require('../src/utils/vtt');
+
+describe('generateVTT', () => {
+  test('writes the header, a title and dot-separated timestamps', () => {
+    const vtt = generateVTT([{ start: 1, end: 2.5, text: 'Hello' }], { title: 'Episode 1' });
+    assert.equal(vtt, 'WEBVTT Episode 1\n\n00:00:01.000 --> 00:00:02.500\nHello\n');
+    assert.equal(secondsToVTTTime(3723.25), '01:02:03.250');
+  });
+
+  test('writes cue ids, settings and notes', () => {
+    const vtt = generateVTT(
+      [{ id: 'intro', start: 0, end: 1, text: 'Hi', settings: { align: 'start', line: '90%' }, note: 'Speaker A' }],
+      { notes: ['Made by hand'] }
+    );
+    assert.equal(vtt, 'WEBVTT\n\nNOTE Made by hand\n\nNOTE Speaker A\n\nintro\n00:00:00.000 --> 00:00:01.000 line:90% align:start\nHi\n');
+  });
+
+  test('escapes markup but keeps bold, italic and underline tags', () => {
+    const vtt = generateVTT([{ start: 0, end: 1, text: '<i>Tom & Jerry</i> <font color="red">1 < 2</font>' }]);
+    assert.match(vtt, /<i>Tom &amp; Jerry<\/i> 1 &lt; 2\n$/);
+  });
+
+  test('drops blank lines that would end the cue early', () => {
+    const vtt = generateVTT([{ start: 0, end: 1, text: 'one\n\ntwo' }]);
+    assert.match(vtt, /\none\ntwo\n$/);
+  });
+
+  test('writes inline word timestamps in karaoke mode', () => {
+    const cue = {
+      start: 0,
+      end: 2,
+      text: 'one two',
+      words: [{ word: 'one', start: 0, end: 1 }, { word: 'two', start: 1, end: 2 }]
+    };
+    assert.match(generateVTT([cue], { wordTimestamps: true }), /\none <00:00:01\.000>two\n$/);
+  });
+});
+
+describe('parseVTTContent', () => {
+  test('requires the WEBVTT header', () => {
+    assert.throws(() => parseVTTContent('00:00:00.000 --> 00:00:01.000\nHi\n'), /missing WEBVTT header/);
+    assert.throws(() => parseVTTContent('WEBVTTX\n\n'), /missing WEBVTT header/);
+  });
+
+  test('reads what generateVTT writes', () => {
+    const cues = [
+      { id: '1', start: 0, end: 1.5, text: 'First', settings: { line: '10%' }, note: 'A note' },
+      { start: 2, end: 3, text: 'Second\nline' }
+    ];
+    assert.deepEqual(parseVTTContent(generateVTT(cues)), cues);
+  });
+
+  test('skips STYLE and REGION blocks and malformed cues', () => {
+    const content = [
+      'WEBVTT',
+      '',
+      'STYLE',
+      '::cue { color: yellow }',
+      '',
+      'REGION',
+      'id:fred width:40%',
+      '',
+      'no timing here',
+      'just text',
+      '',
+      '00:01.000 --> 00:02.000',
+      'Kept',
+      ''
+    ].join('\r\n');
+    assert.deepEqual(parseVTTContent(content), [{ start: 1, end: 2, text: 'Kept' }]);
+  });
+
+  test('strips tags and decodes entities in cue text', () => {
+    const content = 'WEBVTT\n\n00:00:00.000 --> 00:00:01.000\n<v Roger><b>Fish</b> &amp; chips &lt;3</v>\n';
+    assert.equal(parseVTTContent(content)[0].text, 'Fish & chips <3');
+  });
+
+  test('turns inline timestamps into word timings', () => {
+    const content = 'WEBVTT\n\n00:00:00.000 --> 00:00:03.000\nthe <00:00:01.000>quick <00:00:02.000>fox\n';
+    const [cue] = parseVTTContent(content);
+    assert.equal(cue.text, 'the quick fox');
+    assert.deepEqual(cue.words, [
+      { word: 'the', start: 0, end: 1 },
+      { word: 'quick', start: 1, end: 2 },
+      { word: 'fox', start: 2, end: 3 }
+    ]);
+  });
+});
+
+describe('cue settings', () => {
+  test('keeps only the settings WebVTT defines', () => {
+    assert.deepEqual(parseCueSettings('line:90% align:center bogus:1 size:'), { line: '90%', align: 'center' });
+  });
+
+  test('writes settings in spec order', () => {
+    assert.equal(formatCueSettings({ align: 'end', position: '10%', vertical: 'rl' }), 'vertical:rl position:10% align:end');
+    assert.equal(formatCueSettings(' line:0 '), 'line:0');
+    assert.equal(formatCueSettings(null), '');
+  });
+});